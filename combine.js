@@ -0,0 +1,246 @@
+// Combine patient PDFs — merges every patient's chart PDFs, in chart_date
+// order, into <folder>/<folder>_combined.pdf with one bookmark per chart
+// entry (type, date, author), from a jane-scraper folder the user picks.
+// The background says what to merge (getCombinePlan), records each file on
+// the patient (recordCombinedPdf) and rewrites the manifests at the end.
+// Encrypted exports: inputs are decrypted here and the output is encrypted
+// with the run's key. See src/shared/utils/pdf-merge.js for the merge.
+
+import { createPdfMerger } from './src/shared/utils/pdf-merge.js';
+import { sha256Hex } from './src/shared/utils/crypto-utils.js';
+import {
+  ENCRYPTED_SUFFIX,
+  deriveExportKey,
+  encryptBytes,
+  decryptBytes,
+  checkPassphrase,
+} from './src/shared/utils/export-encryption.js';
+import { saveBlob } from './src/shared/utils/page-downloads.js';
+
+const EXPORT_ROOT_PREFIX = 'jane-scraper/';
+const COMBINED_SUFFIX = '_combined.pdf';
+const PRODUCER = 'Jane Chart Assistant';
+
+const els = {
+  folderInput: document.getElementById('folder-input'),
+  passphraseGroup: document.getElementById('passphrase-group'),
+  passphraseInput: document.getElementById('passphrase-input'),
+  combineBtn: document.getElementById('combine-btn'),
+  results: document.getElementById('results'),
+  verdict: document.getElementById('verdict'),
+  resultLines: document.getElementById('result-lines'),
+};
+
+// Paths relative to the picked folder.
+let filesByPath = new Map();
+let plan = null;
+// Passphrase already unlocked in this browser session, if any.
+let sessionPassphrase = null;
+
+function addLine(text, type = 'info') {
+  const line = document.createElement('div');
+  line.className = `line ${type}`;
+  line.textContent = text;
+  els.resultLines.appendChild(line);
+}
+
+function setVerdict(text, ok) {
+  els.verdict.textContent = text;
+  els.verdict.className = `verdict ${ok ? 'ok' : 'bad'}`;
+}
+
+function sendMessage(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (response) => resolve(response || { ok: false, error: 'no response' }));
+  });
+}
+
+function bookmarkTitle(chart) {
+  return [chart.chart_type || 'Chart', chart.chart_date || 'undated', chart.staff_name || 'unknown author'].join(' — ');
+}
+
+function relativePath(filePath) {
+  return filePath.startsWith(EXPORT_ROOT_PREFIX) ? filePath.slice(EXPORT_ROOT_PREFIX.length) : filePath;
+}
+
+// {encrypt(blob), decrypt(bytes)} with the run's key, or null.
+async function loadKey(passphrase) {
+  const { encryption } = plan;
+  if (!encryption) return null;
+  const key = await deriveExportKey(passphrase, encryption);
+  if (!(await checkPassphrase(key, encryption.check))) throw new Error('Wrong passphrase for this encrypted export');
+  return {
+    encrypt: (data) => encryptBytes(key, encryption, data),
+    decrypt: (bytes) => decryptBytes(key, bytes),
+  };
+}
+
+async function readChart(chart, crypt) {
+  const file = filesByPath.get(relativePath(chart.file_path));
+  if (!file) throw new Error('not in the picked folder');
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (!chart.file_path.endsWith(ENCRYPTED_SUFFIX)) return bytes;
+  if (!crypt) throw new Error('encrypted, but this export has no key');
+  return crypt.decrypt(bytes);
+}
+
+async function combinePatient(patient, crypt) {
+  const merger = createPdfMerger({
+    title: `${patient.patient_name || `Patient ${patient.patient_id}`} — charts`,
+    producer: PRODUCER,
+  });
+  const included = [];
+  const skipped = [];
+  // Charts sharing one file (dedupe mode) get a bookmark each, one copy of
+  // the pages.
+  const firstPageByPath = new Map();
+  for (const chart of patient.charts) {
+    try {
+      if (firstPageByPath.has(chart.file_path)) {
+        merger.addBookmark(bookmarkTitle(chart), firstPageByPath.get(chart.file_path));
+      } else {
+        const { firstPage } = merger.addDocument(await readChart(chart, crypt), { bookmark: bookmarkTitle(chart) });
+        firstPageByPath.set(chart.file_path, firstPage);
+      }
+      included.push(chart.chart_id);
+    } catch (error) {
+      skipped.push({ chart_id: chart.chart_id, reason: error.message });
+    }
+  }
+  if (included.length === 0) return { included, skipped };
+
+  const blob = merger.finish();
+  const combined = {
+    file_path: `${EXPORT_ROOT_PREFIX}${patient.folder}/${patient.folder}${COMBINED_SUFFIX}`,
+    sha256: await sha256Hex(blob),
+    bytes: blob.size,
+    pages: merger.pageCount,
+    charts: included,
+    skipped,
+  };
+  let stored = blob;
+  if (crypt) {
+    stored = new Blob([await crypt.encrypt(blob)], { type: 'application/octet-stream' });
+    combined.file_path += ENCRYPTED_SUFFIX;
+    combined.stored_sha256 = await sha256Hex(stored);
+    combined.stored_bytes = stored.size;
+  }
+  await saveBlob(combined.file_path, stored);
+  const recorded = await sendMessage({ action: 'recordCombinedPdf', patientId: patient.patient_id, combined });
+  if (!recorded.ok) throw new Error(recorded.error || 'could not record the combined PDF');
+  return { included, skipped, combined };
+}
+
+async function combineFolder(passphrase) {
+  els.results.classList.add('visible');
+  els.resultLines.innerHTML = '';
+  setVerdict('Combining…', true);
+
+  let crypt;
+  try {
+    crypt = await loadKey(passphrase);
+  } catch (error) {
+    setVerdict(error.message, false);
+    addLine('Nothing was saved — check the passphrase and try again', 'error');
+    return;
+  }
+
+  const patients = plan.patients.filter((p) => p.charts.some((c) => filesByPath.has(relativePath(c.file_path))));
+  let written = 0;
+  const failed = [];
+  for (const [i, patient] of patients.entries()) {
+    setVerdict(`Combining… ${i + 1}/${patients.length} patients`, true);
+    try {
+      const { included, skipped, combined } = await combinePatient(patient, crypt);
+      if (!combined) {
+        failed.push(patient.folder);
+        addLine(`${patient.folder}: no chart PDF could be read (${skipped[0]?.reason})`, 'error');
+        continue;
+      }
+      written += 1;
+      addLine(`${patient.folder}: ${included.length} charts, ${combined.pages} pages`, skipped.length ? 'warn' : 'success');
+      for (const skip of skipped) addLine(`${patient.folder}: chart ${skip.chart_id} left out — ${skip.reason}`, 'warn');
+    } catch (error) {
+      failed.push(patient.folder);
+      addLine(`${patient.folder}: ${error.message}`, 'error');
+    }
+  }
+
+  setVerdict('Rewriting manifests…', true);
+  const finished = await sendMessage({ action: 'finishCombinedPdfs', files: written, failed: failed.length });
+  if (finished.ok) {
+    addLine(`patients.json, checksums.sha256 and the signature rewritten in ${finished.dir}`, 'info');
+  } else {
+    addLine(`Manifests not rewritten: ${finished.error}`, 'error');
+  }
+  setVerdict(
+    failed.length === 0 ? `${written} combined PDFs written` : `${written} combined PDFs written — ${failed.length} patients failed`,
+    failed.length === 0 && finished.ok,
+  );
+
+  // Opened by the orchestrator with packaging still to come.
+  const params = new URLSearchParams(location.search);
+  if (params.get('then') === 'package') {
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`package.html?mode=${params.get('mode') || ''}`) });
+    addLine('Packaging opened in a new tab', 'info');
+  }
+}
+
+function updateControls() {
+  const needsPassphrase = !!plan?.encryption && !sessionPassphrase;
+  els.passphraseGroup.style.display = needsPassphrase ? '' : 'none';
+  els.combineBtn.disabled = !plan || filesByPath.size === 0
+    || (needsPassphrase && els.passphraseInput.value.length === 0);
+}
+
+els.folderInput.addEventListener('change', () => {
+  filesByPath = new Map();
+  for (const file of els.folderInput.files) {
+    // webkitRelativePath starts with the picked folder's own name.
+    const path = file.webkitRelativePath.split('/').slice(1).join('/');
+    filesByPath.set(path, file);
+  }
+  els.results.classList.add('visible');
+  els.resultLines.innerHTML = '';
+  const found = plan.patients.filter((p) => p.charts.some((c) => filesByPath.has(relativePath(c.file_path))));
+  if (found.length === 0) {
+    setVerdict('None of this export\'s PDFs are here — pick the jane-scraper folder itself', false);
+    filesByPath = new Map();
+  } else {
+    const charts = found.reduce((n, p) => n + p.charts.length, 0);
+    setVerdict(`${found.length}/${plan.patients.length} patients found, ${charts} charts to combine`, true);
+  }
+  updateControls();
+});
+
+els.passphraseInput.addEventListener('input', updateControls);
+
+els.combineBtn.addEventListener('click', async () => {
+  els.combineBtn.disabled = true;
+  els.folderInput.disabled = true;
+  try {
+    await combineFolder(sessionPassphrase || els.passphraseInput.value);
+  } catch (error) {
+    setVerdict('Combining stopped', false);
+    addLine(error.message, 'error');
+  } finally {
+    els.folderInput.disabled = false;
+    updateControls();
+  }
+});
+
+(async () => {
+  plan = await sendMessage({ action: 'getCombinePlan' });
+  if (!plan.ok) {
+    els.results.classList.add('visible');
+    setVerdict(plan.error, false);
+    els.folderInput.disabled = true;
+    plan = null;
+    return;
+  }
+  if (plan.encryption) {
+    const unlocked = await sendMessage({ action: 'getExportEncryption' });
+    sessionPassphrase = unlocked.passphrase || null;
+  }
+  updateControls();
+})();
@@ -0,0 +1,148 @@
+// Decrypt export — restores a jane-scraper folder written in encrypted mode.
+// Every `.enc` file is decrypted with the passphrase and saved without the
+// suffix; everything else (manifest.sig.json, signing_key.pub.json) is copied
+// as-is, into Downloads/jane-scraper-decrypted/.
+// See src/shared/utils/export-encryption.js for the file format.
+
+import {
+  ENCRYPTED_SUFFIX,
+  deriveExportKey,
+  decryptBytes,
+  parseEncryptedHeader,
+} from './src/shared/utils/export-encryption.js';
+import { saveBlob } from './src/shared/utils/page-downloads.js';
+
+const OUTPUT_DIR = 'jane-scraper-decrypted';
+
+const els = {
+  folderInput: document.getElementById('folder-input'),
+  passphraseInput: document.getElementById('passphrase-input'),
+  decryptBtn: document.getElementById('decrypt-btn'),
+  results: document.getElementById('results'),
+  verdict: document.getElementById('verdict'),
+  resultLines: document.getElementById('result-lines'),
+};
+
+// Paths relative to the picked folder.
+let filesByPath = new Map();
+
+function addLine(text, type = 'info') {
+  const line = document.createElement('div');
+  line.className = `line ${type}`;
+  line.textContent = text;
+  els.resultLines.appendChild(line);
+}
+
+function setVerdict(text, ok) {
+  els.verdict.textContent = text;
+  els.verdict.className = `verdict ${ok ? 'ok' : 'bad'}`;
+}
+
+function listPreview(paths, limit = 10) {
+  const shown = paths.slice(0, limit).join(', ');
+  return paths.length > limit ? `${shown} … and ${paths.length - limit} more` : shown;
+}
+
+// One file at a time: a folder of thousands of PDFs mustn't sit in memory.
+function saveFile(path, blob) {
+  return saveBlob(`${OUTPUT_DIR}/${path}`, blob);
+}
+
+async function decryptFolder(passphrase) {
+  els.results.classList.add('visible');
+  els.resultLines.innerHTML = '';
+  setVerdict('Decrypting…', true);
+
+  // Every file of one run shares its salt, so this is usually one key.
+  const keys = new Map();
+  const decryptFile = async (file) => {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const header = parseEncryptedHeader(bytes);
+    if (!header) throw new Error('not an encrypted export file');
+    const cacheKey = `${header.salt}:${header.iterations}`;
+    if (!keys.has(cacheKey)) keys.set(cacheKey, deriveExportKey(passphrase, header));
+    const key = await keys.get(cacheKey);
+    // AES-GCM can't tell a wrong key from an altered file.
+    return decryptBytes(key, bytes).catch(() => {
+      throw new Error('could not decrypt — wrong passphrase, or the file was altered');
+    });
+  };
+
+  const paths = [...filesByPath.keys()].sort();
+  // Check the passphrase on one file before anything is saved.
+  try {
+    await decryptFile(filesByPath.get(paths.find((p) => p.endsWith(ENCRYPTED_SUFFIX))));
+  } catch {
+    setVerdict('Wrong passphrase for this export', false);
+    addLine('Nothing was saved — check the passphrase and try again', 'error');
+    return;
+  }
+
+  let decrypted = 0;
+  let copied = 0;
+  const failed = [];
+
+  for (const path of paths) {
+    const file = filesByPath.get(path);
+    try {
+      if (!path.endsWith(ENCRYPTED_SUFFIX)) {
+        await saveFile(path, file);
+        copied += 1;
+        continue;
+      }
+      const plain = await decryptFile(file);
+      await saveFile(path.slice(0, -ENCRYPTED_SUFFIX.length), new Blob([plain]));
+      decrypted += 1;
+    } catch (error) {
+      failed.push(path);
+      addLine(`${path}: ${error.message}`, 'error');
+    }
+    if ((decrypted + copied) % 50 === 0) setVerdict(`Decrypting… ${decrypted + copied}/${paths.length}`, true);
+  }
+
+  addLine(`${decrypted} files decrypted, ${copied} copied unchanged into Downloads/${OUTPUT_DIR}`, 'success');
+  if (failed.length) addLine(`${failed.length} could not be restored: ${listPreview(failed)}`, 'error');
+  if (copied > 0 && decrypted > 0) {
+    addLine('manifest.sig.json covers the encrypted files — check the signature on the original folder; use checksums.sha256 on the decrypted one', 'info');
+  }
+  setVerdict(failed.length === 0 ? 'Export decrypted' : 'Export decrypted with errors', failed.length === 0);
+}
+
+function updateButton() {
+  els.decryptBtn.disabled = filesByPath.size === 0 || els.passphraseInput.value.length === 0;
+}
+
+els.folderInput.addEventListener('change', () => {
+  filesByPath = new Map();
+  for (const file of els.folderInput.files) {
+    // webkitRelativePath starts with the picked folder's own name.
+    const path = file.webkitRelativePath.split('/').slice(1).join('/');
+    filesByPath.set(path, file);
+  }
+  const encrypted = [...filesByPath.keys()].filter((p) => p.endsWith(ENCRYPTED_SUFFIX)).length;
+  els.results.classList.add('visible');
+  els.resultLines.innerHTML = '';
+  if (encrypted === 0) {
+    setVerdict(`No ${ENCRYPTED_SUFFIX} files in this folder — it isn't an encrypted export`, false);
+    filesByPath = new Map();
+  } else {
+    setVerdict(`${encrypted} encrypted files of ${filesByPath.size} — enter the passphrase and decrypt`, true);
+  }
+  updateButton();
+});
+
+els.passphraseInput.addEventListener('input', updateButton);
+
+els.decryptBtn.addEventListener('click', async () => {
+  els.decryptBtn.disabled = true;
+  els.folderInput.disabled = true;
+  try {
+    await decryptFolder(els.passphraseInput.value);
+  } catch (error) {
+    setVerdict('Decryption stopped', false);
+    addLine(error.message, 'error');
+  } finally {
+    els.folderInput.disabled = false;
+    updateButton();
+  }
+});
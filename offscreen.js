@@ -0,0 +1,51 @@
+// Offscreen file writer — the background can't make blob: URLs, so it sends
+// a file's contents here in parts (appendBlobPart), gets back a blob URL for
+// chrome.downloads plus the file's SHA-256 (finishBlob), and has the URL
+// revoked once the download is on disk (revokeBlob). Parts are text, or
+// base64 for binary files such as encrypted manifests.
+// See src/background/downloads/offscreen-blobs.js for the other side.
+
+import { sha256Hex, base64ToBytes } from './src/shared/utils/crypto-utils.js';
+
+// id -> parts still being received
+const pending = new Map();
+// id -> blob URL handed out
+const urls = new Map();
+
+async function finishBlob({ id, mime }) {
+  // Nothing appended is an empty file.
+  const parts = pending.get(id) || [];
+  pending.delete(id);
+  const blob = new Blob(parts, { type: mime || 'application/octet-stream' });
+  const url = URL.createObjectURL(blob);
+  urls.set(id, url);
+  return { ok: true, url, sha256: await sha256Hex(blob), bytes: blob.size };
+}
+
+function handleMessage(message) {
+  switch (message.action) {
+    case 'appendBlobPart': {
+      if (!pending.has(message.id)) pending.set(message.id, []);
+      pending.get(message.id).push(message.base64 != null ? base64ToBytes(message.base64) : message.text);
+      return Promise.resolve({ ok: true });
+    }
+    case 'finishBlob':
+      return finishBlob(message);
+    case 'revokeBlob': {
+      pending.delete(message.id);
+      if (urls.has(message.id)) URL.revokeObjectURL(urls.get(message.id));
+      urls.delete(message.id);
+      return Promise.resolve({ ok: true });
+    }
+    default:
+      return Promise.resolve({ ok: false, error: `Unknown action ${message.action}` });
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message?.target !== 'offscreen') return false;
+  handleMessage(message)
+    .then(sendResponse)
+    .catch((error) => sendResponse({ ok: false, error: error.message }));
+  return true;
+});
@@ -0,0 +1,245 @@
+// Package export — packs a jane-scraper folder the user picks into ZIP
+// archives for transfer: one per patient folder (plus _manifest.zip for
+// everything else), or the whole export in volumes with _manifest/ first.
+// Every archive carries package_manifest.json (its files with SHA-256 and
+// CRC-32); package_index.json lists the archives.
+// Runs in this tab because the extension can't read Downloads itself.
+
+import { createZipWriter, ZIP_MAX_ENTRIES } from './src/shared/utils/zip-writer.js';
+import { sha256Hex } from './src/shared/utils/crypto-utils.js';
+import { saveBlob } from './src/shared/utils/page-downloads.js';
+
+const OUTPUT_DIR = 'jane-scraper-packages';
+const PACKAGE_FORMAT = 'jane-scraper-package/1';
+const PACKAGE_MANIFEST = 'package_manifest.json';
+const PACKAGE_INDEX = 'package_index.json';
+const MANIFEST_FOLDER = '_manifest';
+const PATIENT_FOLDER = /^(\d+)_[^/]+$/;
+const MB = 1000 * 1000;
+// Room kept in each volume for its package_manifest.json.
+const MANIFEST_RESERVE_BYTES = 4 * MB;
+// Each finished archive is read whole to hash it (WebCrypto can't digest in
+// parts), so volumes stay at a size the tab can hold twice over.
+const MAX_VOLUME_BYTES = 500 * MB;
+
+const els = {
+  folderInput: document.getElementById('folder-input'),
+  modeSelect: document.getElementById('mode-select'),
+  volumeGroup: document.getElementById('volume-group'),
+  volumeSelect: document.getElementById('volume-select'),
+  compressionSelect: document.getElementById('compression-select'),
+  packageBtn: document.getElementById('package-btn'),
+  results: document.getElementById('results'),
+  verdict: document.getElementById('verdict'),
+  resultLines: document.getElementById('result-lines'),
+};
+
+// Paths relative to the picked folder.
+let filesByPath = new Map();
+
+function addLine(text, type = 'info') {
+  const line = document.createElement('div');
+  line.className = `line ${type}`;
+  line.textContent = text;
+  els.resultLines.appendChild(line);
+}
+
+function setVerdict(text, ok) {
+  els.verdict.textContent = text;
+  els.verdict.className = `verdict ${ok ? 'ok' : 'bad'}`;
+}
+
+function formatBytes(bytes) {
+  return bytes >= MB * 1000 ? `${(bytes / MB / 1000).toFixed(2)} GB` : `${(bytes / MB).toFixed(1)} MB`;
+}
+
+function timestampForFolder(at) {
+  return new Date(at).toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+// patient_id -> patients.json record, when the manifest is readable (an
+// encrypted export's isn't; its archives just list files). Exports before
+// schema_version 2 hold a bare array.
+async function loadPatientRecords() {
+  const file = filesByPath.get(`${MANIFEST_FOLDER}/patients.json`);
+  if (!file) return new Map();
+  try {
+    const parsed = JSON.parse(await file.text());
+    const patients = Array.isArray(parsed) ? parsed : parsed.patients;
+    return new Map(patients.map((p) => [String(p.patient_id), p]));
+  } catch {
+    return new Map();
+  }
+}
+
+// [{name, patientId, paths}] in the order they're written.
+function planArchives(mode) {
+  const paths = [...filesByPath.keys()].sort();
+  if (mode === 'volumes') {
+    const first = paths.filter((p) => p.startsWith(`${MANIFEST_FOLDER}/`));
+    const rest = paths.filter((p) => !p.startsWith(`${MANIFEST_FOLDER}/`));
+    return [{ name: 'jane-scraper', patientId: null, paths: [...first, ...rest] }];
+  }
+  const byFolder = new Map();
+  const other = [];
+  for (const path of paths) {
+    const top = path.split('/')[0];
+    if (path.includes('/') && PATIENT_FOLDER.test(top)) {
+      if (!byFolder.has(top)) byFolder.set(top, []);
+      byFolder.get(top).push(path);
+    } else {
+      other.push(path);
+    }
+  }
+  const archives = [...byFolder].map(([folder, folderPaths]) => ({
+    name: folder,
+    patientId: folder.match(PATIENT_FOLDER)[1],
+    paths: folderPaths,
+  }));
+  if (other.length) archives.unshift({ name: MANIFEST_FOLDER, patientId: null, paths: other });
+  return archives;
+}
+
+async function packageFolder({ mode, volumeBytes, compress }) {
+  els.results.classList.add('visible');
+  els.resultLines.innerHTML = '';
+  setVerdict('Packaging…', true);
+
+  const generatedAt = new Date().toISOString();
+  const outDir = `${OUTPUT_DIR}/${timestampForFolder(generatedAt)}`;
+  const patients = await loadPatientRecords();
+  const plan = planArchives(mode);
+  const written = [];
+  const failed = [];
+  let packed = 0;
+
+  // Closes the current archive: package_manifest.json goes in last, so it
+  // can list everything before it.
+  const writeArchive = async (filename, zip, entries, patientId) => {
+    const manifest = {
+      format: PACKAGE_FORMAT,
+      generated_at: generatedAt,
+      archive: filename,
+      mode,
+      volume: mode === 'volumes' ? written.length + 1 : null,
+      patient_id: patientId,
+      patient: patientId ? patients.get(patientId) || null : null,
+      files: entries,
+    };
+    zip.addFile(PACKAGE_MANIFEST, new TextEncoder().encode(JSON.stringify(manifest, null, 2)));
+    const blob = zip.finish();
+    const sha256 = await sha256Hex(blob);
+    await saveBlob(`${outDir}/${filename}`, blob);
+    written.push({ file: filename, bytes: blob.size, sha256, files: entries.length, patient_id: patientId });
+    addLine(`${filename}: ${entries.length} files, ${formatBytes(blob.size)}`, 'success');
+  };
+
+  for (const archive of plan) {
+    let zip = createZipWriter({ compress });
+    let entries = [];
+    const volumeName = () => `${archive.name}_vol${String(written.length + 1).padStart(3, '0')}.zip`;
+
+    for (const path of archive.paths) {
+      const file = filesByPath.get(path);
+      if (mode === 'volumes' && zip.entries > 0
+        && (zip.sizeWith(path, file.size) + MANIFEST_RESERVE_BYTES > volumeBytes || zip.entries >= ZIP_MAX_ENTRIES - 1)) {
+        await writeArchive(volumeName(), zip, entries, null);
+        zip = createZipWriter({ compress });
+        entries = [];
+      }
+      try {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const added = zip.addFile(path, bytes, { lastModified: file.lastModified });
+        entries.push({
+          path,
+          bytes: added.bytes,
+          sha256: await sha256Hex(bytes),
+          crc32: added.crc32.toString(16).padStart(8, '0'),
+          method: added.method,
+        });
+      } catch (error) {
+        failed.push(path);
+        addLine(`${path}: ${error.message}`, 'error');
+      }
+      packed += 1;
+      if (packed % 50 === 0) setVerdict(`Packaging… ${packed}/${filesByPath.size} files`, true);
+    }
+
+    if (mode === 'volumes') {
+      if (entries.length > 0) await writeArchive(volumeName(), zip, entries, null);
+    } else {
+      await writeArchive(`${archive.name}.zip`, zip, entries, archive.patientId);
+    }
+  }
+
+  const index = {
+    format: PACKAGE_FORMAT,
+    generated_at: generatedAt,
+    mode,
+    compression: compress ? 'deflate' : 'store',
+    source_files: filesByPath.size,
+    failed_files: failed,
+    archives: written,
+  };
+  await saveBlob(`${outDir}/${PACKAGE_INDEX}`, new Blob([JSON.stringify(index, null, 2)], { type: 'application/json' }));
+
+  const totalBytes = written.reduce((n, a) => n + a.bytes, 0);
+  addLine(`${written.length} archives, ${formatBytes(totalBytes)} in Downloads/${outDir} (listed in ${PACKAGE_INDEX})`, 'info');
+  setVerdict(
+    failed.length === 0 ? 'Export packaged' : `Export packaged — ${failed.length} files could not be added`,
+    failed.length === 0,
+  );
+}
+
+function updateControls() {
+  els.volumeGroup.style.display = els.modeSelect.value === 'volumes' ? '' : 'none';
+  els.packageBtn.disabled = filesByPath.size === 0;
+}
+
+els.folderInput.addEventListener('change', () => {
+  filesByPath = new Map();
+  for (const file of els.folderInput.files) {
+    // webkitRelativePath starts with the picked folder's own name.
+    const path = file.webkitRelativePath.split('/').slice(1).join('/');
+    filesByPath.set(path, file);
+  }
+  const patientFolders = new Set([...filesByPath.keys()]
+    .map((p) => p.split('/')[0])
+    .filter((top) => PATIENT_FOLDER.test(top)));
+  const totalBytes = [...filesByPath.values()].reduce((n, f) => n + f.size, 0);
+  els.results.classList.add('visible');
+  els.resultLines.innerHTML = '';
+  if (patientFolders.size === 0) {
+    setVerdict('No patient folders here — pick the jane-scraper folder itself', false);
+    filesByPath = new Map();
+  } else {
+    setVerdict(`${filesByPath.size} files in ${patientFolders.size} patient folders, ${formatBytes(totalBytes)}`, true);
+  }
+  updateControls();
+});
+
+els.modeSelect.addEventListener('change', updateControls);
+
+els.packageBtn.addEventListener('click', async () => {
+  els.packageBtn.disabled = true;
+  els.folderInput.disabled = true;
+  try {
+    await packageFolder({
+      mode: els.modeSelect.value,
+      volumeBytes: Math.min(Number(els.volumeSelect.value) * MB, MAX_VOLUME_BYTES),
+      compress: els.compressionSelect.value === 'deflate',
+    });
+  } catch (error) {
+    setVerdict('Packaging stopped', false);
+    addLine(error.message, 'error');
+  } finally {
+    els.folderInput.disabled = false;
+    updateControls();
+  }
+});
+
+// Opened by the orchestrator at the end of a run with the mode chosen in
+// the panel.
+const requestedMode = new URLSearchParams(location.search).get('mode');
+if ([...els.modeSelect.options].some((o) => o.value === requestedMode)) els.modeSelect.value = requestedMode;
+updateControls();
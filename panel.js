@@ -2,14 +2,22 @@
  * Side panel controller for the staff-first export.
  *
  * UI states:
- *   - form      : user is entering credentials + staff names
+ *   - form      : user is entering credentials + staff names (past exports
+ *                 can be browsed from here)
  *   - resolving : preflight in flight, waiting for review rows
  *   - review    : review table rendered, user confirming matches
- *   - running   : discovery/download/profile in progress
- *   - done      : final state, offer to start a new run
+ *   - running   : discovery/download/profile in progress (or paused —
+ *                 tabs stay open, Pause/Resume toggle in place)
+ *   - interrupted : a run was cut off by a browser restart, offer to resume
+ *   - done      : final state, offer to start a new run (or retry the
+ *                 failed charts the last run left behind, or repair it)
  */
 
 const MAX_THREADS = 8;
+const MIN_REQUESTS_PER_MINUTE = 5;
+const MAX_REQUESTS_PER_MINUTE = 300;
+// Same minimum as export-keyring.js, which has the final say.
+const MIN_PASSPHRASE_LENGTH = 8;
 const MAX_LOG_ENTRIES = 500;
 
 const els = {
@@ -18,6 +26,16 @@ const els = {
   email: document.getElementById('email'),
   password: document.getElementById('password'),
   threadCount: document.getElementById('thread-count'),
+  requestsPerMinute: document.getElementById('requests-per-minute'),
+  incremental: document.getElementById('incremental'),
+  dedupeIdentical: document.getElementById('dedupe-identical'),
+  combinePdfs: document.getElementById('combine-pdfs'),
+  packageMode: document.getElementById('package-mode'),
+  manifestFormat: document.getElementById('manifest-format'),
+  connectionsFormat: document.getElementById('connections-format'),
+  fhirExport: document.getElementById('fhir-export'),
+  encryptOutput: document.getElementById('encrypt-output'),
+  encryptPassphrase: document.getElementById('encrypt-passphrase'),
   staffNames: document.getElementById('staff-names'),
   resolveBtn: document.getElementById('resolve-btn'),
 
@@ -30,10 +48,42 @@ const els = {
   startBtn: document.getElementById('start-btn'),
 
   stopBtn: document.getElementById('stop-btn'),
+  runControls: document.getElementById('run-controls'),
+  pauseBtn: document.getElementById('pause-btn'),
+  resumeRunBtn: document.getElementById('resume-run-btn'),
+  threadControls: document.getElementById('thread-controls'),
+  liveThreadCount: document.getElementById('live-thread-count'),
+  setThreadsBtn: document.getElementById('set-threads-btn'),
+
+  historyBtn: document.getElementById('history-btn'),
+  verifyBtn: document.getElementById('verify-btn'),
+  signatureBtn: document.getElementById('signature-btn'),
+  combineBtn: document.getElementById('combine-btn'),
+  packageBtn: document.getElementById('package-btn'),
+  decryptBtn: document.getElementById('decrypt-btn'),
+  repairBtn: document.getElementById('repair-btn'),
+  historyWrap: document.getElementById('history-wrap'),
+  historyRows: document.getElementById('history-rows'),
+  historySummary: document.getElementById('history-summary'),
+
+  retryWrap: document.getElementById('retry-wrap'),
+  retryDetail: document.getElementById('retry-detail'),
+  retryReason: document.getElementById('retry-reason'),
+  retryStaff: document.getElementById('retry-staff'),
+  retryPatients: document.getElementById('retry-patients'),
+  retryBtn: document.getElementById('retry-btn'),
+
+  resumeWrap: document.getElementById('resume-wrap'),
+  resumeDetail: document.getElementById('resume-detail'),
+  resumePassphraseGroup: document.getElementById('resume-passphrase-group'),
+  resumePassphrase: document.getElementById('resume-passphrase'),
+  resumeBtn: document.getElementById('resume-btn'),
+  discardBtn: document.getElementById('discard-btn'),
 
   phaseStrip: document.getElementById('phase-strip'),
   phaseLabel: document.getElementById('phase-label'),
   phaseDetail: document.getElementById('phase-detail'),
+  rateDetail: document.getElementById('rate-detail'),
 
   statQueued: document.getElementById('stat-queued'),
   statDone: document.getElementById('stat-done'),
@@ -69,8 +119,13 @@ function setUiState(state) {
   const running = state === 'running' || state === 'done';
   const inProgress = state === 'resolving' || state === 'review' || state === 'running';
   els.formSection.classList.toggle('hidden', state !== 'form');
+  if (state !== 'form') els.historyWrap.classList.remove('visible');
+  if (state === 'form') loadFailedSummary();
+  els.resumeWrap.classList.toggle('hidden', state !== 'interrupted');
   els.reviewWrap.classList.toggle('visible', state === 'review');
   els.stopBtn.classList.toggle('hidden', !inProgress);
+  els.runControls.classList.toggle('hidden', state !== 'running');
+  els.threadControls.classList.toggle('hidden', state !== 'running');
   els.phaseStrip.classList.toggle('visible', running);
   if (state === 'resolving') els.resolveBtn.disabled = true;
   if (state === 'form') els.resolveBtn.disabled = false;
@@ -85,8 +140,12 @@ function setPhase(phase, extras = {}) {
     profile: 'Phase 3 · Profiles',
     done: 'Done',
     stopped: 'Stopped',
+    paused: 'Paused',
   };
-  els.phaseLabel.textContent = labels[phase] || phase;
+  els.phaseLabel.textContent = phase === 'paused' && extras.pausedPhase
+    ? `Paused · ${labels[extras.pausedPhase] || extras.pausedPhase}`
+    : labels[phase] || phase;
+  setRunControls(phase);
   const bits = [];
   if (extras.staffCompleted != null && extras.totalStaff != null) {
     bits.push(`${extras.staffCompleted}/${extras.totalStaff} staff`);
@@ -96,6 +155,30 @@ function setPhase(phase, extras = {}) {
   els.phaseDetail.textContent = bits.join(' · ');
 }
 
+function setRunControls(phase) {
+  const paused = phase === 'paused';
+  const pausable = ['discovery', 'download', 'profile'].includes(phase);
+  els.pauseBtn.classList.toggle('hidden', !pausable);
+  els.resumeRunBtn.classList.toggle('hidden', !paused);
+  els.pauseBtn.disabled = false;
+  els.resumeRunBtn.disabled = false;
+}
+
+function showInterrupted(runState, progress) {
+  const bits = [`An export was interrupted during ${runState.phase}.`];
+  if (progress && progress.total) {
+    bits.push(`${progress.done || 0}/${progress.total} charts downloaded so far.`);
+  }
+  bits.push('Resume reopens the Jane tabs, logs back in and picks up where it left off.');
+  els.resumeDetail.textContent = bits.join(' ');
+  els.resumeBtn.disabled = false;
+  chrome.storage.local.get('runConfig', ({ runConfig }) => {
+    els.resumePassphraseGroup.classList.toggle('hidden', !runConfig?.encryption);
+  });
+  setUiState('interrupted');
+  setPhase(runState.phase);
+}
+
 function updateStats(progress) {
   if (!progress) return;
   const queued = (progress.pending || 0) + (progress.in_flight || 0);
@@ -104,6 +187,21 @@ function updateStats(progress) {
   els.statFailed.textContent = String(progress.failed || 0);
 }
 
+function updateRate(state) {
+  if (!state) {
+    els.rateDetail.textContent = '';
+    return;
+  }
+  const bits = [
+    `~${state.effectiveRatePerMin || 0} charts/min`,
+    `${state.activeWorkers}/${state.maxWorkers} workers`,
+    `${(state.fetchGapMs / 1000).toFixed(1)}s gap`,
+  ];
+  const errors = (state.rateLimited || 0) + (state.serverErrors || 0);
+  if (errors) bits.push(`${errors} throttled in last 5 min`);
+  els.rateDetail.textContent = bits.join(' · ');
+}
+
 async function ensureClinicPermission(clinicName) {
   const origin = `https://${clinicName}.janeapp.com/*`;
   try {
@@ -121,6 +219,15 @@ els.resolveBtn.addEventListener('click', async () => {
   const email = els.email.value.trim();
   const password = els.password.value;
   const numThreads = parseInt(els.threadCount.value, 10);
+  const requestsPerMinute = parseInt(els.requestsPerMinute.value, 10);
+  const incremental = els.incremental.checked;
+  const dedupeIdentical = els.dedupeIdentical.checked;
+  const combinePdfs = els.combinePdfs.checked;
+  const packageMode = els.packageMode.value;
+  const manifestFormat = els.manifestFormat.value;
+  const connectionsFormat = els.connectionsFormat.value;
+  const fhirExport = els.fhirExport.checked;
+  const encryptPassphrase = els.encryptOutput.checked ? els.encryptPassphrase.value : '';
   const staffNames = els.staffNames.value;
 
   if (!clinicName || !email || !password) {
@@ -131,6 +238,16 @@ els.resolveBtn.addEventListener('click', async () => {
     logStatus(`Thread count must be 1..${MAX_THREADS}`, 'error');
     return;
   }
+  if (!Number.isInteger(requestsPerMinute)
+    || requestsPerMinute < MIN_REQUESTS_PER_MINUTE
+    || requestsPerMinute > MAX_REQUESTS_PER_MINUTE) {
+    logStatus(`Requests per minute must be ${MIN_REQUESTS_PER_MINUTE}..${MAX_REQUESTS_PER_MINUTE}`, 'error');
+    return;
+  }
+  if (els.encryptOutput.checked && encryptPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+    logStatus(`Encryption passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, 'error');
+    return;
+  }
 
   autoConfirmPending = !staffNames.trim();
   if (autoConfirmPending) {
@@ -148,7 +265,8 @@ els.resolveBtn.addEventListener('click', async () => {
 
   chrome.runtime.sendMessage({
     action: 'startStaffExport',
-    clinicName, email, password, numThreads, staffNames,
+    clinicName, email, password, numThreads, requestsPerMinute, staffNames, incremental, dedupeIdentical, encryptPassphrase,
+    combinePdfs, packageMode, manifestFormat, connectionsFormat, fhirExport,
   }, (response) => {
     if (chrome.runtime.lastError) {
       logStatus(`startStaffExport failed: ${chrome.runtime.lastError.message}`, 'error');
@@ -212,6 +330,190 @@ els.stopBtn.addEventListener('click', () => {
   });
 });
 
+els.pauseBtn.addEventListener('click', () => {
+  els.pauseBtn.disabled = true;
+  chrome.runtime.sendMessage({ action: 'pauseExport' }, (response) => {
+    if (chrome.runtime.lastError || !response?.ok) {
+      logStatus(`Pause failed: ${response?.error || chrome.runtime.lastError?.message || 'unknown'}`, 'error');
+      els.pauseBtn.disabled = false;
+    }
+  });
+});
+
+els.resumeRunBtn.addEventListener('click', () => {
+  els.resumeRunBtn.disabled = true;
+  chrome.runtime.sendMessage({ action: 'resumeExport' }, (response) => {
+    if (chrome.runtime.lastError || !response?.ok) {
+      logStatus(`Resume failed: ${response?.error || chrome.runtime.lastError?.message || 'unknown'}`, 'error');
+      els.resumeRunBtn.disabled = false;
+    }
+  });
+});
+
+els.setThreadsBtn.addEventListener('click', () => {
+  const numThreads = parseInt(els.liveThreadCount.value, 10);
+  if (!Number.isInteger(numThreads) || numThreads < 1 || numThreads > MAX_THREADS) {
+    logStatus(`Thread count must be 1..${MAX_THREADS}`, 'error');
+    return;
+  }
+  els.setThreadsBtn.disabled = true;
+  chrome.runtime.sendMessage({ action: 'setThreadCount', numThreads }, (response) => {
+    els.setThreadsBtn.disabled = false;
+    if (chrome.runtime.lastError || !response?.ok) {
+      logStatus(`Set threads failed: ${response?.error || chrome.runtime.lastError?.message || 'unknown'}`, 'error');
+    }
+  });
+});
+
+function fillRetrySelect(select, anyLabel, groups) {
+  const any = document.createElement('option');
+  any.value = '';
+  any.textContent = anyLabel;
+  const options = groups.map((g) => {
+    const opt = document.createElement('option');
+    opt.value = g.key;
+    opt.textContent = `${g.label} (${g.count})`;
+    return opt;
+  });
+  select.replaceChildren(any, ...options);
+}
+
+// Offer "Retry failed" whenever the queue the last run left has failures.
+function loadFailedSummary() {
+  chrome.runtime.sendMessage({ action: 'summarizeFailedCharts' }, (response) => {
+    if (chrome.runtime.lastError || !response?.ok) {
+      els.retryWrap.classList.add('hidden');
+      return;
+    }
+    const summary = response.summary;
+    els.retryWrap.classList.toggle('hidden', !summary.total);
+    if (!summary.total) return;
+    els.retryDetail.textContent = `The last export left ${summary.total} failed chart${summary.total === 1 ? '' : 's'}. `
+      + 'Retrying requeues them and goes straight to downloading — staff are not walked again.';
+    fillRetrySelect(els.retryReason, 'Any reason', summary.reasons);
+    fillRetrySelect(els.retryStaff, 'Any staff', summary.staff);
+    els.retryBtn.disabled = false;
+  });
+}
+
+els.retryBtn.addEventListener('click', () => {
+  const numThreads = parseInt(els.threadCount.value, 10);
+  if (!Number.isInteger(numThreads) || numThreads < 1 || numThreads > MAX_THREADS) {
+    logStatus(`Thread count must be 1..${MAX_THREADS}`, 'error');
+    return;
+  }
+  els.retryBtn.disabled = true;
+  chrome.runtime.sendMessage({
+    action: 'retryFailedCharts',
+    clinicName: els.clinicName.value.trim() || undefined,
+    email: els.email.value.trim() || undefined,
+    password: els.password.value || undefined,
+    numThreads,
+    reasons: els.retryReason.value ? [els.retryReason.value] : [],
+    staffIds: els.retryStaff.value ? [els.retryStaff.value] : [],
+    patientIds: els.retryPatients.value,
+    passphrase: els.encryptPassphrase.value || undefined,
+  }, (response) => {
+    if (chrome.runtime.lastError || !response?.ok) {
+      logStatus(`Retry failed: ${response?.error || chrome.runtime.lastError?.message || 'unknown'}`, 'error');
+      els.retryBtn.disabled = false;
+      return;
+    }
+    setUiState('running');
+    setPhase('download', { totalTuples: response.requeued });
+  });
+});
+
+els.verifyBtn.addEventListener('click', () => {
+  els.verifyBtn.disabled = true;
+  logStatus('Verifying export against the jane-scraper folders…', 'info');
+  chrome.runtime.sendMessage({ action: 'verifyExport' }, (response) => {
+    els.verifyBtn.disabled = false;
+    if (chrome.runtime.lastError || !response?.ok) {
+      logStatus(`Verify failed: ${response?.error || chrome.runtime.lastError?.message || 'unknown'}`, 'error');
+      return;
+    }
+    const { totals } = response;
+    logStatus(`Checked ${totals.charts_done}/${totals.charts} charts against ${totals.files_on_disk} files on disk`, 'info');
+    if (response.passed) {
+      logStatus(`Export verified — no problems (${response.file})`, 'success');
+      return;
+    }
+    const found = Object.entries(response.problems)
+      .filter(([, count]) => count > 0)
+      .map(([name, count]) => `${count} ${name.replace(/_/g, ' ')}`);
+    logStatus(`Verification found problems: ${found.join(', ')} — see _manifest/${response.file}`, 'warn');
+  });
+});
+
+els.signatureBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('verify.html') });
+});
+
+els.combineBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('combine.html') });
+});
+
+els.packageBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('package.html') });
+});
+
+els.decryptBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('decrypt.html') });
+});
+
+els.repairBtn.addEventListener('click', () => {
+  const numThreads = parseInt(els.threadCount.value, 10);
+  if (!Number.isInteger(numThreads) || numThreads < 1 || numThreads > MAX_THREADS) {
+    logStatus(`Thread count must be 1..${MAX_THREADS}`, 'error');
+    return;
+  }
+  els.repairBtn.disabled = true;
+  chrome.runtime.sendMessage({
+    action: 'repairExport',
+    clinicName: els.clinicName.value.trim() || undefined,
+    email: els.email.value.trim() || undefined,
+    password: els.password.value || undefined,
+    numThreads,
+    passphrase: els.encryptPassphrase.value || undefined,
+  }, (response) => {
+    els.repairBtn.disabled = false;
+    if (chrome.runtime.lastError || !response?.ok) {
+      logStatus(`Repair failed: ${response?.error || chrome.runtime.lastError?.message || 'unknown'}`, 'error');
+      return;
+    }
+    if (response.requeued > 0) {
+      setUiState('running');
+      setPhase('download', { totalTuples: response.requeued });
+    }
+  });
+});
+
+els.resumeBtn.addEventListener('click', () => {
+  els.resumeBtn.disabled = true;
+  chrome.runtime.sendMessage({
+    action: 'resumeInterruptedRun',
+    passphrase: els.resumePassphrase.value || undefined,
+  }, (response) => {
+    if (chrome.runtime.lastError || !response?.ok) {
+      logStatus(`Resume failed: ${response?.error || chrome.runtime.lastError?.message || 'unknown'}`, 'error');
+      els.resumeBtn.disabled = false;
+      return;
+    }
+    setUiState('running');
+    logStatus(`Resumed export (phase: ${response.phase})`, 'success');
+  });
+});
+
+els.discardBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'stopExport' }, (response) => {
+    if (response?.ok) logStatus('Discarded interrupted export', 'warn');
+    else logStatus(`Discard failed: ${response?.error || 'unknown'}`, 'error');
+    setUiState('form');
+    setPhase('stopped');
+  });
+});
+
 function buildReviewRowElement(row, rowIndex) {
   const badgeInfo = row.status === 'ok' ? { cls: 'badge-ok', txt: '\u2713' }
     : row.status === 'ambiguous' ? { cls: 'badge-warn', txt: '!' }
@@ -279,6 +581,97 @@ function buildReviewRowElement(row, rowIndex) {
   return container;
 }
 
+function formatRunLabel(run) {
+  const started = new Date(run.started_at).toLocaleString('en-US', { hour12: false });
+  return `${started} · ${run.clinic_name || 'unknown clinic'}`;
+}
+
+function formatRunDetail(run) {
+  const bits = [run.status.replace('_', ' ')];
+  if (run.baseline_run_id) bits.push('incremental');
+  if (run.dedupe_identical) bits.push('deduplicated');
+  if (run.encrypted) bits.push('encrypted');
+  if (run.restarts) bits.push(`restarted ${run.restarts}×`);
+  if (run.staff) bits.push(`${run.staff} staff`);
+  if (run.downloads) {
+    bits.push(`${run.downloads.ok}/${run.downloads.total} charts`);
+  } else if (run.counts) {
+    bits.push(`${run.counts.charts} charts`);
+  }
+  if (run.unique_patients != null) bits.push(`${run.unique_patients} patients`);
+  return bits.join(' · ');
+}
+
+function buildHistoryRowElement(run) {
+  const badgeInfo = run.status === 'done' ? { cls: 'badge-ok', txt: '\u2713' }
+    : run.status === 'in_progress' ? { cls: 'badge-warn', txt: '…' }
+    : { cls: 'badge-err', txt: '!' };
+
+  const container = document.createElement('div');
+  container.className = 'review-row';
+
+  const badge = document.createElement('span');
+  badge.className = `badge ${badgeInfo.cls}`;
+  badge.textContent = badgeInfo.txt;
+
+  const nameWrap = document.createElement('div');
+  nameWrap.className = 'review-name';
+  const label = document.createElement('span');
+  label.className = 'input-name';
+  label.textContent = formatRunLabel(run);
+  const detail = document.createElement('span');
+  detail.className = 'matched-name';
+  detail.textContent = formatRunDetail(run);
+  nameWrap.append(label, detail);
+
+  const right = document.createElement('div');
+  if (run.status !== 'in_progress') {
+    const regenBtn = document.createElement('button');
+    regenBtn.className = 'row-action neutral';
+    regenBtn.textContent = 'regenerate manifests';
+    regenBtn.onclick = () => {
+      regenBtn.disabled = true;
+      logStatus(`Regenerating manifests for run ${run.run_id}…`, 'info');
+      chrome.runtime.sendMessage({
+        action: 'regenerateRunManifests',
+        runId: run.run_id,
+        passphrase: els.encryptPassphrase.value || undefined,
+      }, (response) => {
+        regenBtn.disabled = false;
+        if (chrome.runtime.lastError || !response?.ok) {
+          logStatus(`Regenerate failed: ${response?.error || chrome.runtime.lastError?.message || 'unknown'}`, 'error');
+          return;
+        }
+        logStatus(`Manifests for ${run.run_id} written to ${response.dir}`, 'success');
+      });
+    };
+    right.appendChild(regenBtn);
+  }
+
+  container.append(badge, nameWrap, right);
+  return container;
+}
+
+function loadHistory() {
+  els.historySummary.textContent = 'loading…';
+  chrome.runtime.sendMessage({ action: 'listRuns' }, (response) => {
+    if (chrome.runtime.lastError || !response?.ok) {
+      els.historySummary.textContent = '';
+      logStatus(`Could not load past exports: ${response?.error || chrome.runtime.lastError?.message || 'unknown'}`, 'error');
+      return;
+    }
+    const runs = response.runs || [];
+    els.historyRows.replaceChildren(...runs.map(buildHistoryRowElement));
+    els.historySummary.textContent = runs.length === 0 ? 'none yet' : `${runs.length} run${runs.length === 1 ? '' : 's'}`;
+  });
+}
+
+els.historyBtn.addEventListener('click', () => {
+  const show = !els.historyWrap.classList.contains('visible');
+  els.historyWrap.classList.toggle('visible', show);
+  if (show) loadHistory();
+});
+
 function renderReview() {
   els.reviewRows.replaceChildren();
   let resolvedCount = 0;
@@ -344,6 +737,12 @@ chrome.runtime.onMessage.addListener((request) => {
   }
   if (request.action === 'phaseUpdate') {
     logStatus(`[panel] phase update → ${request.phase}`, 'info');
+    if (request.interrupted) {
+      chrome.storage.local.get(['runState', 'chartQueueProgress'], (data) => {
+        showInterrupted(data.runState || { phase: request.phase }, data.chartQueueProgress);
+      });
+      return;
+    }
     setPhase(request.phase, request);
     if (request.phase === 'done' || request.phase === 'stopped') {
       reviewRows = [];
@@ -358,15 +757,26 @@ chrome.storage.onChanged.addListener((changes) => {
   if (changes.chartQueueProgress) {
     updateStats(changes.chartQueueProgress.newValue);
   }
+  if (changes.runConfig?.newValue?.numThreads) {
+    els.liveThreadCount.value = String(changes.runConfig.newValue.numThreads);
+  }
+  if (changes.concurrencyState) {
+    updateRate(changes.concurrencyState.newValue);
+  }
 });
 
 (async function init() {
-  const data = await chrome.storage.local.get(['runState', 'chartQueueProgress']);
+  const data = await chrome.storage.local.get(['runState', 'runConfig', 'chartQueueProgress', 'concurrencyState']);
   updateStats(data.chartQueueProgress);
+  updateRate(data.concurrencyState);
+  if (data.runConfig?.numThreads) els.liveThreadCount.value = String(data.runConfig.numThreads);
   const terminalPhases = ['idle', 'done', 'stopped'];
-  if (data.runState && data.runState.phase && !terminalPhases.includes(data.runState.phase)) {
+  if (data.runState?.interrupted) {
+    showInterrupted(data.runState, data.chartQueueProgress);
+    logStatus(`Found interrupted export (phase: ${data.runState.phase})`, 'warn');
+  } else if (data.runState && data.runState.phase && !terminalPhases.includes(data.runState.phase)) {
     setUiState('running');
-    setPhase(data.runState.phase);
+    setPhase(data.runState.phase, { pausedPhase: data.runState.pausedPhase });
     logStatus(`Reconnected (phase: ${data.runState.phase})`, 'info');
   } else {
     setUiState('form');
@@ -11,16 +11,28 @@ import { handleDownloadMessage } from './downloads/download-manager.js';
 import { handleFileQueryMessage } from './downloads/file-queries.js';
 import { handleThreadMessage } from './coordinator/thread-manager.js';
 import { handleChartQueueMessage } from './coordinator/chart-queue.js';
-import { handlePhaseMessage, resetRunState } from './coordinator/phase-orchestrator.js';
+import { handleRateLimiterMessage } from './coordinator/rate-limiter.js';
+import { handlePhaseMessage, markInterruptedRun } from './coordinator/phase-orchestrator.js';
+import { handleSupervisorMessage, startWorkerSupervisor } from './coordinator/worker-supervisor.js';
+import { handleRunHistoryMessage } from './coordinator/run-history.js';
+import { handleVerifierMessage } from './manifest/export-verifier.js';
+import { handleAuditLogMessage } from './coordinator/audit-log.js';
+import { handleKeyringMessage } from './coordinator/export-keyring.js';
+import { handleCombinedPdfMessage } from './manifest/combined-pdfs.js';
 
 chrome.runtime.onInstalled.addListener(() => {});
 
+// Watches download-worker tabs and respawns any that die mid-run.
+startWorkerSupervisor();
+
 chrome.action.onClicked.addListener(async (tab) => {
   await chrome.sidePanel.open({ windowId: tab.windowId });
 });
 
 chrome.runtime.onStartup.addListener(() => {
-  resetRunState().catch((error) => console.warn('resetRunState failed:', error));
+  // A run that was mid-phase when the browser closed is kept and flagged as
+  // interrupted so the panel can offer to resume it.
+  markInterruptedRun().catch((error) => console.warn('markInterruptedRun failed:', error));
 });
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -28,7 +40,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (handleFileQueryMessage(request, sender, sendResponse)) return true;
   if (handleThreadMessage(request, sender, sendResponse)) return true;
   if (handleChartQueueMessage(request, sender, sendResponse)) return true;
+  if (handleRateLimiterMessage(request, sender, sendResponse)) return true;
   if (handlePhaseMessage(request, sender, sendResponse)) return true;
+  if (handleSupervisorMessage(request, sender, sendResponse)) return true;
+  if (handleRunHistoryMessage(request, sender, sendResponse)) return true;
+  if (handleVerifierMessage(request, sender, sendResponse)) return true;
+  if (handleAuditLogMessage(request, sender, sendResponse)) return true;
+  if (handleKeyringMessage(request, sender, sendResponse)) return true;
+  if (handleCombinedPdfMessage(request, sender, sendResponse)) return true;
 
   sendResponse({ received: true });
   return true;
@@ -0,0 +1,177 @@
+/**
+ * Chain-of-custody audit log.
+ *
+ * One event per export action — login, staff resolution, chart download,
+ * profile capture, combined PDFs, manifest write, start / stop / pause /
+ * resume — kept in the IndexedDB `audit_log` store across all runs. Events
+ * are only ever appended: each records the Jane user, clinic, run, time and
+ * the chart / patient / staff IDs it touched, plus `prev_hash` (the previous
+ * event's hash), `run_prev_seq` / `run_prev_hash` (the previous event of the
+ * same run, null for a run's first) and its own `hash`, SHA-256 over the
+ * canonical JSON of everything else. Editing or deleting an event breaks
+ * every hash after it.
+ *
+ * writeAllManifests exports a run's events as _manifest/audit_log.jsonl, one
+ * event per line in seq order. The run links make that file check on its
+ * own, gaps included; the full log checks through prev_hash from seq 1.
+ *
+ * Appends are serialized here (the hash of event N is an input to N+1) and
+ * never throw — a failed audit write is logged, not allowed to stop a run.
+ */
+
+import { appendAuditRecord, getLastAuditRecord, listAuditRecords } from '../storage/chart-db.js';
+import { sha256Hex, canonicalJson } from '../../shared/utils/crypto-utils.js';
+
+export const AUDIT_EVENT = Object.freeze({
+  EXPORT_START: 'export_start',
+  LOGIN: 'login',
+  STAFF_RESOLUTION: 'staff_resolution',
+  CHART_DOWNLOAD: 'chart_download',
+  PROFILE_CAPTURE: 'profile_capture',
+  MANIFEST_WRITE: 'manifest_write',
+  COMBINE_PDFS: 'combine_pdfs',
+  STOP: 'stop',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  RESTART: 'restart',
+});
+
+// Hash of the chain's first event's predecessor.
+const GENESIS_HASH = '0'.repeat(64);
+
+let mutationChain = Promise.resolve();
+let head = null;
+
+function serialize(fn) {
+  const next = mutationChain.then(fn, fn);
+  mutationChain = next.catch(() => {});
+  return next;
+}
+
+function idList(ids) {
+  if (ids === undefined || ids === null) return [];
+  return (Array.isArray(ids) ? ids : [ids]).filter((id) => id !== undefined && id !== null).map(String);
+}
+
+async function hashEvent(event) {
+  const { hash: _hash, ...rest } = event;
+  return sha256Hex(canonicalJson(rest));
+}
+
+async function loadHead() {
+  if (!head) {
+    const last = await getLastAuditRecord();
+    head = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+  return head;
+}
+
+/**
+ * Append one event. Run, clinic and Jane user default to the current
+ * runConfig.
+ *
+ * @param {string} type - An AUDIT_EVENT
+ * @param {Object} fields
+ * @param {Array|string} fields.chartIds / patientIds / staffIds - Affected IDs
+ * @param {Object} fields.details - Anything else worth keeping
+ * @returns {Promise<Object|null>} The stored event, or null if it failed
+ */
+export async function recordAuditEvent(type, {
+  chartIds, patientIds, staffIds, details = {}, userEmail, threadId, runId, clinicName,
+} = {}) {
+  return serialize(async () => {
+    try {
+      const { runConfig } = await chrome.storage.local.get('runConfig');
+      const previous = await loadHead();
+      const eventRunId = runId ?? runConfig?.runId ?? null;
+      const runPrevious = eventRunId ? await getLastAuditRecord(eventRunId) : null;
+      const event = {
+        seq: previous.seq + 1,
+        type,
+        at: new Date().toISOString(),
+        run_id: eventRunId,
+        clinic_name: clinicName ?? runConfig?.clinicName ?? null,
+        user_email: userEmail ?? runConfig?.userEmail ?? null,
+        thread_id: threadId || null,
+        chart_ids: idList(chartIds),
+        patient_ids: idList(patientIds),
+        staff_ids: idList(staffIds),
+        details,
+        prev_hash: previous.hash,
+        run_prev_seq: runPrevious?.seq ?? null,
+        run_prev_hash: runPrevious?.hash ?? null,
+      };
+      event.hash = await hashEvent(event);
+      await appendAuditRecord(event);
+      head = { seq: event.seq, hash: event.hash };
+      return event;
+    } catch (error) {
+      // Another context may have appended (or the add collided); re-read the
+      // head next time rather than chaining onto a stale one.
+      head = null;
+      console.warn(`[audit] could not record ${type}: ${error.message}`);
+      return null;
+    }
+  });
+}
+
+function linksToPrevious(event, previous) {
+  if (!previous) return event.seq === 1 && event.prev_hash === GENESIS_HASH;
+  return event.seq === previous.seq + 1 && event.prev_hash === previous.hash;
+}
+
+function linksToRunPrevious(event, previous) {
+  if (!previous) return event.run_prev_seq === null;
+  return event.run_prev_seq === previous.seq && event.run_prev_hash === previous.hash
+    && (event.seq !== previous.seq + 1 || event.prev_hash === previous.hash);
+}
+
+/**
+ * Re-check hashes and links of a seq-ordered list of events: the whole log,
+ * or with `perRun` one run's events. A missing event breaks the chain at the
+ * one after it.
+ *
+ * @returns {Promise<Object>} {intact, events, first_seq, last_seq, broken_at}
+ */
+export async function verifyAuditChain(events, { perRun = false } = {}) {
+  const links = perRun ? linksToRunPrevious : linksToPrevious;
+  let brokenAt = null;
+  for (let i = 0; i < events.length && brokenAt === null; i++) {
+    const event = events[i];
+    if ((await hashEvent(event)) !== event.hash || !links(event, events[i - 1] || null)) brokenAt = event.seq;
+  }
+  return {
+    intact: brokenAt === null,
+    events: events.length,
+    first_seq: events[0]?.seq ?? null,
+    last_seq: events[events.length - 1]?.seq ?? null,
+    broken_at: brokenAt,
+  };
+}
+
+export async function listAuditEvents(runId = null) {
+  await mutationChain;
+  return listAuditRecords(runId);
+}
+
+export function toJsonl(events) {
+  return events.length > 0 ? `${events.map((e) => JSON.stringify(e)).join('\n')}\n` : '';
+}
+
+export function handleAuditLogMessage(message, _sender, sendResponse) {
+  switch (message.action) {
+    // Logins happen in the content scripts; they report the outcome here.
+    case 'auditLogin':
+      recordAuditEvent(AUDIT_EVENT.LOGIN, {
+        userEmail: message.email || undefined,
+        threadId: message.threadId,
+        details: { outcome: message.outcome || 'unknown', reason: message.reason || undefined },
+      })
+        .then(() => sendResponse({ ok: true }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    default:
+      return false;
+  }
+}
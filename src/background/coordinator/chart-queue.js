@@ -5,7 +5,10 @@
  *   - claim/release coordination per thread (similar in spirit to patientLocks)
  *   - progress counters cached in chrome.storage.local for the panel
  *   - message handlers for content-script workers:
- *       requestChart, completeChart, failChart, releaseChart, enqueueCharts
+ *       requestChart, completeChart, failChart, releaseChart, enqueueCharts,
+ *       findDuplicateChart
+ *   - requeueing failed charts (retry failed) or done charts whose PDFs are
+ *     gone (repair) once a run has ended
  *
  * All scheduler mutations are serialized through a single promise chain to avoid
  * races between concurrent tab requests. IndexedDB transactions are atomic on
@@ -26,7 +29,16 @@ import {
   listCharts,
   listDistinctPatientIds,
   sweepStaleClaims,
+  releaseClaimsByThread,
+  requeueFailed,
+  requeueDone,
+  findDoneBySha256,
+  CHART_STATUS,
 } from '../storage/chart-db.js';
+import { OUTCOME, recordOutcome, isWorkerActive } from './concurrency-controller.js';
+import { DELTA_STATUS, applyBaseline } from './delta-baseline.js';
+import { resolveVersions, recordDownloadedVersion, findRecordedChecksum } from './chart-versions.js';
+import { AUDIT_EVENT, recordAuditEvent } from './audit-log.js';
 
 const STALE_CLAIM_THRESHOLD_MS = 10 * 60 * 1000;
 // A chart that fails retriably more than this many times is parked as
@@ -34,8 +46,17 @@ const STALE_CLAIM_THRESHOLD_MS = 10 * 60 * 1000;
 // already retries 3x per claim, so MAX_RETRIABLE_CYCLES=3 means each chart
 // gets up to ~9 total download attempts before we give up.
 const MAX_RETRIABLE_CYCLES = 3;
+// A chart that keeps coming back as Jane's sign-in page even after the worker
+// has logged in again isn't a session problem; fail it rather than loop.
+const MAX_SESSION_EXPIRED_RELEASES = 3;
+const SESSION_EXPIRED_REASON = 'invalid_pdf_html_login';
 
 const PROGRESS_KEY = 'chartQueueProgress';
+// failChart reasons the concurrency controller treats as "Jane pushed back".
+const OUTCOME_BY_REASON = {
+  rate_limit: OUTCOME.RATE_LIMIT,
+  server_failed: OUTCOME.SERVER_ERROR,
+};
 let mutationChain = Promise.resolve();
 
 function serialize(fn) {
@@ -54,17 +75,40 @@ async function refreshProgress() {
 
 export async function enqueueCharts(tuples) {
   return serialize(async () => {
-    const added = await addCharts(tuples);
+    // Incremental runs: charts unchanged since the baseline go in as done.
+    const { runConfig } = await chrome.storage.local.get('runConfig');
+    const baselineRunId = runConfig?.baselineRunId;
+    const versioned = await resolveVersions(tuples);
+    const rows = baselineRunId ? await applyBaseline(versioned, baselineRunId) : versioned;
+    const added = await addCharts(rows);
     const progress = await refreshProgress();
-    console.log(`[chart-queue] enqueued ${added} tuples — totals: pending=${progress.pending} in_flight=${progress.in_flight} done=${progress.done} failed=${progress.failed}`);
-    return { added, progress };
+    const unchanged = baselineRunId
+      ? rows.filter((row) => row.delta_status === DELTA_STATUS.UNCHANGED).length
+      : 0;
+    const amended = rows.filter((row) => row.amended_from).length;
+    const notes = [
+      baselineRunId ? `${unchanged} unchanged since ${baselineRunId}` : null,
+      amended ? `${amended} amended` : null,
+    ].filter(Boolean).join(', ');
+    console.log(`[chart-queue] enqueued ${added} tuples${notes ? ` (${notes})` : ''} — totals: pending=${progress.pending} in_flight=${progress.in_flight} done=${progress.done} failed=${progress.failed}`);
+    return { added, unchanged, amended, progress };
   });
 }
 
 export async function requestChart(threadId) {
   return serialize(async () => {
-    const stop = await chrome.storage.local.get(['userRequestedStop']);
-    if (stop.userRequestedStop) return { status: 'stopped' };
+    const flags = await chrome.storage.local.get(['userRequestedStop', 'runPaused']);
+    if (flags.userRequestedStop) return { status: 'stopped' };
+    // Paused: hand out nothing (and skip the stale-claim sweep) until resumed.
+    if (flags.runPaused) return { status: 'paused' };
+
+    // Threads above the controller's active limit idle until it raises the
+    // limit again — or exit once there's nothing left for anyone.
+    if (!(await isWorkerActive(threadId))) {
+      const counts = await countByStatus();
+      if (counts.pending === 0 && counts.in_flight === 0) return { status: 'done' };
+      return { status: 'throttled' };
+    }
 
     const claimed = await claimNextPending(threadId);
     if (!claimed) {
@@ -93,16 +137,59 @@ export async function requestChart(threadId) {
   });
 }
 
-export async function completeChart({ chartId, filePath }) {
+export async function completeChart({
+  chartId, filePath, skipped = false, sizeBytes = null, pageCount = null, sha256 = null, duplicateOf = null,
+  storedSha256 = null, storedBytes = null,
+}) {
   return serialize(async () => {
-    await markDone(chartId, filePath);
+    const known = skipped && !sha256 ? await findRecordedChecksum(chartId, filePath) : null;
+    const record = await markDone(chartId, filePath, {
+      sizeBytes: sizeBytes ?? known?.sizeBytes ?? null,
+      pageCount,
+      sha256: sha256 || known?.sha256 || null,
+      duplicateOf,
+      storedSha256: storedSha256 || known?.storedSha256 || null,
+      storedBytes: storedBytes ?? known?.storedBytes ?? null,
+    });
+    if (record) {
+      const { runConfig } = await chrome.storage.local.get('runConfig');
+      await recordDownloadedVersion(record, runConfig?.runId);
+      await recordAuditEvent(AUDIT_EVENT.CHART_DOWNLOAD, {
+        chartIds: record.chart_id,
+        patientIds: record.patient_id,
+        staffIds: record.staff_id,
+        threadId: record.claimed_by,
+        details: {
+          file_path: record.file_path,
+          sha256: record.sha256 || null,
+          version: record.version || 1,
+          skipped_already_on_disk: skipped,
+          duplicate_of: record.duplicate_of || null,
+        },
+      });
+    }
+    if (!skipped) await recordOutcome(OUTCOME.OK);
     const progress = await refreshProgress();
     return { ok: true, progress };
   });
 }
 
+/**
+ * Dedupe mode: the chart already saved with this content hash, if any, so the
+ * worker can skip writing a second copy. Null when the run doesn't dedupe.
+ * Two workers fetching identical PDFs at the same moment both save theirs;
+ * duplicates.json still groups them.
+ */
+export async function findDuplicateChart({ chartId, sha256 }) {
+  const { runConfig } = await chrome.storage.local.get('runConfig');
+  if (!runConfig?.dedupeIdentical || !sha256) return null;
+  const canonical = await findDoneBySha256(sha256, chartId);
+  return canonical ? { chart_id: String(canonical.chart_id), file_path: canonical.file_path } : null;
+}
+
 export async function failChart({ chartId, reason, retriable }) {
   return serialize(async () => {
+    if (OUTCOME_BY_REASON[reason]) await recordOutcome(OUTCOME_BY_REASON[reason]);
     if (retriable) {
       const result = await releaseInFlight(chartId);
       const retryCount = result?.retry_count || 0;
@@ -119,15 +206,78 @@ export async function failChart({ chartId, reason, retriable }) {
   });
 }
 
-export async function releaseChart(chartId) {
+// A worker handing back a chart it never got to process (stop / retire, or
+// its session expired and it has to log in again).
+// Unlike a retriable failChart this doesn't count against the retry budget;
+// session-expiry releases have their own, smaller one.
+export async function releaseChart(chartId, { sessionExpired = false } = {}) {
   return serialize(async () => {
-    const result = await releaseInFlight(chartId);
+    const result = await releaseInFlight(chartId, { countRetry: false, sessionExpired });
     const released = !!result?.released;
+    if (released && result.session_expired_count >= MAX_SESSION_EXPIRED_RELEASES) {
+      console.warn(`[chart-queue] chart=${chartId} returned the sign-in page ${result.session_expired_count} times, marking failed`);
+      await markFailed(chartId, SESSION_EXPIRED_REASON);
+    }
     if (released) await refreshProgress();
     return { ok: released };
   });
 }
 
+export async function releaseThreadClaims(threadId) {
+  return serialize(async () => {
+    const released = await releaseClaimsByThread(threadId);
+    if (released > 0) {
+      console.warn(`[chart-queue] released ${released} in_flight claims held by ${threadId}`);
+      await refreshProgress();
+    }
+    return released;
+  });
+}
+
+/**
+ * Move failed charts matching `filter` ({ reasons, staffIds, patientIds })
+ * back to pending with their retry budget reset.
+ */
+export async function requeueFailedCharts(filter = {}) {
+  return serialize(async () => {
+    const requeued = await requeueFailed(filter);
+    const progress = await refreshProgress();
+    console.log(`[chart-queue] requeued ${requeued} failed charts — totals: pending=${progress.pending} failed=${progress.failed}`);
+    return { requeued, progress };
+  });
+}
+
+export async function requeueMissingCharts(chartIds) {
+  return serialize(async () => {
+    const requeued = await requeueDone(chartIds);
+    const progress = await refreshProgress();
+    console.log(`[chart-queue] requeued ${requeued} charts missing from disk — totals: pending=${progress.pending} done=${progress.done}`);
+    return { requeued, progress };
+  });
+}
+
+// Failed charts grouped the ways the panel lets the user filter a retry.
+export async function summarizeFailedCharts() {
+  const failed = await listCharts({ status: CHART_STATUS.FAILED });
+  const group = (keyOf, labelOf) => {
+    const groups = new Map();
+    for (const chart of failed) {
+      const key = keyOf(chart);
+      if (!key) continue;
+      const entry = groups.get(key) || { key, label: labelOf(chart), count: 0 };
+      entry.count += 1;
+      groups.set(key, entry);
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+  };
+  return {
+    total: failed.length,
+    reasons: group((c) => c.failure_reason || 'unknown', (c) => c.failure_reason || 'unknown'),
+    staff: group((c) => (c.staff_id ? String(c.staff_id) : null), (c) => c.staff_name || String(c.staff_id)),
+    patients: group((c) => (c.patient_id ? String(c.patient_id) : null), (c) => c.patient_name || String(c.patient_id)),
+  };
+}
+
 export async function resetQueueForNewRun() {
   return serialize(async () => {
     await clearCharts();
@@ -164,11 +314,27 @@ export function handleChartQueueMessage(message, _sender, sendResponse) {
       return true;
 
     case 'completeChart':
-      completeChart({ chartId: message.chartId, filePath: message.filePath })
+      completeChart({
+        chartId: message.chartId,
+        filePath: message.filePath,
+        skipped: !!message.skipped,
+        sizeBytes: message.sizeBytes ?? null,
+        pageCount: message.pageCount ?? null,
+        sha256: message.sha256 || null,
+        duplicateOf: message.duplicateOf || null,
+        storedSha256: message.storedSha256 || null,
+        storedBytes: message.storedBytes ?? null,
+      })
         .then(sendResponse)
         .catch((error) => sendResponse({ ok: false, error: error.message }));
       return true;
 
+    case 'findDuplicateChart':
+      findDuplicateChart({ chartId: message.chartId, sha256: message.sha256 })
+        .then((canonical) => sendResponse({ ok: true, canonical }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
     case 'failChart':
       failChart({ chartId: message.chartId, reason: message.reason, retriable: !!message.retriable })
         .then(sendResponse)
@@ -176,7 +342,7 @@ export function handleChartQueueMessage(message, _sender, sendResponse) {
       return true;
 
     case 'releaseChart':
-      releaseChart(message.chartId)
+      releaseChart(message.chartId, { sessionExpired: !!message.sessionExpired })
         .then(sendResponse)
         .catch((error) => sendResponse({ ok: false, error: error.message }));
       return true;
@@ -193,6 +359,12 @@ export function handleChartQueueMessage(message, _sender, sendResponse) {
         .catch((error) => sendResponse({ ok: false, error: error.message }));
       return true;
 
+    case 'summarizeFailedCharts':
+      summarizeFailedCharts()
+        .then((summary) => sendResponse({ ok: true, summary }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
     case 'listPatientIds':
       listDistinctPatientIds()
         .then((ids) => sendResponse({ ok: true, ids }))
@@ -0,0 +1,67 @@
+/**
+ * Amended-chart versioning.
+ *
+ * A provider can edit a chart entry after we've exported it; the chart_id
+ * stays the same, so neither the worker's on-disk check nor the manifest's
+ * `__<chartId>__` matching would notice. The walker captures each panel's
+ * revision details (signed state, "Edited …" line) as `revision_signature`,
+ * and here we compare it with the signature of the last version we
+ * downloaded (chart_versions store, kept across runs):
+ *
+ *   - never downloaded           -> version 1
+ *   - same signature (or either
+ *     side has none to compare)  -> the stored version, i.e. already on disk
+ *   - different signature        -> stored version + 1, downloaded as a new
+ *                                   file ending `__v<N>.pdf`
+ *
+ * The version is only recorded once its PDF is on disk, so an amended chart
+ * whose download fails is detected again next run.
+ */
+
+import { getChartVersions, putChartVersion } from '../storage/chart-db.js';
+
+export async function resolveVersions(tuples) {
+  const known = await getChartVersions(tuples.map((t) => t.chart_id));
+  return tuples.map((tuple) => {
+    const prior = known.get(String(tuple.chart_id));
+    if (!prior) return { ...tuple, version: 1 };
+    const amended = !!(tuple.revision_signature && prior.revision_signature
+      && tuple.revision_signature !== prior.revision_signature);
+    if (!amended) return { ...tuple, version: prior.version };
+    return { ...tuple, version: prior.version + 1, amended_from: prior.version };
+  });
+}
+
+export async function recordDownloadedVersion(chart, runId) {
+  if (!chart?.chart_id) return null;
+  return putChartVersion({
+    chartId: chart.chart_id,
+    version: chart.version || 1,
+    revisionSignature: chart.revision_signature || null,
+    filePath: chart.file_path || null,
+    runId,
+    sha256: chart.sha256 || null,
+    sizeBytes: chart.size_bytes ?? null,
+    storedSha256: chart.stored_sha256 || null,
+    storedBytes: chart.stored_bytes ?? null,
+  });
+}
+
+/**
+ * The checksum recorded when `filePath` was downloaded, if any. A chart the
+ * worker skips because it's already on disk never has its bytes read again,
+ * so this is where its sha256 comes from.
+ */
+export async function findRecordedChecksum(chartId, filePath) {
+  const known = await getChartVersions([chartId]);
+  const entry = (known.get(String(chartId))?.history || [])
+    .find((h) => h.file_path === filePath && h.sha256);
+  return entry
+    ? {
+      sha256: entry.sha256,
+      sizeBytes: entry.size_bytes ?? null,
+      storedSha256: entry.stored_sha256 || null,
+      storedBytes: entry.stored_bytes ?? null,
+    }
+    : null;
+}
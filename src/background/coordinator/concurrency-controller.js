@@ -0,0 +1,207 @@
+/**
+ * Adaptive concurrency controller.
+ *
+ * Jane's tolerance for parallel PDF fetches varies a lot between clinics, so
+ * instead of trusting the thread count picked up front, the coordinator
+ * watches every worker's outcomes and tunes two knobs with AIMD
+ * (additive-increase / multiplicative-decrease):
+ *
+ *   - activeWorkers: how many of the spawned threads T1..TN may claim charts.
+ *                    Threads above the limit stay logged in but idle.
+ *   - fetchGapMs:    per-thread minimum gap between PDF fetches, read by
+ *                    PdfDownloader.enforceThrottle in every tab.
+ *
+ * A clean streak of successes adds one step of capacity (first closing any
+ * extra gap a decrease introduced, then adding a worker, then trimming the
+ * gap toward its floor). A 429 / 5xx halves the active workers — or doubles
+ * the gap once only one worker is left — and starts a cooldown so the burst
+ * of errors from requests already in flight doesn't cut capacity again.
+ *
+ * State lives in chrome.storage.local under `concurrencyState` so content
+ * scripts and the panel read the same numbers the coordinator decided on.
+ */
+
+import { THROTTLE } from '../../shared/constants.js';
+
+const STATE_KEY = 'concurrencyState';
+// Effective rate and error counts are computed over this sliding window.
+const WINDOW_MS = 5 * 60 * 1000;
+// Consecutive successes (across all workers) before one additive step.
+const INCREASE_AFTER_SUCCESSES = 25;
+// After a decrease, further errors and increases are ignored for this long —
+// requests that were already in flight tend to fail together.
+const DECREASE_COOLDOWN_MS = 60000;
+const GAP_STEP_MS = 500;
+const MIN_GAP_MS = 1000;
+const MAX_GAP_MS = 30000;
+const BASE_GAP_MS = THROTTLE.MIN_PDF_FETCH_GAP_MS;
+
+export const OUTCOME = Object.freeze({
+  OK: 'ok',
+  RATE_LIMIT: 'rate_limit',
+  SERVER_ERROR: 'server_error',
+});
+
+let mutationChain = Promise.resolve();
+
+function serialize(fn) {
+  const next = mutationChain.then(fn, fn);
+  mutationChain = next.catch(() => {});
+  return next;
+}
+
+function threadNumber(threadId) {
+  const match = String(threadId || '').match(/^T(\d+)$/);
+  return match ? Number(match[1]) : null;
+}
+
+async function readState() {
+  const data = await chrome.storage.local.get(STATE_KEY);
+  return data[STATE_KEY] || null;
+}
+
+function summarize(state, now) {
+  const events = state.events.filter((e) => now - e.t <= WINDOW_MS);
+  const successes = events.filter((e) => e.kind === OUTCOME.OK).length;
+  const rateLimited = events.filter((e) => e.kind === OUTCOME.RATE_LIMIT).length;
+  const serverErrors = events.filter((e) => e.kind === OUTCOME.SERVER_ERROR).length;
+  // Early in a run the window isn't full yet; divide by the span actually
+  // observed so the first few minutes don't under-report.
+  const spanMs = events.length > 0
+    ? Math.max(60000, Math.min(WINDOW_MS, now - events[0].t))
+    : WINDOW_MS;
+  const effectiveRatePerMin = Number(((successes / spanMs) * 60000).toFixed(1));
+  return {
+    ...state,
+    events,
+    successes,
+    rateLimited,
+    serverErrors,
+    effectiveRatePerMin,
+    updatedAt: now,
+  };
+}
+
+function increase(state) {
+  if (state.fetchGapMs > BASE_GAP_MS) {
+    state.fetchGapMs = Math.max(BASE_GAP_MS, state.fetchGapMs - GAP_STEP_MS);
+    return 'gap';
+  }
+  if (state.activeWorkers < state.maxWorkers) {
+    state.activeWorkers += 1;
+    return 'workers';
+  }
+  if (state.fetchGapMs > MIN_GAP_MS) {
+    state.fetchGapMs = Math.max(MIN_GAP_MS, state.fetchGapMs - GAP_STEP_MS);
+    return 'gap';
+  }
+  return null;
+}
+
+function decrease(state) {
+  if (state.activeWorkers > 1) {
+    state.activeWorkers = Math.max(1, Math.floor(state.activeWorkers / 2));
+    return 'workers';
+  }
+  state.fetchGapMs = Math.min(MAX_GAP_MS, state.fetchGapMs * 2);
+  return 'gap';
+}
+
+/**
+ * Start a fresh controller for the download phase. Every spawned thread
+ * starts active at the base fetch gap; AIMD takes it from there.
+ */
+export async function initConcurrency({ maxWorkers }) {
+  return serialize(async () => {
+    const max = Math.max(1, Number(maxWorkers) || 1);
+    const state = summarize({
+      maxWorkers: max,
+      activeWorkers: max,
+      fetchGapMs: BASE_GAP_MS,
+      successStreak: 0,
+      lastDecreaseAt: 0,
+      lastChange: null,
+      events: [],
+    }, Date.now());
+    await chrome.storage.local.set({ [STATE_KEY]: state });
+    return state;
+  });
+}
+
+/**
+ * The user changed the thread count mid-run. Added threads start active
+ * (that's what the user asked for); removed ones drop out of the limit.
+ */
+export async function setMaxWorkers(maxWorkers) {
+  return serialize(async () => {
+    const state = await readState();
+    if (!state) return null;
+    const max = Math.max(1, Number(maxWorkers) || 1);
+    const added = Math.max(0, max - state.maxWorkers);
+    state.maxWorkers = max;
+    state.activeWorkers = Math.min(max, state.activeWorkers + added);
+    const next = summarize(state, Date.now());
+    await chrome.storage.local.set({ [STATE_KEY]: next });
+    return next;
+  });
+}
+
+export async function resetConcurrency() {
+  return serialize(async () => {
+    await chrome.storage.local.remove(STATE_KEY);
+  });
+}
+
+/**
+ * Feed one chart outcome into the controller. Skipped (already on disk)
+ * charts never reached Jane and shouldn't be reported.
+ */
+export async function recordOutcome(kind) {
+  return serialize(async () => {
+    const state = await readState();
+    if (!state) return null;
+    const now = Date.now();
+    state.events.push({ t: now, kind });
+
+    const cooling = now - state.lastDecreaseAt < DECREASE_COOLDOWN_MS;
+    if (kind === OUTCOME.OK) {
+      state.successStreak += 1;
+      if (!cooling && state.successStreak >= INCREASE_AFTER_SUCCESSES) {
+        const knob = increase(state);
+        state.successStreak = 0;
+        if (knob) {
+          state.lastChange = { at: now, direction: 'increase', knob };
+          console.log(`[concurrency] increase (${knob}): workers=${state.activeWorkers}/${state.maxWorkers} gap=${state.fetchGapMs}ms`);
+        }
+      }
+    } else {
+      state.successStreak = 0;
+      if (!cooling) {
+        const knob = decrease(state);
+        state.lastDecreaseAt = now;
+        state.lastChange = { at: now, direction: 'decrease', knob, cause: kind };
+        console.warn(`[concurrency] decrease on ${kind} (${knob}): workers=${state.activeWorkers}/${state.maxWorkers} gap=${state.fetchGapMs}ms`);
+      }
+    }
+
+    const next = summarize(state, now);
+    await chrome.storage.local.set({ [STATE_KEY]: next });
+    return next;
+  });
+}
+
+/**
+ * Whether `threadId` may claim work right now. T1 is always active; without
+ * a controller (outside the download phase) every thread is.
+ */
+export async function isWorkerActive(threadId) {
+  const state = await readState();
+  if (!state) return true;
+  const n = threadNumber(threadId);
+  if (n === null) return true;
+  return n <= state.activeWorkers;
+}
+
+export async function getConcurrencyState() {
+  return readState();
+}
@@ -0,0 +1,98 @@
+/**
+ * Incremental (delta) exports.
+ *
+ * An incremental run picks the last completed run for the same clinic as its
+ * baseline. Every tuple the walker discovers is classified against that
+ * baseline's downloaded charts:
+ *   - unchanged: same chart_id and chart_date, and the baseline has the PDF —
+ *                stored as done with the baseline's file_path, never fetched
+ *   - changed:   same chart_id but a different chart_date, or amended since
+ *                it was downloaded — re-downloaded
+ *   - added:     not among the baseline's downloaded charts — downloaded
+ * Charts the baseline had that this run never saw are `removed`; that can
+ * only be known once discovery is over, so the manifest writer works it out.
+ *
+ * The walker still visits every staff page — that's the only way to learn
+ * what exists — but the download phase only sees new and changed charts.
+ */
+
+import { listRuns, listRunCharts } from '../storage/chart-db.js';
+
+export const DELTA_STATUS = Object.freeze({
+  ADDED: 'added',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged',
+  REMOVED: 'removed',
+});
+
+// Baseline index for the run in progress; rebuilt lazily after a
+// service-worker restart.
+let cached = { runId: null, byChartId: null };
+
+function normalizeDate(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Most recent run with status `done` for `clinicName`, or null.
+ */
+export async function findBaselineRun(clinicName, { excludeRunId = null } = {}) {
+  const wanted = String(clinicName || '').toLowerCase();
+  const runs = await listRuns();
+  return runs.find((run) => run.status === 'done'
+    && run.run_id !== excludeRunId
+    && String(run.clinic_name || '').toLowerCase() === wanted) || null;
+}
+
+/**
+ * The baseline's downloaded charts, keyed by chart_id.
+ */
+export async function loadBaselineIndex(baselineRunId) {
+  if (cached.runId === baselineRunId && cached.byChartId) return cached.byChartId;
+  const charts = await listRunCharts(baselineRunId);
+  const byChartId = new Map();
+  for (const chart of charts) {
+    if (chart.status !== 'done') continue;
+    byChartId.set(String(chart.chart_id), chart);
+  }
+  cached = { runId: baselineRunId, byChartId };
+  console.log(`[delta] baseline ${baselineRunId}: ${byChartId.size} downloaded charts`);
+  return byChartId;
+}
+
+export function classifyTuple(tuple, baselineIndex) {
+  const prior = baselineIndex.get(String(tuple.chart_id));
+  if (!prior) return DELTA_STATUS.ADDED;
+  // Amended since its last download (see chart-versions.js).
+  if (tuple.amended_from) return DELTA_STATUS.CHANGED;
+  if (normalizeDate(prior.chart_date) !== normalizeDate(tuple.chart_date)) return DELTA_STATUS.CHANGED;
+  return DELTA_STATUS.UNCHANGED;
+}
+
+/**
+ * Tag each tuple with its delta_status. Unchanged tuples come back already
+ * `done`, pointing at the baseline's file, so they never reach a worker.
+ */
+export async function applyBaseline(tuples, baselineRunId) {
+  const baselineIndex = await loadBaselineIndex(baselineRunId);
+  return tuples.map((tuple) => {
+    const deltaStatus = classifyTuple(tuple, baselineIndex);
+    if (deltaStatus !== DELTA_STATUS.UNCHANGED) {
+      return { ...tuple, delta_status: deltaStatus };
+    }
+    const prior = baselineIndex.get(String(tuple.chart_id));
+    return {
+      ...tuple,
+      delta_status: deltaStatus,
+      status: 'done',
+      file_path: prior.file_path || null,
+      completed_at: prior.completed_at || null,
+      sha256: prior.sha256 || null,
+      size_bytes: prior.size_bytes ?? null,
+      page_count: prior.page_count ?? null,
+      duplicate_of: prior.duplicate_of || null,
+      stored_sha256: prior.stored_sha256 || null,
+      stored_bytes: prior.stored_bytes ?? null,
+    };
+  });
+}
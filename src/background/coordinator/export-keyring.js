@@ -0,0 +1,135 @@
+/**
+ * Passphrase handling for encrypted exports.
+ *
+ * An encrypted run keeps its non-secret parameters (PBKDF2 salt and
+ * iterations, plus a passphrase check value) in runConfig.encryption and on
+ * the run record. The passphrase itself only ever lives in
+ * chrome.storage.session — memory-only, gone when the browser closes — so
+ * resuming, retrying or repairing an encrypted run after a restart asks for
+ * it again, and a wrong one is rejected against the check value before
+ * anything is written with it.
+ *
+ * Download workers fetch the passphrase with `getExportEncryption` and derive
+ * the key in their own tab; the manifest writer gets an encryptor from here.
+ * Regenerating a past run's manifests derives that run's key without
+ * touching the session slot, which belongs to the run in progress.
+ */
+
+import {
+  createEncryptionParams,
+  deriveExportKey,
+  encryptBytes,
+  makePassphraseCheck,
+  checkPassphrase,
+} from '../../shared/utils/export-encryption.js';
+
+const SESSION_KEY = 'exportPassphrase';
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// salt -> Promise<CryptoKey>; PBKDF2 is deliberately slow.
+const derivedKeys = new Map();
+
+async function readPassphrase() {
+  const data = await chrome.storage.session.get(SESSION_KEY);
+  return data[SESSION_KEY] || null;
+}
+
+function deriveCached(passphrase, params) {
+  const cacheKey = `${params.salt}:${params.iterations}`;
+  const cached = derivedKeys.get(cacheKey);
+  if (cached && cached.passphrase === passphrase) return cached.key;
+  const key = deriveExportKey(passphrase, params);
+  derivedKeys.set(cacheKey, { passphrase, key });
+  return key;
+}
+
+/**
+ * Set up encryption for a new run.
+ *
+ * @returns {Promise<Object>} {salt, iterations, check} for runConfig
+ */
+export async function beginEncryptedExport(passphrase) {
+  const params = createEncryptionParams();
+  const key = await deriveCached(passphrase, params);
+  const check = await makePassphraseCheck(key, params);
+  await chrome.storage.session.set({ [SESSION_KEY]: passphrase });
+  return { ...params, check };
+}
+
+// The session slot holds the passphrase of the run in progress only; a past
+// run's (regenerating its manifests) must not replace it.
+async function isCurrentRunEncryption(encryption) {
+  const { runConfig } = await chrome.storage.local.get('runConfig');
+  const current = runConfig?.encryption;
+  return !!current && current.salt === encryption.salt && current.check === encryption.check;
+}
+
+async function deriveChecked(encryption, passphrase) {
+  const candidate = passphrase || (await readPassphrase());
+  if (!candidate) {
+    return { ok: false, error: 'This export is encrypted — enter its passphrase first' };
+  }
+  const key = await deriveCached(candidate, encryption);
+  if (!(await checkPassphrase(key, encryption.check))) {
+    return { ok: false, error: 'Wrong passphrase for this encrypted export' };
+  }
+  return { ok: true, key };
+}
+
+/**
+ * Make sure the passphrase for `encryption` is available, taking `passphrase`
+ * if one was supplied. Unencrypted runs are always unlocked. A supplied
+ * passphrase is only kept for the current run's encryption.
+ *
+ * @returns {Promise<Object>} {ok: true} or {ok: false, error}
+ */
+export async function unlockExport(encryption, passphrase = null) {
+  if (!encryption) return { ok: true };
+  const unlocked = await deriveChecked(encryption, passphrase);
+  if (!unlocked.ok) return unlocked;
+  if (passphrase && (await isCurrentRunEncryption(encryption))) {
+    await chrome.storage.session.set({ [SESSION_KEY]: passphrase });
+  }
+  return { ok: true };
+}
+
+/**
+ * Encryptor for the manifest writer, or null for an unencrypted run.
+ * Uses `passphrase` if given, else the current run's. Throws if the export
+ * is locked.
+ */
+export async function getExportEncryptor(encryption, passphrase = null) {
+  if (!encryption) return null;
+  const unlocked = await deriveChecked(encryption, passphrase);
+  if (!unlocked.ok) throw new Error(unlocked.error);
+  return {
+    encrypt: (data) => encryptBytes(unlocked.key, encryption, data),
+  };
+}
+
+export async function forgetExportPassphrase() {
+  derivedKeys.clear();
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+async function getWorkerEncryption() {
+  const { runConfig } = await chrome.storage.local.get('runConfig');
+  const encryption = runConfig?.encryption;
+  if (!encryption) return { enabled: false };
+  const passphrase = await readPassphrase();
+  if (!passphrase) return { enabled: true, error: 'passphrase not available — resume from the panel' };
+  return { enabled: true, passphrase, salt: encryption.salt, iterations: encryption.iterations };
+}
+
+export function handleKeyringMessage(message, _sender, sendResponse) {
+  switch (message.action) {
+    case 'getExportEncryption':
+      getWorkerEncryption()
+        .then(sendResponse)
+        .catch((error) => sendResponse({ enabled: true, error: error.message }));
+      return true;
+
+    default:
+      return false;
+  }
+}
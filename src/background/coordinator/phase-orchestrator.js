@@ -7,29 +7,74 @@
  * Model:
  *   - One "primary" tab owns Phases 0, 1, 3 (resolver, walker, profile scraper).
  *   - During Phase 2 the primary tab plays the role of worker T1 in parallel
- *     with T2..TN spawned on-demand.
+ *     with T2..TN spawned on-demand. N can be changed mid-download
+ *     (setThreadCount); retired workers release their claims and close.
  *   - After Phase 2 the T2..TN tabs close and the primary tab resumes for
  *     profile capture.
  *
  * Persistence keys in chrome.storage.local (non-secret):
- *   runConfig   { clinicName, numThreads, startedAt }
- *   runState    { phase, primaryTabId, workerTabIds: [...], staffNames }
+ *   runConfig   { runId, clinicName, numThreads, requestsPerMinute, startedAt,
+ *                 baselineRunId, dedupeIdentical, userEmail, encryption,
+ *                 combinePdfs, packageMode, manifestFormat,
+ *                 connectionsFormat, fhirExport }
+ *   runState    { phase, primaryTabId, workerTabIds: [...], staffNames,
+ *                 staffIndex, interrupted, pausedPhase,
+ *                 respawns: [{ threadId, reason, at, oldTabId, newTabId }] }
+ *   runPaused   boolean mirror of phase === 'paused' that content scripts poll
  *   resolvedStaff [{ input_name, staff_id, staff_name }]
  *
+ * Browser restarts: tabs die with the browser but runState and the IndexedDB
+ * queue survive. On startup an in-progress run is flagged `interrupted`
+ * instead of being wiped, and the panel offers to resume it — which reopens
+ * the tabs and re-sends the kickoff message for the persisted phase.
+ *
+ * Once a run has ended (done or stopped) it can go straight back into the
+ * download phase with fresh workers — retryFailedCharts requeues its failed
+ * charts, repairExport the done charts whose PDFs are no longer on disk —
+ * and then re-runs profiles and manifests as usual.
+ *
+ * Pausing keeps every tab open: the phase moves to `paused` (remembering the
+ * phase it came from in `pausedPhase`) and the content-side loops idle at
+ * their next checkpoint — download workers finish the chart they hold and
+ * stop claiming, discovery/profile wait before the next page.
+ *
  * Credentials are stored per-tab in `{threadId}_credentials` exactly like the
  * existing thread-manager does, so nothing changes for the PDF downloader.
  */
 
-import { THREADING } from '../../shared/constants.js';
+import { THREADING, THROTTLE } from '../../shared/constants.js';
 import { sendMessageWithRetry } from './thread-manager.js';
 import {
   enqueueCharts,
   resetQueueForNewRun,
   recoverQueueOnStartup,
   getQueueProgress,
+  releaseThreadClaims,
+  requeueFailedCharts,
+  requeueMissingCharts,
+  getAllCharts,
 } from './chart-queue.js';
-import { writeAllManifests } from '../manifest/manifest-writer.js';
-import { clearProfiles, putProfile } from '../storage/chart-db.js';
+import { initConcurrency, resetConcurrency, setMaxWorkers } from './concurrency-controller.js';
+import { configureRateLimiter } from './rate-limiter.js';
+import { findBaselineRun } from './delta-baseline.js';
+import { AUDIT_EVENT, recordAuditEvent } from './audit-log.js';
+import {
+  MIN_PASSPHRASE_LENGTH,
+  beginEncryptedExport,
+  unlockExport,
+  forgetExportPassphrase,
+} from './export-keyring.js';
+import { writeAllManifests, MANIFEST_FORMATS, CONNECTIONS_FORMATS } from '../manifest/manifest-writer.js';
+import { enumerateDiskPdfs, auditDisk } from '../manifest/disk-audit.js';
+import {
+  RUN_STATUS,
+  beginRun,
+  updateRun,
+  finishRun,
+  reopenRun,
+  archiveUnfinishedRun,
+} from './run-history.js';
+import { clearProfiles, putProfile, listProfiles, listRuns } from '../storage/chart-db.js';
 
 const PHASES = Object.freeze({
   IDLE: 'idle',
@@ -39,9 +84,36 @@ const PHASES = Object.freeze({
   PROFILE: 'profile',
   DONE: 'done',
   STOPPED: 'stopped',
+  PAUSED: 'paused',
 });
 
+const PAUSABLE_PHASES = Object.freeze([
+  PHASES.DISCOVERY,
+  PHASES.DOWNLOAD,
+  PHASES.PROFILE,
+]);
+
+// package.html modes offered at the end of a run.
+const PACKAGE_MODES = Object.freeze(['patient', 'volumes']);
+
+// Phases that can be picked back up after the browser restarts mid-run.
+const RESUMABLE_PHASES = Object.freeze([
+  PHASES.PREFLIGHT,
+  PHASES.DISCOVERY,
+  PHASES.DOWNLOAD,
+  PHASES.PROFILE,
+]);
+
 const MAX_THREADS = THREADING.MAX_THREADS;
+// How long a retiring worker gets to hand back its chart before the
+// coordinator releases its claims and closes the tab itself.
+const RETIRE_GRACE_MS = 30000;
+// A thread respawned this many times inside RESPAWN_WINDOW_MS is left dead —
+// something other than a flaky tab is wrong and looping won't fix it.
+const MAX_RESPAWNS_PER_THREAD = 5;
+const RESPAWN_WINDOW_MS = 10 * 60 * 1000;
+// runState.respawns keeps only the most recent entries.
+const RESPAWN_LOG_LIMIT = 100;
 let mutationChain = Promise.resolve();
 
 function serialize(fn) {
@@ -83,6 +155,21 @@ async function setState(patch) {
   return next;
 }
 
+// The phase the run is logically in, looking through a pause.
+function effectivePhase(runState) {
+  return runState.phase === PHASES.PAUSED ? runState.pausedPhase : runState.phase;
+}
+
+// Move to `next`, or — if the run is paused — record `next` as the phase to
+// return to on resume so a transition that lands mid-pause isn't lost.
+async function advancePhase(runState, next, patch = {}) {
+  if (runState.phase === PHASES.PAUSED && next !== PHASES.DONE) {
+    return setState({ ...patch, pausedPhase: next });
+  }
+  if (next === PHASES.DONE) await chrome.storage.local.set({ runPaused: false });
+  return setState({ ...patch, phase: next, pausedPhase: null });
+}
+
 async function setConfig(patch) {
   const cur = (await chrome.storage.local.get('runConfig')).runConfig || {};
   const next = { ...cur, ...patch };
@@ -111,7 +198,7 @@ async function stashCredentials(threadId, credentials) {
 async function registerThreadTab(threadId, tabId) {
   const data = await chrome.storage.local.get('activeThreads');
   const map = data.activeThreads || {};
-  map[threadId] = { tabId, status: 'active' };
+  map[threadId] = { tabId, status: 'active', registeredAt: Date.now() };
   await chrome.storage.local.set({ activeThreads: map });
 }
 
@@ -119,6 +206,16 @@ async function clearActiveThreads() {
   await chrome.storage.local.set({ activeThreads: {} });
 }
 
+// Content scripts persist `{threadId}_phaseState` so a page reload can resume
+// mid-phase. When the orchestrator re-kicks a phase itself (resume after a
+// browser restart) those leftovers would start a second copy of the phase in
+// the new tab, so drop them first.
+async function clearPhaseStates() {
+  const keys = [];
+  for (let i = 1; i <= MAX_THREADS; i++) keys.push(`T${i}_phaseState`);
+  await chrome.storage.local.remove(keys);
+}
+
 export async function startStaffExport(payload) {
   return serialize(async () => {
     const {
@@ -126,7 +223,16 @@ export async function startStaffExport(payload) {
       email,
       password,
       numThreads = 2,
+      requestsPerMinute = THROTTLE.DEFAULT_REQUESTS_PER_MINUTE,
       staffNames = '',
+      incremental = false,
+      dedupeIdentical = false,
+      encryptPassphrase = '',
+      combinePdfs = false,
+      packageMode = '',
+      manifestFormat = 'json',
+      connectionsFormat = 'json',
+      fhirExport = false,
     } = payload || {};
 
     if (!clinicName || !email || !password) {
@@ -135,17 +241,92 @@ export async function startStaffExport(payload) {
     if (!Number.isInteger(numThreads) || numThreads < 1 || numThreads > MAX_THREADS) {
       return { ok: false, error: `Thread count must be 1..${MAX_THREADS}` };
     }
+    if (!Number.isInteger(requestsPerMinute)
+      || requestsPerMinute < THROTTLE.MIN_REQUESTS_PER_MINUTE
+      || requestsPerMinute > THROTTLE.MAX_REQUESTS_PER_MINUTE) {
+      return { ok: false, error: `Requests per minute must be ${THROTTLE.MIN_REQUESTS_PER_MINUTE}..${THROTTLE.MAX_REQUESTS_PER_MINUTE}` };
+    }
+    if (packageMode && !PACKAGE_MODES.includes(packageMode)) {
+      return { ok: false, error: `Unknown packaging mode ${packageMode}` };
+    }
+    if (!MANIFEST_FORMATS.includes(manifestFormat)) {
+      return { ok: false, error: `Unknown manifest format ${manifestFormat}` };
+    }
+    if (!CONNECTIONS_FORMATS.includes(connectionsFormat)) {
+      return { ok: false, error: `Unknown connections format ${connectionsFormat}` };
+    }
+    if (encryptPassphrase && encryptPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return { ok: false, error: `Encryption passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters` };
+    }
+
+    // The working set is about to be cleared — make sure the previous run
+    // is in the history first.
+    const previous = (await getState()).runConfig;
+    if (previous?.runId) {
+      await archiveUnfinishedRun(previous.runId)
+        .catch((e) => notifyPanel(`Could not archive previous run: ${e.message}`, 'warn'));
+    }
 
     await resetRunState();
 
-    await setConfig({ clinicName, numThreads, startedAt: Date.now() });
+    let baselineRunId = null;
+    if (incremental) {
+      const baseline = await findBaselineRun(clinicName);
+      if (baseline) {
+        baselineRunId = baseline.run_id;
+        notifyPanel(`Incremental export against run ${baselineRunId} — only new or changed charts will be downloaded`, 'info');
+      } else {
+        notifyPanel(`No completed export of ${clinicName} to compare against — running a full export`, 'warn');
+      }
+    }
+
+    let encryption = null;
+    if (encryptPassphrase) {
+      encryption = await beginEncryptedExport(encryptPassphrase);
+      notifyPanel('Encrypted export — PDFs and manifests are written as .enc files', 'info');
+    } else {
+      await forgetExportPassphrase();
+    }
+
+    const startedAt = Date.now();
+    const run = await beginRun({
+      clinicName, numThreads, requestsPerMinute, startedAt, baselineRunId, dedupeIdentical: !!dedupeIdentical, encryption, manifestFormat,
+      connectionsFormat, fhirExport: !!fhirExport,
+    });
+    await setConfig({
+      runId: run.run_id,
+      clinicName,
+      numThreads,
+      requestsPerMinute,
+      startedAt,
+      baselineRunId,
+      dedupeIdentical: !!dedupeIdentical,
+      userEmail: email,
+      encryption,
+      combinePdfs: !!combinePdfs,
+      packageMode: packageMode || null,
+      manifestFormat,
+      connectionsFormat,
+      fhirExport: !!fhirExport,
+    });
+    await recordAuditEvent(AUDIT_EVENT.EXPORT_START, {
+      details: {
+        num_threads: numThreads,
+        baseline_run_id: baselineRunId,
+        dedupe_identical: !!dedupeIdentical,
+        encrypted: !!encryption,
+      },
+    });
+    configureRateLimiter({ requestsPerMinute });
     await chrome.storage.local.set({
       resolvedStaff: [],
       userRequestedStop: false,
       stopRequested: false,
+      runPaused: false,
     });
 
     await resetQueueForNewRun();
+    await resetConcurrency();
     await clearProfiles();
     await clearActiveThreads();
 
@@ -185,6 +366,11 @@ export async function confirmStaffResolution(resolvedStaff) {
       return { ok: false, error: 'No staff resolved' };
     }
     await chrome.storage.local.set({ resolvedStaff });
+    if (runConfig?.runId) await updateRun(runConfig.runId, { resolved_staff: resolvedStaff });
+    await recordAuditEvent(AUDIT_EVENT.STAFF_RESOLUTION, {
+      staffIds: resolvedStaff.map((s) => s.staff_id),
+      details: { staff: resolvedStaff.map((s) => ({ input_name: s.input_name, staff_id: s.staff_id, staff_name: s.staff_name })) },
+    });
     await setState({ phase: PHASES.DISCOVERY });
     notifyPhase(PHASES.DISCOVERY, { totalStaff: resolvedStaff.length });
     notifyPanel(`Phase 1: walking chart entries for ${resolvedStaff.length} staff`, 'info');
@@ -200,6 +386,25 @@ export async function confirmStaffResolution(resolvedStaff) {
   });
 }
 
+// Open a worker tab for `threadId` and kick off its download loop once the
+// stagger delay has passed, so a batch of new tabs doesn't log in at once.
+async function spawnDownloadWorker(threadId, { clinicName, credentials, delayMs }) {
+  const tab = await chrome.tabs.create({ url: `https://${clinicName}.janeapp.com/admin` });
+  await stashCredentials(threadId, credentials);
+  await registerThreadTab(threadId, tab.id);
+  setTimeout(() => {
+    sendMessageWithRetry(tab.id, {
+      action: 'beginDownload',
+      threadId,
+      clinicName,
+      email: credentials.email,
+      password: credentials.password,
+      loginDelayMs: delayMs,
+    }).catch((e) => notifyPanel(`${threadId} init failed: ${e.message}`, 'error'));
+  }, delayMs);
+  return tab.id;
+}
+
 async function spawnDownloadWorkers() {
   const { runState, runConfig } = await getState();
   const credData = await chrome.storage.local.get('T1_credentials');
@@ -208,6 +413,10 @@ async function spawnDownloadWorkers() {
   const numThreads = runConfig.numThreads || 2;
   const workerTabIds = [];
 
+  // numThreads is the ceiling; the controller decides how many of them
+  // actually claim charts as Jane's responses come in.
+  await initConcurrency({ maxWorkers: numThreads });
+
   sendMessageWithRetry(runState.primaryTabId, {
     action: 'beginDownload',
     threadId: 'T1',
@@ -215,34 +424,204 @@ async function spawnDownloadWorkers() {
   }).catch((e) => notifyPanel(`T1 download init failed: ${e.message}`, 'error'));
 
   for (let i = 2; i <= numThreads; i++) {
-    const threadId = `T${i}`;
-    const tab = await chrome.tabs.create({ url: `https://${clinicName}.janeapp.com/admin` });
-    workerTabIds.push(tab.id);
-    await stashCredentials(threadId, credentials);
-    await registerThreadTab(threadId, tab.id);
     const delayMs = (i - 1) * THREADING.THREAD_STAGGER_DELAY_MS;
-    setTimeout(() => {
-      sendMessageWithRetry(tab.id, {
-        action: 'beginDownload',
-        threadId,
-        clinicName,
-        email: credentials.email,
-        password: credentials.password,
-        loginDelayMs: delayMs,
-      }).catch((e) => notifyPanel(`${threadId} init failed: ${e.message}`, 'error'));
-    }, delayMs);
+    workerTabIds.push(await spawnDownloadWorker(`T${i}`, { clinicName, credentials, delayMs }));
   }
 
   await setState({ workerTabIds });
 }
 
+// Drop a retired worker from every registry and close its tab. Safe to call
+// twice — the worker's own `workerRetired` and the grace-period timer race.
+async function removeRetiringThread(threadId) {
+  const data = await chrome.storage.local.get('activeThreads');
+  const map = data.activeThreads || {};
+  const entry = map[threadId];
+  if (!entry || entry.status !== 'retiring') return false;
+
+  await releaseThreadClaims(threadId);
+  delete map[threadId];
+  await chrome.storage.local.set({ activeThreads: map });
+  await chrome.storage.local.remove([
+    `${threadId}_credentials`,
+    `${threadId}_phaseState`,
+  ]);
+
+  const { runState } = await getState();
+  await setState({
+    workerTabIds: (runState.workerTabIds || []).filter((id) => id !== entry.tabId),
+  });
+  await closeTabs([entry.tabId]);
+  notifyPanel(`${threadId} retired`, 'info');
+  return true;
+}
+
+async function finalizeRetirement(threadId) {
+  return serialize(async () => ({ ok: await removeRetiringThread(threadId) }));
+}
+
+/**
+ * Replace a dead download worker (tab closed, crashed, discarded, or silent)
+ * with a fresh tab under the same threadId and credentials. Its in-flight
+ * claims go straight back to pending instead of waiting for the stale-claim
+ * sweep. Called by the worker supervisor; only acts during the download
+ * phase and only for the tab it was told about.
+ */
+export async function respawnWorker(threadId, { tabId, reason }) {
+  return serialize(async () => {
+    const { runState, runConfig } = await getState();
+    if (effectivePhase(runState) !== PHASES.DOWNLOAD || !runConfig?.clinicName) {
+      return { ok: false, error: 'not downloading' };
+    }
+    const data = await chrome.storage.local.get(['activeThreads', 'userRequestedStop', `${threadId}_credentials`, 'T1_credentials']);
+    if (data.userRequestedStop) return { ok: false, error: 'stopped' };
+    const map = data.activeThreads || {};
+    const entry = map[threadId];
+    if (!entry || entry.status !== 'active' || entry.tabId !== tabId) {
+      return { ok: false, error: 'stale report' };
+    }
+
+    const now = Date.now();
+    const recent = (runState.respawns || [])
+      .filter((r) => r.threadId === threadId && now - r.at < RESPAWN_WINDOW_MS);
+    if (recent.length >= MAX_RESPAWNS_PER_THREAD) {
+      map[threadId] = { ...entry, status: 'dead' };
+      await chrome.storage.local.set({ activeThreads: map });
+      await releaseThreadClaims(threadId);
+      notifyPanel(`${threadId} died ${recent.length} times in ${RESPAWN_WINDOW_MS / 60000} min (${reason}) — not respawning`, 'error');
+      return { ok: false, error: 'respawn limit' };
+    }
+
+    // Flag it first so closing the old tab below doesn't report it again.
+    map[threadId] = { ...entry, status: 'respawning' };
+    await chrome.storage.local.set({ activeThreads: map });
+    const released = await releaseThreadClaims(threadId);
+    await chrome.storage.local.remove([`${threadId}_phaseState`, `${threadId}_lastHeartbeat`]);
+    await closeTabs([tabId]);
+
+    const credentials = data[`${threadId}_credentials`] || data.T1_credentials || {};
+    const newTabId = await spawnDownloadWorker(threadId, {
+      clinicName: runConfig.clinicName,
+      credentials,
+      delayMs: THREADING.THREAD_STAGGER_DELAY_MS,
+    });
+
+    const latest = (await getState()).runState;
+    const patch = {
+      respawns: [
+        ...(latest.respawns || []),
+        { threadId, reason, at: now, oldTabId: tabId, newTabId, releasedClaims: released },
+      ].slice(-RESPAWN_LOG_LIMIT),
+    };
+    if (threadId === 'T1') {
+      patch.primaryTabId = newTabId;
+    } else {
+      patch.workerTabIds = [...(latest.workerTabIds || []).filter((id) => id !== tabId), newTabId];
+    }
+    await setState(patch);
+    notifyPanel(`${threadId} ${reason} — respawned in a new tab${released ? ` (${released} chart${released === 1 ? '' : 's'} returned to the queue)` : ''}`, 'warn');
+    return { ok: true, tabId: newTabId };
+  });
+}
+
+/**
+ * Take a download worker out of the run for good: its loop ended on an
+ * error a respawned tab would hit again. The thread is marked `failed`, so
+ * neither the heartbeat check nor the tab listeners report it, and its
+ * claims go back to the queue for the other workers.
+ */
+export async function markWorkerFailed(threadId, { tabId, error }) {
+  return serialize(async () => {
+    const data = await chrome.storage.local.get('activeThreads');
+    const map = data.activeThreads || {};
+    const entry = map[threadId];
+    if (!entry || entry.status !== 'active' || (tabId != null && entry.tabId !== tabId)) {
+      return { ok: false, error: 'stale report' };
+    }
+    map[threadId] = { ...entry, status: 'failed', error };
+    await chrome.storage.local.set({ activeThreads: map });
+    const released = await releaseThreadClaims(threadId);
+    notifyPanel(`${threadId} stopped: ${error} — not respawning${released ? ` (${released} chart${released === 1 ? '' : 's'} returned to the queue)` : ''}`, 'error');
+    if (!Object.values(map).some((t) => t?.status === 'active' || t?.status === 'respawning')) {
+      notifyPanel('No download workers left — stop the run, fix the error above and retry the failed charts', 'error');
+    }
+    return { ok: true };
+  });
+}
+
+/**
+ * Change the number of download threads mid-run. Outside the download phase
+ * this only updates the config the next download phase spawns from.
+ *
+ * Raising opens T(N+1)..T(M) with the usual login stagger. Lowering asks the
+ * highest-numbered workers to hand back their claim and exit; whatever is
+ * left after RETIRE_GRACE_MS is released and closed from here.
+ */
+export async function setThreadCount(numThreads) {
+  return serialize(async () => {
+    if (!Number.isInteger(numThreads) || numThreads < 1 || numThreads > MAX_THREADS) {
+      return { ok: false, error: `Thread count must be 1..${MAX_THREADS}` };
+    }
+    const { runState, runConfig } = await getState();
+    if (!runConfig?.clinicName) return { ok: false, error: 'No export in progress' };
+
+    const current = runConfig.numThreads || 2;
+    await setConfig({ numThreads });
+    if (effectivePhase(runState) !== PHASES.DOWNLOAD || numThreads === current) {
+      return { ok: true, numThreads };
+    }
+
+    await setMaxWorkers(numThreads);
+
+    if (numThreads > current) {
+      const credData = await chrome.storage.local.get('T1_credentials');
+      const credentials = credData.T1_credentials || {};
+      const added = [];
+      for (let i = current + 1; i <= numThreads; i++) {
+        // Re-raising before a retiring tab has closed: finish retiring it
+        // now so the new tab doesn't share its threadId.
+        await removeRetiringThread(`T${i}`);
+        const delayMs = (i - current) * THREADING.THREAD_STAGGER_DELAY_MS;
+        added.push(await spawnDownloadWorker(`T${i}`, {
+          clinicName: runConfig.clinicName,
+          credentials,
+          delayMs,
+        }));
+      }
+      const latest = (await getState()).runState;
+      await setState({ workerTabIds: [...(latest.workerTabIds || []), ...added] });
+      notifyPanel(`Threads raised ${current} → ${numThreads}`, 'info');
+      return { ok: true, numThreads };
+    }
+
+    const data = await chrome.storage.local.get('activeThreads');
+    const map = data.activeThreads || {};
+    for (let i = numThreads + 1; i <= current; i++) {
+      const threadId = `T${i}`;
+      const entry = map[threadId];
+      if (!entry) continue;
+      map[threadId] = { ...entry, status: 'retiring' };
+      sendMessageWithRetry(entry.tabId, { action: 'retireWorker', threadId }, 5)
+        .catch(() => { /* grace timer cleans up */ });
+      setTimeout(() => {
+        finalizeRetirement(threadId)
+          .catch((e) => console.warn(`[orchestrator] retire ${threadId} failed:`, e));
+      }, RETIRE_GRACE_MS);
+    }
+    await chrome.storage.local.set({ activeThreads: map });
+    notifyPanel(`Threads lowered ${current} → ${numThreads}, retiring T${numThreads + 1}..T${current}`, 'info');
+    return { ok: true, numThreads };
+  });
+}
+
 export async function onDiscoveryComplete(payload) {
   return serialize(async () => {
     const { runState } = await getState();
-    if (runState.phase !== PHASES.DISCOVERY) return { ok: false };
+    if (effectivePhase(runState) !== PHASES.DISCOVERY) return { ok: false };
     notifyPanel(`Discovery complete: ${payload?.totalTuples || 0} charts queued`, 'success');
-    await setState({ phase: PHASES.DOWNLOAD });
-    notifyPhase(PHASES.DOWNLOAD, { totalTuples: payload?.totalTuples || 0 });
+    const next = await advancePhase(runState, PHASES.DOWNLOAD);
+    notifyPhase(next.phase, { totalTuples: payload?.totalTuples || 0, pausedPhase: next.pausedPhase });
+    // Workers spawned during a pause log in and then idle on `paused`.
     await spawnDownloadWorkers();
     return { ok: true };
   });
@@ -251,7 +630,7 @@ export async function onDiscoveryComplete(payload) {
 export async function onWorkerFinishedDownload(threadId) {
   return serialize(async () => {
     const { runState, runConfig } = await getState();
-    if (runState.phase !== PHASES.DOWNLOAD) return { ok: false };
+    if (effectivePhase(runState) !== PHASES.DOWNLOAD) return { ok: false };
 
     const progress = await getQueueProgress();
     const allDone = progress.pending === 0 && progress.in_flight === 0;
@@ -259,8 +638,8 @@ export async function onWorkerFinishedDownload(threadId) {
 
     const workerTabIds = runState.workerTabIds || [];
     await closeTabs(workerTabIds);
-    await setState({ phase: PHASES.PROFILE, workerTabIds: [] });
-    notifyPhase(PHASES.PROFILE);
+    const next = await advancePhase(runState, PHASES.PROFILE, { workerTabIds: [] });
+    notifyPhase(next.phase, { pausedPhase: next.pausedPhase });
     notifyPanel('Phase 3: capturing staff + patient profiles', 'info');
 
     sendMessageWithRetry(runState.primaryTabId, {
@@ -276,24 +655,72 @@ export async function onWorkerFinishedDownload(threadId) {
 export async function onProfileComplete(payload) {
   return serialize(async () => {
     const { runState, runConfig } = await getState();
-    if (runState.phase !== PHASES.PROFILE) return { ok: false };
+    if (effectivePhase(runState) !== PHASES.PROFILE) return { ok: false };
     notifyPanel(`Profiles captured: ${payload?.patients || 0} patients, ${payload?.staff || 0} staff`, 'success');
+    let summary = null;
     try {
-      const result = await writeAllManifests({ clinicName: runConfig?.clinicName });
+      const result = await writeAllManifests({
+        clinicName: runConfig?.clinicName,
+        runId: runConfig?.runId,
+        baselineRunId: runConfig?.baselineRunId,
+      });
+      summary = result.summary;
       notifyPanel(`Manifests written (${result.counts.connections} connections)`, 'success');
+      logSignatureToPanel(result.signature);
       logSummaryToPanel(result.summary);
     } catch (error) {
       notifyPanel(`Manifest write failed: ${error.message}`, 'error');
     }
+    if (runConfig?.runId) {
+      await finishRun(runConfig.runId, { status: RUN_STATUS.DONE, summary })
+        .catch((e) => notifyPanel(`Run history archive failed: ${e.message}`, 'warn'));
+    }
 
     await closeTabs([runState.primaryTabId]);
-    await setState({ phase: PHASES.DONE, primaryTabId: null });
+    await advancePhase(runState, PHASES.DONE, { primaryTabId: null });
     notifyPhase(PHASES.DONE);
     notifyPanel('Export complete.', 'success');
+    if (runConfig?.combinePdfs) await openCombinePage(runConfig.packageMode);
+    else if (runConfig?.packageMode) await openPackagePage(runConfig.packageMode);
     return { ok: true };
   });
 }
 
+// The extension can't read the saved files back, so packaging happens in a
+// page where the user picks the export folder.
+async function openPackagePage(mode) {
+  try {
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`package.html?mode=${mode}`) });
+    notifyPanel('Packaging: pick the jane-scraper folder in the tab that just opened', 'info');
+  } catch (error) {
+    notifyPanel(`Could not open the packaging page: ${error.message}`, 'warn');
+  }
+}
+
+// Same for the combined PDFs; combine.html opens packaging itself when
+// it's done, so the archives include the combined files.
+async function openCombinePage(packageMode) {
+  const query = packageMode ? `?then=package&mode=${packageMode}` : '';
+  try {
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`combine.html${query}`) });
+    notifyPanel('Combined PDFs: pick the jane-scraper folder in the tab that just opened', 'info');
+  } catch (error) {
+    notifyPanel(`Could not open the combine page: ${error.message}`, 'warn');
+  }
+}
+
+function logSignatureToPanel(signature) {
+  if (!signature) return;
+  if (signature.error) {
+    notifyPanel(`Manifests left unsigned: ${signature.error}`, 'warn');
+    return;
+  }
+  notifyPanel(
+    `Signed ${signature.files} files (Merkle root ${signature.merkle_root.slice(0, 16)}…, key ${signature.key_id.slice(0, 16)}…) — manifest.sig.json`,
+    'success',
+  );
+}
+
 function logSummaryToPanel(summary) {
   if (!summary) return;
   const { totals, downloads, profiles, failed_charts, per_staff } = summary;
@@ -329,6 +756,53 @@ function logSummaryToPanel(summary) {
     }
   }
 
+  if (downloads.amended) {
+    notifyPanel(`Amended charts: ${downloads.amended} re-downloaded as new versions (earlier PDFs kept)`, 'info');
+  }
+
+  if (summary.duplicates?.groups) {
+    const d = summary.duplicates;
+    notifyPanel(
+      `Identical PDFs: ${d.duplicate_charts} charts duplicate another chart's PDF (${d.groups} groups${d.deduplicated ? `, ${d.deduplicated} not saved again` : ''}) — see duplicates.json`,
+      'info',
+    );
+  }
+
+  if (summary.audit_log?.events) {
+    const a = summary.audit_log;
+    notifyPanel(
+      a.intact
+        ? `Audit log: ${a.events} events, hash chain intact (audit_log.jsonl)`
+        : `Audit log: hash chain broken at event ${a.broken_at} — the stored log was altered`,
+      a.intact ? 'info' : 'error',
+    );
+  }
+
+  if (summary.fhir) {
+    const f = summary.fhir;
+    notifyPanel(
+      `FHIR: ${f.resources.Patient} Patient, ${f.resources.Practitioner} Practitioner, ${f.resources.DocumentReference} DocumentReference in ${f.bundle_count} bundles${f.invalid_count ? ` — ${f.invalid_count} failed validation, see fhir/index.json` : ''}`,
+      f.invalid_count ? 'warn' : 'info',
+    );
+  }
+
+  if (summary.schema_validation && !summary.schema_validation.valid) {
+    const v = summary.schema_validation;
+    const first = v.violations[0];
+    notifyPanel(
+      `Manifest schema v${v.schema_version}: ${v.violation_count} violations — first: ${first.file} ${first.path}: ${first.message} (see schema_validation in summary.json)`,
+      'error',
+    );
+  }
+
+  if (summary.delta) {
+    const d = summary.delta;
+    notifyPanel(
+      `Since ${d.baseline_run_id}: ${d.added} added, ${d.changed} changed, ${d.unchanged} unchanged, ${d.removed} removed (see delta.json)`,
+      'info',
+    );
+  }
+
   const audit = summary.audit;
   if (audit?.enabled) {
     notifyPanel(`── Disk audit ──`, 'info');
@@ -387,21 +861,365 @@ function logSummaryToPanel(summary) {
 
 export async function stopExport() {
   return serialize(async () => {
-    const { runState } = await getState();
+    const { runState, runConfig } = await getState();
     const ids = [runState.primaryTabId, ...(runState.workerTabIds || [])].filter((id) => typeof id === 'number');
-    await chrome.storage.local.set({ userRequestedStop: true, stopRequested: true });
+    await chrome.storage.local.set({ userRequestedStop: true, stopRequested: true, runPaused: false });
     await Promise.all(ids.map((id) => new Promise((resolve) => {
       chrome.tabs.sendMessage(id, { action: 'stopScraping' }, () => resolve());
     })));
     setTimeout(() => closeTabs(ids), 800);
-    await setState({ phase: PHASES.STOPPED, primaryTabId: null, workerTabIds: [] });
+    await setState({
+      phase: PHASES.STOPPED,
+      primaryTabId: null,
+      workerTabIds: [],
+      interrupted: false,
+      pausedPhase: null,
+    });
     await clearActiveThreads();
+    const wasRunning = ![PHASES.IDLE, PHASES.DONE, PHASES.STOPPED].includes(runState.phase);
+    if (wasRunning) await recordAuditEvent(AUDIT_EVENT.STOP, { details: { phase: runState.phase } });
+    if (runConfig?.runId && wasRunning) {
+      await finishRun(runConfig.runId, { status: RUN_STATUS.STOPPED })
+        .catch((e) => notifyPanel(`Run history archive failed: ${e.message}`, 'warn'));
+    }
     notifyPhase(PHASES.STOPPED);
     notifyPanel('Export stopped by user.', 'warn');
     return { ok: true };
   });
 }
 
+export async function pauseExport() {
+  return serialize(async () => {
+    const { runState } = await getState();
+    if (!PAUSABLE_PHASES.includes(runState.phase)) {
+      return { ok: false, error: `Cannot pause while phase=${runState.phase}` };
+    }
+    await chrome.storage.local.set({ runPaused: true });
+    await setState({ phase: PHASES.PAUSED, pausedPhase: runState.phase, pausedAt: Date.now() });
+    await recordAuditEvent(AUDIT_EVENT.PAUSE, { details: { phase: runState.phase } });
+    notifyPhase(PHASES.PAUSED, { pausedPhase: runState.phase });
+    notifyPanel(`Export paused during ${runState.phase} — workers finish their current chart and idle`, 'warn');
+    return { ok: true, pausedPhase: runState.phase };
+  });
+}
+
+export async function resumeExport() {
+  return serialize(async () => {
+    const { runState } = await getState();
+    if (runState.phase !== PHASES.PAUSED || !runState.pausedPhase) {
+      return { ok: false, error: `Cannot resume while phase=${runState.phase}` };
+    }
+    const phase = runState.pausedPhase;
+    await setState({ phase, pausedPhase: null, pausedAt: null });
+    await chrome.storage.local.set({ runPaused: false });
+    await recordAuditEvent(AUDIT_EVENT.RESUME, { details: { phase, after: 'pause' } });
+    notifyPhase(phase);
+    notifyPanel(`Export resumed (phase: ${phase})`, 'info');
+    return { ok: true, phase };
+  });
+}
+
+async function recordDiscoveryProgress(progress) {
+  return serialize(async () => {
+    const { runState } = await getState();
+    if (effectivePhase(runState) !== PHASES.DISCOVERY) return;
+    await setState({ staffIndex: progress.staffCompleted });
+    // The walker reports the staff it just finished even if a pause landed
+    // mid-walk; keep the panel showing the pause rather than flipping back.
+    if (runState.phase === PHASES.PAUSED) {
+      notifyPhase(PHASES.PAUSED, { pausedPhase: runState.pausedPhase, ...progress });
+    } else {
+      notifyPhase(PHASES.DISCOVERY, progress);
+    }
+  });
+}
+
+/**
+ * Called from chrome.runtime.onStartup. A run that was mid-phase when the
+ * browser went away is kept (queue, resolved staff, config) and flagged as
+ * interrupted so the panel can offer to resume it; anything else is reset.
+ */
+export async function markInterruptedRun() {
+  return serialize(async () => {
+    let { runState } = await getState();
+    if (runState.phase === PHASES.PAUSED && RESUMABLE_PHASES.includes(runState.pausedPhase)) {
+      // Resuming after a restart means the user wants the run going again,
+      // so a pause that was in effect when the browser closed is dropped.
+      runState = await setState({ phase: runState.pausedPhase, pausedPhase: null });
+      await chrome.storage.local.set({ runPaused: false });
+    }
+    if (!RESUMABLE_PHASES.includes(runState.phase)) {
+      await resetRunState();
+      return { interrupted: false };
+    }
+
+    // The old tab IDs are meaningless after a restart, and any claims the
+    // dead workers held go straight back to pending.
+    const { recovered } = await recoverQueueOnStartup();
+    await clearActiveThreads();
+    await setState({
+      interrupted: true,
+      interruptedAt: Date.now(),
+      primaryTabId: null,
+      workerTabIds: [],
+    });
+    console.log(`[orchestrator] run interrupted during ${runState.phase}; ${recovered} in-flight charts returned to pending`);
+    notifyPhase(runState.phase, { interrupted: true });
+    return { interrupted: true, phase: runState.phase };
+  });
+}
+
+export async function resumeInterruptedRun(payload) {
+  return serialize(async () => {
+    const { runState, runConfig, resolvedStaff } = await getState();
+    if (!runState.interrupted || !RESUMABLE_PHASES.includes(runState.phase)) {
+      return { ok: false, error: 'No interrupted export to resume' };
+    }
+    if (!runConfig?.clinicName) {
+      return { ok: false, error: 'Interrupted export has no saved config' };
+    }
+    // The passphrase of an encrypted run didn't survive the browser restart.
+    const unlocked = await unlockExport(runConfig.encryption, payload?.passphrase);
+    if (!unlocked.ok) return { ok: false, error: unlocked.error };
+    const credData = await chrome.storage.local.get('T1_credentials');
+    const credentials = credData.T1_credentials || {};
+    if (!credentials.email || !credentials.password) {
+      return { ok: false, error: 'Saved credentials missing — start a new export' };
+    }
+
+    const { phase } = runState;
+    const { clinicName } = runConfig;
+
+    await clearPhaseStates();
+    await clearActiveThreads();
+    await chrome.storage.local.set({ userRequestedStop: false, stopRequested: false });
+    configureRateLimiter({ requestsPerMinute: runConfig.requestsPerMinute });
+
+    const primaryTabId = await openPrimaryTab(clinicName);
+    await registerThreadTab('T1', primaryTabId);
+    await setState({
+      interrupted: false,
+      resumedAt: Date.now(),
+      primaryTabId,
+      workerTabIds: [],
+    });
+    await recordAuditEvent(AUDIT_EVENT.RESUME, { details: { phase, after: 'interruption' } });
+
+    notifyPhase(phase, phase === PHASES.DISCOVERY
+      ? { staffCompleted: runState.staffIndex || 0, totalStaff: resolvedStaff.length }
+      : {});
+    notifyPanel(`Resuming interrupted export (phase: ${phase})`, 'info');
+
+    switch (phase) {
+      case PHASES.PREFLIGHT:
+        sendMessageWithRetry(primaryTabId, {
+          action: 'initPreflight',
+          threadId: 'T1',
+          clinicName,
+          email: credentials.email,
+          password: credentials.password,
+          staffNames: runState.staffNames || '',
+        }).catch((e) => notifyPanel(`Preflight init failed: ${e.message}`, 'error'));
+        break;
+
+      case PHASES.DISCOVERY:
+        sendMessageWithRetry(primaryTabId, {
+          action: 'beginDiscovery',
+          threadId: 'T1',
+          clinicName,
+          resolvedStaff,
+          staffIndex: runState.staffIndex || 0,
+        }).catch((e) => notifyPanel(`Discovery init failed: ${e.message}`, 'error'));
+        break;
+
+      case PHASES.DOWNLOAD:
+        await spawnDownloadWorkers();
+        break;
+
+      case PHASES.PROFILE:
+        sendMessageWithRetry(primaryTabId, {
+          action: 'beginProfile',
+          threadId: 'T1',
+          clinicName,
+        }).catch((e) => notifyPanel(`Profile init failed: ${e.message}`, 'error'));
+        break;
+
+      default:
+        break;
+    }
+
+    return { ok: true, phase, primaryTabId };
+  });
+}
+
+// Phases after which the working set is still intact but nothing is running.
+const RETRYABLE_PHASES = Object.freeze([PHASES.IDLE, PHASES.DONE, PHASES.STOPPED]);
+
+function normalizeIdList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+// Config of the run the working set belongs to. A browser restart after the
+// run ended wipes runConfig but not the queue; the newest run in history is
+// the one that left it.
+async function resolveEndedRunConfig() {
+  const { runConfig } = await getState();
+  if (runConfig?.runId) return runConfig;
+  const [latest] = await listRuns();
+  if (!latest) return null;
+  return {
+    runId: latest.run_id,
+    clinicName: latest.clinic_name,
+    numThreads: latest.num_threads,
+    requestsPerMinute: latest.requests_per_minute,
+    startedAt: latest.started_at,
+    baselineRunId: latest.baseline_run_id || null,
+    dedupeIdentical: !!latest.dedupe_identical,
+    encryption: latest.encryption || null,
+    manifestFormat: latest.manifest_format || 'json',
+    connectionsFormat: latest.connections_format || 'json',
+    fhirExport: !!latest.fhir_export,
+  };
+}
+
+// Checks shared by retry and repair: the run has ended, the panel is on the
+// same clinic, and there are credentials to log the new tabs in with.
+async function prepareEndedRunRestart(payload) {
+  const { runState } = await getState();
+  if (runState.interrupted || !RETRYABLE_PHASES.includes(runState.phase)) {
+    return { error: `Cannot restart while phase=${runState.phase}` };
+  }
+  const runConfig = await resolveEndedRunConfig();
+  if (!runConfig) return { error: 'No previous export to restart' };
+
+  const numThreads = payload?.numThreads ?? runConfig.numThreads ?? 2;
+  if (!Number.isInteger(numThreads) || numThreads < 1 || numThreads > MAX_THREADS) {
+    return { error: `Thread count must be 1..${MAX_THREADS}` };
+  }
+  if (payload?.clinicName && payload.clinicName !== runConfig.clinicName) {
+    return { error: `The last export was for ${runConfig.clinicName}, not ${payload.clinicName}` };
+  }
+  const saved = (await chrome.storage.local.get('T1_credentials')).T1_credentials || {};
+  const credentials = {
+    clinicName: runConfig.clinicName,
+    email: payload?.email || saved.email,
+    password: payload?.password || saved.password,
+  };
+  if (!credentials.email || !credentials.password) {
+    return { error: 'Enter the email and password to log in with' };
+  }
+  const unlocked = await unlockExport(runConfig.encryption, payload?.passphrase);
+  if (!unlocked.ok) return { error: unlocked.error };
+  return { runConfig, numThreads, credentials };
+}
+
+// Reopen an ended run straight into the download phase with fresh workers.
+// Profiles and manifests follow through the normal phase transitions and the
+// run is re-archived under the same run_id when it finishes.
+async function restartDownloadPhase({ runConfig, numThreads, credentials, requeued, restart }) {
+  const { clinicName } = runConfig;
+  const restartedAt = Date.now();
+  await reopenRun(runConfig.runId, { ...restart, at: restartedAt, requeued, num_threads: numThreads });
+  await setConfig({ ...runConfig, numThreads, userEmail: credentials.email || runConfig.userEmail || null });
+  await recordAuditEvent(AUDIT_EVENT.RESTART, { details: { ...restart, requeued, num_threads: numThreads } });
+  configureRateLimiter({ requestsPerMinute: runConfig.requestsPerMinute });
+  await chrome.storage.local.set({
+    userRequestedStop: false,
+    stopRequested: false,
+    runPaused: false,
+  });
+  await resetConcurrency();
+  await clearPhaseStates();
+  await clearActiveThreads();
+
+  const primaryTabId = await openPrimaryTab(clinicName);
+  await stashCredentials('T1', credentials);
+  await registerThreadTab('T1', primaryTabId);
+  await setState({
+    phase: PHASES.DOWNLOAD,
+    primaryTabId,
+    workerTabIds: [],
+    interrupted: false,
+    pausedPhase: null,
+    restartedAt,
+  });
+
+  notifyPhase(PHASES.DOWNLOAD, { totalTuples: requeued });
+  await spawnDownloadWorkers();
+  return primaryTabId;
+}
+
+/**
+ * Requeue the working set's failed charts (optionally only those matching
+ * `reasons`, `staffIds`, `patientIds`) and jump straight into the download
+ * phase. Discovery isn't repeated.
+ */
+export async function retryFailedCharts(payload) {
+  return serialize(async () => {
+    const prepared = await prepareEndedRunRestart(payload);
+    if (prepared.error) return { ok: false, error: prepared.error };
+    const { runConfig, numThreads, credentials } = prepared;
+
+    const filter = {
+      reasons: normalizeIdList(payload?.reasons),
+      staffIds: normalizeIdList(payload?.staffIds),
+      patientIds: normalizeIdList(payload?.patientIds),
+    };
+    const { requeued } = await requeueFailedCharts(filter);
+    if (requeued === 0) {
+      return { ok: false, error: 'No failed charts match that filter' };
+    }
+
+    notifyPanel(`Retrying ${requeued} failed chart${requeued === 1 ? '' : 's'} with ${numThreads} thread${numThreads === 1 ? '' : 's'}`, 'info');
+    const primaryTabId = await restartDownloadPhase({
+      runConfig, numThreads, credentials, requeued, restart: { kind: 'retry_failed', filter },
+    });
+    return { ok: true, requeued, primaryTabId };
+  });
+}
+
+/**
+ * Repair an ended export: audit the disk, send every done chart whose PDF
+ * is gone back to pending and download just those. With nothing missing the
+ * manifests are simply rewritten.
+ */
+export async function repairExport(payload) {
+  return serialize(async () => {
+    const prepared = await prepareEndedRunRestart(payload);
+    if (prepared.error) return { ok: false, error: prepared.error };
+    const { runConfig, numThreads, credentials } = prepared;
+
+    notifyPanel('Repair: auditing the jane-scraper folders…', 'info');
+    const [disk, charts] = await Promise.all([enumerateDiskPdfs({ recheck: true }), getAllCharts()]);
+    const audit = auditDisk({ charts, disk });
+    const missing = audit.orphan_done.map((row) => row.chart_id);
+    notifyPanel(
+      `Disk audit: ${disk.total} files on disk, ${audit.matched}/${charts.length} charts matched, ${missing.length} downloaded charts missing`,
+      missing.length ? 'warn' : 'success',
+    );
+
+    if (missing.length === 0) {
+      const result = await writeAllManifests({
+        clinicName: runConfig.clinicName,
+        runId: runConfig.runId,
+        baselineRunId: runConfig.baselineRunId,
+      });
+      notifyPanel(`Nothing to re-download — manifests rewritten (${result.counts.connections} connections)`, 'success');
+      logSignatureToPanel(result.signature);
+      logSummaryToPanel(result.summary);
+      return { ok: true, requeued: 0 };
+    }
+
+    const { requeued } = await requeueMissingCharts(missing);
+    notifyPanel(`Repair: re-downloading ${requeued} missing chart${requeued === 1 ? '' : 's'}`, 'info');
+    const primaryTabId = await restartDownloadPhase({
+      runConfig, numThreads, credentials, requeued, restart: { kind: 'repair' },
+    });
+    return { ok: true, requeued, primaryTabId };
+  });
+}
+
 export async function resetRunState() {
   await chrome.storage.local.set({
     runState: { phase: PHASES.IDLE },
@@ -433,12 +1251,32 @@ export function handlePhaseMessage(request, sender, sendResponse) {
       stopExport().then(sendResponse).catch((e) => sendResponse({ ok: false, error: e.message }));
       return true;
 
+    case 'pauseExport':
+      pauseExport().then(sendResponse).catch((e) => sendResponse({ ok: false, error: e.message }));
+      return true;
+
+    case 'resumeExport':
+      resumeExport().then(sendResponse).catch((e) => sendResponse({ ok: false, error: e.message }));
+      return true;
+
+    case 'resumeInterruptedRun':
+      resumeInterruptedRun(request).then(sendResponse).catch((e) => sendResponse({ ok: false, error: e.message }));
+      return true;
+
+    case 'retryFailedCharts':
+      retryFailedCharts(request).then(sendResponse).catch((e) => sendResponse({ ok: false, error: e.message }));
+      return true;
+
+    case 'repairExport':
+      repairExport(request).then(sendResponse).catch((e) => sendResponse({ ok: false, error: e.message }));
+      return true;
+
     case 'discoveryProgress':
-      notifyPhase(PHASES.DISCOVERY, {
+      recordDiscoveryProgress({
         staffCompleted: request.staffCompleted || 0,
         totalStaff: request.totalStaff || 0,
         tuplesFound: request.tuplesFound || 0,
-      });
+      }).catch((e) => console.warn('[orchestrator] recordDiscoveryProgress failed:', e));
       sendResponse({ ok: true });
       return true;
 
@@ -452,6 +1290,14 @@ export function handlePhaseMessage(request, sender, sendResponse) {
       onDiscoveryComplete(request).then(sendResponse).catch((e) => sendResponse({ ok: false, error: e.message }));
       return true;
 
+    case 'setThreadCount':
+      setThreadCount(request.numThreads).then(sendResponse).catch((e) => sendResponse({ ok: false, error: e.message }));
+      return true;
+
+    case 'workerRetired':
+      finalizeRetirement(request.threadId).then(sendResponse).catch((e) => sendResponse({ ok: false, error: e.message }));
+      return true;
+
     case 'workerFinishedDownload':
       onWorkerFinishedDownload(request.threadId).then(sendResponse).catch((e) => sendResponse({ ok: false, error: e.message }));
       return true;
@@ -467,10 +1313,25 @@ export function handlePhaseMessage(request, sender, sendResponse) {
 
     case 'saveProfile':
       putProfile(request.type, request.id, request.record || {}, request.profile_status || 'ok')
+        .then(() => recordAuditEvent(AUDIT_EVENT.PROFILE_CAPTURE, {
+          patientIds: request.type === 'patient' ? request.id : undefined,
+          staffIds: request.type === 'staff' ? request.id : undefined,
+          threadId: request.threadId,
+          details: { profile_type: request.type, profile_status: request.profile_status || 'ok' },
+        }))
         .then(() => sendResponse({ ok: true }))
         .catch((e) => sendResponse({ ok: false, error: e.message }));
       return true;
 
+    case 'listCapturedProfileIds':
+      Promise.all([listProfiles('staff'), listProfiles('patient')])
+        .then(([staff, patients]) => {
+          const okIds = (list) => list.filter((p) => p.profile_status === 'ok').map((p) => String(p.id));
+          sendResponse({ ok: true, staff: okIds(staff), patients: okIds(patients) });
+        })
+        .catch((e) => sendResponse({ ok: false, error: e.message }));
+      return true;
+
     case 'getRunState':
       getRunState().then((state) => sendResponse({ ok: true, state })).catch((e) => sendResponse({ ok: false, error: e.message }));
       return true;
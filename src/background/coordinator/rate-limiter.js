@@ -0,0 +1,97 @@
+/**
+ * Clinic-wide request budget.
+ *
+ * Every outbound Jane request — PDF fetches, walker navigations, profile
+ * page loads — first asks for a permit via the `acquireRequestPermit`
+ * message. The limiter is a token bucket of REQUEST_BURST tokens refilled
+ * at `requestsPerMinute` across all tabs, tracked as a single
+ * "next free slot" timestamp so concurrent requests each reserve their own
+ * slot instead of racing on storage.
+ *
+ * A permit is a `waitMs`: the caller sleeps that long and then goes. While
+ * the global `rateLimitUntil` gate is up (a tab landed on Jane's rate-limit
+ * page; download 429s / 5xx go to the concurrency controller instead),
+ * slots are handed out starting at the gate's expiry, one interval apart,
+ * so tabs don't all burst Jane the moment it lifts.
+ *
+ * Bucket state lives in the service worker only. If Chrome suspends the
+ * worker mid-run the bucket restarts full, which costs at most one burst.
+ */
+
+import { THROTTLE } from '../../shared/constants.js';
+
+let bucket = null;
+let mutationChain = Promise.resolve();
+
+function serialize(fn) {
+  const next = mutationChain.then(fn, fn);
+  mutationChain = next.catch(() => {});
+  return next;
+}
+
+function clampRequestsPerMinute(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return THROTTLE.DEFAULT_REQUESTS_PER_MINUTE;
+  return Math.min(THROTTLE.MAX_REQUESTS_PER_MINUTE, Math.max(THROTTLE.MIN_REQUESTS_PER_MINUTE, n));
+}
+
+function createBucket(requestsPerMinute) {
+  const perMinute = clampRequestsPerMinute(requestsPerMinute);
+  return {
+    requestsPerMinute: perMinute,
+    intervalMs: 60000 / perMinute,
+    // Theoretical arrival time of the next request at the sustained rate.
+    nextSlotAt: 0,
+  };
+}
+
+async function ensureBucket() {
+  if (bucket) return bucket;
+  const { runConfig } = await chrome.storage.local.get('runConfig');
+  bucket = createBucket(runConfig?.requestsPerMinute);
+  return bucket;
+}
+
+/**
+ * (Re)start the bucket with a new budget. Called at the start of a run and
+ * whenever an interrupted run is resumed.
+ */
+export function configureRateLimiter({ requestsPerMinute } = {}) {
+  bucket = createBucket(requestsPerMinute);
+  console.log(`[rate-limiter] budget ${bucket.requestsPerMinute} req/min (burst ${THROTTLE.REQUEST_BURST})`);
+  return { requestsPerMinute: bucket.requestsPerMinute };
+}
+
+export async function acquireRequestPermit() {
+  return serialize(async () => {
+    const b = await ensureBucket();
+    const { rateLimitUntil } = await chrome.storage.local.get('rateLimitUntil');
+    const gateUntil = Number(rateLimitUntil || 0);
+    const now = Date.now();
+
+    let permitAt;
+    if (gateUntil > now) {
+      permitAt = Math.max(gateUntil, b.nextSlotAt);
+    } else {
+      const burstToleranceMs = (THROTTLE.REQUEST_BURST - 1) * b.intervalMs;
+      permitAt = Math.max(now, b.nextSlotAt - burstToleranceMs);
+    }
+    b.nextSlotAt = Math.max(b.nextSlotAt, permitAt) + b.intervalMs;
+
+    const waitMs = Math.max(0, Math.round(permitAt - now));
+    return { ok: true, waitMs, requestsPerMinute: b.requestsPerMinute };
+  });
+}
+
+export function handleRateLimiterMessage(message, _sender, sendResponse) {
+  switch (message.action) {
+    case 'acquireRequestPermit':
+      acquireRequestPermit()
+        .then(sendResponse)
+        .catch((error) => sendResponse({ ok: false, waitMs: 0, error: error.message }));
+      return true;
+
+    default:
+      return false;
+  }
+}
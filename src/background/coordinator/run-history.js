@@ -0,0 +1,159 @@
+/**
+ * Run history.
+ *
+ * Every export gets a run_id when it starts. When the run ends (done or
+ * stopped) the working charts/connections/profiles are snapshotted into
+ * chart-db's history stores along with the resolved staff and the final
+ * summary. As a safety net, starting a new export first archives whatever
+ * the previous one left behind, so a run that was abandoned mid-way is still
+ * on record before the working set is cleared.
+ *
+ * The panel lists past runs and can re-write any run's manifests into
+ * _manifest/history/<runId>/ — the answer to "what did the March export
+ * contain".
+ */
+
+import { putRun, getRun, listRuns, archiveWorkingSet } from '../storage/chart-db.js';
+import { writeAllManifests } from '../manifest/manifest-writer.js';
+import { getExportEncryptor } from './export-keyring.js';
+
+export const RUN_STATUS = Object.freeze({
+  IN_PROGRESS: 'in_progress',
+  DONE: 'done',
+  STOPPED: 'stopped',
+  ABANDONED: 'abandoned',
+});
+
+// Sortable and safe as a folder name: 2026-03-14T09-30-12Z
+function buildRunId(startedAt) {
+  return new Date(startedAt).toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+export async function beginRun({
+  clinicName, numThreads, requestsPerMinute, startedAt, baselineRunId = null, dedupeIdentical = false, encryption = null,
+  manifestFormat = 'json', connectionsFormat = 'json', fhirExport = false,
+}) {
+  const run = {
+    run_id: buildRunId(startedAt),
+    clinic_name: clinicName,
+    started_at: startedAt,
+    finished_at: null,
+    archived_at: null,
+    status: RUN_STATUS.IN_PROGRESS,
+    num_threads: numThreads,
+    requests_per_minute: requestsPerMinute,
+    baseline_run_id: baselineRunId,
+    dedupe_identical: dedupeIdentical,
+    encryption,
+    manifest_format: manifestFormat,
+    connections_format: connectionsFormat,
+    fhir_export: fhirExport,
+    resolved_staff: [],
+    counts: null,
+    summary: null,
+  };
+  await putRun(run);
+  return run;
+}
+
+export async function updateRun(runId, patch) {
+  const run = await getRun(runId);
+  if (!run) return null;
+  const next = { ...run, ...patch };
+  await putRun(next);
+  return next;
+}
+
+/**
+ * Snapshot the working set under `runId` and close out the run record.
+ */
+export async function archiveRun(runId, patch = {}) {
+  const run = await getRun(runId);
+  if (!run) return null;
+  const counts = await archiveWorkingSet(runId);
+  const next = { ...run, ...patch, archived_at: Date.now(), counts };
+  await putRun(next);
+  console.log(`[run-history] archived ${runId} (${next.status}): ${counts.charts} charts, ${counts.connections} connections, ${counts.profiles} profiles`);
+  return next;
+}
+
+// Called before a new run clears the working set.
+export async function archiveUnfinishedRun(runId) {
+  const run = await getRun(runId);
+  if (!run || run.archived_at) return null;
+  const status = run.status === RUN_STATUS.IN_PROGRESS ? RUN_STATUS.ABANDONED : run.status;
+  return archiveRun(runId, { status, finished_at: run.finished_at || Date.now() });
+}
+
+export async function finishRun(runId, { status, summary = null }) {
+  return archiveRun(runId, { status, summary, finished_at: Date.now() });
+}
+
+// Retrying or repairing a finished run puts it back in progress until it's
+// archived again; each restart ({ kind, at, requeued, … }) is kept on the
+// record.
+export async function reopenRun(runId, restart) {
+  const run = await getRun(runId);
+  if (!run) return null;
+  return updateRun(runId, {
+    status: RUN_STATUS.IN_PROGRESS,
+    finished_at: null,
+    archived_at: null,
+    restarts: [...(run.restarts || []), restart],
+  });
+}
+
+// Panel rows — the full summary stays in IndexedDB.
+export async function listRunHistory() {
+  const runs = await listRuns();
+  return runs.map((run) => ({
+    run_id: run.run_id,
+    clinic_name: run.clinic_name,
+    started_at: run.started_at,
+    finished_at: run.finished_at,
+    status: run.status,
+    baseline_run_id: run.baseline_run_id || null,
+    dedupe_identical: !!run.dedupe_identical,
+    encrypted: !!run.encryption,
+    restarts: (run.restarts || []).length,
+    staff: (run.resolved_staff || []).length,
+    counts: run.counts,
+    downloads: run.summary?.downloads || null,
+    unique_patients: run.summary?.totals?.unique_patients ?? null,
+  }));
+}
+
+export async function regenerateRunManifests(runId, { passphrase = null } = {}) {
+  const run = await getRun(runId);
+  if (!run) return { ok: false, error: `Unknown run ${runId}` };
+  if (!run.archived_at) return { ok: false, error: 'Run is still in progress' };
+  // The encryptor is built here rather than by unlocking the run, so the
+  // passphrase of a run in progress stays in place.
+  let encryptor;
+  try {
+    encryptor = await getExportEncryptor(run.encryption || null, passphrase);
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+  const result = await writeAllManifests({ runId, fromHistory: true, encryptor });
+  return { ok: true, dir: result.dir, counts: result.counts };
+}
+
+export function handleRunHistoryMessage(message, _sender, sendResponse) {
+  switch (message.action) {
+    case 'listRuns':
+      listRunHistory()
+        .then((runs) => sendResponse({ ok: true, runs }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    case 'regenerateRunManifests':
+      regenerateRunManifests(message.runId, { passphrase: message.passphrase })
+        .then(sendResponse)
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Worker supervisor.
+ *
+ * Notices download workers that have died and asks the orchestrator to
+ * replace them, instead of waiting for sweepStaleClaims to free their charts
+ * ten minutes later and carrying on a thread short. A worker counts as dead
+ * when its tab:
+ *   - is closed            (chrome.tabs.onRemoved)
+ *   - is discarded by Chrome's memory saver, or navigates off Jane
+ *                          (chrome.tabs.onUpdated)
+ *   - stops sending `workerHeartbeat` for STALE_AFTER_MS — covers the
+ *     "Aw, Snap" crash, which no tabs event reports.
+ *
+ * A worker whose loop ended on an error a fresh tab would hit again (the
+ * export's passphrase isn't available, say) sends `workerFailed` instead;
+ * that thread is marked failed and left alone rather than respawned.
+ *
+ * Which tab belongs to which thread comes from `activeThreads`; the
+ * orchestrator's respawnWorker re-checks phase and ownership before acting,
+ * so tabs it closes itself (phase end, stop, retirement) are ignored.
+ *
+ * Heartbeats are kept in memory only. After a service-worker restart every
+ * thread starts with a fresh timestamp, which just delays detection once.
+ */
+
+import { respawnWorker, markWorkerFailed } from './phase-orchestrator.js';
+
+const CHECK_INTERVAL_MS = 30000;
+const STALE_AFTER_MS = 3 * 60 * 1000;
+
+const lastSeen = new Map();
+let started = false;
+
+async function findThreadByTab(tabId) {
+  const { activeThreads } = await chrome.storage.local.get('activeThreads');
+  const entry = Object.entries(activeThreads || {})
+    .find(([, v]) => v?.tabId === tabId && v.status === 'active');
+  return entry ? entry[0] : null;
+}
+
+async function reportDead(threadId, tabId, reason) {
+  lastSeen.delete(threadId);
+  const result = await respawnWorker(threadId, { tabId, reason });
+  if (result?.ok) console.warn(`[supervisor] ${threadId} (${reason}) → tab ${result.tabId}`);
+}
+
+async function onTabRemoved(tabId) {
+  const threadId = await findThreadByTab(tabId);
+  if (threadId) await reportDead(threadId, tabId, 'tab closed');
+}
+
+function isJaneUrl(url) {
+  try {
+    return new URL(url).hostname.endsWith('.janeapp.com');
+  } catch {
+    return false;
+  }
+}
+
+async function onTabUpdated(tabId, changeInfo) {
+  let reason = null;
+  if (changeInfo.discarded) reason = 'tab discarded';
+  else if (changeInfo.url && !isJaneUrl(changeInfo.url)) reason = 'tab left Jane';
+  if (!reason) return;
+  const threadId = await findThreadByTab(tabId);
+  if (threadId) await reportDead(threadId, tabId, reason);
+}
+
+async function checkHeartbeats() {
+  const { runState, activeThreads } = await chrome.storage.local.get(['runState', 'activeThreads']);
+  const phase = runState?.phase === 'paused' ? runState.pausedPhase : runState?.phase;
+  if (phase !== 'download') {
+    lastSeen.clear();
+    return;
+  }
+  const now = Date.now();
+  for (const [threadId, entry] of Object.entries(activeThreads || {})) {
+    if (entry?.status !== 'active') continue;
+    // Freshly spawned tabs haven't logged in yet; count from registration.
+    const since = Math.max(lastSeen.get(threadId) || now, entry.registeredAt || 0);
+    if (!lastSeen.has(threadId)) lastSeen.set(threadId, since);
+    if (now - since > STALE_AFTER_MS) {
+      await reportDead(threadId, entry.tabId, `silent for ${Math.round((now - since) / 1000)}s`);
+    }
+  }
+}
+
+export function recordHeartbeat(threadId) {
+  if (threadId) lastSeen.set(threadId, Date.now());
+}
+
+/**
+ * Register the tab listeners and the heartbeat check. Call once from the
+ * service worker's top level so the listeners survive worker restarts.
+ */
+export function startWorkerSupervisor() {
+  if (started) return;
+  started = true;
+
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    onTabRemoved(tabId).catch((e) => console.warn('[supervisor] onRemoved failed:', e));
+  });
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    onTabUpdated(tabId, changeInfo).catch((e) => console.warn('[supervisor] onUpdated failed:', e));
+  });
+  setInterval(() => {
+    checkHeartbeats().catch((e) => console.warn('[supervisor] heartbeat check failed:', e));
+  }, CHECK_INTERVAL_MS);
+}
+
+export function handleSupervisorMessage(message, sender, sendResponse) {
+  switch (message.action) {
+    case 'workerHeartbeat':
+      recordHeartbeat(message.threadId);
+      sendResponse({ ok: true });
+      return true;
+
+    case 'workerFailed':
+      lastSeen.delete(message.threadId);
+      markWorkerFailed(message.threadId, { tabId: sender.tab?.id, error: message.error || 'unknown error' })
+        .then(sendResponse)
+        .catch((e) => sendResponse({ ok: false, error: e.message }));
+      return true;
+
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * OFFSCREEN BLOBS
+ *
+ * Saves files the service worker generates (manifests, reports) in one piece,
+ * whatever their size. A service worker has no URL.createObjectURL and data:
+ * URLs stop being reliable past a few MB, so the contents go in parts to an
+ * offscreen document (offscreen.html), which builds the Blob and hands back a
+ * blob: URL for chrome.downloads.
+ *
+ * - createBlobFile: Start a file, append() parts to it, then save() it
+ */
+
+import { bytesToBase64 } from '../../shared/utils/crypto-utils.js';
+import { waitForDownload } from '../../shared/utils/page-downloads.js';
+
+const OFFSCREEN_PATH = 'offscreen.html';
+// Characters (or bytes) per message — well under the 64 MB message cap.
+const PART_SIZE = 4 * 1024 * 1024;
+
+let creating = null;
+
+async function ensureOffscreenDocument() {
+  const existing = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_PATH)],
+  });
+  if (existing.length > 0) return;
+  // Two writers starting together must not both create it.
+  if (!creating) {
+    creating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_PATH,
+      reasons: ['BLOBS'],
+      justification: 'Build export manifests as Blobs so large files download in one piece',
+    }).finally(() => { creating = null; });
+  }
+  await creating;
+}
+
+async function sendToOffscreen(message) {
+  const response = await chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+  if (!response?.ok) throw new Error(response?.error || 'offscreen document did not answer');
+  return response;
+}
+
+/**
+ * Start a file. Text is buffered up to PART_SIZE and then sent on, so a
+ * caller streaming rows into it never holds more than one part.
+ *
+ * @param {string} mime - Content type
+ * @returns {Promise<{append: Function, save: Function}>} append(text or
+ *   Uint8Array) adds to the file; save(filename) downloads it under Downloads
+ *   and resolves to {downloadId, sha256, bytes} once it's on disk
+ */
+export async function createBlobFile(mime) {
+  await ensureOffscreenDocument();
+  const id = crypto.randomUUID();
+  let buffered = [];
+  let bufferedSize = 0;
+
+  const flush = async () => {
+    if (buffered.length === 0) return;
+    const text = buffered.join('');
+    buffered = [];
+    bufferedSize = 0;
+    await sendToOffscreen({ action: 'appendBlobPart', id, text });
+  };
+
+  return {
+    async append(part) {
+      if (typeof part === 'string') {
+        buffered.push(part);
+        bufferedSize += part.length;
+        if (bufferedSize >= PART_SIZE) await flush();
+        return;
+      }
+      await flush();
+      for (let i = 0; i < part.length; i += PART_SIZE) {
+        await sendToOffscreen({ action: 'appendBlobPart', id, base64: bytesToBase64(part.subarray(i, i + PART_SIZE)) });
+      }
+    },
+
+    async save(filename) {
+      await flush();
+      const { url, sha256, bytes } = await sendToOffscreen({ action: 'finishBlob', id, mime });
+      try {
+        const downloadId = await chrome.downloads.download({
+          url,
+          filename,
+          saveAs: false,
+          conflictAction: 'overwrite',
+        });
+        await waitForDownload(downloadId);
+        return { downloadId, sha256, bytes };
+      } finally {
+        await sendToOffscreen({ action: 'revokeBlob', id }).catch(() => {});
+      }
+    },
+  };
+}
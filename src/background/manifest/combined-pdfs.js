@@ -0,0 +1,154 @@
+/**
+ * Combined per-patient PDFs.
+ *
+ * combine.html merges each patient's chart PDFs, in chart_date order, into
+ * ~/Downloads/jane-scraper/<patientId>_<Name>/<patientId>_<Name>_combined.pdf
+ * with a bookmark per chart entry. The merge runs in that page because the
+ * extension can't read Downloads; this side tells it what to merge and
+ * records what it wrote:
+ *
+ *   - getCombinePlan: the current run's patients with their downloaded
+ *     charts, oldest first
+ *   - recordCombinedPdf: one patient's combined file (path, hashes, pages,
+ *     the charts in it), kept on the patient's profile entry and listed in
+ *     patients.json as `combined_pdf`
+ *   - finishCombinedPdfs: refresh the run's history snapshot and rewrite the
+ *     manifests, so checksums.sha256 and the signature cover the new files
+ *
+ * Only allowed while no run is active, like export verification.
+ */
+
+import { listCharts, getRun, setPatientCombinedPdf } from '../storage/chart-db.js';
+import { writeAllManifests } from './manifest-writer.js';
+import { archiveRun } from '../coordinator/run-history.js';
+import { AUDIT_EVENT, recordAuditEvent } from '../coordinator/audit-log.js';
+
+const IDLE_PHASES = Object.freeze(['idle', 'done', 'stopped']);
+const EXPORT_ROOT_PREFIX = 'jane-scraper/';
+
+async function requireIdle() {
+  const { runState, runConfig } = await chrome.storage.local.get(['runState', 'runConfig']);
+  const phase = runState?.phase || 'idle';
+  if (!IDLE_PHASES.includes(phase)) {
+    return { error: `Cannot combine PDFs while phase=${phase}` };
+  }
+  return { runConfig: runConfig || null };
+}
+
+// chart_date is Jane's display text ("Mar 4, 2024"); undated charts go last.
+function chartDateValue(chart) {
+  const parsed = Date.parse(String(chart.chart_date || '').replace(/\s+/g, ' ').trim());
+  return Number.isNaN(parsed) ? Infinity : parsed;
+}
+
+function compareCharts(a, b) {
+  const byDate = chartDateValue(a) - chartDateValue(b);
+  if (byDate) return byDate;
+  return Number(a.chart_id) - Number(b.chart_id) || String(a.chart_id).localeCompare(String(b.chart_id));
+}
+
+function patientFolder(filePath) {
+  return filePath.startsWith(EXPORT_ROOT_PREFIX) ? filePath.split('/')[1] : null;
+}
+
+export async function getCombinePlan() {
+  const { error, runConfig } = await requireIdle();
+  if (error) return { ok: false, error };
+
+  const charts = (await listCharts({ status: 'done' })).filter((c) => c.file_path && c.patient_id);
+  if (charts.length === 0) return { ok: false, error: 'No downloaded charts to combine' };
+
+  const byPatient = new Map();
+  for (const chart of charts.sort(compareCharts)) {
+    const key = String(chart.patient_id);
+    if (!byPatient.has(key)) {
+      byPatient.set(key, {
+        patient_id: key,
+        patient_name: chart.patient_name || null,
+        folder: patientFolder(chart.file_path),
+        charts: [],
+      });
+    }
+    byPatient.get(key).charts.push({
+      chart_id: String(chart.chart_id),
+      chart_type: chart.chart_type || null,
+      chart_date: chart.chart_date || null,
+      staff_name: chart.staff_name || null,
+      file_path: chart.file_path,
+    });
+  }
+
+  return {
+    ok: true,
+    run_id: runConfig?.runId || null,
+    clinic_name: runConfig?.clinicName || null,
+    // Salt, iterations and passphrase check — nothing secret.
+    encryption: runConfig?.encryption || null,
+    patients: [...byPatient.values()].filter((p) => p.folder),
+  };
+}
+
+export async function recordCombinedPdf({ patientId, combined }) {
+  if (!patientId || !combined?.file_path?.startsWith(EXPORT_ROOT_PREFIX)) {
+    return { ok: false, error: 'Missing patient or file path' };
+  }
+  await setPatientCombinedPdf(patientId, {
+    file_path: combined.file_path,
+    sha256: combined.sha256 || null,
+    bytes: combined.bytes ?? null,
+    stored_sha256: combined.stored_sha256 || null,
+    stored_bytes: combined.stored_bytes ?? null,
+    pages: combined.pages ?? null,
+    charts: combined.charts || [],
+    skipped: combined.skipped || [],
+    created_at: Date.now(),
+  });
+  return { ok: true };
+}
+
+export async function finishCombinedPdfs({ files = 0, failed = 0 } = {}) {
+  const { error, runConfig } = await requireIdle();
+  if (error) return { ok: false, error };
+
+  const runId = runConfig?.runId || null;
+  await recordAuditEvent(AUDIT_EVENT.COMBINE_PDFS, {
+    runId: runId ?? undefined,
+    clinicName: runConfig?.clinicName ?? undefined,
+    details: { files, failed },
+  });
+  // A finished run was already snapshotted without the combined files.
+  const run = runId ? await getRun(runId) : null;
+  if (run?.archived_at) await archiveRun(runId);
+
+  const result = await writeAllManifests({
+    clinicName: runConfig?.clinicName,
+    runId,
+    baselineRunId: runConfig?.baselineRunId,
+  });
+  return { ok: true, dir: result.dir, signature: result.signature };
+}
+
+export function handleCombinedPdfMessage(message, _sender, sendResponse) {
+  switch (message.action) {
+    case 'getCombinePlan':
+      getCombinePlan()
+        .then(sendResponse)
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    case 'recordCombinedPdf':
+      recordCombinedPdf(message)
+        .then(sendResponse)
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    case 'finishCombinedPdfs':
+      finishCombinedPdfs(message)
+        .then(sendResponse)
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    default:
+      return false;
+  }
+}
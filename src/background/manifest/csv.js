@@ -0,0 +1,113 @@
+/**
+ * CSV versions of the manifests, for opening in Excel:
+ * - flattenRecord: nested objects become dotted columns (`address.city`),
+ *   arrays of plain values are joined with "; ", arrays of objects are kept
+ *   as JSON text
+ * - toCsv: RFC 4180 — CRLF line ends, a field is quoted when it holds a
+ *   comma, quote or line break, quotes doubled — behind a UTF-8 byte order
+ *   mark so Excel doesn't guess the encoding. Text that starts with =, +,
+ *   -, @, tab or CR gets a leading ' so Excel shows it rather than running it
+ *   as a formula (a scraped name or note such as `=HYPERLINK(...)`); numbers
+ *   are left as they are
+ * - createPagedCsv: the same, written a page of records at a time
+ */
+
+const BOM = '\uFEFF';
+const LIST_SEPARATOR = '; ';
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten one record into column -> string
+ *
+ * @param {Object} record
+ * @returns {Object}
+ */
+export function flattenRecord(record, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(record || {})) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flattenRecord(value, column, out);
+    } else if (Array.isArray(value)) {
+      out[column] = value.some((v) => v !== null && typeof v === 'object')
+        ? JSON.stringify(value)
+        : value.join(LIST_SEPARATOR);
+    } else {
+      out[column] = value ?? '';
+    }
+  }
+  return out;
+}
+
+function csvField(value) {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Records to CSV text
+ *
+ * @param {Array<Object>} records - Rows, flattened here
+ * @param {Array<string>} columns - Columns that come first, in this order,
+ *   and are present even with no rows; any others follow in first-seen order
+ * @returns {string} CSV with BOM and header row
+ */
+export function toCsv(records, columns = []) {
+  const rows = records.map((record) => flattenRecord(record));
+  const header = [...columns];
+  const known = new Set(header);
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!known.has(column)) {
+        known.add(column);
+        header.push(column);
+      }
+    }
+  }
+  // A field that is null on some rows and an object on others would get
+  // both a bare column and dotted ones; the bare one only ever holds blanks.
+  const columnsUsed = header.filter((column) => !(
+    header.some((other) => other.startsWith(`${column}.`))
+    && rows.every((row) => (row[column] ?? '') === '')
+  ));
+  const lines = [columnsUsed.map(csvField).join(',')];
+  for (const row of rows) lines.push(columnsUsed.map((column) => csvField(row[column])).join(','));
+  return `${BOM}${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * CSV written a page of records at a time. The header has to come first, so
+ * every record goes through `addColumns` in a pass before the writing one.
+ * Unlike toCsv there's no dropping of blank parent columns; it's for flat
+ * records.
+ *
+ * @param {Array<string>} columns - Leading columns, as for toCsv
+ * @returns {{addColumns: Function, header: Function, lines: Function}}
+ */
+export function createPagedCsv(columns = []) {
+  const header = [...columns];
+  const known = new Set(header);
+  return {
+    addColumns(records) {
+      for (const record of records) {
+        for (const column of Object.keys(flattenRecord(record))) {
+          if (!known.has(column)) {
+            known.add(column);
+            header.push(column);
+          }
+        }
+      }
+    },
+    header: () => `${BOM}${header.map(csvField).join(',')}\r\n`,
+    lines: (records) => records
+      .map((record) => {
+        const row = flattenRecord(record);
+        return `${header.map((column) => csvField(row[column])).join(',')}\r\n`;
+      })
+      .join(''),
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Disk audit.
+ *
+ * Cross-references the chart queue in IndexedDB against the PDFs Chrome can
+ * see in the jane-scraper folders. Runs as part of every manifest write
+ * (summary.json `audit`) and on its own from the repair command, which
+ * requeues the `orphan_done` charts it finds.
+ */
+
+const CHART_ID_IN_FILENAME = /__(\d+)__/;
+// Encrypted exports save `<name>.pdf.enc`; it's the same chart file.
+const VERSION_IN_FILENAME = /__v(\d+)\.pdf(?:\.enc)?$/;
+// combine.html's `<folder>_combined.pdf` isn't a chart file.
+const COMBINED_PDF_FILENAME = /_combined\.pdf(?:\.enc)?$/;
+// Chrome doesn't watch for deleted downloads; a search starts an existence
+// check and the `exists` flags settle shortly after.
+const EXISTENCE_CHECK_SETTLE_MS = 1500;
+
+/**
+ * Enumerate every PDF Chrome has on disk in jane-scraper/{patient}/ and
+ * group by patient_id. Returns:
+ *   { byPatient: Map<patientId, {folderName, files: [{filename, chartId?}]}>,
+ *     byChartId: Map<chartId, {filename, patientId}>,
+ *     total }
+ *
+ * chartId is parsed from the `__<id>__` segment of the filename that
+ * download-worker.js builds; null if the filename doesn't contain it.
+ * Amended charts have several files (`…__v2.pdf`, …) — byChartId keeps the
+ * highest version. Combined per-patient PDFs are left out.
+ *
+ * `recheck` first has Chrome re-check that the files still exist — needed
+ * when the point is to find PDFs that were deleted or moved.
+ */
+export async function enumerateDiskPdfs({ recheck = false } = {}) {
+  if (recheck) {
+    await chrome.downloads.search({ filenameRegex: 'jane-scraper/', limit: 0 });
+    await new Promise((resolve) => setTimeout(resolve, EXISTENCE_CHECK_SETTLE_MS));
+  }
+  const downloads = await chrome.downloads.search({
+    filenameRegex: 'jane-scraper/\\d+_[^/]+/.*\\.pdf(\\.enc)?$',
+    exists: true,
+    limit: 0,
+  });
+
+  const byPatient = new Map();
+  const byChartId = new Map();
+
+  for (const dl of downloads || []) {
+    const match = dl.filename && dl.filename.match(/jane-scraper\/(\d+)_([^/]+)\/([^/]+\.pdf(?:\.enc)?)$/);
+    if (!match || COMBINED_PDF_FILENAME.test(match[3])) continue;
+    const patientId = match[1];
+    const folderName = match[2];
+    const filenameOnly = match[3];
+    const chartIdMatch = filenameOnly.match(CHART_ID_IN_FILENAME);
+    const chartId = chartIdMatch ? chartIdMatch[1] : null;
+
+    if (!byPatient.has(patientId)) {
+      byPatient.set(patientId, { folderName, files: [] });
+    }
+    byPatient.get(patientId).files.push({ filename: filenameOnly, chartId });
+
+    const versionMatch = filenameOnly.match(VERSION_IN_FILENAME);
+    const version = versionMatch ? Number(versionMatch[1]) : 1;
+    if (chartId && (!byChartId.has(chartId) || byChartId.get(chartId).version < version)) {
+      byChartId.set(chartId, { filename: filenameOnly, patientId, version });
+    }
+  }
+
+  return { byPatient, byChartId, total: byChartId.size };
+}
+
+/**
+ * Catches three kinds of drift:
+ *   - orphan_done: chart marked done in DB but file missing on disk
+ *     (e.g. user deleted the PDF, or completeChart fired but save failed)
+ *   - unknown_on_disk: file on disk with no matching chart in this run
+ *     (leftover from a previous run / unrelated download)
+ *   - missing_on_disk: chart not marked done (failed/pending/in_flight)
+ *     AND no file on disk — the true "needs re-download" set
+ *
+ * A deduplicated chart (`duplicate_of`) has no file of its own; it counts as
+ * on disk while the chart it points at does.
+ */
+function auditRow(chart, filePath) {
+  return {
+    chart_id: String(chart.chart_id),
+    patient_id: chart.patient_id ? String(chart.patient_id) : null,
+    patient_name: chart.patient_name || null,
+    staff_id: chart.staff_id ? String(chart.staff_id) : null,
+    staff_name: chart.staff_name || null,
+    chart_type: chart.chart_type || null,
+    chart_date: chart.chart_date || null,
+    db_status: chart.status,
+    file_path: filePath,
+  };
+}
+
+export function auditDisk({ charts, disk }) {
+  const diskByChartId = disk.byChartId || new Map();
+  const diskByPatient = disk.byPatient || new Map();
+
+  const orphanDone = [];
+  const missingOnDisk = [];
+  const ghostFailed = [];
+  const matchedChartIds = new Set();
+
+  for (const chart of charts) {
+    const chartId = String(chart.chart_id);
+    if (chart.status === 'done' && chart.duplicate_of) {
+      if (!diskByChartId.has(String(chart.duplicate_of))) {
+        orphanDone.push({
+          ...auditRow(chart, chart.file_path || null),
+          failure_reason: `file of chart ${chart.duplicate_of} (identical content) missing from disk`,
+        });
+      }
+      continue;
+    }
+    const meta = diskByChartId.get(chartId);
+    if (meta) matchedChartIds.add(chartId);
+    // An amended chart only counts as on disk once its current version is.
+    const onDisk = !!meta && meta.version >= (chart.version || 1);
+
+    const row = auditRow(chart, chart.file_path || (onDisk ? `jane-scraper/${chart.patient_id}_.../${meta.filename}` : null));
+
+    if (chart.status === 'done' && !onDisk) {
+      orphanDone.push({ ...row, failure_reason: 'file missing from disk despite done status' });
+    } else if (chart.status === 'failed' && !onDisk) {
+      missingOnDisk.push({ ...row, failure_reason: chart.failure_reason || 'unknown' });
+    } else if ((chart.status === 'pending' || chart.status === 'in_flight') && !onDisk) {
+      missingOnDisk.push({ ...row, failure_reason: `never_attempted: ${chart.status}` });
+    } else if (chart.status === 'failed' && onDisk) {
+      ghostFailed.push(row);
+    }
+  }
+
+  const extraFiles = [];
+  for (const [chartId, meta] of diskByChartId) {
+    if (!matchedChartIds.has(chartId)) {
+      extraFiles.push({ chart_id: chartId, patient_id: meta.patientId, filename: meta.filename });
+    }
+  }
+
+  // Concentration heuristic — if >50% of missing charts belong to one
+  // patient or one staff, surface that so the user can tell "systematic
+  // problem" vs "random noise".
+  const missByPatient = new Map();
+  const missByStaff = new Map();
+  for (const row of missingOnDisk) {
+    if (row.patient_id) missByPatient.set(row.patient_id, (missByPatient.get(row.patient_id) || 0) + 1);
+    if (row.staff_id) missByStaff.set(row.staff_id, (missByStaff.get(row.staff_id) || 0) + 1);
+  }
+  const hotspotOf = (map, totalFailed) => {
+    if (totalFailed === 0) return null;
+    let best = null;
+    for (const [key, count] of map) {
+      if (!best || count > best.count) best = { key, count };
+    }
+    if (!best) return null;
+    const ratio = best.count / totalFailed;
+    return ratio >= 0.5 ? { id: best.key, count: best.count, ratio_of_failures: Number(ratio.toFixed(2)) } : null;
+  };
+
+  // Count files per patient on disk (actual) vs expected from chart store
+  const expectedByPatient = new Map();
+  for (const chart of charts) {
+    if (chart.duplicate_of) continue;
+    const key = chart.patient_id ? String(chart.patient_id) : 'unknown';
+    expectedByPatient.set(key, (expectedByPatient.get(key) || 0) + 1);
+  }
+  const diskCountByPatient = [...diskByPatient.entries()]
+    .map(([pid, meta]) => ({
+      patient_id: pid,
+      folder_name: meta.folderName,
+      files_on_disk: meta.files.length,
+      charts_expected: expectedByPatient.get(pid) || 0,
+      gap: (expectedByPatient.get(pid) || 0) - meta.files.length,
+    }))
+    .sort((a, b) => b.files_on_disk - a.files_on_disk);
+
+  return {
+    files_on_disk_total: disk.total,
+    charts_in_queue: charts.length,
+    matched: matchedChartIds.size,
+    orphan_done: orphanDone,
+    missing_on_disk: missingOnDisk,
+    ghost_failed_but_on_disk: ghostFailed,
+    extra_files_on_disk: extraFiles,
+    hotspot_patient: hotspotOf(missByPatient, missingOnDisk.length),
+    hotspot_staff: hotspotOf(missByStaff, missingOnDisk.length),
+    per_patient_file_counts: diskCountByPatient,
+  };
+}
@@ -0,0 +1,376 @@
+/**
+ * Offline export browser.
+ *
+ * Builds _manifest/index.html: one self-contained page (inline CSS and
+ * script, no network) that the receiving clinic opens straight from the
+ * export folder over file:// to search patients, filter charts by staff,
+ * chart type and date, open PDFs through relative links and see which
+ * charts failed to download.
+ *
+ * The data is embedded as JSON in a <script type="application/json"> block
+ * (file:// pages can't fetch), however large the run.
+ *
+ * Chart rows are arrays to keep the page small:
+ *   [chart_id, patient index, chart type, chart date, [staff indexes],
+ *    status, failure reason, PDF path, duplicate_of, version]
+ * Paths are relative to the jane-scraper folder, decrypted names for an
+ * encrypted run (the page is only readable once the folder is decrypted).
+ */
+
+// JSON that can sit inside a <script> element.
+function scriptSafeJson(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function buildData({ charts, staffByChart, patientProfiles, staffProfiles, summary, relativePath }) {
+  const staffIndex = new Map();
+  const staff = [];
+  const staffNames = new Map(staffProfiles.map((p) => [String(p.id), p.record?.name || null]));
+  const staffRef = (id, name) => {
+    const key = String(id);
+    if (!staffIndex.has(key)) {
+      staffIndex.set(key, staff.length);
+      staff.push([key, staffNames.get(key) || name || `Staff ${key}`]);
+    }
+    return staffIndex.get(key);
+  };
+
+  const patientIndex = new Map();
+  const patients = [];
+  const profilesById = new Map(patientProfiles.map((p) => [String(p.id), p]));
+  const patientRef = (id, name, folder) => {
+    const key = String(id || 'unknown');
+    if (!patientIndex.has(key)) {
+      const profile = profilesById.get(key);
+      patientIndex.set(key, patients.length);
+      patients.push([
+        key,
+        profile?.record?.name || name || `Patient ${key}`,
+        profile?.record?.dob || null,
+        folder,
+        profile?.combined_pdf?.file_path ? relativePath(profile.combined_pdf.file_path) : null,
+      ]);
+    }
+    return patientIndex.get(key);
+  };
+
+  const staffRefsByChart = new Map();
+  for (const [chartId, chartStaff] of staffByChart) {
+    staffRefsByChart.set(chartId, new Set([...chartStaff].map(([id, name]) => staffRef(id, name))));
+  }
+
+  const rows = charts.map((chart) => {
+    const key = String(chart.chart_id);
+    const path = chart.file_path ? relativePath(chart.file_path) : null;
+    const staffRefs = staffRefsByChart.get(key)
+      || (chart.staff_id ? new Set([staffRef(chart.staff_id, chart.staff_name)]) : new Set());
+    return [
+      key,
+      patientRef(chart.patient_id, chart.patient_name, path ? path.split('/')[0] : null),
+      chart.chart_type || 'Chart',
+      chart.chart_date || null,
+      [...staffRefs],
+      chart.status || 'pending',
+      chart.status === 'failed' ? chart.failure_reason || 'unknown' : null,
+      chart.status === 'done' ? path : null,
+      chart.duplicate_of ? String(chart.duplicate_of) : null,
+      chart.version || 1,
+    ];
+  });
+  // Patients with a profile but no chart (every chart failed discovery).
+  for (const profile of patientProfiles) patientRef(profile.id, null, null);
+
+  return {
+    meta: {
+      clinic_name: summary.clinic_name,
+      run_id: summary.run_id,
+      generated_at: summary.generated_at,
+      downloads: summary.downloads,
+      encrypted: !!summary.encrypted,
+    },
+    staff,
+    patients,
+    rows,
+  };
+}
+
+// Runs in the exported page; serialized with toString(), so it may only use
+// what's in its own body.
+function exportBrowserApp() {
+  const data = JSON.parse(document.getElementById('export-data').textContent);
+  const { meta, staff, patients, rows } = data;
+  const ROOT = document.body.dataset.root;
+  const MAX_ROWS = 500;
+  const STATUS_LABELS = { done: 'Downloaded', failed: 'Failed', pending: 'Not downloaded', in_flight: 'Not downloaded' };
+
+  const $ = (id) => document.getElementById(id);
+  const el = (tag, props = {}, children = []) => {
+    const node = document.createElement(tag);
+    Object.assign(node, props);
+    for (const child of children) node.append(child);
+    return node;
+  };
+  const href = (path) => ROOT + path.split('/').map(encodeURIComponent).join('/');
+  const dateValue = (text) => {
+    const parsed = Date.parse(String(text || '').replace(/\s+/g, ' ').trim());
+    return Number.isNaN(parsed) ? null : parsed;
+  };
+  const fold = (text) => String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+  const charts = rows.map(([id, patient, type, date, staffRefs, status, reason, path, duplicateOf, version]) => ({
+    id, patient, type, date, staffRefs, status, reason, path, duplicateOf, version, time: dateValue(date),
+  }));
+  charts.sort((a, b) => (a.time ?? Infinity) - (b.time ?? Infinity) || a.id.localeCompare(b.id));
+
+  let selectedPatient = null;
+
+  const header = [meta.clinic_name, meta.run_id ? `run ${meta.run_id}` : null, `generated ${meta.generated_at}`]
+    .filter(Boolean).join(' · ');
+  $('run-info').textContent = header;
+  const dl = meta.downloads || {};
+  $('stats').textContent = `${patients.length} patients · ${staff.length} staff · ${charts.length} charts: `
+    + `${dl.ok ?? 0} downloaded, ${dl.failed ?? 0} failed, ${dl.not_yet_attempted ?? 0} not downloaded`;
+
+  const staffSelect = $('staff-filter');
+  [...staff.keys()].sort((a, b) => staff[a][1].localeCompare(staff[b][1]))
+    .forEach((i) => staffSelect.append(el('option', { value: String(i), textContent: staff[i][1] })));
+  const typeSelect = $('type-filter');
+  [...new Set(charts.map((c) => c.type))].sort()
+    .forEach((type) => typeSelect.append(el('option', { value: type, textContent: type })));
+
+  // <input type=date> gives YYYY-MM-DD; chart dates parse as local time.
+  const inputDate = (value, endOfDay) => {
+    if (!value) return null;
+    const [y, m, d] = value.split('-').map(Number);
+    return endOfDay ? new Date(y, m - 1, d, 23, 59, 59, 999).getTime() : new Date(y, m - 1, d).getTime();
+  };
+
+  function filters() {
+    const from = inputDate($('date-from').value, false);
+    const to = inputDate($('date-to').value, true);
+    return {
+      search: fold($('search').value.trim()),
+      staff: staffSelect.value === '' ? null : Number(staffSelect.value),
+      type: typeSelect.value || null,
+      status: $('status-filter').value || null,
+      from,
+      to,
+    };
+  }
+
+  function chartMatches(chart, f) {
+    if (f.staff !== null && !chart.staffRefs.includes(f.staff)) return false;
+    if (f.type && chart.type !== f.type) return false;
+    if (f.status === 'done' && chart.status !== 'done') return false;
+    if (f.status === 'failed' && chart.status !== 'failed') return false;
+    if (f.status === 'missing' && chart.status === 'done') return false;
+    if ((f.from !== null || f.to !== null) && chart.time === null) return false;
+    if (f.from !== null && chart.time < f.from) return false;
+    if (f.to !== null && chart.time > f.to) return false;
+    return true;
+  }
+
+  function patientMatches(index, f) {
+    if (!f.search) return true;
+    const [id, name, dob] = patients[index];
+    return fold(name).includes(f.search) || id.includes(f.search) || fold(dob).includes(f.search);
+  }
+
+  function chartTable(list, showPatient) {
+    const head = el('tr', {}, ['Date', ...(showPatient ? ['Patient'] : []), 'Chart type', 'Staff', 'Status', 'PDF']
+      .map((label) => el('th', { textContent: label })));
+    const body = list.slice(0, MAX_ROWS).map((chart) => {
+      const label = STATUS_LABELS[chart.status] || chart.status;
+      const status = el('td', {
+        className: `status ${chart.status}`,
+        textContent: chart.reason ? `${label} — ${chart.reason.replace(/_/g, ' ')}` : label,
+      });
+      const pdf = el('td');
+      if (chart.path) {
+        pdf.append(el('a', { href: href(chart.path), target: '_blank', textContent: chart.version > 1 ? `Open (v${chart.version})` : 'Open' }));
+        if (chart.duplicateOf) pdf.append(` same file as chart ${chart.duplicateOf}`);
+      }
+      const patientCell = showPatient
+        ? [el('td', {}, [el('a', {
+          href: '#',
+          textContent: patients[chart.patient][1],
+          onclick: (event) => { event.preventDefault(); selectPatient(chart.patient); },
+        })])]
+        : [];
+      return el('tr', {}, [
+        el('td', { textContent: chart.date || '—' }),
+        ...patientCell,
+        el('td', { textContent: chart.type }),
+        el('td', { textContent: chart.staffRefs.map((i) => staff[i][1]).join(', ') || '—' }),
+        status,
+        pdf,
+      ]);
+    });
+    const table = el('table', {}, [el('thead', {}, [head]), el('tbody', {}, body)]);
+    const note = list.length > MAX_ROWS
+      ? [el('p', { className: 'muted', textContent: `Showing the first ${MAX_ROWS} of ${list.length} charts — narrow the filters to see the rest.` })]
+      : [];
+    return [table, ...note];
+  }
+
+  function selectPatient(index) {
+    selectedPatient = index;
+    render();
+  }
+
+  function render() {
+    const f = filters();
+    const matching = charts.filter((c) => chartMatches(c, f) && patientMatches(c.patient, f));
+    const counts = new Map();
+    for (const chart of matching) counts.set(chart.patient, (counts.get(chart.patient) || 0) + 1);
+    const anyChartFilter = f.staff !== null || f.type || f.status || f.from !== null || f.to !== null;
+    const listed = [...patients.keys()]
+      .filter((i) => patientMatches(i, f) && (!anyChartFilter || counts.has(i)))
+      .sort((a, b) => patients[a][1].localeCompare(patients[b][1]));
+
+    $('patient-count').textContent = `${listed.length} patients`;
+    $('patient-list').replaceChildren(...listed.slice(0, MAX_ROWS).map((i) => el('li', {
+      className: i === selectedPatient ? 'selected' : '',
+      onclick: () => selectPatient(i),
+    }, [
+      el('span', { textContent: patients[i][1] }),
+      el('span', { className: 'muted', textContent: ` #${patients[i][0]}${patients[i][2] ? ` · ${patients[i][2]}` : ''} · ${counts.get(i) || 0}` }),
+    ])));
+
+    const detail = $('detail');
+    if (selectedPatient === null) {
+      detail.replaceChildren(
+        el('h2', { textContent: `${matching.length} matching charts` }),
+        ...chartTable(matching, true),
+      );
+      return;
+    }
+    const [id, name, dob, folder, combined] = patients[selectedPatient];
+    const own = matching.filter((c) => c.patient === selectedPatient);
+    const links = [];
+    if (folder) links.push(el('a', { href: href(`${folder}/`), target: '_blank', textContent: 'Open folder' }));
+    if (combined) links.push(' · ', el('a', { href: href(combined), target: '_blank', textContent: 'Combined PDF' }));
+    detail.replaceChildren(
+      el('p', {}, [el('a', { href: '#', textContent: '← All charts', onclick: (event) => { event.preventDefault(); selectPatient(null); } })]),
+      el('h2', { textContent: name }),
+      el('p', { className: 'muted', textContent: `Patient #${id}${dob ? ` · born ${dob}` : ''} · ${own.length} matching charts` }),
+      el('p', {}, links),
+      ...chartTable(own, false),
+    );
+  }
+
+  function renderFailures() {
+    const failed = charts.filter((c) => c.status !== 'done');
+    $('failure-count').textContent = String(failed.length);
+    $('failures').replaceChildren(...(failed.length ? chartTable(failed, true) : [el('p', { textContent: 'Every chart was downloaded.' })]));
+  }
+
+  for (const id of ['search', 'staff-filter', 'type-filter', 'status-filter', 'date-from', 'date-to']) {
+    $(id).addEventListener('input', () => render());
+  }
+  $('clear-filters').addEventListener('click', () => {
+    for (const id of ['search', 'staff-filter', 'type-filter', 'status-filter', 'date-from', 'date-to']) $(id).value = '';
+    selectedPatient = null;
+    render();
+  });
+  renderFailures();
+  render();
+}
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1f2937; background: #f5f7fb; }
+  header { background: #354277; color: white; padding: 14px 20px; }
+  header h1 { margin: 0; font-size: 16px; }
+  header p { margin: 2px 0 0; font-size: 12px; opacity: 0.85; }
+  .filters { display: flex; flex-wrap: wrap; gap: 8px; padding: 10px 20px; background: white; border-bottom: 1px solid #e5e7eb; }
+  .filters input, .filters select, .filters button { padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 6px; font: inherit; }
+  .filters label { display: flex; align-items: center; gap: 4px; color: #6b7280; }
+  main { display: grid; grid-template-columns: 300px 1fr; gap: 12px; padding: 12px 20px; }
+  .card { background: white; border: 1px solid #e5e7eb; border-radius: 8px; padding: 10px 12px; overflow: auto; }
+  #patient-list { list-style: none; margin: 6px 0 0; padding: 0; max-height: 70vh; overflow: auto; }
+  #patient-list li { padding: 5px 6px; border-radius: 4px; cursor: pointer; }
+  #patient-list li:hover { background: #f3f4f6; }
+  #patient-list li.selected { background: #e0e7ff; }
+  h2 { font-size: 15px; margin: 4px 0; }
+  table { border-collapse: collapse; width: 100%; margin-top: 6px; }
+  th, td { text-align: left; padding: 5px 6px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+  th { font-size: 12px; color: #6b7280; }
+  .muted { color: #6b7280; }
+  .status.done { color: #16a34a; }
+  .status.failed { color: #dc2626; }
+  .status.pending, .status.in_flight { color: #b45309; }
+  details { margin: 0 20px 20px; }
+  summary { cursor: pointer; font-weight: 600; padding: 6px 0; }
+`;
+
+/**
+ * Build index.html and, for large runs, its data files
+ *
+ * @param {Object} options
+ * @param {Array} options.charts - Chart records
+ * @param {Map} options.staffByChart - chart_id -> staff_id -> staff name
+ * @param {Array} options.patientProfiles - Patient profile entries
+ * @param {Array} options.staffProfiles - Staff profile entries
+ * @param {Object} options.summary - summary.json contents
+ * @param {string} options.root - Relative path from index.html to the
+ *   jane-scraper folder, e.g. '../'
+ * @param {Function} options.relativePath - file_path -> path inside the
+ *   jane-scraper folder
+ * @returns {Object} {html}
+ */
+export function buildExportBrowser({ charts, staffByChart, patientProfiles, staffProfiles, summary, root, relativePath }) {
+  const data = buildData({ charts, staffByChart, patientProfiles, staffProfiles, summary, relativePath });
+  const title = `${summary.clinic_name || 'Jane'} export${summary.run_id ? ` ${summary.run_id}` : ''}`;
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body data-root="${escapeHtml(root)}">
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <p id="run-info"></p>
+  <p id="stats"></p>
+</header>
+<div class="filters">
+  <input type="search" id="search" placeholder="Patient name, ID or date of birth" size="32">
+  <select id="staff-filter"><option value="">All staff</option></select>
+  <select id="type-filter"><option value="">All chart types</option></select>
+  <select id="status-filter">
+    <option value="">Any status</option>
+    <option value="done">Downloaded</option>
+    <option value="failed">Failed</option>
+    <option value="missing">Not downloaded</option>
+  </select>
+  <label>From <input type="date" id="date-from"></label>
+  <label>To <input type="date" id="date-to"></label>
+  <button type="button" id="clear-filters">Clear</button>
+</div>
+<main>
+  <section class="card">
+    <strong id="patient-count"></strong>
+    <ul id="patient-list"></ul>
+  </section>
+  <section class="card" id="detail"></section>
+</main>
+<details class="card">
+  <summary>Charts not downloaded (<span id="failure-count"></span>)</summary>
+  <div id="failures"></div>
+</details>
+<script type="application/json" id="export-data">${scriptSafeJson(data)}</script>
+<script>(${exportBrowserApp.toString()})();</script>
+</body>
+</html>
+`;
+  return { html };
+}
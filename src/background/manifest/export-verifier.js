@@ -0,0 +1,221 @@
+/**
+ * Standalone export verification.
+ *
+ * The disk audit in summary.json is a snapshot from the end of the run. Before
+ * an export is handed over, `verifyExport` re-checks it against what is on
+ * disk now, without running any phase:
+ *
+ *   - the disk audit (orphan_done, missing_on_disk, …) from disk-audit.js
+ *   - filename consistency: every chart PDF sits in its own patient's folder,
+ *     follows the `<Type>__<chartId>__<staff>[__v<N>].pdf` pattern and is the
+ *     file the chart record points at
+ *   - per-patient counts: files on disk vs charts expected
+ *   - connections: every (staff, chart) edge points at a known chart and every
+ *     chart has at least one edge
+ *
+ * The report lands in ~/Downloads/jane-scraper/_manifest/verification_<ts>.json
+ * (`.json.enc` for an encrypted run — it names patients).
+ * Only allowed while no run is active — mid-run the queue is still moving.
+ */
+
+import { listCharts, listConnections } from '../storage/chart-db.js';
+import { enumerateDiskPdfs, auditDisk } from './disk-audit.js';
+import { downloadJson, downloadBytes } from './manifest-writer.js';
+import { getSigningPublicKey } from './manifest-signer.js';
+import { getExportEncryptor } from '../coordinator/export-keyring.js';
+import { ENCRYPTED_SUFFIX } from '../../shared/utils/export-encryption.js';
+
+const IDLE_PHASES = Object.freeze(['idle', 'done', 'stopped']);
+const EXPECTED_FILENAME = /^[^/]+__\d+__[^/]*?(__v\d+)?\.pdf(\.enc)?$/;
+
+function timestampForFilename(at) {
+  return new Date(at).toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+function basename(path) {
+  return String(path || '').split('/').pop();
+}
+
+function checkFilenames(charts, disk) {
+  const chartsById = new Map(charts.map((c) => [String(c.chart_id), c]));
+  const unparseable = [];
+  const wrongFolder = [];
+  const badPattern = [];
+  const filePathMismatch = [];
+  const foldersByChartId = new Map();
+
+  for (const [patientId, meta] of disk.byPatient) {
+    for (const file of meta.files) {
+      if (!file.chartId) {
+        unparseable.push({ patient_id: patientId, filename: file.filename });
+        continue;
+      }
+      if (!EXPECTED_FILENAME.test(file.filename)) {
+        badPattern.push({ chart_id: file.chartId, patient_id: patientId, filename: file.filename });
+      }
+      const folders = foldersByChartId.get(file.chartId) || new Set();
+      folders.add(patientId);
+      foldersByChartId.set(file.chartId, folders);
+
+      const chart = chartsById.get(file.chartId);
+      if (chart?.patient_id && String(chart.patient_id) !== patientId) {
+        wrongFolder.push({
+          chart_id: file.chartId,
+          filename: file.filename,
+          found_in_patient_id: patientId,
+          expected_patient_id: String(chart.patient_id),
+        });
+      }
+    }
+  }
+
+  for (const chart of charts) {
+    if (chart.status !== 'done' || !chart.file_path) continue;
+    const onDisk = disk.byChartId.get(String(chart.chart_id));
+    if (onDisk && onDisk.filename !== basename(chart.file_path)) {
+      filePathMismatch.push({
+        chart_id: String(chart.chart_id),
+        recorded: chart.file_path,
+        on_disk: onDisk.filename,
+      });
+    }
+  }
+
+  const multipleFolders = [...foldersByChartId]
+    .filter(([, folders]) => folders.size > 1)
+    .map(([chartId, folders]) => ({ chart_id: chartId, patient_ids: [...folders] }));
+
+  return {
+    unparseable_filenames: unparseable,
+    unexpected_filename_pattern: badPattern,
+    wrong_patient_folder: wrongFolder,
+    chart_in_multiple_folders: multipleFolders,
+    file_path_mismatch: filePathMismatch,
+  };
+}
+
+function checkPatientCounts(charts, disk) {
+  const expected = new Map();
+  for (const chart of charts) {
+    // Deduplicated charts have no file in their own folder.
+    if (chart.status !== 'done' || !chart.patient_id || chart.duplicate_of) continue;
+    const key = String(chart.patient_id);
+    expected.set(key, (expected.get(key) || 0) + 1);
+  }
+  // Files from other runs are reported as extra_files_on_disk by the audit;
+  // only this export's charts count here.
+  const onDisk = new Map();
+  for (const chart of charts) {
+    const meta = disk.byChartId.get(String(chart.chart_id));
+    if (meta) onDisk.set(meta.patientId, (onDisk.get(meta.patientId) || 0) + 1);
+  }
+  const patientIds = new Set([...expected.keys(), ...onDisk.keys()]);
+  return [...patientIds]
+    .map((patientId) => ({
+      patient_id: patientId,
+      folder_name: disk.byPatient.get(patientId)?.folderName || null,
+      charts_done: expected.get(patientId) || 0,
+      charts_on_disk: onDisk.get(patientId) || 0,
+    }))
+    .filter((row) => row.charts_done !== row.charts_on_disk)
+    .sort((a, b) => Math.abs(b.charts_done - b.charts_on_disk) - Math.abs(a.charts_done - a.charts_on_disk));
+}
+
+function checkConnections(charts, connections) {
+  const chartIds = new Set(charts.map((c) => String(c.chart_id)));
+  const connected = new Set();
+  const dangling = [];
+  for (const edge of connections) {
+    const chartId = String(edge.chart_id);
+    connected.add(chartId);
+    if (!chartIds.has(chartId)) dangling.push({ staff_id: edge.staff_id, chart_id: chartId });
+  }
+  const unconnected = [...chartIds].filter((id) => !connected.has(id));
+  return { dangling_connections: dangling, charts_without_connections: unconnected };
+}
+
+export async function verifyExport() {
+  const { runState } = await chrome.storage.local.get('runState');
+  const phase = runState?.phase || 'idle';
+  if (!IDLE_PHASES.includes(phase)) {
+    return { ok: false, error: `Cannot verify while phase=${phase}` };
+  }
+
+  const verifiedAt = Date.now();
+  const [charts, connections, disk] = await Promise.all([
+    listCharts(),
+    listConnections(),
+    enumerateDiskPdfs({ recheck: true }),
+  ]);
+  if (charts.length === 0) return { ok: false, error: 'No export to verify' };
+
+  const audit = auditDisk({ charts, disk });
+  const filenames = checkFilenames(charts, disk);
+  const patientCountMismatches = checkPatientCounts(charts, disk);
+  const connectionChecks = checkConnections(charts, connections);
+
+  const problems = {
+    orphan_done: audit.orphan_done.length,
+    missing_on_disk: audit.missing_on_disk.length,
+    ghost_failed_but_on_disk: audit.ghost_failed_but_on_disk.length,
+    wrong_patient_folder: filenames.wrong_patient_folder.length,
+    chart_in_multiple_folders: filenames.chart_in_multiple_folders.length,
+    file_path_mismatch: filenames.file_path_mismatch.length,
+    unexpected_filename_pattern: filenames.unexpected_filename_pattern.length,
+    patient_count_mismatches: patientCountMismatches.length,
+    dangling_connections: connectionChecks.dangling_connections.length,
+    charts_without_connections: connectionChecks.charts_without_connections.length,
+  };
+  const passed = Object.values(problems).every((count) => count === 0);
+
+  const { runConfig } = await chrome.storage.local.get('runConfig');
+  const report = {
+    verified_at: new Date(verifiedAt).toISOString(),
+    run_id: runConfig?.runId || null,
+    clinic_name: runConfig?.clinicName || null,
+    passed,
+    problems,
+    totals: {
+      charts: charts.length,
+      charts_done: charts.filter((c) => c.status === 'done').length,
+      connections: connections.length,
+      files_on_disk: disk.total,
+      matched: audit.matched,
+    },
+    disk_audit: audit,
+    filenames,
+    patient_count_mismatches: patientCountMismatches,
+    connections: connectionChecks,
+  };
+
+  const encryptor = await getExportEncryptor(runConfig?.encryption || null);
+  let filename = `verification_${timestampForFilename(verifiedAt)}.json`;
+  if (encryptor) {
+    filename += ENCRYPTED_SUFFIX;
+    await downloadBytes(filename, await encryptor.encrypt(JSON.stringify(report, null, 2)));
+  } else {
+    await downloadJson(filename, report);
+  }
+  console.log(`[verify] ${passed ? 'passed' : 'found problems'} — ${filename}`, problems);
+  return { ok: true, passed, problems, totals: report.totals, file: filename };
+}
+
+export function handleVerifierMessage(message, _sender, sendResponse) {
+  switch (message.action) {
+    case 'verifyExport':
+      verifyExport()
+        .then(sendResponse)
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    // verify.html compares a signature's key with this installation's.
+    case 'getSigningPublicKey':
+      getSigningPublicKey()
+        .then((key) => sendResponse({ ok: true, key }))
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+      return true;
+
+    default:
+      return false;
+  }
+}
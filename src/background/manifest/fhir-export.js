@@ -0,0 +1,268 @@
+/**
+ * FHIR R4 export of the chart graph, for EMRs that import HL7 FHIR.
+ *
+ *   Patient            one per patient profile (name, birthDate, PHN and
+ *                      Jane ID identifiers, phone/email, address)
+ *   Practitioner       one per staff profile (name, email, title)
+ *   DocumentReference  one per downloaded chart: type, date, the patient as
+ *                      subject, every staff member the chart was found under
+ *                      as author, and the PDF as an attachment — relative to
+ *                      the jane-scraper folder, with its SHA-256 in an
+ *                      extension (Attachment.hash is SHA-1 in R4)
+ *
+ * Resources get ids derived from Jane's (patient-123, staff-45, chart-678)
+ * and the transaction bundles PUT them there, so references hold across
+ * bundles and re-importing the same export updates rather than duplicates.
+ * A patient or staff member seen only on charts, without a profile, still
+ * gets a resource with the name from the chart list.
+ *
+ * Every resource is checked against the bundled schema subset
+ * (fhir-schema.js) before it's written; one that fails is left out and
+ * listed, with the reasons, under `invalid` in fhir/index.json.
+ *
+ * manifest-writer.js writes the files under _manifest/fhir/:
+ *   <Type>.ndjson                    one resource per line, per type
+ *   bundle.json or bundle_NNN.json   transaction Bundles of up to 1000
+ *                                    entries, practitioners and patients
+ *                                    before documents
+ *   index.json                       counts, file list, invalid resources
+ */
+
+import { validateSchema } from '../../shared/utils/json-schema.js';
+import { FHIR_SCHEMA } from './fhir-schema.js';
+import { toIsoDate, normalizeAddress } from './normalize.js';
+
+export const FHIR_DIR = 'fhir';
+// FHIR servers cap the size of a transaction; 1000 entries is a common limit.
+const ENTRIES_PER_BUNDLE = 1000;
+const RESOURCE_TYPES = Object.freeze(['Practitioner', 'Patient', 'DocumentReference']);
+const FHIR_VERSION = '4.0.1';
+const SHA256_EXTENSION_URL = 'urn:jane-chart-assistant:fhir:attachment-sha256';
+// HL7 v2 table 0203: JHN, jurisdictional health number (Canada).
+const PHN_TYPE = {
+  coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'JHN', display: 'Jurisdictional health number (Canada)' }],
+  text: 'Personal Health Number',
+};
+
+function resourceId(prefix, id) {
+  return `${prefix}-${String(id).replace(/[^A-Za-z0-9.-]+/g, '-')}`.slice(0, 64);
+}
+
+// Drops empty values, which FHIR doesn't allow ("" fails the string type).
+function compact(object) {
+  const out = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value == null || value === '') continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+function text(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function humanName(name) {
+  const full = text(name);
+  if (!full) return [];
+  const parts = full.replace(/\([^)]*\)/g, ' ').split(' ').filter(Boolean);
+  return [compact({
+    text: full,
+    family: parts.length > 1 ? parts[parts.length - 1] : null,
+    given: parts.slice(0, -1),
+  })];
+}
+
+function telecom(record) {
+  return [
+    text(record.phone) && { system: 'phone', value: text(record.phone) },
+    text(record.email) && { system: 'email', value: text(record.email) },
+  ].filter(Boolean);
+}
+
+function fhirAddress(scraped) {
+  const address = normalizeAddress(scraped);
+  if (!address) return [];
+  return [compact({
+    text: address.raw,
+    line: address.street ? [address.street] : [],
+    city: address.city,
+    state: address.region,
+    postalCode: address.postal,
+    country: address.country,
+  })];
+}
+
+function buildPatient(id, record, systems) {
+  return compact({
+    resourceType: 'Patient',
+    id: resourceId('patient', id),
+    identifier: [
+      { system: systems.patient, value: String(id) },
+      text(record.phn) && { type: PHN_TYPE, value: text(record.phn) },
+    ].filter(Boolean),
+    name: humanName(record.name),
+    telecom: telecom(record),
+    birthDate: toIsoDate(record.dob),
+    address: fhirAddress(record.address),
+  });
+}
+
+function buildPractitioner(id, record, systems) {
+  return compact({
+    resourceType: 'Practitioner',
+    id: resourceId('staff', id),
+    identifier: [{ system: systems.staff, value: String(id) }],
+    name: humanName(record.name),
+    telecom: telecom({ email: record.email }),
+    qualification: text(record.title) ? [{ code: { text: text(record.title) } }] : [],
+  });
+}
+
+function buildDocumentReference(chart, authors, systems, relativePath) {
+  const chartDate = toIsoDate(chart.chart_date);
+  const path = relativePath(chart.file_path);
+  return compact({
+    resourceType: 'DocumentReference',
+    id: resourceId('chart', chart.chart_id),
+    identifier: [{ system: systems.chart, value: String(chart.chart_id) }],
+    status: 'current',
+    type: text(chart.chart_type) ? { text: text(chart.chart_type) } : null,
+    subject: chart.patient_id
+      ? compact({ reference: `Patient/${resourceId('patient', chart.patient_id)}`, display: text(chart.patient_name) })
+      : null,
+    author: authors.map((staff) => compact({
+      reference: `Practitioner/${resourceId('staff', staff.id)}`,
+      display: text(staff.name),
+    })),
+    description: [text(chart.chart_type), text(chart.chart_date)].filter(Boolean).join(' — '),
+    content: [{
+      attachment: compact({
+        extension: chart.sha256 ? [{ url: SHA256_EXTENSION_URL, valueString: chart.sha256 }] : [],
+        contentType: 'application/pdf',
+        url: path.split('/').map(encodeURIComponent).join('/'),
+        size: chart.size_bytes ?? null,
+        title: path.split('/').pop(),
+      }),
+    }],
+    context: chartDate ? { period: { start: chartDate } } : null,
+  });
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+function numbered(base, extension, index, total) {
+  return total > 1 ? `${base}_${String(index + 1).padStart(3, '0')}.${extension}` : `${base}.${extension}`;
+}
+
+/**
+ * Build the FHIR files for one export
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.charts - Chart records
+ * @param {Map<string, Map<string, string>>} options.staffByChart - chart_id ->
+ *   staff_id -> staff name, from the connection edges
+ * @param {Array<Object>} options.patientProfiles - Patient profile entries
+ * @param {Array<Object>} options.staffProfiles - Staff profile entries
+ * @param {string} options.clinicName - Jane clinic subdomain, for identifier systems
+ * @param {string} options.runId - Run the files belong to
+ * @param {string} options.generatedAt - ISO time, the bundles' timestamp
+ * @param {string} options.root - Path from the fhir folder up to jane-scraper/
+ * @param {Function} options.relativePath - file_path -> path under jane-scraper/
+ * @returns {{files: Array<{name: string, text: string, mime: string}>, summary: Object}}
+ */
+export function buildFhirExport({
+  charts, staffByChart, patientProfiles, staffProfiles, clinicName, runId, generatedAt, root, relativePath,
+}) {
+  const base = clinicName ? `https://${clinicName}.janeapp.com` : 'https://janeapp.com';
+  const systems = { patient: `${base}/patients`, staff: `${base}/staff`, chart: `${base}/chart_entries` };
+
+  const patients = new Map(patientProfiles.map((p) => [String(p.id), p.record || {}]));
+  const staff = new Map(staffProfiles.map((s) => [String(s.id), s.record || {}]));
+  for (const authors of staffByChart.values()) {
+    for (const [staffId, name] of authors) {
+      if (!staff.has(staffId)) staff.set(staffId, { name });
+    }
+  }
+
+  const documents = [];
+  let skippedCharts = 0;
+  for (const chart of charts) {
+    if (chart.status !== 'done' || !chart.file_path) {
+      skippedCharts += 1;
+      continue;
+    }
+    if (chart.patient_id && !patients.has(String(chart.patient_id))) {
+      patients.set(String(chart.patient_id), { name: chart.patient_name });
+    }
+    const authors = [...(staffByChart.get(String(chart.chart_id)) || new Map())]
+      .map(([id, name]) => ({ id, name: staff.get(id)?.name || name }));
+    documents.push(buildDocumentReference(chart, authors, systems, relativePath));
+  }
+
+  const built = {
+    Practitioner: [...staff].map(([id, record]) => buildPractitioner(id, record, systems)),
+    Patient: [...patients].map(([id, record]) => buildPatient(id, record, systems)),
+    DocumentReference: documents,
+  };
+
+  const valid = {};
+  const invalid = [];
+  for (const type of RESOURCE_TYPES) {
+    valid[type] = built[type].filter((resource) => {
+      const errors = validateSchema({ $ref: `#/definitions/${type}` }, resource, { root: FHIR_SCHEMA, maxErrors: 5 });
+      if (errors.length > 0) invalid.push({ resource_type: type, id: resource.id, errors });
+      return errors.length === 0;
+    });
+  }
+
+  const files = [];
+  const ndjson = [];
+  for (const type of RESOURCE_TYPES) {
+    if (valid[type].length === 0) continue;
+    const name = `${type}.ndjson`;
+    files.push({ name, text: `${valid[type].map((r) => JSON.stringify(r)).join('\n')}\n`, mime: 'text/plain' });
+    ndjson.push({ type, file: name, count: valid[type].length });
+  }
+
+  const entries = RESOURCE_TYPES.flatMap((type) => valid[type].map((resource) => ({
+    resource,
+    request: { method: 'PUT', url: `${type}/${resource.id}` },
+  })));
+  const bundleChunks = chunk(entries, ENTRIES_PER_BUNDLE);
+  const bundles = [];
+  bundleChunks.forEach((entry, i) => {
+    const bundle = { resourceType: 'Bundle', type: 'transaction', timestamp: generatedAt, entry };
+    const errors = validateSchema({ $ref: '#/definitions/Bundle' }, bundle, { root: FHIR_SCHEMA, maxErrors: 5 });
+    const name = numbered('bundle', 'json', i, bundleChunks.length);
+    files.push({ name, text: JSON.stringify(bundle), mime: 'application/json' });
+    bundles.push({ file: name, entries: entry.length, ...(errors.length > 0 ? { errors } : {}) });
+  });
+
+  const summary = {
+    fhir_version: FHIR_VERSION,
+    resources: Object.fromEntries(RESOURCE_TYPES.map((type) => [type, valid[type].length])),
+    bundle_count: bundles.length,
+    invalid_count: invalid.length,
+    charts_not_downloaded: skippedCharts,
+  };
+  const index = {
+    generated_at: generatedAt,
+    run_id: runId || null,
+    ...summary,
+    // DocumentReference attachment URLs are relative to the jane-scraper
+    // folder; this is the way there from this file.
+    attachment_root: root,
+    sha256_extension: SHA256_EXTENSION_URL,
+    ndjson,
+    bundles,
+    invalid,
+  };
+  files.push({ name: 'index.json', text: JSON.stringify(index, null, 2), mime: 'application/json' });
+  return { files, summary };
+}
@@ -0,0 +1,217 @@
+/**
+ * The part of the HL7 FHIR R4 JSON schema (hl7.org/fhir/R4/fhir.schema.json)
+ * that the FHIR export writes: Bundle, Patient, Practitioner and
+ * DocumentReference, with only the elements fhir-export.js fills in.
+ * Definitions, patterns and required lists are copied from the R4 schema;
+ * elements it doesn't write are left out, so with additionalProperties
+ * false anything unexpected in a resource is reported too.
+ *
+ * Checked with src/shared/utils/json-schema.js.
+ */
+
+const ref = (name) => ({ $ref: `#/definitions/${name}` });
+const list = (name) => ({ type: 'array', items: ref(name) });
+
+export const FHIR_SCHEMA = Object.freeze({
+  $schema: 'http://json-schema.org/draft-06/schema#',
+  id: 'http://hl7.org/fhir/json-schema/4.0',
+  definitions: {
+    ResourceList: {
+      oneOf: [ref('Patient'), ref('Practitioner'), ref('DocumentReference')],
+    },
+
+    // Primitive types.
+    id: { type: 'string', pattern: '^[A-Za-z0-9\\-\\.]{1,64}$' },
+    string: { type: 'string', pattern: '^[ \\r\\n\\t\\S]+$' },
+    uri: { type: 'string', pattern: '^\\S*$' },
+    url: { type: 'string', pattern: '^\\S*$' },
+    code: { type: 'string', pattern: '^[^\\s]+(\\s[^\\s]+)*$' },
+    boolean: { type: 'boolean' },
+    unsignedInt: { type: 'number', pattern: '^[0]|([1-9][0-9]*)$' },
+    date: {
+      type: 'string',
+      pattern: '^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?$',
+    },
+    dateTime: {
+      type: 'string',
+      pattern: '^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$',
+    },
+    instant: {
+      type: 'string',
+      pattern: '^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$',
+    },
+
+    // Data types.
+    Extension: {
+      type: 'object',
+      properties: { url: ref('uri'), valueString: ref('string') },
+      required: ['url'],
+      additionalProperties: false,
+    },
+    Coding: {
+      type: 'object',
+      properties: { system: ref('uri'), code: ref('code'), display: ref('string') },
+      additionalProperties: false,
+    },
+    CodeableConcept: {
+      type: 'object',
+      properties: { coding: list('Coding'), text: ref('string') },
+      additionalProperties: false,
+    },
+    Identifier: {
+      type: 'object',
+      properties: {
+        use: { enum: ['usual', 'official', 'temp', 'secondary', 'old'] },
+        type: ref('CodeableConcept'),
+        system: ref('uri'),
+        value: ref('string'),
+      },
+      additionalProperties: false,
+    },
+    HumanName: {
+      type: 'object',
+      properties: {
+        use: { enum: ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'] },
+        text: ref('string'),
+        family: ref('string'),
+        given: list('string'),
+      },
+      additionalProperties: false,
+    },
+    ContactPoint: {
+      type: 'object',
+      properties: {
+        system: { enum: ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'] },
+        value: ref('string'),
+        use: { enum: ['home', 'work', 'temp', 'old', 'mobile'] },
+      },
+      additionalProperties: false,
+    },
+    Address: {
+      type: 'object',
+      properties: {
+        use: { enum: ['home', 'work', 'temp', 'old', 'billing'] },
+        type: { enum: ['postal', 'physical', 'both'] },
+        text: ref('string'),
+        line: list('string'),
+        city: ref('string'),
+        state: ref('string'),
+        postalCode: ref('string'),
+        country: ref('string'),
+      },
+      additionalProperties: false,
+    },
+    Reference: {
+      type: 'object',
+      properties: { reference: ref('string'), display: ref('string') },
+      additionalProperties: false,
+    },
+    Period: {
+      type: 'object',
+      properties: { start: ref('dateTime'), end: ref('dateTime') },
+      additionalProperties: false,
+    },
+    Attachment: {
+      type: 'object',
+      properties: {
+        extension: list('Extension'),
+        contentType: ref('code'),
+        url: ref('url'),
+        size: ref('unsignedInt'),
+        title: ref('string'),
+      },
+      additionalProperties: false,
+    },
+
+    // Resources.
+    Patient: {
+      type: 'object',
+      properties: {
+        resourceType: { const: 'Patient' },
+        id: ref('id'),
+        identifier: list('Identifier'),
+        active: ref('boolean'),
+        name: list('HumanName'),
+        telecom: list('ContactPoint'),
+        birthDate: ref('date'),
+        address: list('Address'),
+      },
+      required: ['resourceType'],
+      additionalProperties: false,
+    },
+    Practitioner_Qualification: {
+      type: 'object',
+      properties: { code: ref('CodeableConcept') },
+      required: ['code'],
+      additionalProperties: false,
+    },
+    Practitioner: {
+      type: 'object',
+      properties: {
+        resourceType: { const: 'Practitioner' },
+        id: ref('id'),
+        identifier: list('Identifier'),
+        active: ref('boolean'),
+        name: list('HumanName'),
+        telecom: list('ContactPoint'),
+        qualification: list('Practitioner_Qualification'),
+      },
+      required: ['resourceType'],
+      additionalProperties: false,
+    },
+    DocumentReference_Content: {
+      type: 'object',
+      properties: { attachment: ref('Attachment') },
+      required: ['attachment'],
+      additionalProperties: false,
+    },
+    DocumentReference_Context: {
+      type: 'object',
+      properties: { period: ref('Period') },
+      additionalProperties: false,
+    },
+    DocumentReference: {
+      type: 'object',
+      properties: {
+        resourceType: { const: 'DocumentReference' },
+        id: ref('id'),
+        identifier: list('Identifier'),
+        status: { enum: ['current', 'superseded', 'entered-in-error'] },
+        type: ref('CodeableConcept'),
+        subject: ref('Reference'),
+        author: list('Reference'),
+        description: ref('string'),
+        content: { type: 'array', items: ref('DocumentReference_Content'), minItems: 1 },
+        context: ref('DocumentReference_Context'),
+      },
+      required: ['content', 'resourceType'],
+      additionalProperties: false,
+    },
+    Bundle_Request: {
+      type: 'object',
+      properties: {
+        method: { enum: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'] },
+        url: ref('uri'),
+      },
+      required: ['method', 'url'],
+      additionalProperties: false,
+    },
+    Bundle_Entry: {
+      type: 'object',
+      properties: { fullUrl: ref('uri'), resource: ref('ResourceList'), request: ref('Bundle_Request') },
+      additionalProperties: false,
+    },
+    Bundle: {
+      type: 'object',
+      properties: {
+        resourceType: { const: 'Bundle' },
+        id: ref('id'),
+        type: { enum: ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'] },
+        timestamp: ref('instant'),
+        entry: list('Bundle_Entry'),
+      },
+      required: ['resourceType'],
+      additionalProperties: false,
+    },
+  },
+});
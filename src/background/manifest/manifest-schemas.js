@@ -0,0 +1,347 @@
+/**
+ * JSON Schemas for the manifest files, one per file, versioned together.
+ *
+ * Every JSON manifest carries `schema_version` (MANIFEST_SCHEMA_VERSION):
+ * patients.json, staff.json and connections.json wrap their rows as
+ * { schema_version, generated_at, run_id, <rows> }, summary.json, delta.json
+ * and duplicates.json have it at the top, and every connections.jsonl line
+ * has it. The CSV files can't; summary.json says which version they follow.
+ *
+ * Version history:
+ *   1  (unversioned) bare arrays, `address` as { lines, raw }, dates as
+ *      Jane's display text
+ *   2  envelopes, `address` as { street, city, region, postal, country, raw },
+ *      ISO dates (`<field>_text` keeps any date that couldn't be read),
+ *      string IDs, fixed patient and staff fields. Not readable as 1; the
+ *      README's "Manifest schema versions" section is the migration note.
+ *
+ * Any change a reader of the previous version would trip over bumps
+ * MANIFEST_SCHEMA_VERSION and gets a line here and in the README.
+ *
+ * writeAllManifests checks every file it writes against these (with
+ * src/shared/utils/json-schema.js) and reports violations in summary.json
+ * under `schema_validation`; the schemas themselves are written to
+ * _manifest/schemas/ for whoever ingests the export.
+ */
+
+import { validateSchema } from '../../shared/utils/json-schema.js';
+
+export const MANIFEST_SCHEMA_VERSION = 2;
+export const SCHEMA_DIR = 'schemas';
+// Violations listed in summary.json; the count covers all of them.
+const MAX_REPORTED_VIOLATIONS = 100;
+const MAX_ERRORS_PER_CHECK = 20;
+
+const ref = (name) => ({ $ref: `#/definitions/${name}` });
+const list = (name) => ({ type: 'array', items: ref(name) });
+
+const COMMON_DEFINITIONS = {
+  id: { type: 'string', minLength: 1 },
+  nullableId: { type: ['string', 'null'], minLength: 1 },
+  text: { type: ['string', 'null'] },
+  count: { type: 'integer' },
+  isoDate: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+  isoDateTime: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?Z$' },
+  sha256: { type: 'string', pattern: '^[0-9a-f]{64}$' },
+  filePath: { type: 'string', pattern: '^jane-scraper/' },
+  downloadStatus: { type: 'string', pattern: '^(ok|failed_.+)$' },
+};
+
+const ENVELOPE = {
+  schema_version: { const: MANIFEST_SCHEMA_VERSION },
+  generated_at: ref('isoDateTime'),
+  run_id: ref('text'),
+};
+
+function schemaFor(name, root, definitions = {}) {
+  return {
+    $schema: 'http://json-schema.org/draft-06/schema#',
+    $id: `urn:jane-chart-assistant:manifest:${MANIFEST_SCHEMA_VERSION}:${name}`,
+    title: name,
+    ...root,
+    definitions: { ...COMMON_DEFINITIONS, ...definitions },
+  };
+}
+
+function envelope(rowsField, rowDefinition) {
+  return {
+    type: 'object',
+    properties: { ...ENVELOPE, [rowsField]: list(rowDefinition) },
+    required: [...Object.keys(ENVELOPE), rowsField],
+    additionalProperties: false,
+  };
+}
+
+const PATIENT = {
+  type: 'object',
+  properties: {
+    patient_id: ref('id'),
+    name: ref('text'),
+    dob: ref('isoDate'),
+    dob_text: { type: 'string' },
+    phn: ref('text'),
+    email: ref('text'),
+    phone: ref('text'),
+    address: ref('Address'),
+    profile_status: { enum: ['ok', 'partial', 'failed', 'not_captured'] },
+    combined_pdf: ref('CombinedPdf'),
+  },
+  required: ['patient_id', 'name', 'dob', 'phn', 'email', 'phone', 'address', 'profile_status', 'combined_pdf'],
+  additionalProperties: false,
+};
+
+const ADDRESS = {
+  type: ['object', 'null'],
+  properties: {
+    street: ref('text'),
+    city: ref('text'),
+    region: ref('text'),
+    postal: ref('text'),
+    country: ref('text'),
+    raw: { type: 'string' },
+  },
+  required: ['street', 'city', 'region', 'postal', 'country', 'raw'],
+  additionalProperties: false,
+};
+
+const COMBINED_PDF = {
+  type: ['object', 'null'],
+  properties: {
+    file_path: ref('filePath'),
+    sha256: { type: ['string', 'null'], pattern: '^[0-9a-f]{64}$' },
+    bytes: { type: ['integer', 'null'] },
+    stored_sha256: { type: ['string', 'null'], pattern: '^[0-9a-f]{64}$' },
+    stored_bytes: { type: ['integer', 'null'] },
+    pages: { type: ['integer', 'null'] },
+    charts: { type: 'array', items: { type: ['string', 'integer'] } },
+    skipped: { type: 'array' },
+    created_at: ref('count'),
+  },
+  required: ['file_path'],
+  additionalProperties: false,
+};
+
+const STAFF = {
+  type: 'object',
+  properties: {
+    staff_id: ref('id'),
+    name: ref('text'),
+    email: ref('text'),
+    title: ref('text'),
+    profile_status: { enum: ['ok', 'partial', 'failed', 'not_captured'] },
+  },
+  required: ['staff_id', 'name', 'email', 'title', 'profile_status'],
+  additionalProperties: false,
+};
+
+const CONNECTION = {
+  type: 'object',
+  properties: {
+    staff_id: ref('id'),
+    chart_id: ref('id'),
+    patient_id: ref('nullableId'),
+    chart_type: ref('text'),
+    chart_date: ref('isoDate'),
+    chart_date_text: { type: 'string' },
+    download_status: ref('downloadStatus'),
+    file_path: ref('filePath'),
+    page_count: ref('count'),
+    sha256: ref('sha256'),
+    bytes: ref('count'),
+    duplicate_of: ref('id'),
+    delta_status: { enum: ['added', 'changed', 'unchanged'] },
+    version: ref('count'),
+    versions: list('ChartVersion'),
+  },
+  required: ['staff_id', 'chart_id', 'patient_id', 'chart_type', 'chart_date', 'download_status'],
+  additionalProperties: false,
+};
+
+const CHART_VERSION = {
+  type: 'object',
+  properties: {
+    version: ref('count'),
+    file_path: ref('filePath'),
+    run_id: ref('text'),
+    downloaded_at: { type: ['integer', 'string', 'null'] },
+    sha256: { type: ['string', 'null'], pattern: '^[0-9a-f]{64}$' },
+  },
+  required: ['version', 'file_path'],
+  additionalProperties: false,
+};
+
+// A chart as listed in delta.json, summary.json's failed_charts and
+// duplicates.json.
+const chartRow = (extra, required) => ({
+  type: 'object',
+  properties: {
+    chart_id: ref('id'),
+    chart_type: ref('text'),
+    chart_date: ref('isoDate'),
+    chart_date_text: { type: 'string' },
+    patient_id: ref('nullableId'),
+    patient_name: ref('text'),
+    ...extra,
+  },
+  required: ['chart_id', 'chart_type', 'chart_date', 'patient_id', 'patient_name', ...required],
+  additionalProperties: false,
+});
+
+const counts = (fields) => ({
+  type: 'object',
+  properties: Object.fromEntries(fields.map((field) => [field, ref('count')])),
+  required: fields,
+});
+
+export const MANIFEST_SCHEMAS = Object.freeze({
+  'patients.json': schemaFor('patients.json', envelope('patients', 'Patient'), {
+    Patient: PATIENT,
+    Address: ADDRESS,
+    CombinedPdf: COMBINED_PDF,
+  }),
+
+  'staff.json': schemaFor('staff.json', envelope('staff', 'Staff'), { Staff: STAFF }),
+
+  'connections.json': schemaFor('connections.json', envelope('connections', 'Connection'), {
+    Connection: CONNECTION,
+    ChartVersion: CHART_VERSION,
+  }),
+
+  // One line of connections.jsonl.
+  'connections.jsonl': schemaFor('connections.jsonl', {
+    ...CONNECTION,
+    properties: { schema_version: ENVELOPE.schema_version, ...CONNECTION.properties },
+    required: ['schema_version', ...CONNECTION.required],
+  }, { ChartVersion: CHART_VERSION }),
+
+  // Sections added by optional features (delta, fhir, …) are allowed
+  // without being described here.
+  'summary.json': schemaFor('summary.json', {
+    type: 'object',
+    properties: {
+      ...ENVELOPE,
+      clinic_name: ref('text'),
+      totals: counts(['connections', 'unique_charts', 'unique_patients', 'unique_staff_involved']),
+      downloads: counts(['total', 'ok', 'failed', 'not_yet_attempted', 'amended']),
+      failed_charts: list('FailedChart'),
+      per_staff: { type: 'array' },
+      per_patient: { type: 'array' },
+      profiles: {
+        type: 'object',
+        properties: {
+          patients: counts(['total', 'ok', 'partial', 'failed']),
+          staff: counts(['total', 'ok', 'partial', 'failed']),
+          incomplete: { type: 'array' },
+        },
+        required: ['patients', 'staff', 'incomplete'],
+      },
+      audit: { type: 'object' },
+    },
+    required: [
+      ...Object.keys(ENVELOPE), 'clinic_name', 'totals', 'downloads', 'failed_charts', 'per_staff', 'per_patient',
+      'profiles', 'audit',
+    ],
+  }, {
+    FailedChart: chartRow({
+      staff_id: ref('nullableId'),
+      staff_name: ref('text'),
+      failure_reason: { type: 'string' },
+      retry_count: ref('count'),
+      expected_file_path: ref('text'),
+    }, ['staff_id', 'staff_name', 'failure_reason', 'retry_count', 'expected_file_path']),
+  }),
+
+  'delta.json': schemaFor('delta.json', {
+    type: 'object',
+    properties: {
+      ...ENVELOPE,
+      baseline_run_id: ref('id'),
+      counts: counts(['added', 'changed', 'unchanged', 'removed']),
+      added: list('DeltaChart'),
+      changed: list('DeltaChart'),
+      removed: list('DeltaChart'),
+    },
+    required: [...Object.keys(ENVELOPE), 'baseline_run_id', 'counts', 'added', 'changed', 'removed'],
+    additionalProperties: false,
+  }, {
+    DeltaChart: chartRow({
+      staff_id: ref('nullableId'),
+      staff_name: ref('text'),
+      file_path: { type: ['string', 'null'], pattern: '^jane-scraper/' },
+    }, ['staff_id', 'staff_name', 'file_path']),
+  }),
+
+  'duplicates.json': schemaFor('duplicates.json', {
+    type: 'object',
+    properties: {
+      ...ENVELOPE,
+      counts: counts(['groups', 'duplicate_charts', 'deduplicated']),
+      groups: list('DuplicateGroup'),
+    },
+    required: [...Object.keys(ENVELOPE), 'counts', 'groups'],
+    additionalProperties: false,
+  }, {
+    DuplicateGroup: {
+      type: 'object',
+      properties: {
+        sha256: ref('sha256'),
+        bytes: { type: ['integer', 'null'] },
+        canonical_chart_id: ref('id'),
+        canonical_file_path: ref('filePath'),
+        charts: list('DuplicateChart'),
+      },
+      required: ['sha256', 'bytes', 'canonical_chart_id', 'canonical_file_path', 'charts'],
+      additionalProperties: false,
+    },
+    DuplicateChart: chartRow({
+      file_path: { type: ['string', 'null'], pattern: '^jane-scraper/' },
+      deduplicated: { type: 'boolean' },
+    }, ['file_path', 'deduplicated']),
+  }),
+});
+
+/**
+ * Where a manifest's schema is written: patients.json -> patients.schema.json,
+ * connections.jsonl -> connections_line.schema.json
+ *
+ * @param {string} name - Manifest file name
+ * @returns {string} Schema file name
+ */
+export function schemaFilename(name) {
+  return `${name.replace(/\.jsonl$/, '_line').replace(/\.json$/, '')}.schema.json`;
+}
+
+/**
+ * Collects violations across every manifest of one write. Files are checked
+ * as they're built; a JSON Lines file is checked a line at a time.
+ *
+ * @returns {{check: Function, result: Function}} check(name, data[, extra])
+ *   validates one file or line against MANIFEST_SCHEMAS[name], `extra` going
+ *   into each violation (`line`, or `file` when the data is written under
+ *   another name); result() is the summary.json report
+ */
+export function createSchemaReport() {
+  const checked = new Set();
+  const violations = [];
+  let violationCount = 0;
+  return {
+    check(name, data, extra = {}) {
+      checked.add(extra.file || name);
+      const errors = validateSchema(MANIFEST_SCHEMAS[name], data, { maxErrors: MAX_ERRORS_PER_CHECK });
+      violationCount += errors.length;
+      for (const error of errors) {
+        if (violations.length >= MAX_REPORTED_VIOLATIONS) break;
+        violations.push({ file: name, ...extra, ...error });
+      }
+    },
+    result() {
+      return {
+        schema_version: MANIFEST_SCHEMA_VERSION,
+        valid: violationCount === 0,
+        files_checked: [...checked],
+        violation_count: violationCount,
+        violations,
+      };
+    },
+  };
+}
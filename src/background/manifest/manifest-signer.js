@@ -0,0 +1,114 @@
+/**
+ * Manifest signing.
+ *
+ * writeAllManifests hands over every file it wrote plus every PDF of the
+ * export (path relative to the jane-scraper folder, SHA-256, size); this
+ * module builds the Merkle root over them and signs the result with the
+ * extension's ECDSA P-256 key, producing the manifest.sig.json document.
+ *
+ * The key pair is generated on first use and kept in IndexedDB (`keys`
+ * store). The private key is non-extractable — it can sign but never leave
+ * the extension — so a signature proves the export was produced by this
+ * installation and not edited since. The public key is embedded in every
+ * signature and also written as signing_key.pub.json.
+ *
+ * Format and verification live in shared/utils/manifest-signature.js;
+ * verify.html uses them to re-check an export folder.
+ */
+
+import { getKeyRecord, putKeyRecord } from '../storage/chart-db.js';
+import {
+  SIGNATURE_FORMAT,
+  KEY_ALGORITHM,
+  SIGN_ALGORITHM,
+  merkleRoot,
+  publicKeyId,
+} from '../../shared/utils/manifest-signature.js';
+import { canonicalJson, bytesToBase64 } from '../../shared/utils/crypto-utils.js';
+
+const SIGNING_KEY_ID = 'manifest_signing';
+
+let keyPromise = null;
+
+async function loadOrCreateKey() {
+  const existing = await getKeyRecord(SIGNING_KEY_ID);
+  if (existing?.private_key) return existing;
+
+  const pair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+  const jwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+  const publicJwk = { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+  const record = {
+    id: SIGNING_KEY_ID,
+    private_key: pair.privateKey,
+    public_key_jwk: publicJwk,
+    key_id: await publicKeyId(publicJwk),
+    created_at: Date.now(),
+  };
+  await putKeyRecord(record);
+  console.log(`[signer] generated manifest signing key ${record.key_id.slice(0, 16)}…`);
+  return record;
+}
+
+function getSigningKey() {
+  if (!keyPromise) {
+    keyPromise = loadOrCreateKey().catch((error) => {
+      keyPromise = null;
+      throw error;
+    });
+  }
+  return keyPromise;
+}
+
+/**
+ * The public half of the signing key, as written to signing_key.pub.json.
+ */
+export async function getSigningPublicKey() {
+  const key = await getSigningKey();
+  return {
+    key_id: key.key_id,
+    algorithm: 'ECDSA P-256 / SHA-256',
+    public_key_jwk: key.public_key_jwk,
+    created_at: new Date(key.created_at).toISOString(),
+  };
+}
+
+/**
+ * Sign an export.
+ *
+ * @param {Object} params
+ * @param {Array<{path, sha256, bytes}>} params.files - Every hashed file
+ * @param {Array<string>} params.unhashed - PDFs in the export with no hash
+ *   (saved by an earlier version's native fallback); listed, not covered by
+ *   the signature
+ * @returns {Promise<Object>} manifest.sig.json document
+ */
+export async function signManifest({ files, unhashed = [], runId = null, clinicName = null, generatedAt }) {
+  const key = await getSigningKey();
+  const sorted = [...files].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  const payload = {
+    run_id: runId,
+    clinic_name: clinicName,
+    generated_at: generatedAt,
+    hash_algorithm: 'SHA-256',
+    merkle_root: await merkleRoot(sorted),
+    file_count: sorted.length,
+    files: sorted.map((f) => ({ path: f.path, sha256: f.sha256, bytes: f.bytes ?? null })),
+    unhashed_pdfs: [...unhashed].sort(),
+  };
+  const signature = await crypto.subtle.sign(
+    SIGN_ALGORITHM,
+    key.private_key,
+    new TextEncoder().encode(canonicalJson(payload)),
+  );
+  return {
+    format: SIGNATURE_FORMAT,
+    payload,
+    signature: {
+      algorithm: 'ECDSA P-256 / SHA-256 (IEEE P1363 r||s, base64)',
+      key_id: key.key_id,
+      public_key_jwk: key.public_key_jwk,
+      signed_over: 'canonical JSON of payload (keys sorted, no whitespace)',
+      value: bytesToBase64(signature),
+    },
+  };
+}
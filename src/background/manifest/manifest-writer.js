@@ -1,96 +1,159 @@
 /**
- * Writes the manifests at the end of Phase 3.
+ * Writes the manifests at the end of Phase 3 into
+ * ~/Downloads/jane-scraper/_manifest/ (or _manifest/history/<runId>/, plus
+ * run.json, when a past run is regenerated):
  *
- *   ~/Downloads/jane-scraper/_manifest/patients.json
- *   ~/Downloads/jane-scraper/_manifest/staff.json
- *   ~/Downloads/jane-scraper/_manifest/connections.json       (small runs)
- *   ~/Downloads/jane-scraper/_manifest/connections_001.json   (chunked
- *   ~/Downloads/jane-scraper/_manifest/connections_002.json    when large)
- *   ~/Downloads/jane-scraper/_manifest/connections_index.json (chunk listing)
- *   ~/Downloads/jane-scraper/_manifest/summary.json           (run summary)
+ *   patients.json, staff.json, connections.json (or connections.jsonl)
+ *   summary.json, delta.json (incremental runs), duplicates.json
+ *   patients.csv, staff.csv, connections.csv, failed_charts.csv (CSV formats)
+ *   checksums.sha256, audit_log.jsonl, index.html (offline browser)
+ *   fhir/ (when asked for), schemas/
+ *   signing_key.pub.json, manifest.sig.json (written last)
  *
- * Uses chrome.downloads.download with data: URIs. That caps individual file
- * size at ~2 MB of encoded URL safely; for the connections list (which can
- * grow past 10k entries for a full run) we chunk at 3000 rows each and write
- * an index alongside. patients.json and staff.json are always single-file.
+ * Every file is saved in one piece: the text goes to an offscreen document
+ * that builds a Blob (downloads/offscreen-blobs.js). Encrypted runs write
+ * each file as `<name>.enc`, except the schemas, public key and signature.
  */
 
-import { listProfiles, listCharts, listConnections } from '../storage/chart-db.js';
+import {
+  listProfiles,
+  listCharts,
+  listConnections,
+  getRun,
+  listRunCharts,
+  listRunConnections,
+  listRunProfiles,
+  listChartVersions,
+  listConnectionsPage,
+} from '../storage/chart-db.js';
+import { enumerateDiskPdfs, auditDisk } from './disk-audit.js';
+import { signManifest, getSigningPublicKey } from './manifest-signer.js';
+import { sha256Hex } from '../../shared/utils/crypto-utils.js';
+import { createBlobFile } from '../downloads/offscreen-blobs.js';
+import { ENCRYPTED_SUFFIX } from '../../shared/utils/export-encryption.js';
+import { AUDIT_EVENT, recordAuditEvent, listAuditEvents, verifyAuditChain, toJsonl } from '../coordinator/audit-log.js';
+import { getExportEncryptor } from '../coordinator/export-keyring.js';
+import { buildExportBrowser } from './export-browser.js';
+import { toCsv, createPagedCsv } from './csv.js';
+import { buildFhirExport, FHIR_DIR } from './fhir-export.js';
+import { isoDateFields, normalizeAddress } from './normalize.js';
+import {
+  MANIFEST_SCHEMA_VERSION,
+  MANIFEST_SCHEMAS,
+  SCHEMA_DIR,
+  schemaFilename,
+  createSchemaReport,
+} from './manifest-schemas.js';
 
 const MANIFEST_DIR = 'jane-scraper/_manifest';
-const CONNECTIONS_CHUNK_SIZE = 3000;
-const CHART_ID_IN_FILENAME = /__(\d+)__/;
-
-/**
- * Enumerate every PDF Chrome has on disk in jane-scraper/{patient}/ and
- * group by patient_id. Returns:
- *   { byPatient: Map<patientId, {folderName, files: [{filename, chartId?}]}>,
- *     byChartId: Map<chartId, {filename, patientId}>,
- *     total }
- *
- * chartId is parsed from the `__<id>__` segment of the filename that
- * download-worker.js builds; null if the filename doesn't contain it.
- */
-async function enumerateDiskPdfs() {
-  const downloads = await chrome.downloads.search({
-    filenameRegex: 'jane-scraper/\\d+_[^/]+/.*\\.pdf$',
-    exists: true,
-    limit: 0,
+const HISTORY_DIR = `${MANIFEST_DIR}/history`;
+const CONNECTIONS_PAGE_SIZE = 2000;
+const EXPORT_ROOT_PREFIX = 'jane-scraper/';
+
+// runConfig.manifestFormat: JSON, CSV (for Excel, see csv.js) or both for
+// patients, staff and connections. Everything else is always JSON.
+export const MANIFEST_FORMATS = Object.freeze(['json', 'csv', 'both']);
+const DEFAULT_MANIFEST_FORMAT = 'json';
+export const CONNECTIONS_FORMATS = Object.freeze(['json', 'jsonl']);
+// Leading CSV columns, so the file has a stable layout even when the first
+// rows lack a field; anything else a record has follows.
+const PATIENT_CSV_COLUMNS = ['patient_id', 'name', 'dob', 'phn', 'email', 'phone',
+  'address.street', 'address.city', 'address.region', 'address.postal', 'address.country', 'address.raw', 'profile_status'];
+const STAFF_CSV_COLUMNS = ['staff_id', 'name', 'email', 'title', 'profile_status'];
+const CONNECTION_CSV_COLUMNS = ['staff_id', 'chart_id', 'patient_id', 'chart_type', 'chart_date', 'download_status', 'file_path'];
+const FAILED_CHART_CSV_COLUMNS = [
+  'chart_id', 'chart_type', 'chart_date', 'patient_id', 'patient_name', 'staff_id', 'staff_name',
+  'failure_reason', 'retry_count', 'expected_file_path',
+];
+
+// Rows in the shape manifest-schemas.js describes, not the scraped record
+// as-is: dates in ISO form, the address split into its parts.
+function buildPatientManifest(profiles) {
+  return profiles.map((entry) => {
+    const record = entry.record || {};
+    return {
+      patient_id: String(entry.id),
+      name: record.name || null,
+      ...isoDateFields('dob', record.dob),
+      phn: record.phn || null,
+      email: record.email || null,
+      phone: record.phone || null,
+      address: normalizeAddress(record.address),
+      profile_status: entry.profile_status,
+      combined_pdf: entry.combined_pdf || null,
+    };
   });
-
-  const byPatient = new Map();
-  const byChartId = new Map();
-
-  for (const dl of downloads || []) {
-    const match = dl.filename && dl.filename.match(/jane-scraper\/(\d+)_([^/]+)\/([^/]+\.pdf)$/);
-    if (!match) continue;
-    const patientId = match[1];
-    const folderName = match[2];
-    const filenameOnly = match[3];
-    const chartIdMatch = filenameOnly.match(CHART_ID_IN_FILENAME);
-    const chartId = chartIdMatch ? chartIdMatch[1] : null;
-
-    if (!byPatient.has(patientId)) {
-      byPatient.set(patientId, { folderName, files: [] });
-    }
-    byPatient.get(patientId).files.push({ filename: filenameOnly, chartId });
-
-    if (chartId && !byChartId.has(chartId)) {
-      byChartId.set(chartId, { filename: filenameOnly, patientId });
-    }
-  }
-
-  return { byPatient, byChartId, total: byChartId.size };
 }
 
-function buildPatientManifest(profiles) {
+function buildStaffManifest(profiles) {
   return profiles.map((entry) => ({
-    patient_id: entry.id,
-    ...entry.record,
+    staff_id: String(entry.id),
+    name: entry.record?.name || null,
+    email: entry.record?.email || null,
+    title: entry.record?.title || null,
     profile_status: entry.profile_status,
   }));
 }
 
-function buildStaffManifest(profiles) {
-  return profiles.map((entry) => ({
-    staff_id: entry.id,
-    ...entry.record,
-    profile_status: entry.profile_status,
-  }));
+// What the summary, index.html and the FHIR export need of the connection
+// edges, fed a page of edges at a time so the edges themselves needn't all
+// be in memory.
+function createConnectionRollup(chartsById) {
+  const staffStats = new Map();
+  const staffByPatient = new Map();
+  const staffByChart = new Map();
+  let total = 0;
+  return {
+    staffStats,
+    staffByPatient,
+    staffByChart,
+    get total() { return total; },
+    add(edges) {
+      for (const conn of edges) {
+        total += 1;
+        const key = String(conn.staff_id);
+        if (!staffStats.has(key)) {
+          staffStats.set(key, {
+            staff_id: key,
+            staff_name: conn.staff_name || null,
+            charts_total: 0,
+            charts_ok: 0,
+            charts_failed: 0,
+            unique_patients: new Set(),
+          });
+        }
+        const s = staffStats.get(key);
+        s.charts_total += 1;
+        if (conn.patient_id) s.unique_patients.add(String(conn.patient_id));
+        const chart = chartsById.get(String(conn.chart_id));
+        if (chart?.status === 'done') s.charts_ok += 1;
+        else if (chart?.status === 'failed') s.charts_failed += 1;
+
+        const patientKey = String(conn.patient_id || '');
+        if (!staffByPatient.has(patientKey)) staffByPatient.set(patientKey, new Set());
+        staffByPatient.get(patientKey).add(key);
+
+        const chartKey = String(conn.chart_id);
+        if (!staffByChart.has(chartKey)) staffByChart.set(chartKey, new Map());
+        staffByChart.get(chartKey).set(key, conn.staff_name);
+      }
+    },
+  };
 }
 
-function buildSummary({ charts, connections, patientProfiles, staffProfiles, chartsById, clinicName, disk }) {
+function buildSummary({ charts, connections, patientProfiles, staffProfiles, clinicName, runId, disk }) {
   // Downloads
   const dlTotal = charts.length;
   const dlOk = charts.filter((c) => c.status === 'done').length;
   const dlFailed = charts.filter((c) => c.status === 'failed').length;
   const dlStuck = charts.filter((c) => c.status === 'pending' || c.status === 'in_flight').length;
+  const dlAmended = charts.filter((c) => c.amended_from).length;
   const failedCharts = charts
     .filter((c) => c.status === 'failed')
     .map((c) => ({
       chart_id: String(c.chart_id),
       chart_type: c.chart_type || null,
-      chart_date: c.chart_date || null,
+      ...isoDateFields('chart_date', c.chart_date),
       patient_id: c.patient_id ? String(c.patient_id) : null,
       patient_name: c.patient_name || null,
       staff_id: c.staff_id ? String(c.staff_id) : null,
@@ -105,26 +168,7 @@ function buildSummary({ charts, connections, patientProfiles, staffProfiles, cha
 
   // Per-staff rollup (via connections — a chart shared by N staff counts N
   // times, so these sum up to total_edges, not unique_charts).
-  const staffStats = new Map();
-  for (const conn of connections) {
-    const key = String(conn.staff_id);
-    if (!staffStats.has(key)) {
-      staffStats.set(key, {
-        staff_id: key,
-        staff_name: conn.staff_name || null,
-        charts_total: 0,
-        charts_ok: 0,
-        charts_failed: 0,
-        unique_patients: new Set(),
-      });
-    }
-    const s = staffStats.get(key);
-    s.charts_total += 1;
-    if (conn.patient_id) s.unique_patients.add(String(conn.patient_id));
-    const chart = chartsById.get(String(conn.chart_id));
-    if (chart?.status === 'done') s.charts_ok += 1;
-    else if (chart?.status === 'failed') s.charts_failed += 1;
-  }
+  const { staffStats } = connections;
   const per_staff = [...staffStats.values()]
     .map((s) => ({
       staff_id: s.staff_id,
@@ -155,9 +199,8 @@ function buildSummary({ charts, connections, patientProfiles, staffProfiles, cha
     if (chart.status === 'done') p.charts_ok += 1;
     else if (chart.status === 'failed') p.charts_failed += 1;
   }
-  for (const conn of connections) {
-    const key = String(conn.patient_id || '');
-    if (patientStats.has(key)) patientStats.get(key).staff_seen.add(String(conn.staff_id));
+  for (const [key, staffIds] of connections.staffByPatient) {
+    if (patientStats.has(key)) patientStats.get(key).staff_seen = staffIds;
   }
   const per_patient = [...patientStats.values()]
     .map((p) => ({
@@ -193,114 +236,16 @@ function buildSummary({ charts, connections, patientProfiles, staffProfiles, cha
   const patientProfileCounts = profileCounts(patientProfiles);
   const staffProfileCounts = profileCounts(staffProfiles);
 
-  // Disk audit — cross-reference IndexedDB status against the actual files
-  // Chrome can see in the jane-scraper folders. Catches three kinds of drift:
-  //   - orphan_done: chart marked done in DB but file missing on disk
-  //     (e.g. user deleted the PDF, or completeChart fired but save failed)
-  //   - unknown_on_disk: file on disk with no matching chart in this run
-  //     (leftover from a previous run / unrelated download)
-  //   - missing_on_disk: chart not marked done (failed/pending/in_flight)
-  //     AND no file on disk — the true "needs re-download" set
-  const audit = { enabled: !!disk };
-  if (disk) {
-    const diskByChartId = disk.byChartId || new Map();
-    const diskByPatient = disk.byPatient || new Map();
-
-    const orphanDone = [];
-    const missingOnDisk = [];
-    const ghostFailed = [];
-    const matchedChartIds = new Set();
-
-    for (const chart of charts) {
-      const chartId = String(chart.chart_id);
-      const onDisk = diskByChartId.has(chartId);
-      if (onDisk) matchedChartIds.add(chartId);
-
-      const row = {
-        chart_id: chartId,
-        patient_id: chart.patient_id ? String(chart.patient_id) : null,
-        patient_name: chart.patient_name || null,
-        staff_id: chart.staff_id ? String(chart.staff_id) : null,
-        staff_name: chart.staff_name || null,
-        chart_type: chart.chart_type || null,
-        chart_date: chart.chart_date || null,
-        db_status: chart.status,
-        file_path: chart.file_path || (onDisk ? `jane-scraper/${chart.patient_id}_.../${diskByChartId.get(chartId).filename}` : null),
-      };
-
-      if (chart.status === 'done' && !onDisk) {
-        orphanDone.push({ ...row, failure_reason: 'file missing from disk despite done status' });
-      } else if (chart.status === 'failed' && !onDisk) {
-        missingOnDisk.push({ ...row, failure_reason: chart.failure_reason || 'unknown' });
-      } else if ((chart.status === 'pending' || chart.status === 'in_flight') && !onDisk) {
-        missingOnDisk.push({ ...row, failure_reason: `never_attempted: ${chart.status}` });
-      } else if (chart.status === 'failed' && onDisk) {
-        ghostFailed.push(row);
-      }
-    }
-
-    const extraFiles = [];
-    for (const [chartId, meta] of diskByChartId) {
-      if (!matchedChartIds.has(chartId)) {
-        extraFiles.push({ chart_id: chartId, patient_id: meta.patientId, filename: meta.filename });
-      }
-    }
-
-    // Concentration heuristic — if >50% of missing charts belong to one
-    // patient or one staff, surface that so the user can tell "systematic
-    // problem" vs "random noise".
-    const missByPatient = new Map();
-    const missByStaff = new Map();
-    for (const row of missingOnDisk) {
-      if (row.patient_id) missByPatient.set(row.patient_id, (missByPatient.get(row.patient_id) || 0) + 1);
-      if (row.staff_id) missByStaff.set(row.staff_id, (missByStaff.get(row.staff_id) || 0) + 1);
-    }
-    const hotspotOf = (map, totalFailed) => {
-      if (totalFailed === 0) return null;
-      let best = null;
-      for (const [key, count] of map) {
-        if (!best || count > best.count) best = { key, count };
-      }
-      if (!best) return null;
-      const ratio = best.count / totalFailed;
-      return ratio >= 0.5 ? { id: best.key, count: best.count, ratio_of_failures: Number(ratio.toFixed(2)) } : null;
-    };
-
-    // Count files per patient on disk (actual) vs expected from chart store
-    const expectedByPatient = new Map();
-    for (const chart of charts) {
-      const key = chart.patient_id ? String(chart.patient_id) : 'unknown';
-      expectedByPatient.set(key, (expectedByPatient.get(key) || 0) + 1);
-    }
-    const diskCountByPatient = [...diskByPatient.entries()]
-      .map(([pid, meta]) => ({
-        patient_id: pid,
-        folder_name: meta.folderName,
-        files_on_disk: meta.files.length,
-        charts_expected: expectedByPatient.get(pid) || 0,
-        gap: (expectedByPatient.get(pid) || 0) - meta.files.length,
-      }))
-      .sort((a, b) => b.files_on_disk - a.files_on_disk);
-
-    Object.assign(audit, {
-      files_on_disk_total: disk.total,
-      charts_in_queue: charts.length,
-      matched: matchedChartIds.size,
-      orphan_done: orphanDone,
-      missing_on_disk: missingOnDisk,
-      ghost_failed_but_on_disk: ghostFailed,
-      extra_files_on_disk: extraFiles,
-      hotspot_patient: hotspotOf(missByPatient, missingOnDisk.length),
-      hotspot_staff: hotspotOf(missByStaff, missingOnDisk.length),
-      per_patient_file_counts: diskCountByPatient,
-    });
-  }
+  // Disk audit — see disk-audit.js.
+  const audit = disk ? { enabled: true, ...auditDisk({ charts, disk }) } : { enabled: false };
 
   return {
+    schema_version: MANIFEST_SCHEMA_VERSION,
     generated_at: new Date().toISOString(),
+    run_id: runId || null,
     clinic_name: clinicName || null,
     totals: {
-      connections: connections.length,
+      connections: connections.total,
       unique_charts: charts.length,
       unique_patients: patientStats.size,
       unique_staff_involved: staffStats.size,
@@ -310,6 +255,7 @@ function buildSummary({ charts, connections, patientProfiles, staffProfiles, cha
       ok: dlOk,
       failed: dlFailed,
       not_yet_attempted: dlStuck,
+      amended: dlAmended,
     },
     failed_charts: failedCharts,
     per_staff,
@@ -326,7 +272,53 @@ function buildSummary({ charts, connections, patientProfiles, staffProfiles, cha
   };
 }
 
-function buildConnectionsManifest(connections, chartsById) {
+function deltaRow(chart) {
+  return {
+    chart_id: String(chart.chart_id),
+    chart_type: chart.chart_type || null,
+    ...isoDateFields('chart_date', chart.chart_date),
+    patient_id: chart.patient_id ? String(chart.patient_id) : null,
+    patient_name: chart.patient_name || null,
+    staff_id: chart.staff_id ? String(chart.staff_id) : null,
+    staff_name: chart.staff_name || null,
+    file_path: chart.file_path || null,
+  };
+}
+
+// Incremental runs: what changed relative to the baseline run. Unchanged
+// charts are only counted here — each one is still tagged in connections.
+function buildDelta({ charts, baselineCharts, baselineRunId, runId }) {
+  const seen = new Set(charts.map((c) => String(c.chart_id)));
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const chart of charts) {
+    if (chart.delta_status === 'unchanged') unchanged += 1;
+    else if (chart.delta_status === 'changed') changed.push(deltaRow(chart));
+    else added.push(deltaRow(chart));
+  }
+  const removed = baselineCharts
+    .filter((c) => c.status === 'done' && !seen.has(String(c.chart_id)))
+    .map(deltaRow);
+
+  return {
+    schema_version: MANIFEST_SCHEMA_VERSION,
+    generated_at: new Date().toISOString(),
+    run_id: runId || null,
+    baseline_run_id: baselineRunId,
+    counts: {
+      added: added.length,
+      changed: changed.length,
+      unchanged,
+      removed: removed.length,
+    },
+    added,
+    changed,
+    removed,
+  };
+}
+
+function buildConnectionsManifest(connections, chartsById, versionsById = new Map()) {
   // One row per (staff, chart) edge — a chart shared by N staff produces N
   // rows. Download status comes from the deduped charts store (all staff on
   // the same chart share the same downloaded PDF).
@@ -334,76 +326,317 @@ function buildConnectionsManifest(connections, chartsById) {
     const chart = chartsById.get(String(c.chart_id));
     const status = chart?.status;
     const row = {
-      staff_id: c.staff_id,
-      chart_id: c.chart_id,
-      patient_id: c.patient_id || null,
+      staff_id: String(c.staff_id),
+      chart_id: String(c.chart_id),
+      patient_id: c.patient_id ? String(c.patient_id) : null,
       chart_type: c.chart_type || null,
-      chart_date: c.chart_date || null,
+      ...isoDateFields('chart_date', c.chart_date),
       download_status: status === 'done' ? 'ok' : `failed_${chart?.failure_reason || status || 'unknown'}`,
     };
     if (chart?.file_path) row.file_path = chart.file_path;
+    if (chart?.page_count) row.page_count = chart.page_count;
+    if (chart?.sha256) row.sha256 = chart.sha256;
+    if (chart?.size_bytes != null) row.bytes = chart.size_bytes;
+    if (chart?.duplicate_of) row.duplicate_of = chart.duplicate_of;
+    if (chart?.delta_status) row.delta_status = chart.delta_status;
+    if (chart?.version) {
+      row.version = chart.version;
+      // Earlier versions stay on disk; list them so an amended chart's
+      // history can be followed. Regenerated past runs stop at their own
+      // version.
+      const history = (versionsById.get(String(c.chart_id))?.history || [])
+        .filter((v) => v.version <= chart.version);
+      if (history.length > 1) {
+        row.versions = history.map((v) => ({
+          version: v.version,
+          file_path: v.file_path,
+          run_id: v.run_id,
+          downloaded_at: v.downloaded_at,
+          sha256: v.sha256 || null,
+        }));
+      }
+    }
     return row;
   });
 }
 
-function toDataUrl(data) {
-  const json = JSON.stringify(data, null, 2);
-  return `data:application/json;charset=utf-8,${encodeURIComponent(json)}`;
+function buildChecksums(charts, versionsById, patientProfiles = []) {
+  // `sha256sum -c` format with paths relative to jane-scraper/. One line per
+  // file on disk, including the earlier versions of amended
+  // charts and the combined per-patient PDFs. Every chart is hashed before
+  // it's saved now; one with no hash (saved by an earlier version's native
+  // fallback, in a past run's history) is counted as missing instead.
+  //
+  // An encrypted PDF has two hashes: the PDF's (checksums.sha256 lists it
+  // under the decrypted name) and the .enc file's (`pdfs`, for the
+  // signature, which is over what's on disk).
+  const plain = new Map();
+  const onDisk = new Map();
+  const unhashed = new Set();
+  let missing = 0;
+  const add = (filePath, sha256, bytes, storedSha256, storedBytes) => {
+    const encrypted = filePath.endsWith(ENCRYPTED_SUFFIX);
+    if (!sha256) {
+      if (!unhashed.has(exportRelativePath(filePath))) missing += 1;
+      unhashed.add(exportRelativePath(filePath));
+      return;
+    }
+    plain.set(decryptedPath(filePath), { sha256, bytes });
+    if (!encrypted) onDisk.set(filePath, { sha256, bytes });
+    else if (storedSha256) onDisk.set(filePath, { sha256: storedSha256, bytes: storedBytes });
+    else unhashed.add(exportRelativePath(filePath));
+  };
+  for (const chart of charts) {
+    if (chart.status !== 'done' || !chart.file_path) continue;
+    add(chart.file_path, chart.sha256, chart.size_bytes ?? null, chart.stored_sha256, chart.stored_bytes ?? null);
+    const history = versionsById.get(String(chart.chart_id))?.history || [];
+    for (const v of history) {
+      if (v.version < (chart.version || 1) && v.file_path && v.sha256) {
+        add(v.file_path, v.sha256, v.size_bytes ?? null, v.stored_sha256, v.stored_bytes ?? null);
+      }
+    }
+  }
+  for (const entry of patientProfiles) {
+    const combined = entry.combined_pdf;
+    if (combined?.file_path) {
+      add(combined.file_path, combined.sha256, combined.bytes ?? null, combined.stored_sha256, combined.stored_bytes ?? null);
+    }
+  }
+  const toList = (hashes) => [...hashes]
+    .map(([filePath, hash]) => ({ path: exportRelativePath(filePath), ...hash }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+  const lines = toList(plain).map(({ sha256, path }) => `${sha256}  ${path}`);
+  return {
+    text: lines.length > 0 ? `${lines.join('\n')}\n` : '',
+    files: lines.length,
+    missing,
+    pdfs: toList(onDisk),
+    unhashed: [...unhashed],
+  };
 }
 
-function downloadJson(filename, data) {
-  return new Promise((resolve, reject) => {
-    chrome.downloads.download({
-      url: toDataUrl(data),
-      filename: `${MANIFEST_DIR}/${filename}`,
-      saveAs: false,
-      conflictAction: 'overwrite',
-    }, (downloadId) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else if (downloadId === undefined) {
-        reject(new Error(`chrome.downloads.download returned no id for ${filename}`));
-      } else {
-        resolve(downloadId);
-      }
-    });
-  });
+function decryptedPath(filePath) {
+  return filePath.endsWith(ENCRYPTED_SUFFIX) ? filePath.slice(0, -ENCRYPTED_SUFFIX.length) : filePath;
 }
 
-async function writeConnectionsManifest(connections) {
-  if (connections.length <= CONNECTIONS_CHUNK_SIZE) {
-    const id = await downloadJson('connections.json', connections);
-    return { single: true, chunks: 1, download_ids: [id] };
+function exportRelativePath(filePath) {
+  return filePath.startsWith(EXPORT_ROOT_PREFIX) ? filePath.slice(EXPORT_ROOT_PREFIX.length) : filePath;
+}
+
+function buildDuplicates(charts) {
+  // Jane clinics copy chart entries and merged patients keep both copies, so
+  // the same PDF can turn up under several chart IDs and patient folders.
+  // Group done charts by content hash; the canonical chart is the one whose
+  // file the others point at (dedupe mode) or, failing that, the first saved.
+  const byHash = new Map();
+  for (const chart of charts) {
+    if (chart.status !== 'done' || !chart.sha256) continue;
+    const group = byHash.get(chart.sha256) || [];
+    group.push(chart);
+    byHash.set(chart.sha256, group);
   }
 
-  const chunks = [];
-  for (let i = 0; i < connections.length; i += CONNECTIONS_CHUNK_SIZE) {
-    chunks.push(connections.slice(i, i + CONNECTIONS_CHUNK_SIZE));
+  const groups = [];
+  for (const [sha256, members] of byHash) {
+    if (members.length < 2) continue;
+    members.sort((a, b) => (a.completed_at || 0) - (b.completed_at || 0));
+    const pointedAt = members.find((c) => members.some((m) => m.duplicate_of === String(c.chart_id)));
+    const canonical = pointedAt || members.find((c) => !c.duplicate_of) || members[0];
+    groups.push({
+      sha256,
+      bytes: canonical.size_bytes ?? null,
+      canonical_chart_id: String(canonical.chart_id),
+      canonical_file_path: canonical.file_path,
+      charts: members.map((c) => ({
+        chart_id: String(c.chart_id),
+        patient_id: c.patient_id ? String(c.patient_id) : null,
+        patient_name: c.patient_name || null,
+        chart_type: c.chart_type || null,
+        ...isoDateFields('chart_date', c.chart_date),
+        file_path: c.file_path || null,
+        deduplicated: !!c.duplicate_of,
+      })),
+    });
   }
-  const downloadIds = [];
-  const files = [];
-  for (let i = 0; i < chunks.length; i++) {
-    const suffix = String(i + 1).padStart(3, '0');
-    const name = `connections_${suffix}.json`;
-    files.push({ file: name, rows: chunks[i].length });
-    downloadIds.push(await downloadJson(name, chunks[i]));
+  groups.sort((a, b) => b.charts.length - a.charts.length);
+
+  const duplicateCharts = groups.reduce((n, g) => n + g.charts.length - 1, 0);
+  return {
+    counts: {
+      groups: groups.length,
+      duplicate_charts: duplicateCharts,
+      deduplicated: charts.filter((c) => c.status === 'done' && c.duplicate_of).length,
+    },
+    groups,
+  };
+}
+
+export function downloadJson(filename, data, dir = MANIFEST_DIR) {
+  return downloadText(filename, JSON.stringify(data, null, 2), dir, 'application/json');
+}
+
+export function downloadText(filename, text, dir = MANIFEST_DIR, mime = 'text/plain') {
+  return downloadBytes(filename, text, dir, mime);
+}
+
+// `data` is text or bytes. Resolves to the download ID once it's on disk.
+export async function downloadBytes(filename, data, dir = MANIFEST_DIR, mime = 'application/octet-stream') {
+  const file = await createBlobFile(mime);
+  await file.append(data);
+  const { downloadId } = await file.save(`${dir}/${filename}`);
+  return downloadId;
+}
+
+// Writes into one manifest dir and keeps the hash of every file written, for
+// the signature. With an encryptor every file is written encrypted unless
+// the write asks for `plain`. writeStream hands `produce` an append function
+// instead of taking the text.
+function createManifestSink(dir, encryptor = null) {
+  const written = [];
+  const write = async (filename, text, mime, { plain = false } = {}) => {
+    let bytes = new TextEncoder().encode(text);
+    let id;
+    if (encryptor && !plain) {
+      bytes = await encryptor.encrypt(bytes);
+      filename = `${filename}${ENCRYPTED_SUFFIX}`;
+      id = await downloadBytes(filename, bytes, dir);
+    } else {
+      id = await downloadText(filename, text, dir, mime);
+    }
+    written.push({ path: exportRelativePath(`${dir}/${filename}`), sha256: await sha256Hex(bytes), bytes: bytes.length });
+    return id;
+  };
+  return {
+    written,
+    encrypted: !!encryptor,
+    writeJson: (filename, data, options) => write(filename, JSON.stringify(data, null, 2), 'application/json', options),
+    writeText: (filename, text, options = {}) => write(filename, text, options.mime || 'text/plain', options),
+    writeCsv: (filename, text, options) => write(filename, text, 'text/csv', options),
+    async writeStream(filename, mime, produce, options = {}) {
+      if (encryptor && !options.plain) {
+        const parts = [];
+        await produce(async (text) => { parts.push(text); });
+        return write(filename, parts.join(''), mime, options);
+      }
+      const file = await createBlobFile(mime);
+      await produce((text) => file.append(text));
+      const saved = await file.save(`${dir}/${filename}`);
+      written.push({ path: exportRelativePath(`${dir}/${filename}`), sha256: saved.sha256, bytes: saved.bytes });
+      return saved.downloadId;
+    },
+  };
+}
+
+// Every file written plus every PDF, under one signed Merkle root
+// (manifest-signer.js); verify.html re-checks an export folder against it.
+async function writeSignature({ sink, dir, checksums, runId, clinicName, generatedAt }) {
+  try {
+    const publicKey = await getSigningPublicKey();
+    await sink.writeJson('signing_key.pub.json', publicKey, { plain: true });
+    const signed = await signManifest({
+      files: [...sink.written, ...checksums.pdfs],
+      unhashed: checksums.unhashed,
+      runId,
+      clinicName,
+      generatedAt,
+    });
+    const downloadId = await downloadJson('manifest.sig.json', signed, dir);
+    return {
+      download_id: downloadId,
+      merkle_root: signed.payload.merkle_root,
+      key_id: signed.signature.key_id,
+      files: signed.payload.file_count,
+    };
+  } catch (error) {
+    // The manifests are already written; an unsigned export beats none.
+    console.warn('[manifest] signing failed:', error.message);
+    return { error: error.message };
   }
-  const indexId = await downloadJson('connections_index.json', {
-    total_rows: connections.length,
-    chunk_size: CONNECTIONS_CHUNK_SIZE,
-    files,
+}
+
+async function forEachConnectionPage(runId, fn) {
+  let after = null;
+  do {
+    const page = await listConnectionsPage({ runId, after, limit: CONNECTIONS_PAGE_SIZE });
+    await fn(page.rows);
+    after = page.next;
+  } while (after);
+}
+
+// connections.jsonl, built and checked a page of edges at a time.
+function writeConnectionsJsonl({ sink, runId, chartsById, versionsById, report }) {
+  return sink.writeStream('connections.jsonl', 'text/plain', async (append) => {
+    let line = 0;
+    await forEachConnectionPage(runId, async (edges) => {
+      const rows = buildConnectionsManifest(edges, chartsById, versionsById)
+        .map((row) => ({ schema_version: MANIFEST_SCHEMA_VERSION, ...row }));
+      for (const row of rows) report.check('connections.jsonl', row, { line: ++line });
+      if (rows.length > 0) await append(`${rows.map((row) => JSON.stringify(row)).join('\n')}\n`);
+    });
   });
-  downloadIds.push(indexId);
-  return { single: false, chunks: chunks.length, download_ids: downloadIds };
 }
 
-export async function writeAllManifests({ clinicName } = {}) {
+// connections.csv next to connections.jsonl: the columns were collected
+// while rolling up the edges, the rows are written a page at a time.
+function writeConnectionsCsvPages({ sink, runId, chartsById, versionsById, csv }) {
+  return sink.writeStream('connections.csv', 'text/csv', async (append) => {
+    await append(csv.header());
+    await forEachConnectionPage(runId, async (edges) => {
+      if (edges.length > 0) await append(csv.lines(buildConnectionsManifest(edges, chartsById, versionsById)));
+    });
+  });
+}
+
+// Without `withConnections` the edges are left in IndexedDB for the paged
+// passes.
+async function loadWorkingSet({ withConnections }) {
   const [patientProfiles, staffProfiles, charts, connectionEdges] = await Promise.all([
     listProfiles('patient'),
     listProfiles('staff'),
     listCharts(),
-    listConnections(),
+    withConnections ? listConnections() : null,
+  ]);
+  return { patientProfiles, staffProfiles, charts, connectionEdges };
+}
+
+async function loadArchivedRun(runId, { withConnections }) {
+  const [patientProfiles, staffProfiles, charts, connectionEdges] = await Promise.all([
+    listRunProfiles(runId, 'patient'),
+    listRunProfiles(runId, 'staff'),
+    listRunCharts(runId),
+    withConnections ? listRunConnections(runId) : null,
   ]);
+  return { patientProfiles, staffProfiles, charts, connectionEdges };
+}
+
+/**
+ * Build and write every manifest. Without `runId` this reads the current
+ * run's working set into _manifest/; with `runId` it reads that run's
+ * archived snapshot into _manifest/history/<runId>/. An `encryptor` (or
+ * null) passed in is used instead of the current run's from the keyring.
+ */
+export async function writeAllManifests({ clinicName, runId = null, baselineRunId = null, fromHistory = false, encryptor: suppliedEncryptor } = {}) {
+  const run = fromHistory ? await getRun(runId) : null;
+  if (fromHistory && !run) throw new Error(`Unknown run ${runId}`);
+  const baseline = fromHistory ? run.baseline_run_id : baselineRunId;
+  const dir = fromHistory ? `${HISTORY_DIR}/${runId}` : MANIFEST_DIR;
+
+  // Resolved before anything is written: a locked encrypted run must fail
+  // here rather than fall back to plaintext.
+  const runConfig = fromHistory ? null : (await chrome.storage.local.get('runConfig')).runConfig;
+  const encryption = fromHistory ? run.encryption : runConfig?.encryption;
+  const encryptor = suppliedEncryptor !== undefined ? suppliedEncryptor : await getExportEncryptor(encryption || null);
+  const format = (fromHistory ? run.manifest_format : runConfig?.manifestFormat) || DEFAULT_MANIFEST_FORMAT;
+  const formats = { json: format !== 'csv', csv: format !== 'json' };
+  const connectionsFormat = (fromHistory ? run.connections_format : runConfig?.connectionsFormat) || 'json';
+  const fhirExport = fromHistory ? !!run.fhir_export : !!runConfig?.fhirExport;
+  // JSON Lines are written from IndexedDB a page of edges at a time, and so
+  // is connections.csv beside them; the edges are never loaded whole.
+  const streamConnections = formats.json && connectionsFormat === 'jsonl';
+
+  const { patientProfiles, staffProfiles, charts, connectionEdges } = fromHistory
+    ? await loadArchivedRun(runId, { withConnections: !streamConnections })
+    : await loadWorkingSet({ withConnections: !streamConnections });
 
   let disk = null;
   try {
@@ -413,37 +646,188 @@ export async function writeAllManifests({ clinicName } = {}) {
   }
 
   const chartsById = new Map(charts.map((c) => [String(c.chart_id), c]));
+  const versionsById = new Map((await listChartVersions()).map((v) => [String(v.chart_id), v]));
   const patients = buildPatientManifest(patientProfiles);
   const staff = buildStaffManifest(staffProfiles);
-  const connections = buildConnectionsManifest(connectionEdges, chartsById);
+  const connectionsRunId = fromHistory ? runId : null;
+  const rollup = createConnectionRollup(chartsById);
+  const connectionsCsv = streamConnections && formats.csv ? createPagedCsv(CONNECTION_CSV_COLUMNS) : null;
+  let connections = null;
+  if (streamConnections) {
+    await forEachConnectionPage(connectionsRunId, (edges) => {
+      rollup.add(edges);
+      connectionsCsv?.addColumns(buildConnectionsManifest(edges, chartsById, versionsById));
+    });
+  } else {
+    rollup.add(connectionEdges);
+    connections = buildConnectionsManifest(connectionEdges, chartsById, versionsById);
+  }
   const summary = buildSummary({
     charts,
-    connections: connectionEdges,
+    connections: rollup,
     patientProfiles,
     staffProfiles,
-    chartsById,
-    clinicName,
+    clinicName: clinicName || run?.clinic_name,
+    runId,
     disk,
   });
 
-  const patientsId = await downloadJson('patients.json', patients);
-  const staffId = await downloadJson('staff.json', staff);
-  const connectionsResult = await writeConnectionsManifest(connections);
-  const summaryId = await downloadJson('summary.json', summary);
+  const checksums = buildChecksums(charts, versionsById, patientProfiles);
+  const duplicates = buildDuplicates(charts);
+  summary.duplicates = duplicates.counts;
+  summary.checksums = { files: checksums.files, charts_without_checksum: checksums.missing };
+  summary.encrypted = !!encryptor;
+  summary.manifest_format = format;
+  summary.connections_format = formats.json ? connectionsFormat : null;
+
+  // The write itself is the last event of the exported log.
+  const auditRunId = runId || run?.run_id || null;
+  await recordAuditEvent(AUDIT_EVENT.MANIFEST_WRITE, {
+    runId: auditRunId ?? undefined,
+    clinicName: summary.clinic_name ?? undefined,
+    details: { dir, from_history: fromHistory, charts: charts.length, connections: rollup.total },
+  });
+  const auditEvents = auditRunId ? await listAuditEvents(auditRunId) : [];
+  summary.audit_log = await verifyAuditChain(auditEvents, { perRun: true });
+
+  let delta = null;
+  if (baseline) {
+    const baselineCharts = await listRunCharts(baseline);
+    delta = buildDelta({ charts, baselineCharts, baselineRunId: baseline, runId });
+    summary.delta = { baseline_run_id: baseline, ...delta.counts };
+  }
+
+  // Every file is checked before it's written; violations end up in
+  // summary.json, which is written after the rows so it can report them.
+  // CSV-only runs check their rows against the JSON files' schemas.
+  const report = createSchemaReport();
+  const envelope = (field, rows) => ({
+    schema_version: MANIFEST_SCHEMA_VERSION,
+    generated_at: summary.generated_at,
+    run_id: runId || null,
+    [field]: rows,
+  });
+  const csvName = (name) => (formats.json ? {} : { file: name.replace(/\.json$/, '.csv') });
+  report.check('patients.json', envelope('patients', patients), csvName('patients.json'));
+  report.check('staff.json', envelope('staff', staff), csvName('staff.json'));
+  if (connections) {
+    report.check('connections.json', envelope('connections', connections), csvName('connections.json'));
+  }
+  if (delta) report.check('delta.json', delta);
+  const duplicatesManifest = {
+    schema_version: MANIFEST_SCHEMA_VERSION,
+    generated_at: summary.generated_at,
+    run_id: runId || null,
+    ...duplicates,
+  };
+  report.check('duplicates.json', duplicatesManifest);
+
+  const sink = createManifestSink(dir, encryptor);
+  const patientsId = formats.json ? await sink.writeJson('patients.json', envelope('patients', patients)) : null;
+  const staffId = formats.json ? await sink.writeJson('staff.json', envelope('staff', staff)) : null;
+  const csvIds = {};
+  if (formats.csv) {
+    csvIds.patients = await sink.writeCsv('patients.csv', toCsv(patients, PATIENT_CSV_COLUMNS));
+    csvIds.staff = await sink.writeCsv('staff.csv', toCsv(staff, STAFF_CSV_COLUMNS));
+    csvIds.failed_charts = await sink.writeCsv('failed_charts.csv', toCsv(summary.failed_charts, FAILED_CHART_CSV_COLUMNS));
+  }
+  const connectionsIds = [];
+  if (streamConnections) {
+    connectionsIds.push(await writeConnectionsJsonl({
+      sink, runId: connectionsRunId, chartsById, versionsById, report,
+    }));
+    if (connectionsCsv) {
+      connectionsIds.push(await writeConnectionsCsvPages({
+        sink, runId: connectionsRunId, chartsById, versionsById, csv: connectionsCsv,
+      }));
+    }
+  } else {
+    if (formats.json) connectionsIds.push(await sink.writeJson('connections.json', envelope('connections', connections)));
+    if (formats.csv) connectionsIds.push(await sink.writeCsv('connections.csv', toCsv(connections, CONNECTION_CSV_COLUMNS)));
+  }
+  // Built ahead of summary.json so its counts are in it; written further down.
+  const fhir = fhirExport
+    ? buildFhirExport({
+      charts,
+      staffByChart: rollup.staffByChart,
+      patientProfiles,
+      staffProfiles,
+      clinicName: summary.clinic_name,
+      runId,
+      generatedAt: summary.generated_at,
+      root: '../'.repeat(exportRelativePath(`${dir}/${FHIR_DIR}`).split('/').length),
+      relativePath: (filePath) => exportRelativePath(decryptedPath(filePath)),
+    })
+    : null;
+  if (fhir) summary.fhir = fhir.summary;
+  report.check('summary.json', summary);
+  summary.schema_validation = report.result();
+  if (!summary.schema_validation.valid) {
+    console.warn('[manifest] schema violations:', summary.schema_validation.violations.slice(0, 5));
+  }
+  const summaryId = await sink.writeJson('summary.json', summary);
+  const deltaId = delta ? await sink.writeJson('delta.json', delta) : null;
+  const checksumsId = await sink.writeText('checksums.sha256', checksums.text);
+  const auditLogId = await sink.writeText('audit_log.jsonl', toJsonl(auditEvents));
+  const duplicatesId = await sink.writeJson('duplicates.json', duplicatesManifest);
+  // Nothing private in a schema; readable even in an encrypted export.
+  let schemasId = null;
+  for (const [name, schema] of Object.entries(MANIFEST_SCHEMAS)) {
+    schemasId = await sink.writeJson(`${SCHEMA_DIR}/${schemaFilename(name)}`, schema, { plain: true });
+  }
+  const browser = buildExportBrowser({
+    charts,
+    staffByChart: rollup.staffByChart,
+    patientProfiles,
+    staffProfiles,
+    summary,
+    root: '../'.repeat(exportRelativePath(dir).split('/').length),
+    relativePath: (filePath) => exportRelativePath(decryptedPath(filePath)),
+  });
+  const browserId = await sink.writeText('index.html', browser.html, { mime: 'text/html' });
+  let fhirId = null;
+  for (const file of fhir?.files || []) {
+    fhirId = await sink.writeText(`${FHIR_DIR}/${file.name}`, file.text, { mime: file.mime });
+  }
+  if (run) {
+    // What was asked for and when — the part of a past run the manifests
+    // themselves don't record.
+    const { summary: _summary, ...runRecord } = run;
+    await sink.writeJson('run.json', runRecord);
+  }
+  const signature = await writeSignature({
+    sink,
+    dir,
+    checksums,
+    runId,
+    clinicName: summary.clinic_name,
+    generatedAt: summary.generated_at,
+  });
 
   return {
+    dir,
     counts: {
       patients: patients.length,
       staff: staff.length,
-      connections: connections.length,
+      connections: rollup.total,
     },
-    connections_chunks: connectionsResult.chunks,
     download_ids: {
       patients: patientsId,
       staff: staffId,
-      connections: connectionsResult.download_ids,
+      connections: connectionsIds,
       summary: summaryId,
+      delta: deltaId,
+      checksums: checksumsId,
+      duplicates: duplicatesId,
+      schemas: schemasId,
+      audit_log: auditLogId,
+      browser: browserId,
+      fhir: fhirId,
+      csv: formats.csv ? csvIds : null,
+      signature: signature.download_id ?? null,
     },
+    signature,
+    encrypted: sink.encrypted,
     summary,
   };
 }
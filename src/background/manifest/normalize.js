@@ -0,0 +1,128 @@
+/**
+ * Turns what the scrapers captured — Jane's display text — into the shapes
+ * the manifest schemas promise (manifest-schemas.js):
+ * - toIsoDate: "Mar 4, 2024", "November 24, 1992 (33 years old)" ->
+ *   "2024-03-04"; null when the text isn't a readable date
+ * - isoDateFields: { <field>: ISO date } plus `<field>_text` with the
+ *   original text when it couldn't be read, so nothing is lost
+ * - normalizeAddress: the profile's address lines -> { street, city, region,
+ *   postal, country, raw }
+ *
+ * Numeric dates such as 03/04/2024 are left unread on purpose: Jane shows
+ * them in the clinic's locale, and guessing day or month first would be
+ * wrong half the time.
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+// Canadian postal code or US ZIP.
+const POSTAL_CODE = /\b([A-Z]\d[A-Z]) ?(\d[A-Z]\d)\b|\b(\d{5}(?:-\d{4})?)\b/i;
+const COUNTRY = /^(canada|united states|united states of america|usa|us)$/i;
+const REGION_CODE = /^[A-Z]{2}$/;
+
+function clean(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function monthNumber(name) {
+  const lower = name.toLowerCase().replace(/\.$/, '');
+  if (lower.length < 3) return 0;
+  return MONTHS.findIndex((month) => month.startsWith(lower)) + 1;
+}
+
+function isoIfValid(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read a Jane display date
+ *
+ * @param {string} value - Date text as shown in Jane
+ * @returns {string|null} YYYY-MM-DD, or null when it can't be read
+ */
+export function toIsoDate(value) {
+  const text = clean(value);
+  if (!text) return null;
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})\b/);
+  if (match) return isoIfValid(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  // Drop "(33 years old)", ordinals and commas; a weekday or time around the
+  // date doesn't get in the way of the patterns below.
+  const plain = text
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\b(\d{1,2})(st|nd|rd|th)\b/gi, '$1')
+    .replace(/,/g, ' ')
+    .replace(/\s+/g, ' ');
+  match = plain.match(/\b([A-Za-z]{3,}\.?) (\d{1,2}) (\d{4})\b/);
+  if (match && monthNumber(match[1])) return isoIfValid(Number(match[3]), monthNumber(match[1]), Number(match[2]));
+  match = plain.match(/\b(\d{1,2}) ([A-Za-z]{3,}\.?) (\d{4})\b/);
+  if (match && monthNumber(match[2])) return isoIfValid(Number(match[3]), monthNumber(match[2]), Number(match[1]));
+  return null;
+}
+
+/**
+ * A date field for a manifest row
+ *
+ * @param {string} field - Field name, e.g. 'chart_date'
+ * @param {string} value - Display text
+ * @returns {Object} { [field]: ISO date or null } and, when the text
+ *   couldn't be read, { [`${field}_text`]: text }
+ */
+export function isoDateFields(field, value) {
+  const iso = toIsoDate(value);
+  const text = clean(value);
+  return iso || !text ? { [field]: iso } : { [field]: null, [`${field}_text`]: text };
+}
+
+// "Bedford, NS" / "Bedford NS" / "Bedford, Nova Scotia" -> city and region.
+function splitCityLine(line) {
+  const comma = line.lastIndexOf(',');
+  if (comma > 0) return { city: clean(line.slice(0, comma)) || null, region: clean(line.slice(comma + 1)) || null };
+  const words = line.split(' ');
+  if (words.length > 1 && REGION_CODE.test(words[words.length - 1])) {
+    return { city: words.slice(0, -1).join(' '), region: words[words.length - 1] };
+  }
+  return { city: line, region: null };
+}
+
+/**
+ * Structure a scraped address
+ *
+ * @param {Object|null} address - { lines, raw } from the profile scraper
+ * @returns {Object|null} { street, city, region, postal, country, raw }, any
+ *   part null when the lines don't say; null for no address
+ */
+export function normalizeAddress(address) {
+  if (!address) return null;
+  let lines = (Array.isArray(address.lines) ? address.lines : [address.raw]).map(clean).filter(Boolean);
+  if (lines.length === 0) return null;
+  // Everything on one line: its commas are the line breaks.
+  if (lines.length === 1) lines = lines[0].split(',').map(clean).filter(Boolean);
+
+  const out = { street: null, city: null, region: null, postal: null, country: null, raw: clean(address.raw) || lines.join(', ') };
+  if (lines.length > 1 && COUNTRY.test(lines[lines.length - 1])) out.country = lines.pop();
+
+  // The postal code is on the city line or a line of its own, near the end.
+  for (let i = lines.length - 1; i >= Math.max(lines.length - 2, 1); i--) {
+    const match = lines[i].match(POSTAL_CODE);
+    if (!match) continue;
+    out.postal = match[3] || `${match[1]} ${match[2]}`.toUpperCase();
+    const rest = clean(lines[i].replace(match[0], '')).replace(/,$/, '');
+    if (rest) lines[i] = rest;
+    else lines.splice(i, 1);
+    break;
+  }
+
+  if (lines.length > 1) {
+    const last = lines.pop();
+    if (REGION_CODE.test(last) && lines.length > 1) {
+      out.region = last;
+      out.city = lines.pop();
+    } else {
+      Object.assign(out, splitCityLine(last));
+    }
+  }
+  out.street = lines.join(', ') || null;
+  return out;
+}
@@ -8,26 +8,60 @@
  *                  with the latest walker's metadata; that's fine because this
  *                  store only drives the download — staff attribution is
  *                  recorded separately in `connections`.
- *                  Indexes: status, staff_id, patient_id.
+ *                  Indexes: status, staff_id, patient_id, sha256.
  *   - connections: keyPath ["staff_id","chart_id"] — every (staff, chart) edge
  *                  the walker encountered, so a chart shared by N staff
  *                  produces N records here. This is the source of truth for
  *                  the connections manifest.
  *   - profiles:    keyPath ["type","id"] for both staff and patient records.
  *
+ * The three stores above are the *working set* of the current run and are
+ * cleared when a new run starts. Before that happens the run is archived
+ * into the history stores, keyed by run_id:
+ *   - runs:            keyPath "run_id" — config, resolved staff, status and
+ *                      the final summary of each run. Index: started_at.
+ *   - run_charts:      keyPath ["run_id","chart_id"]
+ *   - run_connections: keyPath ["run_id","staff_id","chart_id"]
+ *   - run_profiles:    keyPath ["run_id","type","id"]
+ *                      Each of the run_* stores is indexed on run_id.
+ *
+ *   - chart_versions:  keyPath "chart_id" — the last downloaded revision of
+ *                      every chart across all runs (never cleared), with its
+ *                      version history. Drives amended-chart re-downloads.
+ *   - keys:            keyPath "id" — the extension's manifest signing key
+ *                      pair (non-extractable private CryptoKey; IndexedDB is
+ *                      the only storage that can hold one). Never cleared.
+ *   - audit_log:       keyPath "seq" — append-only, hash-chained export audit
+ *                      events across all runs (audit-log.js). Index: run_id.
+ *                      Records are only ever added, never updated or cleared.
+ *
  * IndexedDB in MV3 service workers is scoped to the extension origin, so both
  * the coordinator and the manifest writer share one DB. Content scripts never
  * touch IndexedDB directly — they go through messages.
  */
 
 const DB_NAME = 'jane_scraper_db';
-const DB_VERSION = 2;
+const DB_VERSION = 7;
 const STORES = {
   CHARTS: 'charts',
   CONNECTIONS: 'connections',
   PROFILES: 'profiles',
+  RUNS: 'runs',
+  RUN_CHARTS: 'run_charts',
+  RUN_CONNECTIONS: 'run_connections',
+  RUN_PROFILES: 'run_profiles',
+  CHART_VERSIONS: 'chart_versions',
+  KEYS: 'keys',
+  AUDIT_LOG: 'audit_log',
 };
 
+// Working store -> its history counterpart, in archive order.
+const ARCHIVE_STORES = [
+  [STORES.CHARTS, STORES.RUN_CHARTS],
+  [STORES.CONNECTIONS, STORES.RUN_CONNECTIONS],
+  [STORES.PROFILES, STORES.RUN_PROFILES],
+];
+
 const STATUS = Object.freeze({
   PENDING: 'pending',
   IN_FLIGHT: 'in_flight',
@@ -49,6 +83,11 @@ function openDb() {
         charts.createIndex('staff_id', 'staff_id', { unique: false });
         charts.createIndex('patient_id', 'patient_id', { unique: false });
       }
+      // v5: content hashes, for spotting identical PDFs under different charts.
+      const chartsStore = event.target.transaction.objectStore(STORES.CHARTS);
+      if (!chartsStore.indexNames.contains('sha256')) {
+        chartsStore.createIndex('sha256', 'sha256', { unique: false });
+      }
       if (!db.objectStoreNames.contains(STORES.CONNECTIONS)) {
         const connections = db.createObjectStore(STORES.CONNECTIONS, { keyPath: ['staff_id', 'chart_id'] });
         connections.createIndex('staff_id', 'staff_id', { unique: false });
@@ -58,6 +97,32 @@ function openDb() {
       if (!db.objectStoreNames.contains(STORES.PROFILES)) {
         db.createObjectStore(STORES.PROFILES, { keyPath: ['type', 'id'] });
       }
+      if (!db.objectStoreNames.contains(STORES.RUNS)) {
+        const runs = db.createObjectStore(STORES.RUNS, { keyPath: 'run_id' });
+        runs.createIndex('started_at', 'started_at', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORES.RUN_CHARTS)) {
+        const runCharts = db.createObjectStore(STORES.RUN_CHARTS, { keyPath: ['run_id', 'chart_id'] });
+        runCharts.createIndex('run_id', 'run_id', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORES.RUN_CONNECTIONS)) {
+        const runConnections = db.createObjectStore(STORES.RUN_CONNECTIONS, { keyPath: ['run_id', 'staff_id', 'chart_id'] });
+        runConnections.createIndex('run_id', 'run_id', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORES.RUN_PROFILES)) {
+        const runProfiles = db.createObjectStore(STORES.RUN_PROFILES, { keyPath: ['run_id', 'type', 'id'] });
+        runProfiles.createIndex('run_id', 'run_id', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORES.CHART_VERSIONS)) {
+        db.createObjectStore(STORES.CHART_VERSIONS, { keyPath: 'chart_id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.KEYS)) {
+        db.createObjectStore(STORES.KEYS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.AUDIT_LOG)) {
+        const auditLog = db.createObjectStore(STORES.AUDIT_LOG, { keyPath: 'seq' });
+        auditLog.createIndex('run_id', 'run_id', { unique: false });
+      }
     };
     req.onsuccess = () => {
       const db = req.result;
@@ -133,6 +198,28 @@ export async function listConnections() {
   }));
 }
 
+/**
+ * One page of connections in key order, so they can be streamed out without
+ * holding the whole store. Pass the returned `next` back as `after` until
+ * it's null. With `runId` the pages come from that run's archive instead,
+ * in the same shape as the working set.
+ */
+export async function listConnectionsPage({ runId = null, after = null, limit = 1000 } = {}) {
+  const storeName = runId ? STORES.RUN_CONNECTIONS : STORES.CONNECTIONS;
+  // Arrays sort after strings, so [runId, []] is past every key of the run.
+  const range = runId
+    ? IDBKeyRange.bound(after || [runId], [runId, []], !!after, false)
+    : (after ? IDBKeyRange.lowerBound(after, true) : null);
+  const rows = await runTx(storeName, 'readonly', (store) => reqAsPromise(store.getAll(range, limit)));
+  const last = rows[rows.length - 1];
+  const next = rows.length < limit ? null
+    : runId ? [runId, last.staff_id, last.chart_id] : [last.staff_id, last.chart_id];
+  return {
+    rows: runId ? rows.map(({ run_id: _runId, ...rest }) => rest) : rows,
+    next,
+  };
+}
+
 export async function clearConnections() {
   return runTx(STORES.CONNECTIONS, 'readwrite', (store) => {
     store.clear();
@@ -162,15 +249,33 @@ export async function claimNextPending(claimedBy) {
   }));
 }
 
-export async function markDone(chartId, filePath) {
+// Resolves to the updated record (or false if the chart is unknown).
+// `details` carries what the worker learned about the saved PDF.
+export async function markDone(chartId, filePath, {
+  sizeBytes = null, pageCount = null, sha256 = null, duplicateOf = null, storedSha256 = null, storedBytes = null,
+} = {}) {
   return runTx(STORES.CHARTS, 'readwrite', async (store) => {
     const record = await reqAsPromise(store.get(chartId));
     if (!record) return false;
     record.status = STATUS.DONE;
     record.file_path = filePath || record.file_path || null;
     record.completed_at = Date.now();
+    if (sizeBytes != null) record.size_bytes = sizeBytes;
+    if (pageCount != null) record.page_count = pageCount;
+    if (sha256) record.sha256 = sha256;
+    // Encrypted exports: the .enc file on disk differs from the PDF it holds.
+    if (storedSha256) {
+      record.stored_sha256 = storedSha256;
+      record.stored_bytes = storedBytes;
+    } else if (sha256) {
+      delete record.stored_sha256;
+      delete record.stored_bytes;
+    }
+    // Deduplicated charts point at another chart's file instead of their own.
+    if (duplicateOf) record.duplicate_of = String(duplicateOf);
+    else delete record.duplicate_of;
     await reqAsPromise(store.put(record));
-    return true;
+    return record;
   });
 }
 
@@ -186,16 +291,20 @@ export async function markFailed(chartId, reason) {
   });
 }
 
-export async function releaseInFlight(chartId) {
+// `countRetry: false` hands a claim back without charging it a retry cycle —
+// for workers that are stopping or retiring, not failing. `sessionExpired`
+// counts it in `session_expired_count` instead.
+export async function releaseInFlight(chartId, { countRetry = true, sessionExpired = false } = {}) {
   return runTx(STORES.CHARTS, 'readwrite', async (store) => {
     const record = await reqAsPromise(store.get(chartId));
     if (!record || record.status !== STATUS.IN_FLIGHT) return false;
     record.status = STATUS.PENDING;
     record.claimed_by = null;
     record.claimed_at = null;
-    record.retry_count = (record.retry_count || 0) + 1;
+    if (countRetry) record.retry_count = (record.retry_count || 0) + 1;
+    if (sessionExpired) record.session_expired_count = (record.session_expired_count || 0) + 1;
     await reqAsPromise(store.put(record));
-    return { released: true, retry_count: record.retry_count };
+    return { released: true, retry_count: record.retry_count, session_expired_count: record.session_expired_count || 0 };
   });
 }
 
@@ -222,6 +331,30 @@ export async function recoverInFlight() {
   }));
 }
 
+// Return every chart still claimed by `threadId` to pending, e.g. after its
+// tab was retired or closed before it could release them itself.
+export async function releaseClaimsByThread(threadId) {
+  return runTx(STORES.CHARTS, 'readwrite', (store) => new Promise((resolve, reject) => {
+    let count = 0;
+    const index = store.index('status');
+    const cursorReq = index.openCursor(IDBKeyRange.only(STATUS.IN_FLIGHT));
+    cursorReq.onerror = () => reject(cursorReq.error);
+    cursorReq.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) { resolve(count); return; }
+      const record = cursor.value;
+      if (record.claimed_by === threadId) {
+        record.status = STATUS.PENDING;
+        record.claimed_by = null;
+        record.claimed_at = null;
+        cursor.update(record);
+        count += 1;
+      }
+      cursor.continue();
+    };
+  }));
+}
+
 export async function sweepStaleClaims(staleAfterMs) {
   const threshold = Date.now() - staleAfterMs;
   return runTx(STORES.CHARTS, 'readwrite', (store) => new Promise((resolve, reject) => {
@@ -245,6 +378,86 @@ export async function sweepStaleClaims(staleAfterMs) {
   }));
 }
 
+function failureReasonMatches(failureReason, reasons) {
+  if (reasons.size === 0) return true;
+  const full = String(failureReason || 'unknown');
+  return reasons.has(full) || full.split(': ').some((part) => reasons.has(part));
+}
+
+// Put failed charts back in the queue with a fresh retry budget. Each filter
+// is optional and a chart must match every one that's given; a reason matches
+// the whole failure_reason or either half of `exhausted_retries: <reason>`.
+export async function requeueFailed({ reasons = [], staffIds = [], patientIds = [] } = {}) {
+  const reasonSet = new Set(reasons.map(String));
+  const staffSet = new Set(staffIds.map(String));
+  const patientSet = new Set(patientIds.map(String));
+  return runTx(STORES.CHARTS, 'readwrite', (store) => new Promise((resolve, reject) => {
+    let count = 0;
+    const index = store.index('status');
+    const cursorReq = index.openCursor(IDBKeyRange.only(STATUS.FAILED));
+    cursorReq.onerror = () => reject(cursorReq.error);
+    cursorReq.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) { resolve(count); return; }
+      const record = cursor.value;
+      const matches = failureReasonMatches(record.failure_reason, reasonSet)
+        && (staffSet.size === 0 || staffSet.has(String(record.staff_id)))
+        && (patientSet.size === 0 || patientSet.has(String(record.patient_id)));
+      if (matches) {
+        record.status = STATUS.PENDING;
+        record.last_failure_reason = record.failure_reason || null;
+        record.failure_reason = null;
+        record.retry_count = 0;
+        record.session_expired_count = 0;
+        record.claimed_by = null;
+        record.claimed_at = null;
+        record.completed_at = null;
+        record.requeued_at = Date.now();
+        cursor.update(record);
+        count += 1;
+      }
+      cursor.continue();
+    };
+  }));
+}
+
+// Send done charts whose PDFs have gone missing back to pending (repair).
+export async function requeueDone(chartIds) {
+  return runTx(STORES.CHARTS, 'readwrite', async (store) => {
+    let count = 0;
+    for (const chartId of chartIds) {
+      const record = await reqAsPromise(store.get(chartId));
+      if (!record || record.status !== STATUS.DONE) continue;
+      record.status = STATUS.PENDING;
+      record.missing_file_path = record.file_path || null;
+      record.file_path = null;
+      record.retry_count = 0;
+      record.session_expired_count = 0;
+      record.completed_at = null;
+      record.repaired_at = Date.now();
+      await reqAsPromise(store.put(record));
+      count += 1;
+    }
+    return count;
+  });
+}
+
+/**
+ * A done chart whose saved PDF has this content hash, other than `chartId`.
+ * Charts that were themselves deduplicated are skipped: the answer is always
+ * a chart with its own file.
+ */
+export async function findDoneBySha256(sha256, chartId = null) {
+  if (!sha256) return null;
+  return runTx(STORES.CHARTS, 'readonly', async (store) => {
+    const matches = await reqAsPromise(store.index('sha256').getAll(sha256));
+    return matches
+      .filter((c) => c.status === STATUS.DONE && c.file_path && !c.duplicate_of)
+      .filter((c) => String(c.chart_id) !== String(chartId))
+      .sort((a, b) => (a.completed_at || 0) - (b.completed_at || 0))[0] || null;
+  });
+}
+
 export async function countByStatus() {
   return runTx(STORES.CHARTS, 'readonly', async (store) => {
     const index = store.index('status');
@@ -305,6 +518,28 @@ export async function getProfile(type, id) {
   });
 }
 
+/**
+ * Attach the combined PDF (combine.html) to a patient's profile entry, next
+ * to the scraped record. A patient whose profile wasn't captured gets an
+ * entry with an empty record, so patients.json still lists the file.
+ */
+export async function setPatientCombinedPdf(patientId, combinedPdf) {
+  return runTx(STORES.PROFILES, 'readwrite', async (store) => {
+    const existing = await reqAsPromise(store.get(['patient', String(patientId)]));
+    await reqAsPromise(store.put({
+      ...(existing || {
+        type: 'patient',
+        id: String(patientId),
+        record: {},
+        profile_status: 'not_captured',
+        captured_at: null,
+      }),
+      combined_pdf: combinedPdf,
+    }));
+    return true;
+  });
+}
+
 export async function listProfiles(type) {
   return runTx(STORES.PROFILES, 'readonly', (store) => new Promise((resolve, reject) => {
     const out = [];
@@ -326,4 +561,208 @@ export async function clearProfiles() {
   });
 }
 
+// ---------------------------------------------------------------------------
+// Chart versions
+// ---------------------------------------------------------------------------
+
+export async function getChartVersions(chartIds) {
+  return runTx(STORES.CHART_VERSIONS, 'readonly', async (store) => {
+    const out = new Map();
+    await Promise.all([...new Set(chartIds.map(String))].map(async (chartId) => {
+      const record = await reqAsPromise(store.get(chartId));
+      if (record) out.set(chartId, record);
+    }));
+    return out;
+  });
+}
+
+export async function listChartVersions() {
+  return runTx(STORES.CHART_VERSIONS, 'readonly', (store) => reqAsPromise(store.getAll()));
+}
+
+/**
+ * Record that `version` of a chart is now on disk. Re-recording the same
+ * version (a skipped, already-downloaded chart) only fills in what's missing,
+ * except the file details: a fresh download of the same version (one with a
+ * checksum) replaces them.
+ */
+export async function putChartVersion({
+  chartId, version, revisionSignature, filePath, runId, sha256 = null, sizeBytes = null, storedSha256 = null, storedBytes = null,
+}) {
+  return runTx(STORES.CHART_VERSIONS, 'readwrite', async (store) => {
+    const id = String(chartId);
+    const existing = await reqAsPromise(store.get(id));
+    const history = existing?.history ? [...existing.history] : [];
+    const entry = history.find((h) => h.version === version);
+    if (entry) {
+      entry.revision_signature = entry.revision_signature || revisionSignature || null;
+      entry.file_path = (sha256 && filePath) || entry.file_path || filePath || null;
+      entry.sha256 = sha256 || entry.sha256 || null;
+      entry.size_bytes = sizeBytes ?? entry.size_bytes ?? null;
+      if (sha256) {
+        entry.stored_sha256 = storedSha256 || null;
+        entry.stored_bytes = storedBytes ?? null;
+      }
+    } else {
+      history.push({
+        version,
+        revision_signature: revisionSignature || null,
+        file_path: filePath || null,
+        run_id: runId || null,
+        downloaded_at: Date.now(),
+        sha256: sha256 || null,
+        size_bytes: sizeBytes ?? null,
+        stored_sha256: storedSha256 || null,
+        stored_bytes: storedBytes ?? null,
+      });
+      history.sort((a, b) => a.version - b.version);
+    }
+    const latest = history[history.length - 1];
+    const record = {
+      chart_id: id,
+      version: latest.version,
+      revision_signature: latest.revision_signature,
+      file_path: latest.file_path,
+      history,
+    };
+    await reqAsPromise(store.put(record));
+    return record;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Signing keys
+// ---------------------------------------------------------------------------
+
+export async function getKeyRecord(id) {
+  return runTx(STORES.KEYS, 'readonly', (store) => reqAsPromise(store.get(id)));
+}
+
+export async function putKeyRecord(record) {
+  return runTx(STORES.KEYS, 'readwrite', (store) => reqAsPromise(store.put(record)));
+}
+
+// ---------------------------------------------------------------------------
+// Audit log
+// ---------------------------------------------------------------------------
+
+// `add`, not `put`: an existing seq is never overwritten.
+export async function appendAuditRecord(record) {
+  return runTx(STORES.AUDIT_LOG, 'readwrite', (store) => reqAsPromise(store.add(record)));
+}
+
+// The last event overall, or with `runId` the last event of that run.
+export async function getLastAuditRecord(runId = null) {
+  return runTx(STORES.AUDIT_LOG, 'readonly', (store) => new Promise((resolve, reject) => {
+    const req = runId
+      ? store.index('run_id').openCursor(IDBKeyRange.only(runId), 'prev')
+      : store.openCursor(null, 'prev');
+    req.onsuccess = () => resolve(req.result ? req.result.value : null);
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+export async function listAuditRecords(runId = null) {
+  return runTx(STORES.AUDIT_LOG, 'readonly', async (store) => {
+    const records = runId
+      ? await reqAsPromise(store.index('run_id').getAll(runId))
+      : await reqAsPromise(store.getAll());
+    return records.sort((a, b) => a.seq - b.seq);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Run history
+// ---------------------------------------------------------------------------
+
+export async function putRun(run) {
+  return runTx(STORES.RUNS, 'readwrite', async (store) => {
+    await reqAsPromise(store.put(run));
+    return run;
+  });
+}
+
+export async function getRun(runId) {
+  return runTx(STORES.RUNS, 'readonly', async (store) => {
+    return (await reqAsPromise(store.get(runId))) || null;
+  });
+}
+
+// Newest first.
+export async function listRuns() {
+  return runTx(STORES.RUNS, 'readonly', (store) => new Promise((resolve, reject) => {
+    const out = [];
+    const cursorReq = store.index('started_at').openCursor(null, 'prev');
+    cursorReq.onerror = () => reject(cursorReq.error);
+    cursorReq.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) { resolve(out); return; }
+      out.push(cursor.value);
+      cursor.continue();
+    };
+  }));
+}
+
+function deleteByRunId(store, runId) {
+  return new Promise((resolve, reject) => {
+    const cursorReq = store.index('run_id').openCursor(IDBKeyRange.only(runId));
+    cursorReq.onerror = () => reject(cursorReq.error);
+    cursorReq.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) { resolve(); return; }
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Snapshot the working charts/connections/profiles into the run_* stores
+ * under `runId`, replacing any earlier snapshot of the same run. One
+ * transaction, so a run is either fully archived or not at all.
+ */
+export async function archiveWorkingSet(runId) {
+  const storeNames = ARCHIVE_STORES.flat();
+  return openDb().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, 'readwrite');
+    const counts = {};
+    (async () => {
+      for (const [source, target] of ARCHIVE_STORES) {
+        const targetStore = tx.objectStore(target);
+        await deleteByRunId(targetStore, runId);
+        const records = await reqAsPromise(tx.objectStore(source).getAll());
+        for (const record of records) targetStore.put({ ...record, run_id: runId });
+        counts[source] = records.length;
+      }
+    })().catch((error) => {
+      try { tx.abort(); } catch { /* already finished */ }
+      reject(error);
+    });
+    tx.oncomplete = () => resolve(counts);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+  }));
+}
+
+function listByRunId(storeName, runId) {
+  return runTx(storeName, 'readonly', async (store) => {
+    const rows = await reqAsPromise(store.index('run_id').getAll(IDBKeyRange.only(runId)));
+    // Strip the archive key so callers see the same shape as the working set.
+    return rows.map(({ run_id: _runId, ...rest }) => rest);
+  });
+}
+
+export async function listRunCharts(runId) {
+  return listByRunId(STORES.RUN_CHARTS, runId);
+}
+
+export async function listRunConnections(runId) {
+  return listByRunId(STORES.RUN_CONNECTIONS, runId);
+}
+
+export async function listRunProfiles(runId, type) {
+  const rows = await listByRunId(STORES.RUN_PROFILES, runId);
+  return rows.filter((row) => row.type === type);
+}
+
 export const CHART_STATUS = STATUS;
@@ -508,6 +508,25 @@ async function waitForChartsLoaded({ maxWaitMs = 60000 } = {}) {
 // LOGIN FUNCTIONS
 // ============================================================================
 
+/**
+ * Tell the coordinator's audit log about a login attempt
+ */
+function reportLogin(email, result, error = null) {
+  let outcome = 'failed';
+  if (result?.alreadyLoggedIn) outcome = 'already_logged_in';
+  else if (result?.willReload) outcome = 'submitted';
+  else if (result?.success) outcome = 'success';
+  try {
+    chrome.runtime.sendMessage({
+      action: 'auditLogin',
+      threadId,
+      email,
+      outcome,
+      reason: error?.message,
+    });
+  } catch (_) {}
+}
+
 /**
  * Log into Jane App with email and password
  * Now uses the auth module for proper error handling and human-like typing
@@ -519,6 +538,7 @@ async function login(email, password) {
       shouldStop: () => shouldStop,
       logger: logger
     });
+    reportLogin(email, result);
 
     // Handle the result
     if (result.alreadyLoggedIn) {
@@ -541,6 +561,7 @@ async function login(email, password) {
 
     sendStatus('❌ Login error: ' + error.message, 'error');
     logger.error('Login failed', error);
+    reportLogin(email, null, error);
     return false;
   }
 }
@@ -2373,7 +2394,18 @@ chrome.storage.local.get(getBootstrapStorageKeys(), async (result) => {
       pdfDownloader,
       fileChecker,
       shouldStop: () => shouldStop,
-      ensureLoggedIn: async (clinicName) => {
+      ensureLoggedIn: async (clinicName, { sessionExpired = false } = {}) => {
+        if (sessionExpired) {
+          // Jane answered a fetch with its sign-in page, but this tab still
+          // shows the admin UI it rendered while logged in, so the DOM check
+          // below would pass. Reload the admin page instead: Jane redirects
+          // to sign-in, the phase resumes from phaseState after the reload
+          // and this function logs in on that pass.
+          logger?.warn?.(`[auth] session expired (thread=${threadId}), reloading to log in again`);
+          window.location.assign(`https://${clinicName}.janeapp.com/admin`);
+          await sleep(TIMEOUTS.MAX_WAIT_TIME);
+          throw new Error('Reload after session expiry did not happen');
+        }
         try {
           if (await authModule.isAlreadyLoggedIn()) {
             logger?.debug?.(`[auth] already logged in (thread=${threadId})`);
@@ -2398,6 +2430,7 @@ chrome.storage.local.get(getBootstrapStorageKeys(), async (result) => {
           shouldStop: () => shouldStop,
           logger,
         });
+        reportLogin(email, result);
         logger?.info?.(`[auth] login result: ${JSON.stringify({ success: result?.success, alreadyLoggedIn: result?.alreadyLoggedIn, willReload: result?.willReload })}`);
         return true;
       },
@@ -2425,7 +2458,7 @@ chrome.storage.local.get(getBootstrapStorageKeys(), async (result) => {
 // Listen for stop command
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // Staff-first phase messages route through the dispatcher first.
-  if (phaseDispatcher && ['initPreflight', 'beginDiscovery', 'beginDownload', 'beginProfile'].includes(request.action)) {
+  if (phaseDispatcher && ['initPreflight', 'beginDiscovery', 'beginDownload', 'beginProfile', 'retireWorker'].includes(request.action)) {
     // The phase orchestrator names the thread (T1 = primary, T2..TN = download
     // workers). Adopt that threadId before dispatching so getStorageKey and
     // every downstream log is properly scoped.
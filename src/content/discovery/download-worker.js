@@ -4,29 +4,36 @@
  * Each worker tab repeatedly asks the coordinator for the next chart
  * tuple, opens the Jane PDF URL, writes to
  *   ~/Downloads/jane-scraper/<patientId>_<patientName>/<ChartType>__<chartId>__<staffLast>.pdf
- * then marks the tuple done. Runs until the queue reports `status: 'done'`.
+ * (amended charts get a `__v<N>` suffix before `.pdf`)
+ * then marks the tuple done. In dedupe mode a PDF identical to one already
+ * saved isn't written again; the chart is marked done against that file. Runs until the queue reports `status: 'done'`.
+ * In encrypted mode each PDF is encrypted in this tab before it is saved, as
+ * `<name>.pdf.enc`; the key is derived once per worker from the run's
+ * passphrase (see export-keyring.js).
  *
  * The existing PdfDownloader instance already handles:
  *   - global rate-limit gate
- *   - per-thread throttle window
- *   - retry/backoff on transient server errors
- * so this loop is little more than scheduling.
+ *   - per-thread throttle window (the concurrency controller's fetch gap)
+ *   - retry/backoff on transient server errors (not 429s, which are
+ *     reported so the controller can back off)
+ *   - rejecting bodies that aren't real PDFs (pdf-validator.js)
+ * so this loop is little more than scheduling. The one exception is Jane's
+ * sign-in page coming back instead of a PDF: the chart goes back in the queue
+ * and the worker logs in again through `ensureLoggedIn`.
  */
 
 import { sleep } from '../../shared/utils/async-utils.js';
 import { cleanFilename } from '../../shared/utils/string-utils.js';
+import { INVALID_PDF_REASON } from '../download/pdf-validator.js';
+import { ENCRYPTED_SUFFIX, deriveExportKey, encryptBytes } from '../../shared/utils/export-encryption.js';
 
-const RATE_LIMIT_BACKOFF_MS = 8000;
-// SERVER_FAILED from Jane's download endpoint is usually a soft rate-limit
-// (server returns 5xx under load), not a permanently-broken chart. Pause all
-// workers long enough for Jane's rate window to fully reset — short pauses
-// just wake everyone up simultaneously and re-trigger the limit.
-const SERVER_FAILED_BACKOFF_MS = 60000;
-// Random extra wait each worker adds so 4 workers don't burst Jane in sync
-// when the shared pause expires. Wider window = safer; the tradeoff is just
-// that the last worker takes longer to resume.
-const WAKE_JITTER_MAX_MS = 20000;
+// Pause before the next claim when logging back in failed.
+const RELOGIN_RETRY_MS = 8000;
 const EMPTY_QUEUE_BACKOFF_MS = 4000;
+// How often an idle worker re-asks the coordinator while the run is paused
+// or while the concurrency controller has this thread parked.
+const PAUSED_POLL_MS = 5000;
+const INVALID_PDF_REASON_IN_MESSAGE = /invalid_pdf_[a-z_]+/;
 
 function buildChartPdfUrl(clinicName, patientId, chartId) {
   return `https://${clinicName}.janeapp.com/admin/patients/${patientId}/chart_entries/${chartId}.pdf`;
@@ -43,11 +50,13 @@ function buildPatientFolder(patientId, patientName) {
   return `jane-scraper/${patientId}_${safeName}`;
 }
 
-function buildFilename(tuple) {
+function buildFilename(tuple, encrypted = false) {
   const chartType = cleanFilename(tuple.chart_type || 'Chart');
   const chartId = tuple.chart_id;
   const staff = cleanFilename(staffLastName(tuple.staff_name));
-  return `${chartType}__${chartId}__${staff}.pdf`;
+  // Amended charts are saved alongside the earlier version, not over it.
+  const version = Number(tuple.version) > 1 ? `__v${tuple.version}` : '';
+  return `${chartType}__${chartId}__${staff}${version}.pdf${encrypted ? ENCRYPTED_SUFFIX : ''}`;
 }
 
 async function fetchNextTuple(threadId) {
@@ -66,6 +75,26 @@ async function reportChartResult(action, payload) {
   });
 }
 
+async function findDuplicateChart(chartId, sha256) {
+  const response = await reportChartResult('findDuplicateChart', { chartId, sha256 });
+  return response?.ok ? response.canonical : null;
+}
+
+/**
+ * Encryptor for this worker, `null` for an unencrypted run.
+ * Throws when the run is encrypted but its passphrase isn't available.
+ */
+async function loadEncryptor() {
+  const response = await reportChartResult('getExportEncryption', {});
+  if (!response?.enabled) return null;
+  if (response.error || !response.passphrase) {
+    throw new Error(response.error || 'passphrase not available');
+  }
+  const params = { salt: response.salt, iterations: response.iterations };
+  const key = await deriveExportKey(response.passphrase, params);
+  return (blob) => encryptBytes(key, params, blob);
+}
+
 async function alreadyOnDisk(filename, patientId) {
   try {
     const response = await new Promise((resolve) => {
@@ -79,15 +108,38 @@ async function alreadyOnDisk(filename, patientId) {
   } catch { return false; }
 }
 
-export async function runDownloadLoop({ threadId, clinicName, logger, shouldStop, pdfDownloader, fileChecker }) {
+export async function runDownloadLoop({ threadId, clinicName, logger, shouldStop, pdfDownloader, fileChecker, ensureLoggedIn }) {
   logger?.info?.(`[download] worker ${threadId} starting`);
+  let encrypt = null;
+  try {
+    encrypt = await loadEncryptor();
+  } catch (error) {
+    // A respawned tab would hit the same error; tell the supervisor this
+    // worker is done for rather than letting its heartbeat lapse.
+    logger?.error?.(`[download] worker ${threadId} can't encrypt this export (${error.message}), not downloading`);
+    await reportChartResult('workerFailed', { threadId, error: `can't encrypt this export: ${error.message}` });
+    return;
+  }
+  if (encrypt) logger?.info?.(`[download] worker ${threadId} encrypting PDFs (${ENCRYPTED_SUFFIX})`);
   let processed = 0;
   let skipped = 0;
   let failed = 0;
+  let paused = false;
 
   while (!shouldStop?.()) {
     const res = await fetchNextTuple(threadId);
 
+    if (res.status === 'paused') {
+      if (!paused) logger?.info?.(`[download] worker ${threadId} paused, idling until resumed`);
+      paused = true;
+      await sleep(PAUSED_POLL_MS, { shouldStop });
+      continue;
+    }
+    if (paused) {
+      logger?.info?.(`[download] worker ${threadId} resumed`);
+      paused = false;
+    }
+
     if (res.status === 'done') {
       logger?.info?.(`[download] queue drained, worker ${threadId} finished (processed=${processed}, skipped=${skipped}, failed=${failed})`);
       await reportChartResult('workerFinishedDownload', { threadId });
@@ -97,6 +149,11 @@ export async function runDownloadLoop({ threadId, clinicName, logger, shouldStop
       logger?.info?.(`[download] worker ${threadId}: stopped flag set`);
       return;
     }
+    if (res.status === 'throttled') {
+      logger?.debug?.(`[download] worker ${threadId}: parked by concurrency controller, waiting`);
+      await sleep(PAUSED_POLL_MS, { shouldStop });
+      continue;
+    }
     if (res.status === 'wait') {
       logger?.debug?.(`[download] worker ${threadId}: queue empty but in-flight work exists, waiting`);
       await sleep(EMPTY_QUEUE_BACKOFF_MS, { shouldStop });
@@ -110,7 +167,7 @@ export async function runDownloadLoop({ threadId, clinicName, logger, shouldStop
 
     const tuple = res.chart;
     const folder = buildPatientFolder(tuple.patient_id, tuple.patient_name);
-    const filename = buildFilename(tuple);
+    const filename = buildFilename(tuple, !!encrypt);
     const relativePath = `${folder}/${filename}`;
     logger?.debug?.(`[download] worker ${threadId} claimed chart=${tuple.chart_id} patient=${tuple.patient_id} → ${relativePath}`);
 
@@ -118,7 +175,7 @@ export async function runDownloadLoop({ threadId, clinicName, logger, shouldStop
       if (await alreadyOnDisk(filename, tuple.patient_id)) {
         logger?.debug?.(`[download] skip (already on disk): ${relativePath}`);
         skipped += 1;
-        await reportChartResult('completeChart', { chartId: tuple.chart_id, filePath: relativePath });
+        await reportChartResult('completeChart', { chartId: tuple.chart_id, filePath: relativePath, skipped: true });
         continue;
       }
     } catch (error) {
@@ -137,41 +194,78 @@ export async function runDownloadLoop({ threadId, clinicName, logger, shouldStop
         filename,
         tuple.patient_name || `Patient_${tuple.patient_id}`,
         tuple.patient_id,
-        { shouldStop }
+        {
+          shouldStop,
+          findDuplicate: (sha256) => findDuplicateChart(tuple.chart_id, sha256),
+          encrypt,
+        }
       );
       if (!result?.success) {
         throw new Error(result?.error || 'download failed');
       }
       processed += 1;
-      logger?.success?.(`[download] ${threadId} OK chart=${tuple.chart_id} file=${filename}`);
-      await reportChartResult('completeChart', { chartId: tuple.chart_id, filePath: relativePath });
+      const canonical = result.duplicateOf || null;
+      if (canonical) {
+        logger?.success?.(`[download] ${threadId} OK chart=${tuple.chart_id} identical to chart=${canonical.chart_id}, not saved again (${canonical.file_path})`);
+      } else {
+        logger?.success?.(`[download] ${threadId} OK chart=${tuple.chart_id} file=${filename}`);
+      }
+      await reportChartResult('completeChart', {
+        chartId: tuple.chart_id,
+        filePath: canonical ? canonical.file_path : relativePath,
+        sizeBytes: result.sizeBytes,
+        pageCount: result.pageCount,
+        sha256: result.sha256,
+        storedSha256: result.storedSha256 || null,
+        storedBytes: result.storedBytes ?? null,
+        duplicateOf: canonical?.chart_id || null,
+      });
     } catch (error) {
+      if (shouldStop?.()) {
+        // Stopped (or retired) mid-download — hand the chart back untouched
+        // rather than failing it, so the next worker picks it up.
+        logger?.info?.(`[download] ${threadId} releasing chart=${tuple.chart_id} on stop`);
+        await reportChartResult('releaseChart', { chartId: tuple.chart_id });
+        break;
+      }
       const msg = (error?.message || '').toLowerCase();
+      const invalidPdfReason = msg.match(INVALID_PDF_REASON_IN_MESSAGE)?.[0] || null;
+
+      if (invalidPdfReason === INVALID_PDF_REASON.HTML_LOGIN) {
+        // The session expired: the chart is fine, this tab just isn't logged
+        // in any more. Hand it back without using up its retries and log
+        // back in before claiming another. The queue fails the chart if it
+        // keeps doing this.
+        logger?.warn?.(`[download] ${threadId} got Jane's sign-in page for chart=${tuple.chart_id}, logging in again`);
+        await reportChartResult('releaseChart', { chartId: tuple.chart_id, sessionExpired: true });
+        try {
+          await ensureLoggedIn?.({ sessionExpired: true });
+        } catch (loginError) {
+          logger?.error?.(`[download] ${threadId} re-login failed: ${loginError.message}`);
+          await sleep(RELOGIN_RETRY_MS, { shouldStop });
+        }
+        continue;
+      }
+
       const retriable = msg.includes('server_failed')
         || msg.includes('interrupted')
         || msg.includes('timed out')
         || msg.includes('failed to fetch')
         || msg.includes('network')
-        || msg.includes('pdf is empty');
+        || msg.includes('pdf is empty')
+        || (!!invalidPdfReason && invalidPdfReason !== INVALID_PDF_REASON.NO_PAGES);
 
-      if (msg.includes('rate') || msg.includes('whoa there')) {
-        logger?.warn?.(`[download] ${threadId} rate-limited, backing off ${RATE_LIMIT_BACKOFF_MS}ms`);
-        await chrome.storage.local.set({ rateLimitUntil: Date.now() + RATE_LIMIT_BACKOFF_MS });
-        await sleep(RATE_LIMIT_BACKOFF_MS, { shouldStop });
+      // Jane pushing back (429 / its rate-limit page, or 5xx under load) is
+      // reported as such and the concurrency controller backs off — fewer
+      // workers or a wider fetch gap — rather than this worker sleeping too.
+      if (invalidPdfReason === INVALID_PDF_REASON.HTML_RATE_LIMIT || msg.includes('http 429')) {
+        logger?.warn?.(`[download] ${threadId} rate-limited on chart=${tuple.chart_id}`);
         await reportChartResult('failChart', { chartId: tuple.chart_id, reason: 'rate_limit', retriable: true });
         continue;
       }
 
       if (msg.includes('server_failed')) {
-        // Jane's download endpoint returns 5xx when overloaded by our burst.
-        // Raise the global gate so every worker pauses, then sleep a jittered
-        // amount so siblings don't all wake up and re-burst at the same
-        // instant — that was re-triggering the limit every cycle.
-        const jitter = Math.floor(Math.random() * WAKE_JITTER_MAX_MS);
-        const localSleepMs = SERVER_FAILED_BACKOFF_MS + jitter;
-        logger?.warn?.(`[download] ${threadId} server overload (SERVER_FAILED), pausing ${Math.round(localSleepMs / 1000)}s (base=${SERVER_FAILED_BACKOFF_MS / 1000}s + jitter=${Math.round(jitter / 1000)}s)`);
-        await chrome.storage.local.set({ rateLimitUntil: Date.now() + SERVER_FAILED_BACKOFF_MS });
-        await sleep(localSleepMs, { shouldStop });
+        logger?.warn?.(`[download] ${threadId} server overload (SERVER_FAILED) on chart=${tuple.chart_id}`);
         await reportChartResult('failChart', { chartId: tuple.chart_id, reason: 'server_failed', retriable: true });
         continue;
       }
@@ -180,7 +274,7 @@ export async function runDownloadLoop({ threadId, clinicName, logger, shouldStop
       logger?.error?.(`[download] ${threadId} FAIL chart=${tuple.chart_id}: ${error.message} (retriable=${retriable})`);
       await reportChartResult('failChart', {
         chartId: tuple.chart_id,
-        reason: error.message || 'unknown',
+        reason: invalidPdfReason || error.message || 'unknown',
         retriable,
       });
     }
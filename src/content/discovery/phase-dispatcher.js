@@ -2,7 +2,8 @@
  * Phase dispatcher wires the staff-first phase handlers into content-main.
  *
  * Responsibilities:
- *   - handle the four phase-kickoff messages from the background orchestrator
+ *   - handle the four phase-kickoff messages from the background orchestrator,
+ *     plus `retireWorker` when the thread count is lowered mid-download
  *   - persist a thread-scoped `phaseState` so a page reload (common in Jane's
  *     admin after navigation) can resume the current phase mid-flight
  *   - defer to the discovery/walker/download/profile modules for the actual work
@@ -16,8 +17,17 @@ import { resolveStaffList } from './staff-resolver.js';
 import { walkStaffEntries } from './staff-entries-walker.js';
 import { runDownloadLoop } from './download-worker.js';
 import { scrapeAllProfiles } from './profile-scraper.js';
+import { sleep } from '../../shared/utils/async-utils.js';
+
+const PAUSED_POLL_MS = 5000;
+// Download workers ping the background supervisor this often; a thread that
+// goes quiet for a few minutes is treated as crashed and respawned.
+const HEARTBEAT_INTERVAL_MS = 30000;
 
 export function createPhaseDispatcher({ getContext }) {
+  // Set by `retireWorker` when the user lowers the thread count mid-run.
+  let retiring = false;
+
   function stateKey() {
     const { threadId } = getContext();
     return threadId ? `${threadId}_phaseState` : null;
@@ -35,6 +45,25 @@ export function createPhaseDispatcher({ getContext }) {
     await chrome.storage.local.remove(key);
   }
 
+  // Block between pages while the orchestrator has the run paused. Returns
+  // early on stop so the caller's own stop check takes over.
+  async function waitWhilePaused() {
+    const ctx = getContext();
+    let announced = false;
+    while (!ctx.shouldStop()) {
+      const { runPaused } = await chrome.storage.local.get('runPaused');
+      if (!runPaused) {
+        if (announced) ctx.logger?.info?.('[phase] resumed');
+        return;
+      }
+      if (!announced) {
+        ctx.logger?.info?.('[phase] paused, waiting for resume');
+        announced = true;
+      }
+      await sleep(PAUSED_POLL_MS, { shouldStop: ctx.shouldStop });
+    }
+  }
+
   async function runPreflight({ clinicName, staffNames }) {
     const ctx = getContext();
     ctx.logger?.info?.('[phase] PRE-FLIGHT begin');
@@ -77,6 +106,7 @@ export function createPhaseDispatcher({ getContext }) {
 
       let tuplesFound = 0;
       for (let i = staffIndex; i < resolvedStaff.length; i++) {
+        await waitWhilePaused();
         if (ctx.shouldStop()) {
           ctx.logger?.warn?.('[phase] discovery stopped by user');
           return;
@@ -113,25 +143,48 @@ export function createPhaseDispatcher({ getContext }) {
 
   async function runDownload({ clinicName }) {
     const ctx = getContext();
+    let heartbeatTimer = null;
     ctx.logger?.info?.(`[phase] DOWNLOAD begin for thread ${ctx.threadId}`);
     try {
       await saveState({ action: 'download', clinicName });
+      const sendHeartbeat = () => {
+        chrome.runtime.sendMessage({ action: 'workerHeartbeat', threadId: ctx.threadId })
+          .catch(() => { /* background restarting */ });
+      };
+      sendHeartbeat();
+      heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
       await ctx.ensureLoggedIn(clinicName);
 
-      await runDownloadLoop({
-        threadId: ctx.threadId,
-        clinicName,
-        logger: ctx.logger,
-        shouldStop: ctx.shouldStop,
-        pdfDownloader: ctx.pdfDownloader,
-        fileChecker: ctx.fileChecker,
-      });
+      try {
+        await runDownloadLoop({
+          threadId: ctx.threadId,
+          clinicName,
+          logger: ctx.logger,
+          shouldStop: () => ctx.shouldStop() || retiring,
+          pdfDownloader: ctx.pdfDownloader,
+          fileChecker: ctx.fileChecker,
+          ensureLoggedIn: (options) => ctx.ensureLoggedIn(clinicName, options),
+        });
+      } catch (error) {
+        // An interrupted sleep throws 'Stopped'; when retiring that's the
+        // expected way out, and the coordinator releases any leftover claim.
+        if (!retiring) throw error;
+      }
+
+      if (retiring) {
+        ctx.logger?.info?.(`[phase] DOWNLOAD worker ${ctx.threadId} retired`);
+        await clearState();
+        chrome.runtime.sendMessage({ action: 'workerRetired', threadId: ctx.threadId });
+        return;
+      }
 
       ctx.logger?.info?.(`[phase] DOWNLOAD worker ${ctx.threadId} finished`);
       await clearState();
     } catch (error) {
       ctx.logger?.error?.(`[phase] DOWNLOAD failed: ${error.message}`);
       throw error;
+    } finally {
+      clearInterval(heartbeatTimer);
     }
   }
 
@@ -150,12 +203,24 @@ export function createPhaseDispatcher({ getContext }) {
       const patientIds = await requestPatientIdsFromBackground();
       ctx.logger?.info?.(`[phase] profile targets: ${staffIds.length} staff, ${patientIds.length} patients`);
 
+      // Profiles already captured cleanly this run (before a reload or a
+      // browser restart) don't need another visit.
+      const captured = await requestCapturedProfileIdsFromBackground();
+      const capturedStaff = new Set(captured.staff);
+      const capturedPatients = new Set(captured.patients);
+      const pendingStaffIds = staffIds.filter((id) => !capturedStaff.has(id));
+      const pendingPatientIds = patientIds.filter((id) => !capturedPatients.has(String(id)));
+      if (pendingStaffIds.length < staffIds.length || pendingPatientIds.length < patientIds.length) {
+        ctx.logger?.info?.(`[phase] profile resume: skipping ${staffIds.length - pendingStaffIds.length} staff + ${patientIds.length - pendingPatientIds.length} patients already captured`);
+      }
+
       await scrapeAllProfiles({
         clinicName,
-        staffIds,
-        patientIds,
+        staffIds: pendingStaffIds,
+        patientIds: pendingPatientIds,
         logger: ctx.logger,
         shouldStop: ctx.shouldStop,
+        waitWhilePaused,
       });
 
       ctx.logger?.info?.('[phase] PROFILE complete, notifying background');
@@ -179,6 +244,17 @@ export function createPhaseDispatcher({ getContext }) {
     });
   }
 
+  async function requestCapturedProfileIdsFromBackground() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'listCapturedProfileIds' }, (res) => {
+        resolve({
+          staff: Array.isArray(res?.staff) ? res.staff : [],
+          patients: Array.isArray(res?.patients) ? res.patients : [],
+        });
+      });
+    });
+  }
+
   async function resumeFromStorage() {
     const key = stateKey();
     if (!key) return false;
@@ -220,7 +296,11 @@ export function createPhaseDispatcher({ getContext }) {
       case 'beginDiscovery':
         ctx.logger?.debug?.(`[phase] received beginDiscovery (${request.resolvedStaff?.length || 0} staff)`);
         sendResponse({ ok: true });
-        runDiscovery({ clinicName: request.clinicName, resolvedStaff: request.resolvedStaff })
+        runDiscovery({
+          clinicName: request.clinicName,
+          resolvedStaff: request.resolvedStaff,
+          staffIndex: request.staffIndex || 0,
+        })
           .catch((err) => ctx.logger?.error?.(`beginDiscovery failed: ${err.message}`));
         return false;
 
@@ -231,6 +311,12 @@ export function createPhaseDispatcher({ getContext }) {
           .catch((err) => ctx.logger?.error?.(`beginDownload failed: ${err.message}`));
         return false;
 
+      case 'retireWorker':
+        ctx.logger?.info?.(`[phase] received retireWorker (thread=${request.threadId}), releasing claim and exiting`);
+        retiring = true;
+        sendResponse({ ok: true });
+        return false;
+
       case 'beginProfile':
         ctx.logger?.debug?.(`[phase] received beginProfile`);
         sendResponse({ ok: true });
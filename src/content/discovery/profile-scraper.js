@@ -12,6 +12,7 @@
  */
 
 import { sleep } from '../../shared/utils/async-utils.js';
+import { acquireRequestPermit } from '../../shared/utils/request-permit.js';
 import { TIMEOUTS } from '../../shared/constants.js';
 
 async function persistProfile(type, id, record, profile_status) {
@@ -204,6 +205,7 @@ function scrapeStaffProfile(logger) {
 }
 
 async function navigateViaHash(clinicName, hash, shouldStop, logger) {
+  await acquireRequestPermit({ kind: 'profile', shouldStop, logger });
   const currentHref = window.location.href;
   const onAdmin = /\.janeapp\.com\/admin/.test(currentHref);
   if (!onAdmin) {
@@ -250,13 +252,14 @@ export async function scrapeStaffProfileById({ clinicName, staffId, logger, shou
 const RETRY_PASSES = 2;
 const RETRY_PASS_COOLDOWN_MS = 60000;
 
-export async function scrapeAllProfiles({ clinicName, staffIds, patientIds, logger, shouldStop, onRateLimitCheck }) {
+export async function scrapeAllProfiles({ clinicName, staffIds, patientIds, logger, shouldStop, onRateLimitCheck, waitWhilePaused }) {
   const staffResults = new Map();
   const patientResults = new Map();
 
   logger?.info?.(`[profile] PHASE 3 begin: ${staffIds?.length || 0} staff + ${patientIds?.length || 0} patients`);
 
   async function scrapeStaff(id) {
+    if (waitWhilePaused) await waitWhilePaused();
     if (onRateLimitCheck) await onRateLimitCheck();
     try {
       const res = await scrapeStaffProfileById({ clinicName, staffId: id, logger, shouldStop });
@@ -270,6 +273,7 @@ export async function scrapeAllProfiles({ clinicName, staffIds, patientIds, logg
   }
 
   async function scrapePatient(id) {
+    if (waitWhilePaused) await waitWhilePaused();
     if (onRateLimitCheck) await onRateLimitCheck();
     try {
       const res = await scrapePatientProfileById({ clinicName, patientId: id, logger, shouldStop });
@@ -13,10 +13,13 @@
  *   2. Wait for chart panels to render (reused from charts-nav.js)
  *   3. Click "Load More" until all panels are present (reused)
  *   4. Extract each panel into a tuple with chart_id, patient_id,
- *      patient_name, chart_type, chart_date, chart_url
+ *      patient_name, chart_type, chart_date, chart_url, plus the panel's
+ *      revision details (signed state, last-edited line) so the
+ *      coordinator can spot charts amended since they were last downloaded
  */
 
 import { sleep } from '../../shared/utils/async-utils.js';
+import { acquireRequestPermit } from '../../shared/utils/request-permit.js';
 import { TIMEOUTS, PATTERNS } from '../../shared/constants.js';
 import {
   waitForChartsLoaded,
@@ -30,6 +33,21 @@ const PATIENT_NAME_SELECTOR = 'span[data-test-id="chart_entry_header_patient_nam
 const HEADER_CONTAINER_SELECTOR = 'div.ellipsis-after-3-lines.flex-order-sm-2.flex-item.flex-pull-left';
 const AUTHOR_SELECTOR = '[data-testid="author-name"]';
 const PRINT_LINK_SELECTOR = 'a[href*="/admin/patients/"][href*="/chart_entries/"]';
+// Revision details: Jane marks signed/unsigned entries and adds an
+// "Edited …" / "Updated …" line once a signed entry is amended. Test ids
+// first, then a text scan of the panel chrome (never the note body, whose
+// wording would make every re-render look like an amendment).
+const REVISION_SELECTOR = [
+  '[data-test-id*="signed"]', '[data-testid*="signed"]',
+  '[data-test-id*="updated"]', '[data-testid*="updated"]',
+  '[data-test-id*="edited"]', '[data-testid*="edited"]',
+].join(', ');
+const PANEL_CHROME_SELECTOR = `.panel-heading, .panel-footer, ${HEADER_CONTAINER_SELECTOR}`;
+const SIGNED_TEXT = /\b(?:unsigned|signed(?: by| on)?|draft|locked)\b[^\n]{0,80}/i;
+const EDITED_TEXT = /\b(?:edited|updated|amended|last modified)\b[^\n]{0,80}/i;
+// Relative times ("3 days ago") change between runs without the chart
+// changing; they must not leak into the signature.
+const RELATIVE_TIME = /\b(?:just now|\d+\s+\w+\s+ago|yesterday|today)\b/gi;
 
 function buildStaffChartsUrl(clinicName, staffId) {
   // Jane admin is a hash-routed SPA. #staff/<id>/charts is the "Charts" tab
@@ -41,6 +59,32 @@ function textOf(el) {
   return el ? (el.textContent || '').trim() : '';
 }
 
+function normalizeRevisionText(text) {
+  return text.replace(RELATIVE_TIME, '').replace(/\s+/g, ' ').trim();
+}
+
+function extractRevision(panel) {
+  const tagged = [...panel.querySelectorAll(REVISION_SELECTOR)]
+    .map((el) => normalizeRevisionText(textOf(el)))
+    .filter(Boolean);
+  const chromeText = [...panel.querySelectorAll(PANEL_CHROME_SELECTOR)]
+    .map((el) => el.innerText || el.textContent || '')
+    .join('\n');
+  const signedMatch = chromeText.match(SIGNED_TEXT);
+  const editedMatch = chromeText.match(EDITED_TEXT);
+  const signedState = signedMatch ? normalizeRevisionText(signedMatch[0]) : null;
+  const updatedAt = editedMatch ? normalizeRevisionText(editedMatch[0]) : null;
+
+  const parts = [...new Set([...tagged, signedState, updatedAt].filter(Boolean))];
+  return {
+    signed_state: signedState,
+    updated_at: updatedAt,
+    // null when the panel shows nothing we recognise — versioning then
+    // can't tell an amendment apart and leaves the chart alone.
+    revision_signature: parts.length ? parts.join(' | ') : null,
+  };
+}
+
 function extractPanelTuple(panel, { staffId, staffName, logger, index }) {
   const header = panel.querySelector(HEADER_CONTAINER_SELECTOR);
   const dateText = textOf(header?.querySelector(DATE_SELECTOR));
@@ -71,6 +115,7 @@ function extractPanelTuple(panel, { staffId, staffName, logger, index }) {
     staff_id: String(staffId),
     staff_name: staffName || authorText || null,
     chart_url: href.startsWith('http') ? href : `${window.location.origin}${href}`,
+    ...extractRevision(panel),
   };
 
   logger?.debug?.(`[walker] panel #${index}: chart=${chartId} patient=${patientId} "${patientNameText}" date="${dateText}"`);
@@ -90,6 +135,7 @@ export async function walkStaffEntries({ clinicName, staffId, staffName, logger,
   const targetUrl = buildStaffChartsUrl(clinicName, staffId);
   logger?.info?.(`[walker] BEGIN staff=${staffId} name="${staffName}" url=${targetUrl}`);
 
+  await acquireRequestPermit({ kind: 'navigation', shouldStop: check, logger });
   window.location.href = targetUrl;
   await sleep(TIMEOUTS.CHARTS_PAGE_LOAD, { shouldStop });
   logger?.debug?.(`[walker] post-nav currentUrl=${window.location.href}`);
@@ -118,7 +164,12 @@ export async function walkStaffEntries({ clinicName, staffId, staffName, logger,
   }
 
   logger?.debug?.('[walker] clicking Load More until all charts present');
-  const loadMoreCount = await loadAllCharts({ maxClicks: 500, shouldStop: check, logger });
+  const loadMoreCount = await loadAllCharts({
+    maxClicks: 500,
+    shouldStop: check,
+    logger,
+    beforeClick: () => acquireRequestPermit({ kind: 'load_more', shouldStop: check, logger }),
+  });
   logger?.debug?.(`[walker] Load More clicks: ${loadMoreCount}`);
 
   const panels = document.querySelectorAll(PANEL_SELECTOR);
@@ -3,6 +3,8 @@
  *
  * Handles PDF download operations:
  * - Fetch PDFs from Jane App with authentication
+ * - Validate fetched bytes are a real PDF (see pdf-validator.js)
+ * - Hash each PDF (SHA-256) before it is saved, for the manifest checksums
  * - Throttle requests to avoid rate limiting
  * - Save PDFs to organized folder structure
  * - Track download progress
@@ -11,7 +13,10 @@
 
 import { THROTTLE, TIMEOUTS, RETRY } from '../../shared/constants.js';
 import { sleep } from '../../shared/utils/async-utils.js';
+import { acquireRequestPermit } from '../../shared/utils/request-permit.js';
 import { cleanFilename } from '../../shared/utils/string-utils.js';
+import { sha256Hex } from '../../shared/utils/crypto-utils.js';
+import { INVALID_PDF_REASON, validatePdfBlob, classifyHtmlBody } from './pdf-validator.js';
 
 // Substrings that identify a transient PDF-download failure. These can come
 // from our own thrown errors (fetchPdf, waitForDownloadComplete) or from the
@@ -25,11 +30,21 @@ const RETRIABLE_PDF_ERROR_PATTERNS = [
   'timed out',
   'failed to fetch',
   'network',
-  'pdf fetch failed'
+  'pdf fetch failed',
+  INVALID_PDF_REASON.TRUNCATED,
+  INVALID_PDF_REASON.NOT_PDF,
+  INVALID_PDF_REASON.CONTENT_TYPE,
+  // The generic HTML reason only — the sign-in and rate-limit pages need the
+  // worker's re-login / the controller's back-off instead of an immediate
+  // retry.
+  `${INVALID_PDF_REASON.HTML}:`
 ];
 
 function isRetriablePdfError(error) {
   const msg = (error?.message || '').toLowerCase();
+  // A 429 goes straight back to the worker, like the rate-limit page: the
+  // concurrency controller owns that back-off.
+  if (msg.includes('http 429')) return false;
   return RETRIABLE_PDF_ERROR_PATTERNS.some((p) => msg.includes(p));
 }
 
@@ -67,30 +82,26 @@ export class PdfDownloader {
    * Enforce minimum gap between PDF fetches (throttling)
    * Prevents rate limiting by Jane App
    *
+   * Two layers: the per-thread gap (tuned by the concurrency controller),
+   * then a permit from the background's clinic-wide request budget, which
+   * also holds every thread while the global rate-limit gate is up.
+   *
    * @param {Function} shouldStop - Stop check function
    * @returns {Promise<void>}
    */
   async enforceThrottle(shouldStop = null) {
     try {
       const storageKey = this.getThreadKey ? this.getThreadKey('lastPdfFetchTs') : 'lastPdfFetchTs';
+      const stored = await chrome.storage.local.get(['concurrencyState', storageKey]);
 
-      // Global rate-limit gate: if any thread recently hit Jane's rate limit,
-      // every thread waits until the pause window expires. Prevents cascades.
-      const gate = await chrome.storage.local.get(['rateLimitUntil', storageKey]);
-      const rateLimitUntil = Number(gate.rateLimitUntil || 0);
-      const gateWait = rateLimitUntil - Date.now();
-      if (gateWait > 0) {
-        if (this.logger) {
-          this.logger.info(`Global rate-limit gate: waiting ${Math.ceil(gateWait / 1000)}s`);
-        }
-        await sleep(gateWait, { shouldStop });
-      }
-
-      const lastTs = Number(gate[storageKey] || 0);
+      // The coordinator's concurrency controller tunes the gap at runtime;
+      // fall back to the constructor value outside the download phase.
+      const minFetchGap = Number(stored.concurrencyState?.fetchGapMs) || this.minFetchGap;
+      const lastTs = Number(stored[storageKey] || 0);
       const delta = Date.now() - lastTs;
 
-      if (delta < this.minFetchGap) {
-        const waitTime = this.minFetchGap - delta;
+      if (delta < minFetchGap) {
+        const waitTime = minFetchGap - delta;
 
         if (this.logger) {
           this.logger.debug(`Throttling: waiting ${waitTime}ms before next fetch`);
@@ -99,6 +110,8 @@ export class PdfDownloader {
         await sleep(waitTime, { shouldStop });
       }
 
+      await acquireRequestPermit({ kind: 'pdf', shouldStop, logger: this.logger });
+
       // Update last fetch timestamp
       await chrome.storage.local.set({ [storageKey]: Date.now() });
 
@@ -116,8 +129,10 @@ export class PdfDownloader {
    *
    * @param {string} pdfUrl - URL to fetch PDF from
    * @param {Function} shouldStop - Stop check function
-   * @returns {Promise<Blob>} PDF blob
-   * @throws {PdfDownloadError} If fetch fails
+   * @returns {Promise<Object>} {blob, pageCount, sha256} — blob is a
+   *   validated PDF and sha256 its hex digest
+   * @throws {PdfDownloadError} If fetch fails or the body isn't a valid PDF
+   *   (message starts with the invalid_pdf_* reason)
    */
   async fetchPdf(pdfUrl, shouldStop = null) {
     try {
@@ -133,15 +148,20 @@ export class PdfDownloader {
       // Convert response to a blob (binary data)
       const blob = await response.blob();
 
-      if (blob.size === 0) {
-        throw new PdfDownloadError('Downloaded PDF is empty');
+      const contentType = (response.headers.get('content-type') || '').toLowerCase();
+      const validation = await validatePdfBlob(blob, { contentType, finalUrl: response.url });
+      if (!validation.valid) {
+        throw new PdfDownloadError(`${validation.reason}: ${validation.detail}`);
       }
 
       if (this.logger) {
-        this.logger.debug(`Fetched PDF: ${blob.size} bytes`);
+        this.logger.debug(`Fetched PDF: ${blob.size} bytes, ${validation.pageCount ?? 'unknown'} pages`);
       }
 
-      return blob;
+      // Hash the exact bytes that are about to be saved.
+      const sha256 = await sha256Hex(blob);
+
+      return { blob, pageCount: validation.pageCount, sha256 };
 
     } catch (error) {
       if (error.message === 'Stopped' || error.message.includes('Stopped while')) {
@@ -223,6 +243,13 @@ export class PdfDownloader {
     }
 
     if (this.isHtmlContentType(contentType)) {
+      // An expired session or the rate-limit page gets its own reason: the
+      // worker re-logs in or backs off rather than retrying straight away.
+      const body = await response.text().catch(() => '');
+      const reason = classifyHtmlBody(body, { finalUrl });
+      if (reason === INVALID_PDF_REASON.HTML_LOGIN || reason === INVALID_PDF_REASON.HTML_RATE_LIMIT) {
+        throw new PdfDownloadError(`${reason}: PDF fetch returned Jane's ${reason === INVALID_PDF_REASON.HTML_LOGIN ? 'sign-in' : 'rate-limit'} page`);
+      }
       throw new PdfDownloadError(`PDF fetch returned HTML instead of a PDF (content-type: ${contentType || 'unknown'})`);
     }
 
@@ -358,57 +385,6 @@ export class PdfDownloader {
     }
   }
 
-  /**
-   * Download a remote PDF URL directly via Chrome's native download pipeline.
-   * This is more reliable than fetch() for authenticated browser-style links.
-   *
-   * @param {string} downloadUrl - Direct PDF URL
-   * @param {string} filename - Filename to save as
-   * @param {string} patientFolder - Folder path
-   * @param {Function} shouldStop - Stop check function
-   * @returns {Promise<number>} Download ID
-   */
-  async downloadRemotePdf(downloadUrl, filename, patientFolder, shouldStop = null) {
-    try {
-      if (this.logger) {
-        this.logger.info('Falling back to native browser download');
-      }
-
-      const downloadId = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: 'downloadPDF',
-          url: downloadUrl,
-          filename: `${patientFolder}/${filename}`,
-          saveAs: false
-        }, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else if (response && response.error) {
-            reject(new Error(response.error));
-          } else if (response && response.downloadId) {
-            resolve(response.downloadId);
-          } else {
-            reject(new Error('No download ID returned'));
-          }
-        });
-      });
-
-      await this.waitForDownloadComplete(downloadId, shouldStop, { expectPdf: true });
-
-      if (this.logger) {
-        this.logger.success('PDF saved successfully');
-      }
-
-      return downloadId;
-    } catch (error) {
-      if (error.message === 'Stopped' || error.message.includes('Stopped while')) {
-        throw error;
-      }
-
-      throw new PdfDownloadError(`Native PDF download failed: ${error.message}`, error);
-    }
-  }
-
   /**
    * Wait for a download to complete
    *
@@ -417,8 +393,7 @@ export class PdfDownloader {
    * @returns {Promise<void>}
    * @throws {PdfDownloadError} If download fails or times out
    */
-  async waitForDownloadComplete(downloadId, shouldStop = null, options = {}) {
-    const { expectPdf = false } = options;
+  async waitForDownloadComplete(downloadId, shouldStop = null) {
     let downloadComplete = false;
     let attempts = 0;
     const maxAttempts = 60; // Try for up to 30 seconds
@@ -439,12 +414,6 @@ export class PdfDownloader {
       });
 
       if (downloadState.state === 'complete') {
-        if (expectPdf && this.looksLikeHtmlDownload(downloadState)) {
-          await this.deleteDownload(downloadId);
-          throw new PdfDownloadError(
-            `Native PDF download returned HTML instead of a PDF (content-type: ${downloadState.mime || 'unknown'})`
-          );
-        }
         downloadComplete = true;
       } else if (downloadState.state === 'interrupted') {
         // Clean up the partial/error file so Downloads doesn't accumulate junk.
@@ -478,42 +447,6 @@ export class PdfDownloader {
     });
   }
 
-  /**
-   * Check whether a completed download looks like HTML rather than a PDF.
-   *
-   * @param {Object} downloadState - Download status payload from background
-   * @returns {boolean} True if the download appears to be HTML
-   */
-  looksLikeHtmlDownload(downloadState = {}) {
-    const mime = (downloadState.mime || '').toLowerCase();
-    const filename = (downloadState.filename || '').toLowerCase();
-
-    return (
-      this.isHtmlContentType(mime) ||
-      filename.endsWith('.html') ||
-      filename.endsWith('.htm')
-    );
-  }
-
-  /**
-   * Determine whether a fetch failure should fall back to native download.
-   *
-   * @param {Error} error - Fetch error
-   * @returns {boolean} True if native download should be attempted
-   */
-  shouldUseNativeFallback(error) {
-    const message = (error?.message || '').toLowerCase();
-
-    return (
-      message.includes('html instead of a pdf') ||
-      message.includes('http 406') ||
-      message.includes('http 401') ||
-      message.includes('http 403') ||
-      message.includes('failed to fetch') ||
-      message.includes('pdf fetch failed')
-    );
-  }
-
   /**
    * Download a PDF file and save it to disk
    * Main entry point for PDF downloads
@@ -524,10 +457,24 @@ export class PdfDownloader {
    * @param {number} patientId - Patient ID (for folder organization)
    * @param {Object} options - Configuration
    * @param {Function} options.shouldStop - Stop check function
-   * @returns {Promise<Object>} Result {success: boolean, downloadId?: number}
+   * @param {Function} options.findDuplicate - Optional async (sha256) =>
+   *   {chart_id, file_path} | null; when it returns a chart the PDF is not
+   *   saved again
+   * @param {Function} options.encrypt - Optional async (blob) => Uint8Array;
+   *   when set, the encrypted bytes are saved instead of the PDF
+   * @returns {Promise<Object>} Result {success: boolean, downloadId?: number,
+   *   sizeBytes?: number, pageCount?: number, sha256?: string,
+   *   storedSha256?: string, storedBytes?: number, duplicateOf?: Object} —
+   *   stored* describe the encrypted file when encrypt was set; duplicateOf
+   *   is the canonical chart when nothing was saved
    */
   async downloadPdfWithCookies(pdfUrl, filename, patientName, patientId, options = {}) {
-    const { shouldStop = null, maxRetries = RETRY.PDF_DOWNLOAD_MAX_RETRIES } = options;
+    const {
+      shouldStop = null,
+      maxRetries = RETRY.PDF_DOWNLOAD_MAX_RETRIES,
+      findDuplicate = null,
+      encrypt = null,
+    } = options;
 
     // Clean patient name for folder
     const cleanPatientName = cleanFilename(patientName, {
@@ -538,40 +485,62 @@ export class PdfDownloader {
 
     let lastError = null;
 
-    // Retry loop. Each attempt re-runs the full fetch+blob-or-native path so a
-    // transient fetch error, a SERVER_FAILED interrupt, or an HTML-instead-of-PDF
-    // response all get another shot. The inner download helpers already clean
-    // up partial files via deleteDownload() before throwing.
+    // Retry loop. Each attempt re-runs the full fetch+save path so a transient
+    // fetch error, a SERVER_FAILED interrupt, or an HTML-instead-of-PDF
+    // response all get another shot. The download helpers already clean up
+    // partial files via deleteDownload() before throwing.
+    //
+    // There is no fallback to a native chrome.downloads fetch of the URL:
+    // those bytes never pass through here, so the file would be saved without
+    // the hash checksums.sha256 and the signature need. A chart that can't
+    // be fetched fails instead, and the worker requeues it.
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       if (shouldStop && shouldStop()) {
         throw new Error('Stopped while downloading PDF');
       }
 
-      let downloadId = null;
-      let blob = null;
-
       try {
-        try {
-          // Primary path: authenticated fetch, then save the blob.
-          blob = await this.fetchPdf(pdfUrl, shouldStop);
+        const { blob, pageCount, sha256 } = await this.fetchPdf(pdfUrl, shouldStop);
+        const duplicateOf = findDuplicate ? await findDuplicate(sha256) : null;
+        if (duplicateOf) {
+          return {
+            success: true,
+            downloadId: null,
+            attempts: attempt,
+            sizeBytes: blob.size,
+            pageCount,
+            sha256,
+            duplicateOf,
+          };
+        }
+        let downloadId;
+        let stored = null;
+        if (encrypt) {
+          const bytes = await encrypt(blob);
+          stored = { sha256: await sha256Hex(bytes), bytes: bytes.length };
+          downloadId = await this.downloadBlob(
+            new Blob([bytes], { type: 'application/octet-stream' }),
+            filename,
+            patientFolder,
+            shouldStop,
+          );
+        } else {
           downloadId = await this.downloadBlob(blob, filename, patientFolder, shouldStop);
-        } catch (innerError) {
-          if (innerError.message === 'Stopped' || innerError.message.includes('Stopped while')) {
-            throw innerError;
-          }
-          if (!this.shouldUseNativeFallback(innerError)) {
-            throw innerError;
-          }
-
-          // Fallback: let Chrome pull the file directly using the browser session.
-          const directUrl = this.stripPreviewSuffix(this.normalizePdfUrlInput(pdfUrl));
-          downloadId = await this.downloadRemotePdf(directUrl, filename, patientFolder, shouldStop);
         }
 
         // Success — track and return.
-        if (blob) this.currentPatientFiles.push({ filename, blob });
+        this.currentPatientFiles.push({ filename, blob });
         this.currentPatientDownloadIds.push(downloadId);
-        return { success: true, downloadId, attempts: attempt };
+        return {
+          success: true,
+          downloadId,
+          attempts: attempt,
+          sizeBytes: blob.size,
+          pageCount,
+          sha256,
+          storedSha256: stored?.sha256 || null,
+          storedBytes: stored?.bytes ?? null,
+        };
 
       } catch (error) {
         if (error.message === 'Stopped' || error.message.includes('Stopped while')) {
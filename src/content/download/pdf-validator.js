@@ -0,0 +1,149 @@
+/**
+ * PDF VALIDATOR MODULE
+ *
+ * Checks that a fetched blob really is a PDF before it is saved and marked
+ * done. When Jane's session expires mid-run it answers chart PDF URLs with
+ * its sign-in page (or the "Whoa there friend" rate-limit page), sometimes
+ * without an HTML content-type, and those used to land on disk as `.pdf`.
+ *
+ * Checks, in order:
+ * - `%PDF-` header within the first 1 KB (the spec allows leading junk)
+ * - otherwise sniff the body: sign-in page, rate-limit page, other HTML.
+ *   Only a redirect to /sessions/new or a password field counts as the
+ *   sign-in page; an error page that merely links to "Sign in" is plain HTML
+ * - `%%EOF` trailer near the end of the file (missing = truncated)
+ * - a basic page count from the `/Type /Page` objects or the page tree's
+ *   `/Count`. PDFs that keep their objects in compressed streams expose
+ *   neither, so an unknown count is accepted; an explicit zero is not.
+ *
+ * Failure reasons are stable strings (`invalid_pdf_*`) so they can be matched
+ * in error messages and grouped in summary.json / the retry-failed filter.
+ */
+
+export const INVALID_PDF_REASON = Object.freeze({
+  HTML_LOGIN: 'invalid_pdf_html_login',
+  HTML_RATE_LIMIT: 'invalid_pdf_html_rate_limit',
+  HTML: 'invalid_pdf_html',
+  CONTENT_TYPE: 'invalid_pdf_content_type',
+  NOT_PDF: 'invalid_pdf_not_pdf',
+  TRUNCATED: 'invalid_pdf_truncated',
+  NO_PAGES: 'invalid_pdf_no_pages',
+});
+
+const HEADER_SCAN_BYTES = 1024;
+// The spec puts %%EOF in the last 1 KB; some generators pad a little more.
+const TRAILER_SCAN_BYTES = 2048;
+const SNIFF_BYTES = 8192;
+// Page counting reads the whole file; skip it for very large PDFs.
+const MAX_PAGE_SCAN_BYTES = 25 * 1024 * 1024;
+
+const HTML_MARKERS = ['<!doctype html', '<html', '<head', '<body'];
+// Jane sends an expired session to /sessions/new; the form there is the
+// only page with a password field.
+const SIGN_IN_PATH = /\/sessions\/new\/?$/;
+const PASSWORD_FIELD = /<input\b[^>]*\btype\s*=\s*["']?password\b/;
+const RATE_LIMIT_MARKERS = ['whoa there', 'too many requests', 'rate limit'];
+
+async function readText(blob, start = 0, end = blob.size) {
+  const buffer = await blob.slice(start, end).arrayBuffer();
+  // latin1 maps every byte to one char, so binary PDF data survives intact.
+  return new TextDecoder('latin1').decode(buffer);
+}
+
+function isSignInUrl(url) {
+  if (!url) return false;
+  try {
+    return SIGN_IN_PATH.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Classify a text body that turned out not to be a PDF.
+ *
+ * @param {string} text - Start of the response body
+ * @param {Object} options
+ * @param {string} options.finalUrl - URL the response came from after redirects
+ * @returns {string|null} An INVALID_PDF_REASON, or null if it isn't HTML
+ */
+export function classifyHtmlBody(text, { finalUrl = '' } = {}) {
+  const lower = String(text || '').toLowerCase();
+  if (RATE_LIMIT_MARKERS.some((m) => lower.includes(m))) return INVALID_PDF_REASON.HTML_RATE_LIMIT;
+  if (isSignInUrl(finalUrl)) return INVALID_PDF_REASON.HTML_LOGIN;
+  if (!HTML_MARKERS.some((m) => lower.includes(m))) return null;
+  if (PASSWORD_FIELD.test(lower)) return INVALID_PDF_REASON.HTML_LOGIN;
+  return INVALID_PDF_REASON.HTML;
+}
+
+function isPdfContentType(contentType) {
+  return !contentType
+    || contentType.includes('application/pdf')
+    || contentType.includes('application/octet-stream')
+    || contentType.includes('binary/octet-stream')
+    || contentType.includes('application/x-pdf');
+}
+
+/**
+ * Basic page count: individual page objects first, then the largest page
+ * tree /Count. Returns null when neither is visible.
+ *
+ * @param {string} text - Whole PDF as latin1 text
+ * @returns {number|null}
+ */
+export function countPdfPages(text) {
+  const pageObjects = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+  if (pageObjects > 0) return pageObjects;
+  let count = null;
+  const treeRe = /\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g;
+  let match;
+  while ((match = treeRe.exec(text)) !== null) {
+    const n = Number(match[1] ?? match[2]);
+    if (count === null || n > count) count = n;
+  }
+  return count;
+}
+
+/**
+ * Validate a fetched PDF blob.
+ *
+ * @param {Blob} blob - Response body
+ * @param {Object} options
+ * @param {string} options.contentType - Response content-type header (lowercased)
+ * @param {string} options.finalUrl - Response URL after redirects
+ * @returns {Promise<Object>} {valid: true, pageCount, size} or
+ *   {valid: false, reason, detail}
+ */
+export async function validatePdfBlob(blob, { contentType = '', finalUrl = '' } = {}) {
+  const size = blob?.size || 0;
+  if (size === 0) {
+    return { valid: false, reason: INVALID_PDF_REASON.TRUNCATED, detail: 'PDF is empty' };
+  }
+
+  const head = await readText(blob, 0, Math.min(size, HEADER_SCAN_BYTES));
+  if (!head.includes('%PDF-')) {
+    const sniffed = classifyHtmlBody(await readText(blob, 0, Math.min(size, SNIFF_BYTES)), { finalUrl });
+    if (sniffed) {
+      return { valid: false, reason: sniffed, detail: `got an HTML page (${size} bytes, content-type: ${contentType || 'unknown'})` };
+    }
+    if (!isPdfContentType(contentType)) {
+      return { valid: false, reason: INVALID_PDF_REASON.CONTENT_TYPE, detail: `content-type ${contentType} and no %PDF- header` };
+    }
+    return { valid: false, reason: INVALID_PDF_REASON.NOT_PDF, detail: `no %PDF- header in the first ${HEADER_SCAN_BYTES} bytes` };
+  }
+
+  const tail = await readText(blob, Math.max(0, size - TRAILER_SCAN_BYTES), size);
+  if (!tail.includes('%%EOF')) {
+    return { valid: false, reason: INVALID_PDF_REASON.TRUNCATED, detail: `no %%EOF trailer (${size} bytes)` };
+  }
+
+  let pageCount = null;
+  if (size <= MAX_PAGE_SCAN_BYTES) {
+    pageCount = countPdfPages(await readText(blob));
+    if (pageCount === 0) {
+      return { valid: false, reason: INVALID_PDF_REASON.NO_PAGES, detail: 'page tree has /Count 0' };
+    }
+  }
+
+  return { valid: true, pageCount, size };
+}
@@ -96,7 +96,8 @@ export async function loadAllCharts(options = {}) {
   const {
     maxClicks = 10,
     shouldStop = null,
-    logger = null
+    logger = null,
+    beforeClick = null
   } = options;
 
   let loadMoreCount = 0;
@@ -119,6 +120,11 @@ export async function loadAllCharts(options = {}) {
       break;
     }
 
+    // Each click fetches another page from Jane; let the caller gate it
+    if (beforeClick) {
+      await beforeClick();
+    }
+
     // Click the button
     loadMoreButton.click();
     loadMoreCount++;
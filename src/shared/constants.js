@@ -31,6 +31,7 @@ export const TIMEOUTS = {
   // Download timeouts
   DOWNLOAD_COMPLETE_TIMEOUT: 30000,  // 30s - Max time to wait for PDF download to complete (60 attempts x 500ms)
   DOWNLOAD_CHECK_INTERVAL: 500,      // 0.5s - How often to check download status
+  FILE_SAVE_TIMEOUT: 600000,         // 10min - Max time to wait for a generated file (manifest, ZIP volume) to save
 
   // Login delays
   LOGIN_FORM_WAIT: 500,              // 0.5s - Wait for login page to load
@@ -53,6 +54,10 @@ export const TIMEOUTS = {
 
 export const THROTTLE = {
   MIN_PDF_FETCH_GAP_MS: 4000,     // 4s - Minimum gap between PDF fetches per thread (avoid overwhelming server)
+  DEFAULT_REQUESTS_PER_MINUTE: 40,// Clinic-wide budget across all tabs (PDFs + page loads)
+  MIN_REQUESTS_PER_MINUTE: 5,     // Lowest budget the panel accepts
+  MAX_REQUESTS_PER_MINUTE: 300,   // Highest budget the panel accepts
+  REQUEST_BURST: 3,               // Requests allowed back-to-back when the bucket is full
 };
 
 // ============================================================================
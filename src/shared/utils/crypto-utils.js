@@ -0,0 +1,73 @@
+/**
+ * CRYPTO UTILITIES
+ *
+ * WebCrypto helpers shared by the content scripts and the service worker:
+ * - sha256Hex: SHA-256 of a Blob, ArrayBuffer, typed array or string as
+ *   lowercase hex (the format `sha256sum` prints)
+ * - bytesToHex: Hex-encode raw bytes
+ * - canonicalJson: Key-sorted JSON, so equal objects hash (and sign) equally
+ * - bytesToBase64 / base64ToBytes: Binary values inside JSON
+ */
+
+/**
+ * Hex-encode bytes
+ *
+ * @param {ArrayBuffer|Uint8Array} bytes - Raw bytes
+ * @returns {string} Lowercase hex string
+ */
+export function bytesToHex(bytes) {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let hex = '';
+  for (let i = 0; i < view.length; i++) {
+    hex += view[i].toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * SHA-256 digest as hex
+ *
+ * @param {Blob|ArrayBuffer|ArrayBufferView|string} data - Data to hash
+ * @returns {Promise<string>} 64-character lowercase hex digest
+ */
+export async function sha256Hex(data) {
+  let buffer;
+  if (typeof data === 'string') {
+    buffer = new TextEncoder().encode(data);
+  } else if (data instanceof Blob) {
+    buffer = await data.arrayBuffer();
+  } else {
+    buffer = data;
+  }
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return bytesToHex(digest);
+}
+
+/**
+ * JSON with object keys sorted at every level, no whitespace
+ *
+ * @param {*} value - JSON-safe value
+ * @returns {string} Canonical JSON text
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function bytesToBase64(bytes) {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < view.length; i++) binary += String.fromCharCode(view[i]);
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const out = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) out[i] = binary.charCodeAt(i);
+  return out;
+}
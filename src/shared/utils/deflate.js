@@ -0,0 +1,425 @@
+/**
+ * DEFLATE
+ *
+ * Raw DEFLATE (RFC 1951) compressor for the ZIP packaging step — pure JS so
+ * it runs the same in every extension page without a bundled WASM build.
+ *
+ * - deflateRaw: compress bytes into a raw deflate stream (no zlib header)
+ *
+ * Greedy LZ77 over a 32 KiB window with hash chains, then one Huffman block
+ * per BLOCK_SYMBOLS symbols. Each block is written whichever way is smallest:
+ * stored, fixed codes or dynamic codes — PDFs are mostly compressed already,
+ * so stored blocks are common and cost nothing extra.
+ */
+
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const WINDOW_SIZE = 32768;
+const WINDOW_MASK = WINDOW_SIZE - 1;
+const HASH_BITS = 15;
+const HASH_MASK = (1 << HASH_BITS) - 1;
+const BLOCK_SYMBOLS = 16384;
+const MAX_STORED = 65535;
+const DEFAULT_MAX_CHAIN = 32;
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// Order the code length code lengths are written in.
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Match length (3..258) -> length symbol index (0..28).
+const LENGTH_CODE = new Uint8Array(MAX_MATCH + 1);
+for (let code = 0; code < LENGTH_BASE.length; code++) {
+  const end = code + 1 < LENGTH_BASE.length ? LENGTH_BASE[code + 1] : MAX_MATCH + 1;
+  for (let len = LENGTH_BASE[code]; len < end; len++) LENGTH_CODE[len] = code;
+}
+LENGTH_CODE[MAX_MATCH] = 28;
+
+function distCode(dist) {
+  let code = 0;
+  while (code + 1 < DIST_BASE.length && DIST_BASE[code + 1] <= dist) code++;
+  return code;
+}
+// Distance (1..32768) -> distance code, split like zlib's table: the first
+// 256 distances directly, the rest by (dist - 1) >> 7.
+const DIST_CODE = new Uint8Array(512);
+for (let d = 1; d <= 256; d++) DIST_CODE[d - 1] = distCode(d);
+for (let d = 257; d <= WINDOW_SIZE; d += 128) DIST_CODE[256 + ((d - 1) >> 7)] = distCode(d);
+
+function distanceCode(dist) {
+  return dist <= 256 ? DIST_CODE[dist - 1] : DIST_CODE[256 + ((dist - 1) >> 7)];
+}
+
+const FIXED_LIT_LENGTHS = new Uint8Array(288);
+FIXED_LIT_LENGTHS.fill(8, 0, 144);
+FIXED_LIT_LENGTHS.fill(9, 144, 256);
+FIXED_LIT_LENGTHS.fill(7, 256, 280);
+FIXED_LIT_LENGTHS.fill(8, 280, 288);
+const FIXED_DIST_LENGTHS = new Uint8Array(30).fill(5);
+
+class BitWriter {
+  constructor(capacity) {
+    this.buffer = new Uint8Array(Math.max(capacity, 1024));
+    this.pos = 0;
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+
+  ensure(extra) {
+    if (this.pos + extra <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.pos + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.buffer.subarray(0, this.pos));
+    this.buffer = next;
+  }
+
+  // LSB first, as DEFLATE packs everything but Huffman codes (which are
+  // stored pre-reversed).
+  write(value, count) {
+    this.bits |= value << this.bitCount;
+    this.bitCount += count;
+    this.ensure(4);
+    while (this.bitCount >= 8) {
+      this.buffer[this.pos++] = this.bits & 0xff;
+      this.bits >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  alignToByte() {
+    if (this.bitCount > 0) {
+      this.ensure(1);
+      this.buffer[this.pos++] = this.bits & 0xff;
+    }
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+
+  writeBytes(bytes) {
+    this.ensure(bytes.length);
+    this.buffer.set(bytes, this.pos);
+    this.pos += bytes.length;
+  }
+
+  finish() {
+    this.alignToByte();
+    return this.buffer.slice(0, this.pos);
+  }
+}
+
+/**
+ * Huffman code lengths for `freqs`, no longer than maxBits. Always returns a
+ * complete code over at least two symbols — inflaters reject incomplete
+ * literal/length codes.
+ */
+function buildLengths(freqs, maxBits) {
+  const n = freqs.length;
+  const lengths = new Uint8Array(n);
+  const weights = Array.from(freqs);
+  let used = weights.reduce((count, f) => count + (f > 0 ? 1 : 0), 0);
+  for (let s = 0; used < 2; s++) {
+    if (weights[s] === 0) {
+      weights[s] = 1;
+      used++;
+    }
+  }
+
+  // Two-queue Huffman: sorted leaves, internal nodes come out in order.
+  const leaves = [];
+  for (let s = 0; s < n; s++) if (weights[s] > 0) leaves.push(s);
+  leaves.sort((a, b) => weights[a] - weights[b] || a - b);
+  const nodeWeight = [];
+  const nodeParent = [];
+  const leafParent = new Int32Array(n);
+  let li = 0;
+  let ni = 0;
+  const take = () => {
+    if (li < leaves.length && (ni >= nodeWeight.length || weights[leaves[li]] <= nodeWeight[ni])) {
+      return { leaf: leaves[li++] };
+    }
+    return { node: ni++ };
+  };
+  while (leaves.length - li + nodeWeight.length - ni > 1) {
+    const a = take();
+    const b = take();
+    const index = nodeWeight.length;
+    let weight = 0;
+    for (const item of [a, b]) {
+      if (item.leaf !== undefined) {
+        leafParent[item.leaf] = index;
+        weight += weights[item.leaf];
+      } else {
+        nodeParent[item.node] = index;
+        weight += nodeWeight[item.node];
+      }
+    }
+    nodeWeight.push(weight);
+  }
+  const depth = new Int32Array(nodeWeight.length);
+  for (let i = nodeWeight.length - 2; i >= 0; i--) depth[i] = depth[nodeParent[i]] + 1;
+  for (const s of leaves) lengths[s] = Math.min(depth[leafParent[s]] + 1, maxBits);
+
+  // Clamping can over-subscribe the code; lengthen the longest codes until
+  // it fits, then shorten where that left room, so the code is complete.
+  const target = 1 << maxBits;
+  let kraft = 0;
+  for (const s of leaves) kraft += 1 << (maxBits - lengths[s]);
+  while (kraft > target) {
+    let pick = -1;
+    for (const s of leaves) {
+      if (lengths[s] < maxBits && (pick < 0 || lengths[s] > lengths[pick])) pick = s;
+    }
+    kraft -= 1 << (maxBits - lengths[pick] - 1);
+    lengths[pick] += 1;
+  }
+  while (kraft < target) {
+    let pick = -1;
+    for (const s of leaves) {
+      if (lengths[s] > 1 && (1 << (maxBits - lengths[s])) <= target - kraft
+        && (pick < 0 || lengths[s] > lengths[pick] || (lengths[s] === lengths[pick] && weights[s] > weights[pick]))) {
+        pick = s;
+      }
+    }
+    kraft += 1 << (maxBits - lengths[pick]);
+    lengths[pick] -= 1;
+  }
+  return lengths;
+}
+
+// Canonical codes, bit-reversed so BitWriter can write them LSB first.
+function buildCodes(lengths) {
+  const count = new Uint16Array(16);
+  for (const len of lengths) if (len) count[len]++;
+  const next = new Uint16Array(16);
+  let code = 0;
+  for (let bits = 1; bits < 16; bits++) {
+    code = (code + count[bits - 1]) << 1;
+    next[bits] = code;
+  }
+  const codes = new Uint16Array(lengths.length);
+  for (let s = 0; s < lengths.length; s++) {
+    const len = lengths[s];
+    if (!len) continue;
+    let value = next[len]++;
+    let reversed = 0;
+    for (let i = 0; i < len; i++) {
+      reversed = (reversed << 1) | (value & 1);
+      value >>= 1;
+    }
+    codes[s] = reversed;
+  }
+  return codes;
+}
+
+// Run-length encode the code lengths with symbols 16 (repeat previous),
+// 17 and 18 (runs of zeros).
+function encodeCodeLengths(lengths) {
+  const out = [];
+  let i = 0;
+  while (i < lengths.length) {
+    const len = lengths[i];
+    let run = 1;
+    while (i + run < lengths.length && lengths[i + run] === len) run++;
+    i += run;
+    if (len === 0) {
+      while (run >= 11) {
+        const r = Math.min(run, 138);
+        out.push([18, 7, r - 11]);
+        run -= r;
+      }
+      if (run >= 3) {
+        out.push([17, 3, run - 3]);
+        run = 0;
+      }
+    } else {
+      out.push([len, 0, 0]);
+      run -= 1;
+      while (run >= 3) {
+        const r = Math.min(run, 6);
+        out.push([16, 2, r - 3]);
+        run -= r;
+      }
+    }
+    for (; run > 0; run--) out.push([len, 0, 0]);
+  }
+  return out;
+}
+
+function symbolCost(block, litLengths, distLengths) {
+  let bits = litLengths[256];
+  for (let i = 0; i < block.count; i++) {
+    const dist = block.dists[i];
+    if (dist === 0) {
+      bits += litLengths[block.values[i]];
+    } else {
+      const lc = LENGTH_CODE[block.values[i]];
+      const dc = distanceCode(dist);
+      bits += litLengths[257 + lc] + LENGTH_EXTRA[lc] + distLengths[dc] + DIST_EXTRA[dc];
+    }
+  }
+  return bits;
+}
+
+function writeSymbols(writer, block, litLengths, distLengths) {
+  const litCodes = buildCodes(litLengths);
+  const distCodes = buildCodes(distLengths);
+  for (let i = 0; i < block.count; i++) {
+    const value = block.values[i];
+    const dist = block.dists[i];
+    if (dist === 0) {
+      writer.write(litCodes[value], litLengths[value]);
+      continue;
+    }
+    const lc = LENGTH_CODE[value];
+    writer.write(litCodes[257 + lc], litLengths[257 + lc]);
+    if (LENGTH_EXTRA[lc]) writer.write(value - LENGTH_BASE[lc], LENGTH_EXTRA[lc]);
+    const dc = distanceCode(dist);
+    writer.write(distCodes[dc], distLengths[dc]);
+    if (DIST_EXTRA[dc]) writer.write(dist - DIST_BASE[dc], DIST_EXTRA[dc]);
+  }
+  writer.write(litCodes[256], litLengths[256]);
+}
+
+function writeStored(writer, raw, final) {
+  let offset = 0;
+  do {
+    const len = Math.min(MAX_STORED, raw.length - offset);
+    const last = final && offset + len >= raw.length;
+    writer.write(last ? 1 : 0, 1);
+    writer.write(0, 2);
+    writer.alignToByte();
+    writer.write(len & 0xffff, 16);
+    writer.write(~len & 0xffff, 16);
+    writer.writeBytes(raw.subarray(offset, offset + len));
+    offset += len;
+  } while (offset < raw.length);
+}
+
+function writeBlock(writer, block, raw, final) {
+  const litFreq = new Uint32Array(286);
+  const distFreq = new Uint32Array(30);
+  for (let i = 0; i < block.count; i++) {
+    if (block.dists[i] === 0) {
+      litFreq[block.values[i]]++;
+    } else {
+      litFreq[257 + LENGTH_CODE[block.values[i]]]++;
+      distFreq[distanceCode(block.dists[i])]++;
+    }
+  }
+  litFreq[256] = 1;
+
+  const litLengths = buildLengths(litFreq, 15);
+  const distLengths = buildLengths(distFreq, 15);
+  let hlit = 286;
+  while (hlit > 257 && litLengths[hlit - 1] === 0) hlit--;
+  let hdist = 30;
+  while (hdist > 1 && distLengths[hdist - 1] === 0) hdist--;
+  const all = new Uint8Array(hlit + hdist);
+  all.set(litLengths.subarray(0, hlit), 0);
+  all.set(distLengths.subarray(0, hdist), hlit);
+  const clSymbols = encodeCodeLengths(all);
+  const clFreq = new Uint32Array(19);
+  for (const [sym] of clSymbols) clFreq[sym]++;
+  const clLengths = buildLengths(clFreq, 7);
+  let hclen = 19;
+  while (hclen > 4 && clLengths[CODE_LENGTH_ORDER[hclen - 1]] === 0) hclen--;
+
+  let dynamicBits = 3 + 14 + 3 * hclen + symbolCost(block, litLengths, distLengths);
+  for (const [sym, extraBits] of clSymbols) dynamicBits += clLengths[sym] + extraBits;
+  const fixedBits = 3 + symbolCost(block, FIXED_LIT_LENGTHS, FIXED_DIST_LENGTHS);
+  const storedBits = Math.max(1, Math.ceil(raw.length / MAX_STORED)) * (3 + 7 + 32) + raw.length * 8;
+
+  if (storedBits <= fixedBits && storedBits <= dynamicBits) {
+    writeStored(writer, raw, final);
+  } else if (fixedBits <= dynamicBits) {
+    writer.write(final ? 1 : 0, 1);
+    writer.write(1, 2);
+    writeSymbols(writer, block, FIXED_LIT_LENGTHS, FIXED_DIST_LENGTHS);
+  } else {
+    writer.write(final ? 1 : 0, 1);
+    writer.write(2, 2);
+    writer.write(hlit - 257, 5);
+    writer.write(hdist - 1, 5);
+    writer.write(hclen - 4, 4);
+    for (let i = 0; i < hclen; i++) writer.write(clLengths[CODE_LENGTH_ORDER[i]], 3);
+    const clCodes = buildCodes(clLengths);
+    for (const [sym, extraBits, extra] of clSymbols) {
+      writer.write(clCodes[sym], clLengths[sym]);
+      if (extraBits) writer.write(extra, extraBits);
+    }
+    writeSymbols(writer, block, litLengths, distLengths);
+  }
+}
+
+/**
+ * Compress with raw DEFLATE
+ *
+ * @param {Uint8Array} data - Bytes to compress
+ * @param {Object} options
+ * @param {number} options.maxChain - Match candidates tried per position;
+ *   lower is faster, higher compresses a little better
+ * @returns {Uint8Array} Raw deflate stream (ZIP method 8)
+ */
+export function deflateRaw(data, { maxChain = DEFAULT_MAX_CHAIN } = {}) {
+  const n = data.length;
+  const writer = new BitWriter((n >> 1) + 64);
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const prev = new Int32Array(WINDOW_SIZE);
+  const block = { values: new Uint16Array(BLOCK_SYMBOLS), dists: new Uint16Array(BLOCK_SYMBOLS), count: 0 };
+  const hashAt = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & HASH_MASK;
+  const insert = (i) => {
+    const h = hashAt(i);
+    prev[i & WINDOW_MASK] = head[h];
+    head[h] = i;
+  };
+
+  let blockStart = 0;
+  let i = 0;
+  while (i < n) {
+    let bestLen = 0;
+    let bestDist = 0;
+    if (i + MIN_MATCH <= n) {
+      const maxLen = Math.min(MAX_MATCH, n - i);
+      const limit = i - WINDOW_SIZE;
+      let candidate = head[hashAt(i)];
+      for (let chain = maxChain; candidate >= 0 && candidate > limit && chain > 0; chain--) {
+        if (data[candidate + bestLen] === data[i + bestLen] && data[candidate] === data[i]) {
+          let len = 0;
+          while (len < maxLen && data[candidate + len] === data[i + len]) len++;
+          if (len > bestLen) {
+            bestLen = len;
+            bestDist = i - candidate;
+            if (len === maxLen) break;
+          }
+        }
+        const next = prev[candidate & WINDOW_MASK];
+        if (next >= candidate) break;
+        candidate = next;
+      }
+      insert(i);
+    }
+
+    if (bestLen >= MIN_MATCH) {
+      block.values[block.count] = bestLen;
+      block.dists[block.count] = bestDist;
+      for (let k = 1; k < bestLen && i + k + MIN_MATCH <= n; k++) insert(i + k);
+      i += bestLen;
+    } else {
+      block.values[block.count] = data[i];
+      block.dists[block.count] = 0;
+      i += 1;
+    }
+    block.count += 1;
+
+    if (block.count === BLOCK_SYMBOLS && i < n) {
+      writeBlock(writer, block, data.subarray(blockStart, i), false);
+      block.count = 0;
+      blockStart = i;
+    }
+  }
+  writeBlock(writer, block, data.subarray(blockStart, n), true);
+  return writer.finish();
+}
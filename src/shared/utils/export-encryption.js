@@ -0,0 +1,152 @@
+/**
+ * EXPORT ENCRYPTION
+ *
+ * At-rest encryption for the "encrypt output" mode, shared by the download
+ * workers (PDFs), the manifest writer (manifests) and decrypt.html:
+ * - deriveExportKey: AES-GCM key from the passphrase (PBKDF2-SHA-256)
+ * - encryptBytes / decryptBytes: one file in, one `.enc` file out
+ * - makePassphraseCheck / checkPassphrase: tell a wrong passphrase apart
+ *   before anything is written with it
+ *
+ * Encrypted file layout (all integers big-endian):
+ *   magic "JSE1" (4) | PBKDF2 iterations (4) | salt (16) | IV (12) | AES-GCM
+ *   ciphertext with its 16-byte tag
+ * The 36-byte header is passed as additional data, so it can't be altered
+ * without failing decryption. The salt is per run, so one key derivation
+ * covers the whole export; the IV is fresh for every file.
+ */
+
+import { bytesToBase64, base64ToBytes } from './crypto-utils.js';
+
+export const ENCRYPTED_SUFFIX = '.enc';
+export const PBKDF2_ITERATIONS = 310000;
+
+const MAGIC = [0x4a, 0x53, 0x45, 0x31]; // "JSE1"
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const HEADER_BYTES = MAGIC.length + 4 + SALT_BYTES + IV_BYTES;
+const CHECK_PLAINTEXT = 'jane-scraper export passphrase check';
+
+/**
+ * Fresh per-run parameters, safe to store alongside the run.
+ *
+ * @returns {{salt: string, iterations: number}} Salt as base64
+ */
+export function createEncryptionParams() {
+  return {
+    salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES))),
+    iterations: PBKDF2_ITERATIONS,
+  };
+}
+
+/**
+ * Derive the AES-GCM key for an export
+ *
+ * @param {string} passphrase - User passphrase
+ * @param {Object} params - {salt (base64), iterations}
+ * @returns {Promise<CryptoKey>} Non-extractable AES-256-GCM key
+ */
+export async function deriveExportKey(passphrase, { salt, iterations }) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey'],
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+function buildHeader({ salt, iterations }, iv) {
+  const header = new Uint8Array(HEADER_BYTES);
+  header.set(MAGIC, 0);
+  new DataView(header.buffer).setUint32(MAGIC.length, iterations);
+  header.set(base64ToBytes(salt), MAGIC.length + 4);
+  header.set(iv, MAGIC.length + 4 + SALT_BYTES);
+  return header;
+}
+
+/**
+ * Read the header of an encrypted file
+ *
+ * @param {Uint8Array} bytes - Encrypted file (at least the header)
+ * @returns {Object|null} {salt (base64), iterations, iv} or null if not ours
+ */
+export function parseEncryptedHeader(bytes) {
+  if (!bytes || bytes.length < HEADER_BYTES) return null;
+  if (MAGIC.some((b, i) => bytes[i] !== b)) return null;
+  return {
+    iterations: new DataView(bytes.buffer, bytes.byteOffset).getUint32(MAGIC.length),
+    salt: bytesToBase64(bytes.slice(MAGIC.length + 4, MAGIC.length + 4 + SALT_BYTES)),
+    iv: bytes.slice(MAGIC.length + 4 + SALT_BYTES, HEADER_BYTES),
+  };
+}
+
+/**
+ * Encrypt one file
+ *
+ * @param {CryptoKey} key - From deriveExportKey
+ * @param {Object} params - The params the key was derived with
+ * @param {Blob|ArrayBuffer|Uint8Array|string} data - Plaintext
+ * @returns {Promise<Uint8Array>} Header followed by ciphertext
+ */
+export async function encryptBytes(key, params, data) {
+  let plain;
+  if (typeof data === 'string') plain = new TextEncoder().encode(data);
+  else if (data instanceof Blob) plain = new Uint8Array(await data.arrayBuffer());
+  else plain = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const header = buildHeader(params, iv);
+  const cipher = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header },
+    key,
+    plain,
+  ));
+  const out = new Uint8Array(header.length + cipher.length);
+  out.set(header, 0);
+  out.set(cipher, header.length);
+  return out;
+}
+
+/**
+ * Decrypt one file. Throws if the key is wrong or the file was altered.
+ *
+ * @param {CryptoKey} key - From deriveExportKey with the file's salt
+ * @param {Uint8Array} bytes - Encrypted file
+ * @returns {Promise<Uint8Array>} Plaintext
+ */
+export async function decryptBytes(key, bytes) {
+  const header = parseEncryptedHeader(bytes);
+  if (!header) throw new Error('not an encrypted export file');
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: header.iv, additionalData: bytes.slice(0, HEADER_BYTES) },
+    key,
+    bytes.slice(HEADER_BYTES),
+  );
+  return new Uint8Array(plain);
+}
+
+/**
+ * Encrypt a known string so a later passphrase can be checked against it.
+ *
+ * @returns {Promise<string>} base64
+ */
+export async function makePassphraseCheck(key, params) {
+  return bytesToBase64(await encryptBytes(key, params, CHECK_PLAINTEXT));
+}
+
+export async function checkPassphrase(key, check) {
+  try {
+    const plain = await decryptBytes(key, base64ToBytes(check));
+    return new TextDecoder().decode(plain) === CHECK_PLAINTEXT;
+  } catch {
+    return false;
+  }
+}
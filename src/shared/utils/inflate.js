@@ -0,0 +1,226 @@
+/**
+ * INFLATE
+ *
+ * DEFLATE decompressor (RFC 1951), the counterpart of deflate.js, for
+ * reading FlateDecode streams when merging PDFs.
+ *
+ * - inflateRaw: decompress a raw deflate stream
+ * - inflateZlib: decompress a zlib-wrapped stream (RFC 1950, what PDF
+ *   FlateDecode uses); the Adler-32 trailer isn't checked
+ *
+ * Throws on malformed input rather than returning partial output.
+ */
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Decoding table: counts per length and symbols sorted by code.
+function buildDecoder(lengths) {
+  const counts = new Uint16Array(16);
+  for (const len of lengths) counts[len]++;
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  for (let len = 1; len < 16; len++) offsets[len] = offsets[len - 1] + counts[len - 1];
+  const symbols = new Uint16Array(lengths.length);
+  for (let s = 0; s < lengths.length; s++) {
+    if (lengths[s]) symbols[offsets[lengths[s]]++] = s;
+  }
+  return { counts, symbols };
+}
+
+let fixedLit = null;
+let fixedDist = null;
+
+function fixedDecoders() {
+  if (!fixedLit) {
+    const lengths = new Uint8Array(288);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    fixedLit = buildDecoder(lengths);
+    fixedDist = buildDecoder(new Uint8Array(30).fill(5));
+  }
+  return { lit: fixedLit, dist: fixedDist };
+}
+
+class BitReader {
+  constructor(data, pos = 0) {
+    this.data = data;
+    this.pos = pos;
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+
+  need(count) {
+    while (this.bitCount < count) {
+      if (this.pos >= this.data.length) throw new Error('inflate: unexpected end of data');
+      this.bits |= this.data[this.pos++] << this.bitCount;
+      this.bitCount += 8;
+    }
+  }
+
+  read(count) {
+    if (count === 0) return 0;
+    this.need(count);
+    const value = this.bits & ((1 << count) - 1);
+    this.bits >>>= count;
+    this.bitCount -= count;
+    return value;
+  }
+
+  // Huffman codes are packed MSB first, one bit at a time.
+  decode({ counts, symbols }) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= this.read(1);
+      const count = counts[len];
+      if (code - first < count) return symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('inflate: invalid Huffman code');
+  }
+
+  alignToByte() {
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+}
+
+class Output {
+  constructor(capacity) {
+    this.buffer = new Uint8Array(Math.max(capacity, 1024));
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.buffer.subarray(0, this.length));
+    this.buffer = next;
+  }
+
+  push(byte) {
+    this.ensure(1);
+    this.buffer[this.length++] = byte;
+  }
+
+  copy(dist, len) {
+    if (dist > this.length) throw new Error('inflate: distance too far back');
+    this.ensure(len);
+    // Byte by byte: the source and destination may overlap.
+    for (let i = 0; i < len; i++) {
+      this.buffer[this.length] = this.buffer[this.length - dist];
+      this.length++;
+    }
+  }
+}
+
+function readDynamicDecoders(reader) {
+  const hlit = reader.read(5) + 257;
+  const hdist = reader.read(5) + 1;
+  const hclen = reader.read(4) + 4;
+  const clLengths = new Uint8Array(19);
+  for (let i = 0; i < hclen; i++) clLengths[CODE_LENGTH_ORDER[i]] = reader.read(3);
+  const clDecoder = buildDecoder(clLengths);
+
+  const lengths = new Uint8Array(hlit + hdist);
+  let i = 0;
+  while (i < lengths.length) {
+    const sym = reader.decode(clDecoder);
+    if (sym < 16) {
+      lengths[i++] = sym;
+      continue;
+    }
+    let repeat;
+    let value = 0;
+    if (sym === 16) {
+      if (i === 0) throw new Error('inflate: repeat with no previous length');
+      value = lengths[i - 1];
+      repeat = 3 + reader.read(2);
+    } else if (sym === 17) {
+      repeat = 3 + reader.read(3);
+    } else {
+      repeat = 11 + reader.read(7);
+    }
+    if (i + repeat > lengths.length) throw new Error('inflate: too many code lengths');
+    lengths.fill(value, i, i + repeat);
+    i += repeat;
+  }
+  return {
+    lit: buildDecoder(lengths.subarray(0, hlit)),
+    dist: buildDecoder(lengths.subarray(hlit)),
+  };
+}
+
+/**
+ * Decompress a raw deflate stream
+ *
+ * @param {Uint8Array} data - Compressed bytes
+ * @param {number} start - Offset of the stream in data
+ * @returns {Uint8Array} Decompressed bytes
+ */
+export function inflateRaw(data, start = 0) {
+  const reader = new BitReader(data, start);
+  const out = new Output(data.length * 4);
+  let final = 0;
+  while (!final) {
+    final = reader.read(1);
+    const type = reader.read(2);
+    if (type === 0) {
+      reader.alignToByte();
+      if (reader.pos + 4 > data.length) throw new Error('inflate: unexpected end of data');
+      const len = data[reader.pos] | (data[reader.pos + 1] << 8);
+      const nlen = data[reader.pos + 2] | (data[reader.pos + 3] << 8);
+      if ((len ^ 0xffff) !== nlen) throw new Error('inflate: stored block length mismatch');
+      reader.pos += 4;
+      if (reader.pos + len > data.length) throw new Error('inflate: unexpected end of data');
+      out.ensure(len);
+      out.buffer.set(data.subarray(reader.pos, reader.pos + len), out.length);
+      out.length += len;
+      reader.pos += len;
+      continue;
+    }
+    if (type === 3) throw new Error('inflate: invalid block type');
+    const { lit, dist } = type === 1 ? fixedDecoders() : readDynamicDecoders(reader);
+    for (;;) {
+      const sym = reader.decode(lit);
+      if (sym < 256) {
+        out.push(sym);
+      } else if (sym === 256) {
+        break;
+      } else {
+        const li = sym - 257;
+        if (li >= LENGTH_BASE.length) throw new Error('inflate: invalid length symbol');
+        const len = LENGTH_BASE[li] + reader.read(LENGTH_EXTRA[li]);
+        const di = reader.decode(dist);
+        if (di >= DIST_BASE.length) throw new Error('inflate: invalid distance symbol');
+        out.copy(DIST_BASE[di] + reader.read(DIST_EXTRA[di]), len);
+      }
+    }
+  }
+  return out.buffer.slice(0, out.length);
+}
+
+/**
+ * Decompress a zlib stream (2-byte header, deflate data, Adler-32)
+ *
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Uint8Array} Decompressed bytes
+ */
+export function inflateZlib(data) {
+  if (data.length < 2 || (data[0] & 0x0f) !== 8 || ((data[0] << 8) | data[1]) % 31 !== 0) {
+    throw new Error('inflate: not a zlib stream');
+  }
+  if (data[1] & 0x20) throw new Error('inflate: preset dictionaries are not supported');
+  return inflateRaw(data, 2);
+}
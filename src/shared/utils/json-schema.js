@@ -0,0 +1,113 @@
+/**
+ * JSON SCHEMA
+ *
+ * A validator for the JSON Schema keywords the bundled schemas use, not the
+ * whole draft: $ref (local, "#/definitions/..."), type, const, enum,
+ * pattern, minLength, minItems, items, properties, required,
+ * additionalProperties (false or a schema) and oneOf.
+ */
+
+const DEFAULT_MAX_ERRORS = 20;
+// Compiled once: a large export checks the same few patterns many times.
+const patterns = new Map();
+
+function patternFor(source) {
+  if (!patterns.has(source)) patterns.set(source, new RegExp(source));
+  return patterns.get(source);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported: ${ref}`);
+  let target = root;
+  for (const part of ref.slice(2).split('/')) {
+    target = target?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  if (!target) throw new Error(`Unresolved $ref ${ref}`);
+  return target;
+}
+
+function check(schema, value, path, ctx) {
+  if (ctx.errors.length >= ctx.maxErrors) return;
+  const fail = (message) => ctx.errors.push({ path: path || '$', message });
+
+  if (schema.$ref) {
+    check(resolveRef(ctx.root, schema.$ref), value, path, ctx);
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) fail(`shorter than ${schema.minLength}`);
+    if (schema.pattern && !patternFor(schema.pattern).test(value)) fail(`does not match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`fewer than ${schema.minItems} items`);
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, ctx));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing ${key}`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = `${path}.${key}`;
+      if (properties[key]) check(properties[key], child, childPath, ctx);
+      else if (schema.additionalProperties === false) ctx.errors.push({ path: childPath, message: 'not allowed here' });
+      else if (typeof schema.additionalProperties === 'object') check(schema.additionalProperties, child, childPath, ctx);
+    }
+  }
+
+  if (schema.oneOf) {
+    // Report the closest branch's errors rather than every branch's.
+    const results = schema.oneOf.map((branch) => {
+      const branchCtx = { ...ctx, errors: [] };
+      check(branch, value, path, branchCtx);
+      return branchCtx.errors;
+    });
+    const passing = results.filter((errors) => errors.length === 0).length;
+    if (passing > 1) fail('matches more than one oneOf branch');
+    if (passing === 0) {
+      const closest = results.reduce((best, errors) => (errors.length < best.length ? errors : best));
+      ctx.errors.push(...closest.slice(0, ctx.maxErrors - ctx.errors.length));
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {Object} schema - Schema; $refs resolve against `root`
+ * @param {*} value - Value to check
+ * @param {Object} options
+ * @param {Object} options.root - Document holding the definitions (default: schema)
+ * @param {number} options.maxErrors - Stop after this many (default: 20)
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+export function validateSchema(schema, value, options = {}) {
+  const { root = schema, maxErrors = DEFAULT_MAX_ERRORS } = options;
+  const ctx = { root, maxErrors, errors: [] };
+  check(schema, value, '$', ctx);
+  return ctx.errors;
+}
@@ -0,0 +1,103 @@
+/**
+ * MANIFEST SIGNATURE
+ *
+ * The format of `_manifest/manifest.sig.json` and the checks both sides need:
+ * the manifest writer builds and signs it in the service worker, verify.html
+ * re-checks an export folder against it.
+ *
+ * - merkleRoot: Merkle root over {path, sha256} leaves
+ * - verifySignedPayload: Check the ECDSA signature over a payload
+ *
+ * Leaves are sorted by path, so the root doesn't depend on write order. A
+ * leaf is SHA-256(0x00 || "<path>\n<sha256>") and an inner node
+ * SHA-256(0x01 || left || right); an odd node at the end of a level is
+ * carried up unchanged. The prefixes keep a leaf from passing for a node.
+ */
+
+import { bytesToHex, canonicalJson, base64ToBytes } from './crypto-utils.js';
+
+export const SIGNATURE_FORMAT = 'jane-scraper-manifest-signature/1';
+export const KEY_ALGORITHM = Object.freeze({ name: 'ECDSA', namedCurve: 'P-256' });
+export const SIGN_ALGORITHM = Object.freeze({ name: 'ECDSA', hash: 'SHA-256' });
+
+const LEAF_PREFIX = 0x00;
+const NODE_PREFIX = 0x01;
+
+async function digest(bytes) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+function concat(prefix, ...parts) {
+  const total = 1 + parts.reduce((n, p) => n + p.length, 0);
+  const out = new Uint8Array(total);
+  out[0] = prefix;
+  let offset = 1;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Merkle root of a file list
+ *
+ * @param {Array<{path: string, sha256: string}>} files - Hashed files
+ * @returns {Promise<string|null>} Root as hex, or null for an empty list
+ */
+export async function merkleRoot(files) {
+  const sorted = [...files].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  const encoder = new TextEncoder();
+  let level = [];
+  for (const file of sorted) {
+    level.push(await digest(concat(LEAF_PREFIX, encoder.encode(`${file.path}\n${file.sha256}`))));
+  }
+  if (level.length === 0) return null;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? await digest(concat(NODE_PREFIX, level[i], level[i + 1])) : level[i]);
+    }
+    level = next;
+  }
+  return bytesToHex(level[0]);
+}
+
+/**
+ * Key id: SHA-256 of the canonical public JWK (curve and coordinates only)
+ *
+ * @param {Object} jwk - Public key as JWK
+ * @returns {Promise<string>} Hex key id
+ */
+export async function publicKeyId(jwk) {
+  const { crv, kty, x, y } = jwk;
+  return bytesToHex(await digest(new TextEncoder().encode(canonicalJson({ crv, kty, x, y }))));
+}
+
+/**
+ * Verify the signature block of a manifest.sig.json document
+ *
+ * @param {Object} doc - Parsed manifest.sig.json
+ * @returns {Promise<Object>} {valid: boolean, keyId, error?}
+ */
+export async function verifySignedPayload(doc) {
+  if (doc?.format !== SIGNATURE_FORMAT) {
+    return { valid: false, keyId: null, error: `unknown format ${doc?.format || '(none)'}` };
+  }
+  const jwk = doc.signature?.public_key_jwk;
+  if (!jwk || !doc.signature?.value) {
+    return { valid: false, keyId: null, error: 'signature block incomplete' };
+  }
+  const keyId = await publicKeyId(jwk);
+  if (doc.signature.key_id && doc.signature.key_id !== keyId) {
+    return { valid: false, keyId, error: 'key_id does not match the public key' };
+  }
+  const publicKey = await crypto.subtle.importKey('jwk', jwk, KEY_ALGORITHM, false, ['verify']);
+  const valid = await crypto.subtle.verify(
+    SIGN_ALGORITHM,
+    publicKey,
+    base64ToBytes(doc.signature.value),
+    new TextEncoder().encode(canonicalJson(doc.payload)),
+  );
+  return valid ? { valid, keyId } : { valid, keyId, error: 'signature does not match the payload' };
+}
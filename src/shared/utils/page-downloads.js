@@ -0,0 +1,70 @@
+/**
+ * PAGE DOWNLOADS
+ *
+ * Saving files from the extension's own pages (decrypt.html, package.html,
+ * combine.html). Content scripts have no chrome.downloads; they go through
+ * the background.
+ *
+ * - saveBlob: Save a Blob under Downloads and wait until it's on disk
+ * - waitForDownload: Resolve once a started download is on disk (the
+ *   background's offscreen writes use it too)
+ */
+
+import { TIMEOUTS, ERROR_MESSAGES } from '../constants.js';
+
+/**
+ * Wait for a download to complete. A small file can be on disk before the
+ * listener is in place, so the download's current state is checked too.
+ *
+ * @param {number} downloadId - ID from chrome.downloads.download
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<void>} Rejects if the download is interrupted or times out
+ */
+export function waitForDownload(downloadId, timeoutMs = TIMEOUTS.FILE_SAVE_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const settle = (state, error) => {
+      if (state !== 'complete' && state !== 'interrupted') return;
+      chrome.downloads.onChanged.removeListener(onChanged);
+      clearTimeout(timer);
+      if (state === 'complete') resolve();
+      else reject(new Error(error || ERROR_MESSAGES.DOWNLOAD_INTERRUPTED));
+    };
+    const onChanged = (delta) => {
+      if (delta.id === downloadId && delta.state) settle(delta.state.current, delta.error?.current);
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+    timer = setTimeout(() => {
+      chrome.downloads.onChanged.removeListener(onChanged);
+      reject(new Error(ERROR_MESSAGES.DOWNLOAD_TIMEOUT));
+    }, timeoutMs);
+    chrome.downloads.search({ id: downloadId }).then(
+      ([item]) => settle(item ? item.state : 'interrupted', item?.error),
+      () => {},
+    );
+  });
+}
+
+/**
+ * Save a Blob and wait for the download to finish. The blob URL is revoked
+ * afterwards, so callers saving one file at a time never hold more than one.
+ *
+ * @param {string} filename - Path under Downloads
+ * @param {Blob} blob - Contents
+ * @returns {Promise<number>} Download ID
+ */
+export async function saveBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const downloadId = await chrome.downloads.download({
+      url,
+      filename,
+      saveAs: false,
+      conflictAction: 'overwrite',
+    });
+    await waitForDownload(downloadId);
+    return downloadId;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
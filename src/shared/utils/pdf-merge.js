@@ -0,0 +1,259 @@
+/**
+ * PDF MERGE
+ *
+ * Concatenates PDFs into one document with a bookmark per input, for the
+ * combined per-patient PDF (combine.js):
+ * - createPdfMerger: addDocument() each input in order, then finish() into
+ *   a Blob
+ *
+ * Pages are copied with everything they reference (content streams, fonts,
+ * images, annotations) and renumbered; streams are copied as they are,
+ * still compressed. Attributes a page inherited from its old page tree
+ * (Resources, MediaBox, CropBox, Rotate) are written onto the page itself,
+ * since the old tree isn't copied. Document-level features of the inputs —
+ * their own outlines, named destinations, form fields, tagging — are not
+ * carried over; a chart PDF rarely has them.
+ *
+ * Output is PDF 1.7 with a classic xref table, opening on the bookmarks
+ * panel.
+ */
+
+import { openPdf, latin1ToBytes } from './pdf-reader.js';
+
+const CATALOG_NUM = 1;
+const PAGES_NUM = 2;
+const OUTLINES_NUM = 3;
+const FIRST_FREE_NUM = 4;
+// The binary comment tells transfer tools the file isn't text.
+const HEADER = '%PDF-1.7\n%\xe2\xe3\xcf\xd3\n';
+
+function ref(num) {
+  return { type: 'ref', num, gen: 0 };
+}
+
+function name(text) {
+  return { type: 'name', text };
+}
+
+function raw(text) {
+  return { type: 'raw', text: String(text) };
+}
+
+function dict(entries) {
+  return { type: 'dict', entries: new Map(entries) };
+}
+
+/**
+ * PDF text string for any Unicode title: UTF-16BE with a byte order mark,
+ * written in hex so nothing needs escaping.
+ *
+ * @param {string} text
+ * @returns {Object} Raw value
+ */
+function pdfTextString(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  return raw(`<${hex}>`);
+}
+
+function pdfDate(at) {
+  const iso = new Date(at).toISOString();
+  return raw(`(D:${iso.slice(0, 19).replace(/[-T:]/g, '')}Z)`);
+}
+
+function serialize(value) {
+  switch (value?.type) {
+    case 'ref':
+      return `${value.num} ${value.gen} R`;
+    case 'name':
+    case 'raw':
+      return value.text;
+    case 'array':
+      return `[${value.items.map(serialize).join(' ')}]`;
+    case 'dict':
+      return `<<${[...value.entries].map(([key, v]) => `${key} ${serialize(v)}`).join(' ')}>>`;
+    default:
+      return 'null';
+  }
+}
+
+/**
+ * Start a merged document
+ *
+ * @param {Object} options
+ * @param {string} options.title - Document title (Info dictionary)
+ * @param {string} options.producer - Producer (Info dictionary)
+ * @returns {Object} {addDocument(bytes, {bookmark}), addBookmark(bookmark,
+ *   firstPage), pageCount, finish()}
+ */
+export function createPdfMerger({ title = '', producer = '' } = {}) {
+  const chunks = [HEADER];
+  const offsets = [];
+  const pageNums = [];
+  const bookmarks = [];
+  let position = HEADER.length;
+  let nextNum = FIRST_FREE_NUM;
+
+  const write = (text) => {
+    chunks.push(text);
+    position += text.length;
+  };
+
+  const writeObject = (num, value) => {
+    offsets[num] = position;
+    if (value?.stream) {
+      const entries = new Map(value.entries);
+      entries.set('/Length', raw(value.stream.length));
+      write(`${num} 0 obj\n${serialize({ type: 'dict', entries })}\nstream\n`);
+      chunks.push(value.stream);
+      position += value.stream.length;
+      write('\nendstream\nendobj\n');
+    } else {
+      write(`${num} 0 obj\n${serialize(value)}\nendobj\n`);
+    }
+  };
+
+  return {
+    get pageCount() {
+      return pageNums.length;
+    },
+
+    /**
+     * Append every page of a PDF
+     *
+     * @param {Uint8Array} bytes - The PDF
+     * @param {Object} options
+     * @param {string} options.bookmark - Outline entry pointing at its first
+     *   page; omitted if empty
+     * @returns {Object} {pages, firstPage} - firstPage is the object number,
+     *   for pointing another bookmark at the same pages
+     */
+    addDocument(bytes, { bookmark = '' } = {}) {
+      const doc = openPdf(bytes);
+      const { pages, treeNodes } = doc.listPages();
+      if (pages.length === 0) throw new Error('PDF has no pages');
+
+      // Old object number -> new. References to the old page tree (a page's
+      // /Parent, or anything pointing at it) go to the merged one.
+      const renumbered = new Map();
+      for (const node of treeNodes) renumbered.set(node, PAGES_NUM);
+      const queue = [];
+      const pending = new Map();
+      const assign = (num) => {
+        if (!renumbered.has(num)) {
+          renumbered.set(num, nextNum++);
+          queue.push(num);
+        }
+        return renumbered.get(num);
+      };
+      const inherited = new Map(pages.map((p) => [p.num, p.inherited]));
+      for (const page of pages) assign(page.num);
+
+      const remap = (value) => {
+        switch (value?.type) {
+          case 'ref':
+            return ref(assign(value.num));
+          case 'array':
+            return { type: 'array', items: value.items.map(remap) };
+          case 'dict': {
+            const entries = new Map();
+            for (const [key, v] of value.entries) entries.set(key, remap(v));
+            return value.stream ? { type: 'dict', entries, stream: value.stream } : { type: 'dict', entries };
+          }
+          default:
+            return value;
+        }
+      };
+
+      // Everything is resolved and remapped before anything is written, so
+      // an input that fails halfway leaves no trace in the output.
+      for (let i = 0; i < queue.length; i++) {
+        const oldNum = queue[i];
+        let value = doc.getObject(oldNum);
+        if (inherited.has(oldNum) && value?.type === 'dict') {
+          const entries = new Map(value.entries);
+          for (const [key, v] of inherited.get(oldNum)) {
+            if (!entries.has(key)) entries.set(key, v);
+          }
+          entries.delete('/Parent');
+          value = { type: 'dict', entries };
+        }
+        const copied = remap(value);
+        if (inherited.has(oldNum) && copied?.type === 'dict') copied.entries.set('/Parent', ref(PAGES_NUM));
+        pending.set(renumbered.get(oldNum), copied);
+      }
+
+      for (const [num, value] of pending) writeObject(num, value);
+      const firstPage = renumbered.get(pages[0].num);
+      pageNums.push(...pages.map((p) => renumbered.get(p.num)));
+      if (bookmark) bookmarks.push({ title: bookmark, page: firstPage });
+      return { pages: pages.length, firstPage };
+    },
+
+    /**
+     * Add a bookmark to pages already added (e.g. a second chart entry with
+     * the same PDF)
+     */
+    addBookmark(bookmark, firstPage) {
+      bookmarks.push({ title: bookmark, page: firstPage });
+    },
+
+    /**
+     * Write the page tree, outline, catalog and xref
+     *
+     * @returns {Blob} The merged PDF
+     */
+    finish() {
+      if (pageNums.length === 0) throw new Error('nothing to merge');
+      writeObject(PAGES_NUM, dict([
+        ['/Type', name('/Pages')],
+        ['/Kids', { type: 'array', items: pageNums.map(ref) }],
+        ['/Count', raw(pageNums.length)],
+      ]));
+
+      const itemNums = bookmarks.map(() => nextNum++);
+      bookmarks.forEach((bookmark, i) => {
+        const entries = [
+          ['/Title', pdfTextString(bookmark.title)],
+          ['/Parent', ref(OUTLINES_NUM)],
+          ['/Dest', { type: 'array', items: [ref(bookmark.page), name('/Fit')] }],
+        ];
+        if (i > 0) entries.push(['/Prev', ref(itemNums[i - 1])]);
+        if (i < itemNums.length - 1) entries.push(['/Next', ref(itemNums[i + 1])]);
+        writeObject(itemNums[i], dict(entries));
+      });
+      const outline = [['/Type', name('/Outlines')], ['/Count', raw(itemNums.length)]];
+      if (itemNums.length > 0) {
+        outline.push(['/First', ref(itemNums[0])], ['/Last', ref(itemNums[itemNums.length - 1])]);
+      }
+      writeObject(OUTLINES_NUM, dict(outline));
+
+      writeObject(CATALOG_NUM, dict([
+        ['/Type', name('/Catalog')],
+        ['/Pages', ref(PAGES_NUM)],
+        ['/Outlines', ref(OUTLINES_NUM)],
+        ['/PageMode', name(itemNums.length > 0 ? '/UseOutlines' : '/UseNone')],
+      ]));
+
+      const infoNum = nextNum++;
+      const info = [['/CreationDate', pdfDate(Date.now())]];
+      if (title) info.push(['/Title', pdfTextString(title)]);
+      if (producer) info.push(['/Producer', pdfTextString(producer)]);
+      writeObject(infoNum, dict(info));
+
+      // Numbers taken by an input that failed to copy were never written;
+      // they're listed as free.
+      const xrefAt = position;
+      let xref = `xref\n0 ${nextNum}\n0000000000 65535 f\r\n`;
+      for (let num = 1; num < nextNum; num++) {
+        xref += offsets[num] === undefined
+          ? '0000000000 00000 f\r\n'
+          : `${String(offsets[num]).padStart(10, '0')} 00000 n\r\n`;
+      }
+      write(xref);
+      write(`trailer\n<</Size ${nextNum} /Root ${CATALOG_NUM} 0 R /Info ${infoNum} 0 R>>\nstartxref\n${xrefAt}\n%%EOF\n`);
+
+      return new Blob(chunks.map((c) => (typeof c === 'string' ? latin1ToBytes(c) : c)), { type: 'application/pdf' });
+    },
+  };
+}
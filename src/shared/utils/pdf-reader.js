@@ -0,0 +1,529 @@
+/**
+ * PDF READER
+ *
+ * Just enough of a PDF parser to copy pages out of a document (pdf-merge.js):
+ * - openPdf: read the cross-reference data and give access to objects,
+ *   the trailer and the page list
+ * - latin1ToBytes / bytesToLatin1: the one-char-per-byte strings used here
+ *
+ * Values are plain objects: {type: 'ref', num, gen}, {type: 'dict', entries:
+ * Map, stream?}, {type: 'array', items}, {type: 'name', text} and
+ * {type: 'raw', text} for everything else (numbers, strings, booleans, null),
+ * kept exactly as written so it can be copied back out byte for byte.
+ * Streams keep their encoded bytes; only cross-reference and object streams
+ * are decoded (FlateDecode, with or without a PNG predictor).
+ *
+ * Handles classic xref tables, xref streams, hybrid files and incremental
+ * updates; if the xref data is missing or broken, objects are found by
+ * scanning for `N G obj`. Encrypted PDFs are rejected.
+ */
+
+import { inflateZlib } from './inflate.js';
+
+const INHERITED_PAGE_KEYS = ['/Resources', '/MediaBox', '/CropBox', '/Rotate'];
+// How far back from the end to look for startxref.
+const TAIL_BYTES = 2048;
+const MAX_PAGE_TREE_DEPTH = 64;
+
+const WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+/**
+ * Bytes to a string with one char per byte (ISO-8859-1), so string offsets
+ * are byte offsets and nothing is lost going back.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToLatin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return text;
+}
+
+/**
+ * The inverse of bytesToLatin1
+ *
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function latin1ToBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+function isWhitespace(text, pos) {
+  return WHITESPACE.has(text.charCodeAt(pos));
+}
+
+function isRegular(text, pos) {
+  return pos < text.length && !isWhitespace(text, pos) && !DELIMITERS.has(text[pos]);
+}
+
+function skipSpace(text, pos) {
+  while (pos < text.length) {
+    if (isWhitespace(text, pos)) {
+      pos++;
+    } else if (text[pos] === '%') {
+      while (pos < text.length && text[pos] !== '\r' && text[pos] !== '\n') pos++;
+    } else {
+      break;
+    }
+  }
+  return pos;
+}
+
+function readRegular(text, pos) {
+  const start = pos;
+  while (isRegular(text, pos)) pos++;
+  return [text.slice(start, pos), pos];
+}
+
+function isInteger(token) {
+  return /^\d+$/.test(token);
+}
+
+// Literal string, balanced parentheses, backslash escapes.
+function readLiteralString(text, pos) {
+  const start = pos;
+  let depth = 0;
+  while (pos < text.length) {
+    const c = text[pos];
+    if (c === '\\') {
+      pos += 2;
+      continue;
+    }
+    if (c === '(') depth++;
+    if (c === ')' && --depth === 0) return [text.slice(start, pos + 1), pos + 1];
+    pos++;
+  }
+  throw new Error('pdf: unterminated string');
+}
+
+/**
+ * Parse one value starting at pos
+ *
+ * @returns {Array} [value, position after it]
+ */
+function parseValue(text, pos) {
+  pos = skipSpace(text, pos);
+  const c = text[pos];
+  if (c === '<' && text[pos + 1] === '<') {
+    const entries = new Map();
+    pos += 2;
+    for (;;) {
+      pos = skipSpace(text, pos);
+      if (pos >= text.length) throw new Error('pdf: unterminated dictionary');
+      if (text[pos] === '>' && text[pos + 1] === '>') return [{ type: 'dict', entries }, pos + 2];
+      if (text[pos] !== '/') throw new Error(`pdf: expected a name at ${pos}`);
+      const [key, next] = parseValue(text, pos);
+      const [value, after] = parseValue(text, next);
+      entries.set(key.text, value);
+      pos = after;
+    }
+  }
+  if (c === '[') {
+    const items = [];
+    pos++;
+    for (;;) {
+      pos = skipSpace(text, pos);
+      if (pos >= text.length) throw new Error('pdf: unterminated array');
+      if (text[pos] === ']') return [{ type: 'array', items }, pos + 1];
+      const [value, next] = parseValue(text, pos);
+      items.push(value);
+      pos = next;
+    }
+  }
+  if (c === '<') {
+    const end = text.indexOf('>', pos);
+    if (end === -1) throw new Error('pdf: unterminated hex string');
+    return [{ type: 'raw', text: text.slice(pos, end + 1) }, end + 1];
+  }
+  if (c === '(') {
+    const [raw, next] = readLiteralString(text, pos);
+    return [{ type: 'raw', text: raw }, next];
+  }
+  if (c === '/') {
+    const [name, next] = readRegular(text, pos + 1);
+    return [{ type: 'name', text: `/${name}` }, next];
+  }
+  const [token, next] = readRegular(text, pos);
+  if (!token) throw new Error(`pdf: unexpected ${JSON.stringify(c)} at ${pos}`);
+  // `num gen R` is a reference.
+  if (isInteger(token)) {
+    const genStart = skipSpace(text, next);
+    const [gen, afterGen] = readRegular(text, genStart);
+    if (isInteger(gen)) {
+      const r = skipSpace(text, afterGen);
+      if (text[r] === 'R' && !isRegular(text, r + 1)) {
+        return [{ type: 'ref', num: Number(token), gen: Number(gen) }, r + 1];
+      }
+    }
+  }
+  return [{ type: 'raw', text: token }, next];
+}
+
+/**
+ * Entry of a dictionary, or undefined
+ *
+ * @param {Object} dict - Dictionary value
+ * @param {string} key - Key with its slash, e.g. '/Type'
+ */
+export function dictGet(dict, key) {
+  return dict?.type === 'dict' ? dict.entries.get(key) : undefined;
+}
+
+function numberValue(value, fallback = null) {
+  if (value?.type !== 'raw') return fallback;
+  const n = Number(value.text);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+class PdfDocument {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.text = bytesToLatin1(bytes);
+    // num -> {offset} | {stream, index} | null (free)
+    this.xref = new Map();
+    this.trailer = null;
+    this.cache = new Map();
+    this.objectStreams = new Map();
+  }
+
+  resolve(value) {
+    return value?.type === 'ref' ? this.getObject(value.num) : value;
+  }
+
+  /**
+   * Object by number; null for missing and free objects, as the spec says.
+   */
+  getObject(num) {
+    if (this.cache.has(num)) return this.cache.get(num);
+    // Guards against a /Length that points back at its own stream.
+    this.cache.set(num, null);
+    const entry = this.xref.get(num);
+    let value = null;
+    if (entry && 'offset' in entry) {
+      const parsed = this.parseIndirectAt(entry.offset);
+      if (parsed.num !== num) throw new Error(`pdf: xref points at object ${parsed.num}, not ${num}`);
+      value = parsed.value;
+    } else if (entry) {
+      value = this.loadObjectStream(entry.stream).get(num) ?? null;
+    }
+    this.cache.set(num, value);
+    return value;
+  }
+
+  // `num gen obj <value> [stream ... endstream] endobj` at offset.
+  parseIndirectAt(offset) {
+    const { text } = this;
+    let pos = skipSpace(text, offset);
+    const [numToken, p1] = readRegular(text, pos);
+    const [genToken, p2] = readRegular(text, skipSpace(text, p1));
+    pos = skipSpace(text, p2);
+    if (!isInteger(numToken) || !isInteger(genToken) || !text.startsWith('obj', pos)) {
+      throw new Error(`pdf: no object at offset ${offset}`);
+    }
+    const [value, next] = parseValue(text, pos + 3);
+    pos = skipSpace(text, next);
+    if (value.type === 'dict' && text.startsWith('stream', pos)) {
+      value.stream = this.readStreamData(value, pos + 6);
+    }
+    return { num: Number(numToken), value };
+  }
+
+  readStreamData(dict, pos) {
+    const { text } = this;
+    // The keyword is followed by CRLF or LF (a lone CR is seen in the wild).
+    if (text[pos] === '\r') pos++;
+    if (text[pos] === '\n') pos++;
+    const length = numberValue(this.resolve(dictGet(dict, '/Length')));
+    if (length !== null && length >= 0 && pos + length <= text.length
+      && text.startsWith('endstream', skipSpace(text, pos + length))) {
+      return this.bytes.subarray(pos, pos + length);
+    }
+    // Missing or wrong /Length: the data runs to the EOL before endstream.
+    let end = text.indexOf('endstream', pos);
+    if (end === -1) throw new Error('pdf: unterminated stream');
+    if (text[end - 1] === '\n') end--;
+    if (text[end - 1] === '\r') end--;
+    return this.bytes.subarray(pos, Math.max(end, pos));
+  }
+
+  loadObjectStream(streamNum) {
+    if (this.objectStreams.has(streamNum)) return this.objectStreams.get(streamNum);
+    const objects = new Map();
+    this.objectStreams.set(streamNum, objects);
+    const stream = this.getObject(streamNum);
+    if (!stream?.stream) throw new Error(`pdf: object stream ${streamNum} is missing`);
+    const text = bytesToLatin1(decodeStream(stream));
+    const count = numberValue(dictGet(stream, '/N'), 0);
+    const first = numberValue(dictGet(stream, '/First'), 0);
+    let pos = 0;
+    const header = [];
+    for (let i = 0; i < count; i++) {
+      const [num, p1] = readRegular(text, skipSpace(text, pos));
+      const [offset, p2] = readRegular(text, skipSpace(text, p1));
+      header.push([Number(num), Number(offset)]);
+      pos = p2;
+    }
+    for (const [num, offset] of header) {
+      objects.set(num, parseValue(text, first + offset)[0]);
+    }
+    return objects;
+  }
+
+  readXref(offset, seen) {
+    if (seen.has(offset)) return;
+    seen.add(offset);
+    const { text } = this;
+    let pos = skipSpace(text, offset);
+    let trailer;
+
+    if (text.startsWith('xref', pos)) {
+      pos += 4;
+      for (;;) {
+        pos = skipSpace(text, pos);
+        if (text.startsWith('trailer', pos)) break;
+        const [startToken, p1] = readRegular(text, pos);
+        const [countToken, p2] = readRegular(text, skipSpace(text, p1));
+        if (!isInteger(startToken) || !isInteger(countToken)) throw new Error('pdf: bad xref subsection');
+        pos = p2;
+        const start = Number(startToken);
+        for (let i = 0; i < Number(countToken); i++) {
+          const [entryOffset, e1] = readRegular(text, skipSpace(text, pos));
+          const [, e2] = readRegular(text, skipSpace(text, e1));
+          const [kind, e3] = readRegular(text, skipSpace(text, e2));
+          pos = e3;
+          // Newer sections are read first, so the first entry seen wins.
+          if (this.xref.has(start + i)) continue;
+          if (kind === 'n') this.xref.set(start + i, { offset: Number(entryOffset) });
+          else if (kind === 'f') this.xref.set(start + i, null);
+          else throw new Error('pdf: bad xref entry');
+        }
+      }
+      [trailer] = parseValue(text, pos + 7);
+      // Hybrid files: the xref stream holds what this table leaves out.
+      const xrefStream = numberValue(dictGet(trailer, '/XRefStm'));
+      if (xrefStream !== null) this.readXref(xrefStream, seen);
+    } else {
+      const { value } = this.parseIndirectAt(pos);
+      if (dictGet(value, '/Type')?.text !== '/XRef' || !value.stream) throw new Error('pdf: no xref at startxref');
+      trailer = value;
+      this.readXrefStream(value);
+    }
+
+    if (!this.trailer) this.trailer = trailer;
+    const prev = numberValue(dictGet(trailer, '/Prev'));
+    if (prev !== null) this.readXref(prev, seen);
+  }
+
+  readXrefStream(stream) {
+    const data = decodeStream(stream);
+    const widths = dictGet(stream, '/W')?.items.map((v) => numberValue(v, 0)) || [];
+    if (widths.length !== 3) throw new Error('pdf: bad xref stream /W');
+    const size = numberValue(dictGet(stream, '/Size'), 0);
+    const index = dictGet(stream, '/Index')?.items.map((v) => numberValue(v, 0)) || [0, size];
+    const rowBytes = widths[0] + widths[1] + widths[2];
+    let pos = 0;
+    const field = (width, fallback) => {
+      if (width === 0) return fallback;
+      let value = 0;
+      for (let i = 0; i < width; i++) value = value * 256 + data[pos++];
+      return value;
+    };
+    for (let s = 0; s + 1 < index.length; s += 2) {
+      for (let i = 0; i < index[s + 1]; i++) {
+        if (pos + rowBytes > data.length) return;
+        const num = index[s] + i;
+        const kind = field(widths[0], 1);
+        const a = field(widths[1], 0);
+        const b = field(widths[2], 0);
+        if (this.xref.has(num)) continue;
+        if (kind === 0) this.xref.set(num, null);
+        else if (kind === 1) this.xref.set(num, { offset: a });
+        else if (kind === 2) this.xref.set(num, { stream: a, index: b });
+      }
+    }
+  }
+
+  // Last resort: find every `N G obj` in the file.
+  rebuildXref() {
+    this.xref = new Map();
+    this.cache = new Map();
+    this.objectStreams = new Map();
+    this.trailer = null;
+    const pattern = /(\d+)[ \t\r\n\f\0]+(\d+)[ \t\r\n\f\0]+obj\b/g;
+    let match;
+    while ((match = pattern.exec(this.text))) {
+      // Later definitions win, as with incremental updates.
+      this.xref.set(Number(match[1]), { offset: match.index });
+    }
+    for (const num of [...this.xref.keys()]) {
+      let value;
+      try {
+        value = this.getObject(num);
+      } catch {
+        continue;
+      }
+      const type = dictGet(value, '/Type')?.text;
+      if (type === '/ObjStm') {
+        try {
+          for (const inner of this.loadObjectStream(num).keys()) {
+            if (!this.xref.has(inner)) this.xref.set(inner, { stream: num, index: 0 });
+          }
+        } catch {
+          // An unreadable object stream only loses the objects inside it.
+        }
+      } else if (type === '/XRef' && dictGet(value, '/Root')) {
+        this.trailer = value;
+      }
+    }
+    const trailerAt = this.text.lastIndexOf('trailer');
+    if (!this.trailer && trailerAt !== -1) {
+      try {
+        [this.trailer] = parseValue(this.text, trailerAt + 7);
+      } catch {
+        this.trailer = null;
+      }
+    }
+    if (!dictGet(this.trailer, '/Root')) {
+      for (const num of this.xref.keys()) {
+        let value;
+        try {
+          value = this.getObject(num);
+        } catch {
+          continue;
+        }
+        if (dictGet(value, '/Type')?.text === '/Catalog') {
+          this.trailer = { type: 'dict', entries: new Map([['/Root', { type: 'ref', num, gen: 0 }]]) };
+          break;
+        }
+      }
+    }
+    if (!dictGet(this.trailer, '/Root')) throw new Error('pdf: no document catalog found');
+  }
+
+  load() {
+    // The header may follow some junk, but only within the first 1 KB.
+    const header = this.text.indexOf('%PDF-');
+    if (header === -1 || header > 1024) throw new Error('not a PDF');
+    try {
+      const tail = this.text.slice(-TAIL_BYTES);
+      const at = tail.lastIndexOf('startxref');
+      if (at === -1) throw new Error('pdf: no startxref');
+      const [offsetToken] = readRegular(tail, skipSpace(tail, at + 9));
+      if (!isInteger(offsetToken)) throw new Error('pdf: bad startxref');
+      this.readXref(Number(offsetToken), new Set());
+      if (!dictGet(this.trailer, '/Root')) throw new Error('pdf: trailer has no /Root');
+      this.getObject(dictGet(this.trailer, '/Root').num);
+    } catch {
+      this.rebuildXref();
+    }
+    if (dictGet(this.trailer, '/Encrypt')) throw new Error('encrypted PDFs are not supported');
+    return this;
+  }
+
+  /**
+   * Leaf pages in order, with the attributes they inherit from the page
+   * tree, plus the page-tree node numbers.
+   *
+   * @returns {Object} {pages: [{num, inherited: Map}], treeNodes: Set<number>}
+   */
+  listPages() {
+    const pages = [];
+    const treeNodes = new Set();
+    const seen = new Set();
+    const walk = (ref, inherited, depth) => {
+      if (ref?.type !== 'ref' || seen.has(ref.num) || depth > MAX_PAGE_TREE_DEPTH) return;
+      seen.add(ref.num);
+      const node = this.getObject(ref.num);
+      if (node?.type !== 'dict') return;
+      const type = dictGet(node, '/Type')?.text;
+      const kids = this.resolve(dictGet(node, '/Kids'));
+      if (type === '/Pages' || (type !== '/Page' && kids?.type === 'array')) {
+        treeNodes.add(ref.num);
+        const next = new Map(inherited);
+        for (const key of INHERITED_PAGE_KEYS) {
+          if (node.entries.has(key)) next.set(key, node.entries.get(key));
+        }
+        for (const kid of kids?.items || []) walk(kid, next, depth + 1);
+      } else {
+        pages.push({ num: ref.num, inherited });
+      }
+    };
+    const catalog = this.resolve(dictGet(this.trailer, '/Root'));
+    walk(dictGet(catalog, '/Pages'), new Map(), 0);
+    return { pages, treeNodes };
+  }
+}
+
+function applyPngPredictor(data, parms) {
+  const colors = numberValue(dictGet(parms, '/Colors'), 1);
+  const bitsPerComponent = numberValue(dictGet(parms, '/BitsPerComponent'), 8);
+  const columns = numberValue(dictGet(parms, '/Columns'), 1);
+  const pixelBytes = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowBytes = Math.ceil((columns * colors * bitsPerComponent) / 8);
+  const rows = Math.floor(data.length / (rowBytes + 1));
+  const out = new Uint8Array(rows * rowBytes);
+  for (let r = 0; r < rows; r++) {
+    const filter = data[r * (rowBytes + 1)];
+    const src = r * (rowBytes + 1) + 1;
+    const dst = r * rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= pixelBytes ? out[dst + i - pixelBytes] : 0;
+      const up = r > 0 ? out[dst + i - rowBytes] : 0;
+      const upLeft = r > 0 && i >= pixelBytes ? out[dst + i - rowBytes - pixelBytes] : 0;
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[dst + i] = (data[src + i] + predicted) & 0xff;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decoded bytes of a stream (FlateDecode only, which is all that xref and
+ * object streams use in practice).
+ *
+ * @param {Object} stream - Dictionary value with its stream bytes
+ * @returns {Uint8Array}
+ */
+export function decodeStream(stream) {
+  const filter = dictGet(stream, '/Filter');
+  const filters = filter?.type === 'array' ? filter.items : filter ? [filter] : [];
+  const parmsValue = dictGet(stream, '/DecodeParms');
+  const parmsList = parmsValue?.type === 'array' ? parmsValue.items : [parmsValue];
+  let data = stream.stream;
+  filters.forEach((f, i) => {
+    if (f.text !== '/FlateDecode' && f.text !== '/Fl') throw new Error(`pdf: unsupported filter ${f.text}`);
+    data = inflateZlib(data);
+    const parms = parmsList[i];
+    const predictor = numberValue(dictGet(parms, '/Predictor'), 1);
+    if (predictor >= 10) data = applyPngPredictor(data, parms);
+    else if (predictor !== 1) throw new Error(`pdf: unsupported predictor ${predictor}`);
+  });
+  return data;
+}
+
+/**
+ * Parse a PDF
+ *
+ * @param {Uint8Array} bytes - The whole file
+ * @returns {PdfDocument} {trailer, getObject(num), resolve(value), listPages()}
+ */
+export function openPdf(bytes) {
+  return new PdfDocument(bytes).load();
+}
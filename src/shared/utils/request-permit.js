@@ -0,0 +1,41 @@
+/**
+ * REQUEST PERMITS
+ *
+ * Content-side half of the background rate limiter. Call before anything
+ * that makes Jane serve a request (PDF fetch, page navigation, "Load More").
+ * The background answers with how long to wait; this helper sleeps it off.
+ */
+
+import { sleep } from './async-utils.js';
+
+/**
+ * Acquire a permit from the background limiter and wait for its slot
+ *
+ * @param {Object} options - Optional configuration
+ * @param {string} options.kind - What the request is for ('pdf', 'navigation', ...), used in logs
+ * @param {Function} options.shouldStop - Function that returns true to interrupt the wait
+ * @param {Object} options.logger - Logger for long waits
+ * @returns {Promise<number>} Milliseconds waited
+ */
+export async function acquireRequestPermit(options = {}) {
+  const { kind = 'request', shouldStop = null, logger = null } = options;
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'acquireRequestPermit', kind });
+  } catch (error) {
+    // Background unreachable (extension reloading) — don't wedge the run on
+    // the limiter; the per-thread throttle still applies.
+    logger?.warn?.(`Request permit unavailable: ${error.message}`);
+    return 0;
+  }
+
+  const waitMs = Number(response?.waitMs) || 0;
+  if (waitMs > 0) {
+    if (waitMs >= 5000) {
+      logger?.info?.(`Request budget: waiting ${Math.ceil(waitMs / 1000)}s before ${kind}`);
+    }
+    await sleep(waitMs, { shouldStop });
+  }
+  return waitMs;
+}
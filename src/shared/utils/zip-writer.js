@@ -0,0 +1,201 @@
+/**
+ * ZIP WRITER
+ *
+ * Builds ZIP archives for the packaging page:
+ * - crc32: CRC-32 as ZIP stores it
+ * - createZipWriter: add files, then finish() into a Blob. Entries are moved
+ *   into Blobs every FLUSH_BYTES as they're added, so the browser can keep a
+ *   big archive out of the page's memory
+ *
+ * Plain ZIP (no ZIP64), so one archive stays under 4 GiB and 65535 entries —
+ * package.js splits into volumes well below that. Names are stored as UTF-8
+ * (general purpose flag bit 11). Each file is deflated (deflate.js) unless
+ * that doesn't make it smaller; already-compressed files (most PDFs) are
+ * detected from a sample and stored without paying for a full deflate pass.
+ */
+
+import { deflateRaw } from './deflate.js';
+
+export const ZIP_MAX_BYTES = 0xffffffff;
+export const ZIP_MAX_ENTRIES = 0xffff;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+const VERSION = 20;
+const LOCAL_HEADER_BYTES = 30;
+const CENTRAL_HEADER_BYTES = 46;
+const END_RECORD_BYTES = 22;
+// Deflate the first SAMPLE_BYTES first; if that saves less than
+// MIN_SAMPLE_SAVING the file is stored.
+const SAMPLE_BYTES = 65536;
+const MIN_SAMPLE_SAVING = 0.02;
+const FLUSH_BYTES = 32 * 1024 * 1024;
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * CRC-32 (IEEE), as stored in ZIP headers
+ *
+ * @param {Uint8Array} data - Bytes
+ * @returns {number} Unsigned CRC
+ */
+export function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(at) {
+  const date = new Date(at || Date.now());
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+function worthDeflating(data) {
+  if (data.length <= SAMPLE_BYTES) return true;
+  const sample = data.subarray(0, SAMPLE_BYTES);
+  return deflateRaw(sample).length < sample.length * (1 - MIN_SAMPLE_SAVING);
+}
+
+/**
+ * Start an archive
+ *
+ * @param {Object} options
+ * @param {boolean} options.compress - Deflate entries (default true); false
+ *   stores everything, which is much faster
+ * @returns {Object} {addFile(path, data, {lastModified}), sizeWith(path, bytes),
+ *   size, entries, finish()}
+ */
+export function createZipWriter({ compress = true } = {}) {
+  const blobs = [];
+  let parts = [];
+  let partsBytes = 0;
+  const central = [];
+  const encoder = new TextEncoder();
+  let offset = 0;
+  let centralBytes = 0;
+
+  const writer = {
+    /** Bytes written so far, central directory not included. */
+    get size() {
+      return offset;
+    },
+
+    get entries() {
+      return central.length;
+    },
+
+    /**
+     * Bytes the archive would have after adding an entry of `dataBytes`
+     * named `path`, if it were stored.
+     */
+    sizeWith(path, dataBytes) {
+      const nameBytes = encoder.encode(path).length;
+      return offset + LOCAL_HEADER_BYTES + nameBytes + dataBytes
+        + centralBytes + CENTRAL_HEADER_BYTES + nameBytes + END_RECORD_BYTES;
+    },
+
+    /**
+     * Add one file
+     *
+     * @param {string} path - Path inside the archive, `/`-separated
+     * @param {Uint8Array} data - File contents
+     * @param {Object} options
+     * @param {number} options.lastModified - ms since epoch
+     * @returns {Object} {crc32, bytes, compressed_bytes, method}
+     */
+    addFile(path, data, { lastModified = Date.now() } = {}) {
+      if (central.length >= ZIP_MAX_ENTRIES) throw new Error('too many files for one ZIP archive');
+      const name = encoder.encode(path);
+      const crc = crc32(data);
+      let method = METHOD_STORE;
+      let body = data;
+      if (compress && data.length > 0 && worthDeflating(data)) {
+        const deflated = deflateRaw(data);
+        if (deflated.length < data.length) {
+          method = METHOD_DEFLATE;
+          body = deflated;
+        }
+      }
+      if (offset + LOCAL_HEADER_BYTES + name.length + body.length > ZIP_MAX_BYTES) {
+        throw new Error(`${path} would take the archive past 4 GiB`);
+      }
+      const { time, date } = dosDateTime(lastModified);
+
+      const header = new Uint8Array(LOCAL_HEADER_BYTES + name.length);
+      const view = new DataView(header.buffer);
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint16(4, VERSION, true);
+      view.setUint16(6, FLAG_UTF8, true);
+      view.setUint16(8, method, true);
+      view.setUint16(10, time, true);
+      view.setUint16(12, date, true);
+      view.setUint32(14, crc, true);
+      view.setUint32(18, body.length, true);
+      view.setUint32(22, data.length, true);
+      view.setUint16(26, name.length, true);
+      view.setUint16(28, 0, true);
+      header.set(name, LOCAL_HEADER_BYTES);
+
+      central.push({ name, crc, method, time, date, compressed: body.length, size: data.length, offset });
+      centralBytes += CENTRAL_HEADER_BYTES + name.length;
+      parts.push(header, body);
+      partsBytes += header.length + body.length;
+      offset += header.length + body.length;
+      if (partsBytes >= FLUSH_BYTES) {
+        blobs.push(new Blob(parts));
+        parts = [];
+        partsBytes = 0;
+      }
+      return { crc32: crc, bytes: data.length, compressed_bytes: body.length, method: method === METHOD_DEFLATE ? 'deflate' : 'store' };
+    },
+
+    /**
+     * Write the central directory
+     *
+     * @returns {Blob} The finished archive
+     */
+    finish() {
+      const centralParts = [];
+      let centralSize = 0;
+      for (const entry of central) {
+        const record = new Uint8Array(CENTRAL_HEADER_BYTES + entry.name.length);
+        const view = new DataView(record.buffer);
+        view.setUint32(0, 0x02014b50, true);
+        view.setUint16(4, VERSION, true);
+        view.setUint16(6, VERSION, true);
+        view.setUint16(8, FLAG_UTF8, true);
+        view.setUint16(10, entry.method, true);
+        view.setUint16(12, entry.time, true);
+        view.setUint16(14, entry.date, true);
+        view.setUint32(16, entry.crc, true);
+        view.setUint32(20, entry.compressed, true);
+        view.setUint32(24, entry.size, true);
+        view.setUint16(28, entry.name.length, true);
+        // extra, comment, disk number, attributes: all zero
+        view.setUint32(42, entry.offset, true);
+        record.set(entry.name, CENTRAL_HEADER_BYTES);
+        centralParts.push(record);
+        centralSize += record.length;
+      }
+      const end = new Uint8Array(END_RECORD_BYTES);
+      const view = new DataView(end.buffer);
+      view.setUint32(0, 0x06054b50, true);
+      view.setUint16(8, central.length, true);
+      view.setUint16(10, central.length, true);
+      view.setUint32(12, centralSize, true);
+      view.setUint32(16, offset, true);
+      return new Blob([...blobs, ...parts, ...centralParts, end], { type: 'application/zip' });
+    },
+  };
+  return writer;
+}
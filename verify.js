@@ -0,0 +1,180 @@
+// Check export signature — re-hashes a jane-scraper folder the user picks and
+// checks it against a manifest.sig.json written by the manifest writer.
+// See src/background/manifest/manifest-signer.js for what gets signed.
+// A signature only counts when its key is this browser's or the
+// signing_key.pub.json the user picks: anyone can re-sign an edited export
+// with a key of their own and put that key in the folder.
+
+import { sha256Hex } from './src/shared/utils/crypto-utils.js';
+import { merkleRoot, publicKeyId, verifySignedPayload } from './src/shared/utils/manifest-signature.js';
+
+const SIGNATURE_FILENAME = 'manifest.sig.json';
+const PATIENT_PDF = /^\d+_[^/]+\/[^/]+\.pdf(\.enc)?$/;
+
+const els = {
+  folderInput: document.getElementById('folder-input'),
+  signatureGroup: document.getElementById('signature-group'),
+  signatureSelect: document.getElementById('signature-select'),
+  keyInput: document.getElementById('key-input'),
+  results: document.getElementById('results'),
+  verdict: document.getElementById('verdict'),
+  resultLines: document.getElementById('result-lines'),
+};
+
+// Paths relative to the picked folder, the same form manifest.sig.json uses.
+let filesByPath = new Map();
+// key_id of the signing_key.pub.json the user picked, recomputed from its JWK.
+let trustedKeyId = null;
+
+function addLine(text, type = 'info') {
+  const line = document.createElement('div');
+  line.className = `line ${type}`;
+  line.textContent = text;
+  els.resultLines.appendChild(line);
+}
+
+// status: 'ok', 'warn' or 'bad'
+function setVerdict(text, status) {
+  els.verdict.textContent = text;
+  els.verdict.className = `verdict ${status}`;
+}
+
+function listPreview(paths, limit = 10) {
+  const shown = paths.slice(0, limit).join(', ');
+  return paths.length > limit ? `${shown} … and ${paths.length - limit} more` : shown;
+}
+
+function getExtensionKey() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: 'getSigningPublicKey' }, (response) => {
+      if (chrome.runtime.lastError || !response?.ok) resolve(null);
+      else resolve(response.key);
+    });
+  });
+}
+
+async function checkSignature(signaturePath) {
+  els.results.classList.add('visible');
+  els.resultLines.innerHTML = '';
+  setVerdict('Checking…', 'ok');
+
+  let doc;
+  try {
+    doc = JSON.parse(await filesByPath.get(signaturePath).text());
+  } catch (error) {
+    setVerdict('Not a readable signature file', 'bad');
+    addLine(error.message, 'error');
+    return;
+  }
+
+  const signature = await verifySignedPayload(doc).catch((error) => ({ valid: false, error: error.message }));
+  if (!signature.valid) {
+    setVerdict('Signature invalid — the manifest was altered or is not from this tool', 'bad');
+    addLine(signature.error || 'signature check failed', 'error');
+    return;
+  }
+  addLine(`Signature valid (key ${signature.keyId.slice(0, 16)}…)`, 'success');
+
+  const extensionKey = await getExtensionKey();
+  let knownKey = true;
+  if (extensionKey?.key_id === signature.keyId) {
+    addLine('Signed by this browser\'s Jane Chart Assistant key', 'success');
+  } else if (trustedKeyId === signature.keyId) {
+    addLine('Signed by the key in the signing_key.pub.json you chose', 'success');
+  } else {
+    knownKey = false;
+    addLine(extensionKey
+      ? `Signed by a different key than this browser's (${extensionKey.key_id.slice(0, 16)}…)`
+      : 'This browser\'s signing key isn\'t available here', 'warn');
+    addLine(trustedKeyId
+      ? `…and not by the key you chose (${trustedKeyId.slice(0, 16)}…)`
+      : 'Choose the signing_key.pub.json you kept for this export to check who signed it', 'warn');
+  }
+
+  const { payload } = doc;
+  const root = await merkleRoot(payload.files || []);
+  if (root !== payload.merkle_root) {
+    setVerdict('Signed file list does not match its Merkle root', 'bad');
+    addLine(`expected ${payload.merkle_root}, computed ${root}`, 'error');
+    return;
+  }
+
+  const missing = [];
+  const changed = [];
+  for (const entry of payload.files) {
+    const file = filesByPath.get(entry.path);
+    if (!file) {
+      missing.push(entry.path);
+      continue;
+    }
+    if ((entry.bytes != null && file.size !== entry.bytes) || (await sha256Hex(file)) !== entry.sha256) {
+      changed.push(entry.path);
+    }
+  }
+
+  const signed = new Set(payload.files.map((f) => f.path));
+  const unhashed = new Set(payload.unhashed_pdfs || []);
+  const unsigned = [...filesByPath.keys()].filter((p) => PATIENT_PDF.test(p) && !signed.has(p) && !unhashed.has(p));
+
+  addLine(`${payload.files.length - missing.length - changed.length}/${payload.files.length} signed files match (run ${payload.run_id || 'unknown'}, ${payload.generated_at})`, 'info');
+  if (changed.length) addLine(`${changed.length} changed since signing: ${listPreview(changed)}`, 'error');
+  if (missing.length) addLine(`${missing.length} missing: ${listPreview(missing)}`, 'error');
+  if (unhashed.size) addLine(`${unhashed.size} PDFs were saved without a checksum and are not covered: ${listPreview([...unhashed])}`, 'warn');
+  if (unsigned.length) addLine(`${unsigned.length} PDFs in the folder are not part of this export: ${listPreview(unsigned)}`, 'info');
+
+  const intact = changed.length === 0 && missing.length === 0;
+  if (!intact) setVerdict('Export does NOT match its signature', 'bad');
+  else if (!knownKey) setVerdict('Signed by an unknown key — the files match that signature, but it may not be yours', 'warn');
+  else setVerdict('Export intact — every signed file matches', 'ok');
+}
+
+els.folderInput.addEventListener('change', () => {
+  filesByPath = new Map();
+  for (const file of els.folderInput.files) {
+    // webkitRelativePath starts with the picked folder's own name.
+    const path = file.webkitRelativePath.split('/').slice(1).join('/');
+    filesByPath.set(path, file);
+  }
+
+  const signatures = [...filesByPath.keys()]
+    .filter((p) => p.split('/').pop() === SIGNATURE_FILENAME)
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+  els.signatureSelect.innerHTML = '';
+  for (const path of signatures) {
+    const option = document.createElement('option');
+    option.value = path;
+    option.textContent = path;
+    els.signatureSelect.appendChild(option);
+  }
+  els.signatureGroup.style.display = signatures.length > 1 ? '' : 'none';
+
+  if (signatures.length === 0) {
+    els.results.classList.add('visible');
+    els.resultLines.innerHTML = '';
+    setVerdict(`No ${SIGNATURE_FILENAME} in this folder — pick the jane-scraper folder itself`, 'bad');
+    return;
+  }
+  checkSignature(signatures[0]);
+});
+
+els.signatureSelect.addEventListener('change', () => {
+  checkSignature(els.signatureSelect.value);
+});
+
+els.keyInput.addEventListener('change', async () => {
+  trustedKeyId = null;
+  const file = els.keyInput.files[0];
+  if (file) {
+    try {
+      const key = JSON.parse(await file.text());
+      trustedKeyId = await publicKeyId(key.public_key_jwk);
+    } catch (error) {
+      els.results.classList.add('visible');
+      els.resultLines.innerHTML = '';
+      setVerdict('Not a readable signing_key.pub.json', 'bad');
+      addLine(error.message, 'error');
+      return;
+    }
+  }
+  if (els.signatureSelect.value) checkSignature(els.signatureSelect.value);
+});